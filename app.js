@@ -3,50 +3,202 @@
  * Ties everything together
  */
 
+import { LadderData } from './ladder-data.js';
+import { LadderRenderer } from './ladder-renderer.js';
+import { LadderSimulator } from './ladder-simulator.js';
+import { LadderEngineClient } from './ladder-engine-client.js';
+import { LadderProject } from './ladder-project.js';
+import {
+    PlaceComponentCommand,
+    RemoveComponentCommand,
+    UpdateComponentCommand,
+    AddBranchCommand,
+    RemoveBranchCommand,
+    InsertRungCommand,
+    RemoveRungCommand,
+    MoveRungCommand,
+    SnapshotCommand
+} from './ladder-commands.js';
+import { LadderHistory } from './ladder-history.js';
+import { LadderExporter } from './ladder-exporter.js';
+import { LadderPlcOpen } from './ladder-plcopen.js';
+import { TrendRecorder } from './ladder-trend.js';
+import { TimingDiagram } from './ladder-timing-diagram.js';
+import { LadderVerifier } from './ladder-verifier.js';
+import { LadderTags } from './ladder-tags.js';
+import { PlantHost } from './ladder-plant.js';
+import { PLANT_MODELS } from './ladder-plant-models.js';
+import { LadderHmi } from './ladder-hmi.js';
+import { HmiView } from './ladder-hmi-view.js';
+import { WatchList } from './ladder-watch.js';
+import { LadderMnemonics, MnemonicSyntaxError } from './ladder-mnemonics.js';
+import { TruthTable } from './ladder-truth-table.js';
+import { LadderBenchmark } from './ladder-benchmark.js';
+
 // Initialize
 const ladderData = new LadderData();
 const canvas = document.getElementById('canvas');
 const renderer = new LadderRenderer(canvas, ladderData);
-const simulator = new LadderSimulator(ladderData);
+// The scan engine runs in a worker; the page sees it through this client,
+// which answers like a simulator from the engine's latest snapshot
+const simulator = new LadderEngineClient(ladderData);
+const editHistory = new LadderHistory(ladderData);
+const trend = new TrendRecorder();
+const timingDiagram = new TimingDiagram(document.getElementById('timingCanvas'), trend);
+// The page's copy of the plant model, for its wiring and drawing; the model
+// itself runs in the scan engine
+const plant = new PlantHost(simulator);
+const hmi = new LadderHmi(simulator);
+const hmiView = new HmiView(document.getElementById('hmiPanel'), hmi, ladderData);
+const watch = new WatchList(simulator);
+renderer.setForceState(simulator);
+renderer.setDebugState(simulator);
 
 // State
 let currentTool = 'NO';
 let isSimulationRunning = false;
+let selectedRung = 0;
+let pendingBranch = null; // First cell picked with the branch tool
+let projectName = 'ladder-program';
+let breakMessage = ''; // Why the debugger last halted, until the next step
+
+const AUTOSAVE_KEY = 'plc-ladder-autosave';
+// Scans timed by the benchmark button; the browser waits while they run
+const BENCHMARK_SCANS = 2000;
 
 // Tools configuration
 const TOOLS = [
-    { id: 'NO', label: 'NO Contact', icon: '| |' },
-    { id: 'NC', label: 'NC Contact', icon: '|/|' },
-    { id: 'OUT', label: 'Output', icon: '( )' },
-    { id: 'HLINE', label: 'H-Line', icon: '─' },
-    { id: 'VLINE', label: 'V-Line', icon: '│' },
-    { id: 'CLEAR', label: 'Clear', icon: 'X' }
+    { id: 'NO', label: 'NO Contact', icon: '| |', group: 'Bit' },
+    { id: 'NC', label: 'NC Contact', icon: '|/|', group: 'Bit' },
+    { id: 'OUT', label: 'Output', icon: '( )', group: 'Bit' },
+    { id: 'OTL', label: 'Latch', icon: '(L)', group: 'Bit' },
+    { id: 'OTU', label: 'Unlatch', icon: '(U)', group: 'Bit' },
+    { id: 'POS', label: 'Rising Edge', icon: '|P|', group: 'Edge' },
+    { id: 'NEG', label: 'Falling Edge', icon: '|N|', group: 'Edge' },
+    { id: 'ONS', label: 'One-Shot', icon: 'ONS', group: 'Edge' },
+    { id: 'OSR', label: 'One-Shot Rise', icon: 'OSR', group: 'Edge' },
+    { id: 'OSF', label: 'One-Shot Fall', icon: 'OSF', group: 'Edge' },
+    { id: 'TON', label: 'On Delay', icon: 'TON', group: 'Timer/Counter' },
+    { id: 'TOF', label: 'Off Delay', icon: 'TOF', group: 'Timer/Counter' },
+    { id: 'RTO', label: 'Retentive', icon: 'RTO', group: 'Timer/Counter' },
+    { id: 'CTU', label: 'Count Up', icon: 'CTU', group: 'Timer/Counter' },
+    { id: 'CTD', label: 'Count Down', icon: 'CTD', group: 'Timer/Counter' },
+    { id: 'RES', label: 'Reset', icon: '(R)', group: 'Timer/Counter' },
+    { id: 'EQU', label: 'Equal', icon: '=', group: 'Compare' },
+    { id: 'NEQ', label: 'Not Equal', icon: '≠', group: 'Compare' },
+    { id: 'GRT', label: 'Greater', icon: '>', group: 'Compare' },
+    { id: 'LES', label: 'Less', icon: '<', group: 'Compare' },
+    { id: 'GEQ', label: 'Greater/Eq', icon: '≥', group: 'Compare' },
+    { id: 'LEQ', label: 'Less/Eq', icon: '≤', group: 'Compare' },
+    { id: 'ADD', label: 'Add', icon: '+', group: 'Math' },
+    { id: 'SUB', label: 'Subtract', icon: '−', group: 'Math' },
+    { id: 'MUL', label: 'Multiply', icon: '×', group: 'Math' },
+    { id: 'DIV', label: 'Divide', icon: '÷', group: 'Math' },
+    { id: 'MOV', label: 'Move', icon: 'MOV', group: 'Math' },
+    { id: 'CLR', label: 'Clear Word', icon: 'CLR', group: 'Math' },
+    { id: 'JSR', label: 'Call', icon: 'JSR', group: 'Program' },
+    { id: 'SBR', label: 'Subroutine', icon: 'SBR', group: 'Program' },
+    { id: 'RET', label: 'Return', icon: 'RET', group: 'Program' },
+    { id: 'HLINE', label: 'H-Line', icon: '─', group: 'Edit' },
+    { id: 'VLINE', label: 'Branch', icon: '┬', group: 'Edit' },
+    { id: 'CLEAR', label: 'Clear', icon: 'X', group: 'Edit' }
 ];
 
-// Load pins from JSON
-async function loadPins() {
-    try {
-        const response = await fetch('pins.json');
-        const data = await response.json();
-        ladderData.loadPins(data.inputs, data.outputs);
-        simulator.initializePins();
-        renderPins();
-    } catch (error) {
-        console.error('Error loading pins:', error);
-        // Fallback pins
-        const fallbackInputs = [
-            { id: 'I0', label: 'Input 0', address: 'I:0/0' },
-            { id: 'I1', label: 'Input 1', address: 'I:0/1' },
-            { id: 'I2', label: 'Input 2', address: 'I:0/2' }
-        ];
-        const fallbackOutputs = [
-            { id: 'O0', label: 'Output 0', address: 'O:0/0' },
-            { id: 'O1', label: 'Output 1', address: 'O:0/1' }
-        ];
-        ladderData.loadPins(fallbackInputs, fallbackOutputs);
-        simulator.initializePins();
-        renderPins();
+// Editable parameters of box instructions
+const TIMER_FIELDS = [
+    { key: 'address', label: 'Timer', type: 'text' },
+    { key: 'preset', label: 'Preset (ms)', type: 'number' }
+];
+const COUNTER_FIELDS = [
+    { key: 'address', label: 'Counter', type: 'text' },
+    { key: 'preset', label: 'Preset', type: 'number' }
+];
+const SOURCE_A_FIELD = { key: 'sourceA', label: 'Source A', type: 'text', pattern: LadderData.WORD_OPERAND_PATTERN };
+const SOURCE_B_FIELD = { key: 'sourceB', label: 'Source B', type: 'text', pattern: LadderData.WORD_OPERAND_PATTERN };
+const DEST_FIELD = { key: 'dest', label: 'Dest', type: 'text', pattern: LadderData.WORD_DESTINATION_PATTERN };
+// Parameter lists are edited as comma separated operands
+const listPattern = operand => `\\s*(${operand})(\\s*,\\s*(${operand}))*\\s*`;
+const ROUTINE_FIELD = { key: 'routine', label: 'Routine', type: 'text', options: () => ladderData.routines.map(r => r.name) };
+const PARAMS_FIELD = { key: 'params', label: 'Parameters', type: 'text', list: true };
+const RETURNS_FIELD = { key: 'returns', label: 'Returns', type: 'text', list: true,
+    pattern: listPattern(LadderData.WORD_DESTINATION_PATTERN) };
+const COMPARE_FIELDS = [SOURCE_A_FIELD, SOURCE_B_FIELD];
+const MATH_FIELDS = [SOURCE_A_FIELD, SOURCE_B_FIELD, DEST_FIELD];
+const PARAMETER_FIELDS = {
+    TON: TIMER_FIELDS,
+    TOF: TIMER_FIELDS,
+    RTO: TIMER_FIELDS,
+    CTU: COUNTER_FIELDS,
+    CTD: COUNTER_FIELDS,
+    ...Object.fromEntries(LadderData.COMPARE_TYPES.map(type => [type, COMPARE_FIELDS])),
+    ...Object.fromEntries(LadderData.MATH_TYPES.map(type => [type, MATH_FIELDS])),
+    MOV: [{ ...SOURCE_A_FIELD, label: 'Source' }, DEST_FIELD],
+    CLR: [DEST_FIELD],
+    JSR: [ROUTINE_FIELD, { ...PARAMS_FIELD, pattern: listPattern(LadderData.WORD_OPERAND_PATTERN) }, RETURNS_FIELD],
+    SBR: [{ ...PARAMS_FIELD, pattern: listPattern(LadderData.WORD_DESTINATION_PATTERN) }],
+    RET: [{ ...RETURNS_FIELD, pattern: listPattern(LadderData.WORD_OPERAND_PATTERN) }]
+};
+
+// Default operands of newly placed word instructions
+const WORD_DEFAULTS = {
+    compare: { sourceA: 'N7:0', sourceB: '0' },
+    math: { sourceA: 'N7:0', sourceB: '1', dest: 'N7:0' },
+    MOV: { sourceA: '0', dest: 'N7:0' },
+    CLR: { dest: 'N7:0' }
+};
+
+// Once per snapshot that covers new scans; the engine sampled the trend after
+// each of those scans
+simulator.onScan = (samples) => {
+    // Stepped scans fill the watch list themselves
+    if (!simulator.paused) {
+        watch.record();
     }
+    samples.forEach(sample => trend.add(sample));
+};
+
+// The page redraws from the engine's snapshots, at most once per display frame
+let redrawRequested = false;
+simulator.subscribe(() => {
+    if (redrawRequested) return;
+    redrawRequested = true;
+    requestAnimationFrame(() => {
+        redrawRequested = false;
+        syncPlant();
+        renderPins();
+        renderForceStatus();
+        renderDebugControls();
+        renderer.draw();
+        timingDiagram.draw();
+        hmiView.update();
+        renderWatch();
+    });
+});
+
+simulator.onBreak = (rung) => {
+    breakMessage = `Breakpoint: rung ${ladderData.getMainRoutine().rungs.indexOf(rung)} went true`;
+    watch.record();
+    debugChanged();
+};
+
+// A fault, such as runaway JSR recursion, has already stopped the simulator
+simulator.onFault = (message) => {
+    isSimulationRunning = false;
+    renderer.setSimulationState(null);
+    renderStartStop();
+    renderDebugControls();
+    renderPins();
+    renderer.draw();
+    hmiView.update();
+    alert(`Processor fault: ${message}\n\nThe simulation has stopped.`);
+};
+
+// New projects start with the default tags; saved projects carry their own
+function loadDefaultTags() {
+    const tags = LadderTags.defaults();
+    ladderData.loadPins(tags.inputs, tags.outputs, tags.memory, tags.registers);
+    simulator.initializePins();
+    renderPins();
 }
 
 // Render toolbox
@@ -54,7 +206,18 @@ function renderToolbox() {
     const toolbox = document.getElementById('toolbox');
     toolbox.innerHTML = '';
     
+    // One labelled cluster of buttons per tool group
+    const groups = {};
     TOOLS.forEach(tool => {
+        if (!groups[tool.group]) {
+            const section = document.createElement('div');
+            section.innerHTML = `<div class="text-xs text-gray-500 mb-1">${tool.group}</div>`;
+            groups[tool.group] = document.createElement('div');
+            groups[tool.group].className = 'flex flex-wrap gap-2';
+            section.appendChild(groups[tool.group]);
+            toolbox.appendChild(section);
+        }
+        
         const btn = document.createElement('button');
         btn.className = `tool-btn px-4 py-2 bg-slate-700 rounded-lg text-sm font-semibold ${
             tool.id === currentTool ? 'active' : ''
@@ -66,9 +229,11 @@ function renderToolbox() {
             } else {
                 currentTool = tool.id;
             }
+            setPendingBranch(null);
             renderToolbox();
+            renderer.draw();
         };
-        toolbox.appendChild(btn);
+        groups[tool.group].appendChild(btn);
     });
 }
 
@@ -76,32 +241,33 @@ function renderToolbox() {
 function renderPins() {
     const inputPinsEl = document.getElementById('inputPins');
     const outputPinsEl = document.getElementById('outputPins');
+    const memoryPinsEl = document.getElementById('memoryPins');
     
     inputPinsEl.innerHTML = '';
     outputPinsEl.innerHTML = '';
+    memoryPinsEl.innerHTML = '';
     
     // Render inputs
     ladderData.pins.inputs.forEach(pin => {
         const isOn = simulator.getPinState(pin.address);
         const div = document.createElement('div');
-        div.className = `pin-item p-3 bg-slate-700 rounded ${isOn ? 'on' : ''}`;
+        div.className = `pin-item p-3 bg-slate-700 rounded ${isOn ? 'on' : ''} ${forceClass(pin.address)}`;
         div.innerHTML = `
             <div class="flex justify-between items-center">
                 <div>
                     <div class="text-xs font-semibold">${pin.address}</div>
                     <div class="text-xs text-gray-400">${pin.label}</div>
                 </div>
-                <div class="text-xl">${isOn ? '●' : '○'}</div>
+                <div class="flex items-center gap-2">${plantBadge(pin.address)}${forceBadge(pin.address)}<span class="text-xl">${isOn ? '●' : '○'}</span></div>
             </div>
         `;
         div.onclick = () => {
-            if (isSimulationRunning) {
+            // Inputs wired to the plant model follow the process, not the switch
+            if (isSimulationRunning && !plant.drives(pin.address)) {
                 simulator.toggleInput(pin.address);
-                renderPins();
-                renderer.setSimulationState(simulator);
-                renderer.draw();
             }
         };
+        div.oncontextmenu = (event) => showForceMenu(pin.address, event);
         inputPinsEl.appendChild(div);
     });
     
@@ -109,28 +275,130 @@ function renderPins() {
     ladderData.pins.outputs.forEach(pin => {
         const isOn = simulator.getPinState(pin.address);
         const div = document.createElement('div');
-        div.className = `pin-item p-3 bg-slate-700 rounded ${isOn ? 'output-on' : ''}`;
+        div.className = `pin-item p-3 bg-slate-700 rounded ${isOn ? 'output-on' : ''} ${forceClass(pin.address)}`;
         div.innerHTML = `
             <div class="flex justify-between items-center">
                 <div>
                     <div class="text-xs font-semibold">${pin.address}</div>
                     <div class="text-xs text-gray-400">${pin.label}</div>
                 </div>
-                <div class="text-xl">${isOn ? '●' : '○'}</div>
+                <div class="flex items-center gap-2">${forceBadge(pin.address)}<span class="text-xl">${isOn ? '●' : '○'}</span></div>
             </div>
         `;
+        div.oncontextmenu = (event) => showForceMenu(pin.address, event);
         outputPinsEl.appendChild(div);
     });
+    
+    // Render internal memory bits
+    ladderData.pins.memory.forEach(pin => {
+        const isOn = simulator.getPinState(pin.address);
+        const div = document.createElement('div');
+        div.className = `pin-item p-3 bg-slate-700 rounded ${isOn ? 'memory-on' : ''} ${forceClass(pin.address)}`;
+        div.innerHTML = `
+            <div class="flex justify-between items-center">
+                <div>
+                    <div class="text-xs font-semibold">${pin.address}</div>
+                    <div class="text-xs text-gray-400">${pin.label}</div>
+                </div>
+                <div class="flex items-center gap-2">${forceBadge(pin.address)}<span class="text-xl">${isOn ? '●' : '○'}</span></div>
+            </div>
+        `;
+        div.oncontextmenu = (event) => showForceMenu(pin.address, event);
+        memoryPinsEl.appendChild(div);
+    });
+    
+    renderDataTable();
+}
+
+// Forced pins get a dashed outline and a badge with the forced value
+function forceClass(address) {
+    return Object.prototype.hasOwnProperty.call(simulator.forces, address) ? 'forced' : '';
+}
+
+function forceBadge(address) {
+    if (!forceClass(address)) return '';
+    const state = simulator.forces[address] ? 'ON' : 'OFF';
+    return `<span class="force-badge ${simulator.forcesEnabled ? '' : 'disabled'}">F ${state}</span>`;
+}
+
+function plantBadge(address) {
+    return plant.drives(address) ? '<span class="plant-badge" title="Driven by the plant model">PLANT</span>' : '';
+}
+
+// Render integer registers with editable values
+function renderDataTable() {
+    const tableEl = document.getElementById('dataTable');
+    
+    // Rebuilding every scan would throw away a value being typed
+    if (tableEl.contains(document.activeElement)) return;
+    tableEl.innerHTML = '';
+    
+    ladderData.pins.registers.forEach(register => {
+        const row = document.createElement('label');
+        row.className = 'flex items-center justify-between gap-2 p-2 bg-slate-700 rounded';
+        row.innerHTML = `
+            <div>
+                <div class="text-xs font-semibold">${register.address}</div>
+                <div class="text-xs text-gray-400">${register.label}</div>
+            </div>
+        `;
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = -32768;
+        input.max = 32767;
+        input.value = simulator.readWord(register.address);
+        input.className = 'w-20 bg-slate-800 px-2 py-1 rounded text-right text-sm';
+        input.onchange = () => {
+            const value = LadderSimulator.toWord(input.value);
+            input.value = value;
+            
+            // While running the edit changes the live value; stopped, it becomes the initial value
+            simulator.writeWord(register.address, value);
+            if (!isSimulationRunning) {
+                register.value = value;
+                simulator.loadProgram();
+                autosave();
+            }
+            renderer.draw();
+        };
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') input.blur();
+        };
+        row.appendChild(input);
+        tableEl.appendChild(row);
+    });
 }
 
 // Canvas click handler
 canvas.addEventListener('click', (event) => {
-    if (isSimulationRunning || !currentTool) return;
+    // Clicking a rung number sets or clears its breakpoint. The debugger steps
+    // through the main routine, so subroutine rungs take none
+    const rungIndex = renderer.getClickedRung(event);
+    if (rungIndex !== null) {
+        if (ladderData.currentRoutine !== ladderData.getMainRoutine().name) return;
+        simulator.toggleBreakpoint(ladderData.rungs[rungIndex].id);
+        renderer.draw();
+        return;
+    }
     
     const pos = renderer.getClickedPosition(event);
     if (!pos) return;
     
-    handleToolPlacement(pos.row, pos.col);
+    selectRung(pos.rung);
+    if (isSimulationRunning || !currentTool) return;
+    
+    handleToolPlacement(pos.rung, pos.row, pos.col);
+});
+
+// Canvas right-click forces the bit of a contact or coil
+canvas.addEventListener('contextmenu', (event) => {
+    const pos = renderer.getClickedPosition(event);
+    const component = pos && ladderData.getComponent(pos.rung, pos.row, pos.col);
+    const address = component && ladderData.resolveAddress(component.address);
+    if (!address || !isForceable(address)) return;
+    
+    showForceMenu(address, event);
 });
 
 // Canvas double-click handler for pin assignment
@@ -140,29 +408,90 @@ canvas.addEventListener('dblclick', (event) => {
     const pos = renderer.getClickedPosition(event);
     if (!pos) return;
     
-    showPinAssignmentDialog(pos.row, pos.col, event);
+    showPinAssignmentDialog(pos.rung, pos.row, pos.col, event);
 });
 
 // Handle tool placement
-function handleToolPlacement(row, col) {
+function handleToolPlacement(rungIndex, row, col) {
     switch (currentTool) {
         case 'NO':
         case 'NC':
         case 'OUT':
+        case 'OTL':
+        case 'OTU':
+        case 'RES':
+        case 'POS':
+        case 'NEG':
+        case 'ONS':
+        case 'OSR':
+        case 'OSF':
             // Place component
-            ladderData.addComponent(row, col, currentTool, '', '');
+            editHistory.execute(new PlaceComponentCommand(rungIndex, row, col, currentTool, '', ''));
+            break;
+            
+        case 'TON':
+        case 'TOF':
+        case 'RTO':
+            // Place timer with the next free T4 element and a 1 s preset
+            editHistory.execute(new PlaceComponentCommand(rungIndex, row, col, currentTool,
+                ladderData.nextStructureAddress('T4'), '', { preset: 1000 }));
+            break;
+            
+        case 'CTU':
+        case 'CTD':
+            // Place counter with the next free C5 element
+            editHistory.execute(new PlaceComponentCommand(rungIndex, row, col, currentTool,
+                ladderData.nextStructureAddress('C5'), '', { preset: 10 }));
+            break;
+            
+        case 'EQU':
+        case 'NEQ':
+        case 'GRT':
+        case 'LES':
+        case 'GEQ':
+        case 'LEQ':
+            editHistory.execute(new PlaceComponentCommand(rungIndex, row, col, currentTool, '', '', { ...WORD_DEFAULTS.compare }));
+            break;
+            
+        case 'ADD':
+        case 'SUB':
+        case 'MUL':
+        case 'DIV':
+        case 'MOV':
+        case 'CLR':
+            editHistory.execute(new PlaceComponentCommand(rungIndex, row, col, currentTool, '', '',
+                { ...(WORD_DEFAULTS[currentTool] || WORD_DEFAULTS.math) }));
+            break;
+            
+        case 'JSR':
+            // Call the first other routine, if there is one
+            editHistory.execute(new PlaceComponentCommand(rungIndex, row, col, currentTool, '', '', {
+                routine: (ladderData.routines.find(r => r.name !== ladderData.currentRoutine) || { name: '' }).name,
+                params: [],
+                returns: []
+            }));
+            break;
+            
+        case 'SBR':
+            editHistory.execute(new PlaceComponentCommand(rungIndex, row, col, currentTool, '', '', { params: [] }));
+            break;
+            
+        case 'RET':
+            editHistory.execute(new PlaceComponentCommand(rungIndex, row, col, currentTool, '', '', { returns: [] }));
             break;
             
         case 'VLINE':
-            // Create a new branch connected at this column
-            // Find the next available row
-            const branches = ladderData.getAllBranches();
-            const maxRow = Math.max(...branches.map(b => b.row));
-            const newRow = maxRow + 1;
+            // First click picks the split cell, second click on the same row
+            // picks the cell after which the branch merges back
+            if (!pendingBranch || pendingBranch.rung !== rungIndex || pendingBranch.row !== row) {
+                setPendingBranch({ rung: rungIndex, row, col });
+                break;
+            }
             
-            // Add new branch
-            ladderData.addBranch(newRow, 0, 9, col);
-            console.log(`Created new branch at row ${newRow}, connected at column ${col}`);
+            const startCol = Math.min(pendingBranch.col, col);
+            const endCol = Math.max(pendingBranch.col, col);
+            setPendingBranch(null);
+            editHistory.execute(new AddBranchCommand(rungIndex, row, startCol, endCol));
             break;
             
         case 'HLINE':
@@ -170,16 +499,12 @@ function handleToolPlacement(row, col) {
             break;
             
         case 'CLEAR':
-            // If clicking on row > 0, remove the entire branch
+            // If clicking on row > 0, remove the entire branch and its nested branches
             if (row > 0) {
-                const branch = ladderData.getBranch(row);
-                if (branch) {
-                    ladderData.removeBranch(row);
-                    console.log(`Removed branch at row ${row}`);
-                }
+                editHistory.execute(new RemoveBranchCommand(rungIndex, row));
             } else {
                 // On main rung (row 0), just remove component
-                ladderData.removeComponent(row, col);
+                editHistory.execute(new RemoveComponentCommand(rungIndex, row, col));
             }
             break;
     }
@@ -187,23 +512,281 @@ function handleToolPlacement(row, col) {
     renderer.draw();
 }
 
+function setPendingBranch(position) {
+    pendingBranch = position;
+    renderer.setPendingBranch(position);
+}
+
+// Redraw and autosave after every edit, undo and redo
+function programChanged() {
+    // The engine runs a copy of the program; tag edits may have added pins or registers
+    simulator.loadProgram();
+    renderPins();
+    renderer.setHighlightedCells([]);
+    selectRung(selectedRung);
+    autosave();
+    renderHistory();
+    renderVerification();
+    renderHmi();
+    renderMnemonics();
+    renderTruthTable();
+    renderRoutines();
+}
+
+editHistory.onChange = programChanged;
+
+// Render the undo history, oldest first
+function renderHistory() {
+    const list = document.getElementById('historyList');
+    list.innerHTML = '';
+    
+    const entries = editHistory.getEntries();
+    entries.forEach((entry, index) => {
+        const item = document.createElement('li');
+        item.className = `history-item px-2 py-1 rounded text-xs ${entry.done ? '' : 'undone'}`;
+        item.textContent = entry.label;
+        item.title = entry.done ? 'Click to undo back to here' : 'Click to redo up to here';
+        item.onclick = () => editHistory.goTo(index + 1);
+        list.appendChild(item);
+    });
+    list.scrollTop = list.scrollHeight;
+    
+    document.getElementById('undoBtn').disabled = !editHistory.canUndo();
+    document.getElementById('redoBtn').disabled = !editHistory.canRedo();
+}
+
+// Problems found by the verifier and the cross-reference of every address
+function renderVerification() {
+    const verifier = new LadderVerifier(ladderData);
+    const issues = verifier.verify();
+    const problemList = document.getElementById('problemList');
+    problemList.innerHTML = '';
+    
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    document.getElementById('problemCount').textContent = issues.length > 0
+        ? `${errors} error(s), ${issues.length - errors} warning(s)`
+        : 'none';
+    
+    issues.forEach(issue => {
+        const item = document.createElement('li');
+        item.className = `xref-item px-2 py-1 rounded ${issue.severity === 'error' ? 'text-red-400' : 'text-yellow-300'}`;
+        item.textContent = `${issue.severity === 'error' ? '✖' : '⚠'} ${issue.message}`;
+        item.onclick = () => highlightCells(issue.cells);
+        problemList.appendChild(item);
+    });
+    
+    const crossReference = document.getElementById('crossReference');
+    crossReference.innerHTML = '';
+    verifier.crossReference().forEach(entry => {
+        const group = document.createElement('div');
+        const heading = document.createElement('div');
+        heading.className = 'xref-item px-2 py-1 rounded font-semibold';
+        heading.textContent = entry.label ? `${entry.address}  ${entry.label}` : entry.address;
+        heading.title = 'Highlight every reference';
+        heading.onclick = () => highlightCells(entry.references);
+        group.appendChild(heading);
+        
+        entry.references.forEach(reference => {
+            const item = document.createElement('div');
+            item.className = 'xref-item pl-6 pr-2 rounded text-gray-400';
+            item.textContent = `Rung ${reference.rung}, row ${reference.row}, col ${reference.col + 1} — ` +
+                `${reference.type} ${reference.access === 'write' ? 'writes' : 'reads'}`;
+            item.onclick = () => highlightCells([reference]);
+            group.appendChild(item);
+        });
+        crossReference.appendChild(group);
+    });
+}
+
+// Mnemonic text view. It follows the program until the text is edited, and
+// replaces the program when the edits are applied
+let mnemonicsEdited = false;
+
+function renderMnemonics() {
+    if (mnemonicsEdited) return;
+    const mnemonics = new LadderMnemonics(ladderData);
+    document.getElementById('mnemonicText').value = mnemonics.toText();
+    document.getElementById('mnemonicStatus').textContent = '';
+    renderMnemonicProblems([], mnemonics.warnings);
+}
+
+function renderMnemonicProblems(errors, warnings = []) {
+    const list = document.getElementById('mnemonicErrors');
+    list.innerHTML = '';
+
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.className = 'xref-item px-2 py-1 rounded text-red-400';
+        item.textContent = `✖ Line ${error.line}, column ${error.column}: ${error.message}`;
+        item.title = 'Go to the error';
+        item.onclick = () => selectMnemonicPosition(error.line, error.column);
+        list.appendChild(item);
+    });
+    warnings.forEach(warning => {
+        const item = document.createElement('li');
+        item.className = 'px-2 py-1 text-yellow-300';
+        item.textContent = `⚠ ${warning}. Applying the text will drop it`;
+        list.appendChild(item);
+    });
+}
+
+function selectMnemonicPosition(line, column) {
+    const textarea = document.getElementById('mnemonicText');
+    const lines = textarea.value.split('\n');
+    const offset = lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0) + column - 1;
+    textarea.focus();
+    textarea.setSelectionRange(offset, offset);
+}
+
+function parseMnemonics() {
+    // The rungs in the text, or null after listing its syntax errors
+    try {
+        const rungs = new LadderMnemonics(ladderData).parse(document.getElementById('mnemonicText').value);
+        renderMnemonicProblems([]);
+        return rungs;
+    } catch (error) {
+        if (!(error instanceof MnemonicSyntaxError)) throw error;
+        renderMnemonicProblems(error.errors);
+        return null;
+    }
+}
+
+function applyMnemonics() {
+    const rungs = parseMnemonics();
+    if (!rungs) return;
+
+    mnemonicsEdited = false;
+    if (JSON.stringify(rungs) === JSON.stringify(ladderData.rungs)) {
+        renderMnemonics();
+        return;
+    }
+    editHistory.execute(new SnapshotCommand('Edit mnemonics', data => {
+        data.rungs = rungs;
+    }));
+}
+
+document.getElementById('mnemonicText').oninput = () => {
+    mnemonicsEdited = true;
+    document.getElementById('mnemonicStatus').textContent = 'edited — Ctrl+Enter to apply';
+    parseMnemonics();
+};
+
+document.getElementById('mnemonicText').onkeydown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+        e.preventDefault();
+        applyMnemonics();
+    }
+};
+
+document.getElementById('applyMnemonicsBtn').onclick = applyMnemonics;
+
+document.getElementById('revertMnemonicsBtn').onclick = () => {
+    mnemonicsEdited = false;
+    renderMnemonics();
+};
+
+// Truth table of the chosen output coil, kept across edits by its position
+function renderTruthTable() {
+    const truthTable = new TruthTable(ladderData);
+    const coils = truthTable.coils();
+    const select = document.getElementById('truthCoilSelect');
+    const previous = select.value;
+    select.innerHTML = '';
+    coils.forEach(coil => {
+        const option = document.createElement('option');
+        option.value = `${coil.rung}:${coil.row}:${coil.col}`;
+        const tag = ladderData.findTag(coil.component.address);
+        const label = coil.component.label || (tag ? tag.label : '');
+        option.textContent = `Rung ${coil.rung}: ${coil.component.type} ${coil.component.address}${label ? ` (${label})` : ''}`;
+        select.appendChild(option);
+    });
+    if (coils.some((coil, index) => select.options[index].value === previous)) {
+        select.value = previous;
+    }
+
+    const coil = coils[select.selectedIndex];
+    const result = coil ? truthTable.build(coil) : { error: 'The program has no output coils' };
+    document.getElementById('truthView').classList.toggle('hidden', Boolean(result.error));
+    document.getElementById('truthMessage').textContent = result.error || '';
+    if (result.error) return;
+
+    document.getElementById('truthExpression').textContent = `${coil.component.address} = ${result.expression}`;
+    document.getElementById('truthMinimized').textContent = `${coil.component.address} = ${result.minimized}`;
+
+    const tableEl = document.getElementById('truthTable');
+    tableEl.innerHTML = '';
+    const head = document.createElement('tr');
+    [...result.inputs, coil.component.address].forEach((name, index) => {
+        const th = document.createElement('th');
+        th.className = `px-2 py-1 ${index === result.inputs.length ? 'text-orange-300' : 'text-gray-400'}`;
+        th.textContent = name;
+        head.appendChild(th);
+    });
+    tableEl.appendChild(head);
+    result.rows.forEach(row => {
+        const tr = document.createElement('tr');
+        [...row.values, row.output].forEach((value, index) => {
+            const td = document.createElement('td');
+            td.className = `px-2 ${value ? 'text-green-400' : 'text-gray-500'} ${index === row.values.length ? 'font-bold' : ''}`;
+            td.textContent = value ? '1' : '0';
+            tr.appendChild(td);
+        });
+        tableEl.appendChild(tr);
+    });
+}
+
+document.getElementById('truthCoilSelect').onchange = renderTruthTable;
+
+function highlightCells(cells) {
+    renderer.setHighlightedCells(cells);
+    if (cells.length > 0) {
+        selectRung(cells[0].rung);
+    } else {
+        renderer.draw();
+    }
+}
+
+// Select a rung as the target for rung operations
+function selectRung(rungIndex) {
+    selectedRung = Math.max(0, Math.min(rungIndex, ladderData.getRungCount() - 1));
+    renderer.setSelectedRung(selectedRung);
+    renderer.draw();
+}
+
 // Show pin assignment dialog
-function showPinAssignmentDialog(row, col, event) {
-    const branch = ladderData.getBranch(row);
+function showPinAssignmentDialog(rungIndex, row, col, event) {
+    const branch = ladderData.getBranch(rungIndex, row);
     if (!branch) return;
     
     const component = branch.components.find(c => c.col === col);
     if (!component) return;
     
-    const isOutput = component.type === 'OUT';
-    const allPins = isOutput ? 
-        ladderData.pins.outputs : 
-        [...ladderData.pins.inputs, ...ladderData.pins.outputs];
+    if (PARAMETER_FIELDS[component.type]) {
+        showParameterDialog(rungIndex, row, col, component, PARAMETER_FIELDS[component.type], event);
+        return;
+    }
+    
+    // ONS keeps its state per instance and has no address to assign
+    if (component.type === 'ONS') return;
+    
+    let allPins;
+    if (LadderData.COIL_TYPES.includes(component.type) || component.type === 'OSR' || component.type === 'OSF') {
+        allPins = [...ladderData.pins.outputs, ...ladderData.pins.memory];
+    } else if (component.type === 'RES') {
+        allPins = getStructures();
+    } else {
+        allPins = [
+            ...ladderData.pins.inputs,
+            ...ladderData.pins.outputs,
+            ...ladderData.pins.memory,
+            ...getStatusBits()
+        ];
+    }
     
     const select = document.createElement('select');
     select.className = 'absolute bg-slate-700 text-white p-2 rounded shadow-lg z-50';
-    select.style.left = event.clientX + 'px';
-    select.style.top = event.clientY + 'px';
+    select.style.left = event.pageX + 'px';
+    select.style.top = event.pageY + 'px';
     
     const defaultOption = document.createElement('option');
     defaultOption.textContent = '-- Select Pin --';
@@ -213,19 +796,549 @@ function showPinAssignmentDialog(row, col, event) {
     allPins.forEach(pin => {
         const option = document.createElement('option');
         option.value = JSON.stringify(pin);
-        option.textContent = `${pin.address} - ${pin.label}`;
-        if (component.address === pin.address) {
+        option.textContent = pin.id ? `${pin.address} ${pin.id} - ${pin.label}` : `${pin.address} - ${pin.label}`;
+        if (component.address === pin.address || (pin.id && component.address === pin.id)) {
             option.selected = true;
         }
         select.appendChild(option);
     });
     
+    const otherOption = document.createElement('option');
+    otherOption.value = 'other';
+    otherOption.textContent = 'Other address or tag name…';
+    select.appendChild(otherOption);
+    
+    const assign = (address, label) => {
+        editHistory.execute(new UpdateComponentCommand(rungIndex, row, col, { address, label },
+            `Assign ${address} to ${component.type} at rung ${rungIndex}, column ${col + 1}`));
+    };
+    
+    select.onchange = () => {
+        const value = select.value;
+        document.body.removeChild(select);
+        
+        if (value === 'other') {
+            // Typed names stay symbolic, so the instruction follows the tag if it is readdressed
+            const text = (prompt('Address or tag name', component.address || '') || '').trim();
+            if (!text) return;
+            const tag = ladderData.findTag(text) || allPins.find(pin => pin.address === text);
+            assign(text, tag ? tag.label : '');
+        } else if (value) {
+            const pin = JSON.parse(value);
+            assign(pin.address, pin.label);
+        }
+    };
+    
+    select.onblur = () => {
+        if (document.body.contains(select)) {
+            document.body.removeChild(select);
+        }
+    };
+    
+    document.body.appendChild(select);
+    select.focus();
+}
+
+// Tag database editor
+const TAG_GROUP_TITLES = { inputs: 'INPUTS', outputs: 'OUTPUTS', memory: 'MEMORY BITS', registers: 'REGISTERS' };
+const TAG_NAME_PREFIXES = { inputs: 'I', outputs: 'O', memory: 'B', registers: 'N' };
+
+// Working copy of the tags while the editor is open; each row remembers the
+// tag it was opened from so renames can be applied to the program
+let tagDraft = null;
+
+function showTagEditor() {
+    if (isSimulationRunning) return;
+    
+    tagDraft = {};
+    LadderData.TAG_GROUPS.forEach(group => {
+        tagDraft[group] = ladderData.pins[group].map(tag => ({
+            ...tag,
+            type: tag.type || LadderTags.typeOf(group),
+            original: tag
+        }));
+    });
+    document.getElementById('tagErrors').innerHTML = '';
+    renderTagEditor();
+    document.getElementById('tagModal').classList.remove('hidden');
+}
+
+function hideTagEditor() {
+    tagDraft = null;
+    document.getElementById('tagModal').classList.add('hidden');
+}
+
+function draftPins() {
+    // The draft without the editor's bookkeeping
+    return Object.fromEntries(LadderData.TAG_GROUPS.map(group =>
+        [group, tagDraft[group].map(({ original, ...tag }) => tag)]));
+}
+
+function newTagName(group) {
+    const pins = draftPins();
+    const taken = new Set(LadderData.TAG_GROUPS.flatMap(g => pins[g].map(tag => tag.id)));
+    let index = 0;
+    while (taken.has(`${TAG_NAME_PREFIXES[group]}${index}`)) index++;
+    return `${TAG_NAME_PREFIXES[group]}${index}`;
+}
+
+function moveDraftTag(row, fromGroup, toGroup) {
+    // BOOL and INT internal tags live in different files, so changing the type
+    // moves the tag to the next free address of the other file
+    tagDraft[fromGroup].splice(tagDraft[fromGroup].indexOf(row), 1);
+    row.type = LadderTags.typeOf(toGroup);
+    row.address = LadderTags.nextAddress(toGroup, draftPins());
+    if (toGroup === 'registers') {
+        row.value = 0;
+    } else {
+        delete row.value;
+    }
+    // Coils and holding registers are separate Modbus tables
+    delete row.modbus;
+    tagDraft[toGroup].push(row);
+}
+
+function renderTagEditor() {
+    const editor = document.getElementById('tagEditor');
+    editor.innerHTML = '';
+    
+    LadderData.TAG_GROUPS.forEach(group => {
+        const section = document.createElement('section');
+        const table = document.createElement('table');
+        table.className = 'w-full';
+        table.innerHTML = `
+            <thead class="text-xs text-gray-500 text-left">
+                <tr><th class="font-normal">Name</th><th class="font-normal">Address</th><th class="font-normal">Description</th><th class="font-normal">Type</th><th class="font-normal" title="Address in the Modbus table; blank takes the next free one">Modbus</th><th></th></tr>
+            </thead>
+        `;
+        const body = document.createElement('tbody');
+        
+        tagDraft[group].forEach(row => {
+            const tr = document.createElement('tr');
+            
+            ['id', 'address', 'label'].forEach(key => {
+                const cell = document.createElement('td');
+                cell.className = 'pr-2 py-1';
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.value = row[key] || '';
+                input.className = 'w-full bg-slate-700 px-2 py-1 rounded';
+                input.oninput = () => {
+                    row[key] = input.value.trim();
+                };
+                cell.appendChild(input);
+                tr.appendChild(cell);
+            });
+            
+            const typeCell = document.createElement('td');
+            typeCell.className = 'pr-2 py-1';
+            const typeSelect = document.createElement('select');
+            typeSelect.className = 'bg-slate-700 px-2 py-1 rounded';
+            ['BOOL', 'INT'].forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = type;
+                option.selected = row.type === type;
+                typeSelect.appendChild(option);
+            });
+            // Physical I/O is always BOOL
+            typeSelect.disabled = group === 'inputs' || group === 'outputs';
+            typeSelect.onchange = () => {
+                moveDraftTag(row, group, typeSelect.value === 'INT' ? 'registers' : 'memory');
+                renderTagEditor();
+            };
+            typeCell.appendChild(typeSelect);
+            tr.appendChild(typeCell);
+            
+            const modbusCell = document.createElement('td');
+            modbusCell.className = 'pr-2 py-1';
+            const modbusInput = document.createElement('input');
+            modbusInput.type = 'text';
+            modbusInput.value = row.modbus === undefined ? '' : row.modbus;
+            modbusInput.placeholder = 'auto';
+            modbusInput.className = 'w-20 bg-slate-700 px-2 py-1 rounded';
+            modbusInput.oninput = () => {
+                // Anything but digits is kept as typed, for validation to report
+                const text = modbusInput.value.trim();
+                if (text === '') {
+                    delete row.modbus;
+                } else {
+                    row.modbus = /^\d+$/.test(text) ? Number(text) : text;
+                }
+            };
+            modbusCell.appendChild(modbusInput);
+            tr.appendChild(modbusCell);
+            
+            const deleteCell = document.createElement('td');
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'px-2 py-1 bg-slate-700 hover:bg-red-700 rounded text-xs';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete this tag';
+            deleteBtn.onclick = () => {
+                tagDraft[group].splice(tagDraft[group].indexOf(row), 1);
+                renderTagEditor();
+            };
+            deleteCell.appendChild(deleteBtn);
+            tr.appendChild(deleteCell);
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+        
+        const heading = document.createElement('div');
+        heading.className = 'flex justify-between items-center mb-1';
+        heading.innerHTML = `<h4 class="text-sm font-semibold text-gray-400">${TAG_GROUP_TITLES[group]}</h4>`;
+        const addBtn = document.createElement('button');
+        addBtn.className = 'px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs';
+        addBtn.textContent = '+ Add';
+        addBtn.onclick = () => {
+            const tag = {
+                id: newTagName(group),
+                label: '',
+                address: LadderTags.nextAddress(group, draftPins()),
+                type: LadderTags.typeOf(group),
+                original: null
+            };
+            if (group === 'registers') tag.value = 0;
+            tagDraft[group].push(tag);
+            renderTagEditor();
+        };
+        heading.appendChild(addBtn);
+        
+        section.appendChild(heading);
+        section.appendChild(table);
+        editor.appendChild(section);
+    });
+}
+
+document.getElementById('tagsBtn').onclick = showTagEditor;
+document.getElementById('tagCancelBtn').onclick = hideTagEditor;
+
+document.getElementById('tagSaveBtn').onclick = () => {
+    const pins = draftPins();
+    const errors = LadderTags.validate(pins);
+    const errorList = document.getElementById('tagErrors');
+    errorList.innerHTML = '';
+    if (errors.length > 0) {
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            errorList.appendChild(item);
+        });
+        return;
+    }
+    
+    const renames = LadderData.TAG_GROUPS.flatMap(group => tagDraft[group]
+        .map((row, index) => ({ from: row.original, to: pins[group][index] }))
+        .filter(rename => rename.from));
+    editHistory.execute(new SnapshotCommand('Edit tags', data => LadderTags.apply(data, pins, renames)));
+    hideTagEditor();
+};
+
+// Plant model
+function syncPlant() {
+    // The page's copy takes the state of the model running in the engine
+    const engine = simulator.plant;
+    if (plant.model && engine && engine.name === plant.model.constructor.NAME) {
+        plant.model.setState(engine.state);
+    }
+    drawPlant();
+}
+
+function drawPlant() {
+    const canvas = document.getElementById('plantCanvas');
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (plant.model) {
+        plant.model.draw(ctx, canvas.width, canvas.height);
+    }
+}
+
+function renderPlantWiring() {
+    const wiringEl = document.getElementById('plantWiring');
+    wiringEl.innerHTML = '';
+    if (!plant.model) return;
+    
+    plant.model.signals.forEach(signal => {
+        const row = document.createElement('tr');
+        const arrow = signal.direction === 'output' ? '→' : '←';
+        row.innerHTML = `
+            <td class="pr-2 py-0.5 font-mono text-cyan-400">${signal.address}</td>
+            <td class="pr-2 text-gray-500">${arrow}</td>
+            <td class="pr-2 font-semibold">${signal.name}</td>
+            <td class="text-gray-400">${signal.description}</td>
+        `;
+        wiringEl.appendChild(row);
+    });
+}
+
+function addPlantTags(signals) {
+    // Give the model's unknown addresses a tag named after the signal
+    const pins = JSON.parse(JSON.stringify(ladderData.pins));
+    const names = new Set(LadderData.TAG_GROUPS.flatMap(group => (pins[group] || []).map(pin => pin.id)));
+    signals.forEach(signal => {
+        const group = signal.type === 'INT' ? 'registers'
+            : signal.address.startsWith('I:') ? 'inputs'
+            : signal.address.startsWith('O:') ? 'outputs' : 'memory';
+        let id = signal.name;
+        for (let i = 2; names.has(id); i++) id = `${signal.name}${i}`;
+        names.add(id);
+        const tag = { id, label: signal.description, address: signal.address, type: LadderTags.typeOf(group) };
+        if (group === 'registers') tag.value = 0;
+        pins[group] = [...(pins[group] || []), tag];
+    });
+    
+    const errors = LadderTags.validate(pins);
+    if (errors.length > 0) {
+        alert(`The plant's tags could not be added:\n${errors.join('\n')}`);
+        return;
+    }
+    editHistory.execute(new SnapshotCommand('Add plant tags', data => LadderTags.apply(data, pins, [])));
+}
+
+function selectPlantModel(index) {
+    const Model = PLANT_MODELS[index];
+    plant.model = Model ? new Model() : null;
+    simulator.setPlant(Model ? Model.NAME : null);
+    document.getElementById('plantView').classList.toggle('hidden', !Model);
+    document.getElementById('plantDescription').textContent = Model ? Model.DESCRIPTION : '';
+    
+    const missing = plant.missingTags();
+    if (missing.length > 0 && !isSimulationRunning &&
+        confirm(`${Model.NAME} is wired to ${missing.map(signal => signal.address).join(', ')}, which have no tags. Add them?`)) {
+        addPlantTags(missing);
+        simulator.resetPlant();
+    }
+    
+    renderPlantWiring();
+    drawPlant();
+    renderPins();
+    renderer.draw();
+}
+
+const plantSelect = document.getElementById('plantSelect');
+PLANT_MODELS.forEach((Model, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = Model.NAME;
+    plantSelect.appendChild(option);
+});
+plantSelect.onchange = () => {
+    selectPlantModel(plantSelect.value === '' ? -1 : Number(plantSelect.value));
+};
+
+document.getElementById('resetPlantBtn').onclick = () => {
+    simulator.resetPlant();
+};
+
+document.getElementById('plantCanvas').addEventListener('click', (event) => {
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    simulator.clickPlant(event.clientX - rect.left, event.clientY - rect.top, canvas.width, canvas.height);
+});
+
+// HMI panel
+function isRunOnly() {
+    return document.body.classList.contains('run-only');
+}
+
+function showHmiScreen(visible) {
+    document.getElementById('ladderScreen').classList.toggle('hidden', visible);
+    document.getElementById('hmiScreen').classList.toggle('hidden', !visible);
+    document.getElementById('hmiScreenBtn').textContent = visible ? '🪜 Ladder' : '🖥 HMI';
+    renderHmi();
+}
+
+function renderHmi() {
+    hmiView.render();
+    renderHmiProperties(hmiView.getSelected());
+    
+    // Tags offered when binding a widget
+    const list = document.getElementById('hmiAddressList');
+    list.innerHTML = '';
+    LadderData.TAG_GROUPS.forEach(group => ladderData.pins[group].forEach(pin => {
+        const option = document.createElement('option');
+        option.value = pin.id || pin.address;
+        option.textContent = `${pin.address} - ${pin.label}`;
+        list.appendChild(option);
+    }));
+}
+
+function editWidget(id, label, change) {
+    // Layout edits are undoable like program edits
+    editHistory.execute(new SnapshotCommand(label, data => {
+        const widget = data.hmi.widgets.find(w => w.id === id);
+        if (!widget) return false;
+        change(widget, data.hmi.widgets);
+    }));
+}
+
+function renderHmiProperties(widget) {
+    const propertiesEl = document.getElementById('hmiProperties');
+    propertiesEl.innerHTML = '';
+    if (!widget) {
+        propertiesEl.innerHTML = `<p class="text-xs text-gray-500">${hmiView.editing
+            ? 'Click a widget to edit it, or drag it to move it'
+            : 'Tick Edit layout to change the panel'}</p>`;
+        return;
+    }
+    
+    const addField = (label, input) => {
+        const row = document.createElement('label');
+        row.className = 'block';
+        row.innerHTML = `<span class="text-xs text-gray-400">${label}</span>`;
+        input.classList.add('w-full', 'bg-slate-700', 'px-2', 'py-1', 'rounded');
+        row.appendChild(input);
+        propertiesEl.appendChild(row);
+        return input;
+    };
+    const textField = (label, value, apply) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value;
+        input.onchange = () => editWidget(widget.id, `Edit HMI ${label.toLowerCase()}`, w => apply(w, input.value.trim()));
+        return addField(label, input);
+    };
+    const selectField = (label, options, value, apply) => {
+        const select = document.createElement('select');
+        Object.entries(options).forEach(([key, text]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = text;
+            option.selected = key === value;
+            select.appendChild(option);
+        });
+        select.onchange = () => editWidget(widget.id, `Edit HMI ${label.toLowerCase()}`, w => apply(w, select.value));
+        return addField(label, select);
+    };
+    
+    const heading = document.createElement('div');
+    heading.className = 'font-semibold';
+    heading.textContent = LadderHmi.WIDGET_TYPES[widget.type].name;
+    propertiesEl.appendChild(heading);
+    
+    textField('Label', widget.label, (w, value) => { w.label = value; });
+    const address = textField('Address or tag', widget.address, (w, value) => { w.address = value; });
+    address.setAttribute('list', 'hmiAddressList');
+    const problem = widget.address ? LadderHmi.checkAddress(widget, ladderData) : null;
+    if (problem) {
+        const error = document.createElement('p');
+        error.className = 'text-xs text-red-400';
+        error.textContent = problem;
+        propertiesEl.appendChild(error);
+    }
+    
+    if (widget.type === 'pushbutton') {
+        selectField('Action', { momentary: 'Momentary', maintained: 'Maintained' }, widget.mode, (w, value) => { w.mode = value; });
+    } else if (widget.type === 'selector') {
+        textField('Off position', widget.positions[0], (w, value) => { w.positions = [value, w.positions[1]]; });
+        textField('On position', widget.positions[1], (w, value) => { w.positions = [w.positions[0], value]; });
+    } else if (widget.type === 'lamp') {
+        const colors = Object.fromEntries(Object.keys(LadderHmi.LAMP_COLORS).map(color => [color, color[0].toUpperCase() + color.slice(1)]));
+        selectField('Color', colors, widget.color, (w, value) => { w.color = value; });
+    } else {
+        textField('Units', widget.units, (w, value) => { w.units = value; });
+    }
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'w-full px-3 py-2 bg-slate-700 hover:bg-red-700 rounded-lg text-sm font-semibold';
+    deleteBtn.textContent = 'Delete widget';
+    deleteBtn.onclick = () => {
+        hmiView.selectedId = null;
+        editWidget(widget.id, 'Delete HMI widget', (w, widgets) => widgets.splice(widgets.indexOf(w), 1));
+    };
+    propertiesEl.appendChild(deleteBtn);
+}
+
+hmiView.onSelect = renderHmiProperties;
+hmiView.onMove = (widget, x, y) => {
+    editWidget(widget.id, 'Move HMI widget', w => {
+        w.x = x;
+        w.y = y;
+    });
+};
+
+Object.entries(LadderHmi.WIDGET_TYPES).forEach(([type, { name }]) => {
+    const btn = document.createElement('button');
+    btn.className = 'px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs';
+    btn.textContent = name;
+    btn.onclick = () => {
+        if (!hmiView.editing) {
+            document.getElementById('hmiEditInput').checked = true;
+            hmiView.setEditing(true);
+        }
+        // New widgets go down the left edge, then the next column over
+        const count = ladderData.hmi.widgets.length;
+        const x = 20 + Math.floor(count / 4) * 140;
+        const y = 20 + (count % 4) * 110;
+        editHistory.execute(new SnapshotCommand(`Add HMI ${name.toLowerCase()}`, data => {
+            const widget = LadderHmi.createWidget(type, data.hmi.widgets, x, y);
+            data.hmi.widgets.push(widget);
+            hmiView.selectedId = widget.id;
+        }));
+    };
+    document.getElementById('hmiPalette').appendChild(btn);
+});
+
+document.getElementById('hmiEditInput').onchange = (event) => {
+    hmiView.setEditing(event.target.checked);
+    renderHmiProperties(null);
+};
+
+document.getElementById('hmiScreenBtn').onclick = () => {
+    showHmiScreen(document.getElementById('hmiScreen').classList.contains('hidden'));
+};
+
+document.getElementById('runOnlyBtn').onclick = () => {
+    location.hash = 'run';
+};
+
+function applyRunOnlyMode() {
+    // #run in the address shows just the operator panel, for students running a machine
+    const runOnly = location.hash === '#run';
+    document.body.classList.toggle('run-only', runOnly);
+    if (runOnly) {
+        document.getElementById('hmiEditInput').checked = false;
+        hmiView.setEditing(false);
+        hideTextModal();
+        hideTagEditor();
+        showHmiScreen(true);
+    }
+}
+
+window.addEventListener('hashchange', applyRunOnlyMode);
+
+// Forcing
+function isForceable(address) {
+    const pins = ladderData.pins;
+    return [...pins.inputs, ...pins.outputs, ...pins.memory].some(pin => pin.address === address);
+}
+
+function showForceMenu(address, event) {
+    event.preventDefault();
+    
+    const select = document.createElement('select');
+    select.className = 'absolute bg-slate-700 text-white p-2 rounded shadow-lg z-50';
+    select.style.left = event.pageX + 'px';
+    select.style.top = event.pageY + 'px';
+    
+    const isForced = Object.prototype.hasOwnProperty.call(simulator.forces, address);
+    const choices = [
+        ['', `-- Force ${address} --`],
+        ['on', 'Force ON'],
+        ['off', 'Force OFF'],
+        ...(isForced ? [['remove', 'Remove force']] : [])
+    ];
+    choices.forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+    
     select.onchange = () => {
         if (select.value) {
-            const pin = JSON.parse(select.value);
-            component.address = pin.address;
-            component.label = pin.label;
-            renderer.draw();
+            simulator.setForce(address, select.value === 'remove' ? null : select.value === 'on');
+            forcesChanged();
         }
         document.body.removeChild(select);
     };
@@ -240,52 +1353,634 @@ function showPinAssignmentDialog(row, col, event) {
     select.focus();
 }
 
+function forcesChanged() {
+    // A running program sees the change on its next scan, like any input;
+    // a paused one on its next step. The engine's snapshot redraws the page
+    if (isSimulationRunning && !simulator.paused) {
+        simulator.executeScan();
+    }
+}
+
+function renderForceStatus() {
+    const count = simulator.getForceCount();
+    document.getElementById('forceStatus').textContent = count > 0 ? `${count} forced` : '';
+}
+
+document.getElementById('forcesEnabledInput').onchange = (event) => {
+    simulator.setForcesEnabled(event.target.checked);
+    forcesChanged();
+};
+
+document.getElementById('clearForcesBtn').onclick = () => {
+    simulator.clearForces();
+    forcesChanged();
+};
+
+// Rung controls
+document.getElementById('addRungBtn').onclick = () => {
+    if (isSimulationRunning) return;
+    const command = new InsertRungCommand(ladderData.getRungCount());
+    if (editHistory.execute(command)) {
+        selectRung(command.rungIndex);
+    }
+};
+
+document.getElementById('insertRungBtn').onclick = () => {
+    if (isSimulationRunning) return;
+    editHistory.execute(new InsertRungCommand(selectedRung));
+};
+
+document.getElementById('deleteRungBtn').onclick = () => {
+    if (isSimulationRunning) return;
+    editHistory.execute(new RemoveRungCommand(selectedRung));
+};
+
+document.getElementById('moveRungUpBtn').onclick = () => {
+    if (isSimulationRunning) return;
+    if (editHistory.execute(new MoveRungCommand(selectedRung, selectedRung - 1))) {
+        selectRung(selectedRung - 1);
+    }
+};
+
+document.getElementById('moveRungDownBtn').onclick = () => {
+    if (isSimulationRunning) return;
+    if (editHistory.execute(new MoveRungCommand(selectedRung, selectedRung + 1))) {
+        selectRung(selectedRung + 1);
+    }
+};
+
+// Routines: the editor shows one at a time, picked from the selector or the call tree
+function renderRoutines() {
+    const select = document.getElementById('routineSelect');
+    select.innerHTML = '';
+    for (const routine of ladderData.routines) {
+        const option = document.createElement('option');
+        option.value = routine.name;
+        option.textContent = routine.name;
+        option.selected = routine.name === ladderData.currentRoutine;
+        select.appendChild(option);
+    }
+    
+    const isMain = ladderData.currentRoutine === ladderData.getMainRoutine().name;
+    document.getElementById('renameRoutineBtn').disabled = isMain;
+    document.getElementById('deleteRoutineBtn').disabled = isMain;
+    renderRoutineTree();
+}
+
+function renderRoutineTree() {
+    // Who calls whom, from the main routine down; routines nothing calls come last
+    const list = document.getElementById('routineTree');
+    list.innerHTML = '';
+    
+    const addItem = (name, depth, note) => {
+        const item = document.createElement('li');
+        item.className = `xref-item px-2 py-1 rounded ${name === ladderData.currentRoutine ? 'bg-slate-700' : ''}`;
+        item.style.paddingLeft = `${8 + depth * 12}px`;
+        item.textContent = `${depth > 0 ? '└ ' : ''}${name}${note ? ` (${note})` : ''}`;
+        if (ladderData.getRoutine(name)) {
+            item.title = `Show ${name}`;
+            item.onclick = () => showRoutine(name);
+        }
+        list.appendChild(item);
+    };
+    const addNode = (node, depth) => {
+        addItem(node.name, depth, node.missing ? 'missing' : node.recursive ? 'recursive' : '');
+        node.calls.forEach(child => addNode(child, depth + 1));
+    };
+    
+    const { root, unused } = ladderData.callTree();
+    addNode(root, 0);
+    unused.forEach(name => addItem(name, 0, 'not called'));
+}
+
+function showRoutine(name) {
+    if (name === ladderData.currentRoutine) return;
+    if (mnemonicsEdited && !confirm('Discard the mnemonic edits that have not been applied?')) {
+        renderRoutines();
+        return;
+    }
+    
+    ladderData.selectRoutine(name);
+    mnemonicsEdited = false;
+    setPendingBranch(null);
+    renderer.setHighlightedCells([]);
+    selectRung(0);
+    renderRoutines();
+    renderVerification();
+    renderMnemonics();
+    renderTruthTable();
+}
+
+document.getElementById('routineSelect').onchange = (event) => showRoutine(event.target.value);
+
+document.getElementById('addRoutineBtn').onclick = () => {
+    if (isSimulationRunning) return;
+    const name = (prompt('Name of the new routine:') || '').trim();
+    if (!name) return;
+    if (!LadderData.isRoutineName(name) || ladderData.getRoutine(name)) {
+        alert(`"${name}" is not a free routine name. Use letters, digits and underscores, starting with a letter.`);
+        return;
+    }
+    if (editHistory.execute(new SnapshotCommand(`Add routine ${name}`, data => data.addRoutine(name) !== null))) {
+        showRoutine(name);
+    }
+};
+
+document.getElementById('renameRoutineBtn').onclick = () => {
+    if (isSimulationRunning) return;
+    const oldName = ladderData.currentRoutine;
+    const name = (prompt(`Rename ${oldName} to:`, oldName) || '').trim();
+    if (!name || name === oldName) return;
+    if (!editHistory.execute(new SnapshotCommand(`Rename routine ${oldName} to ${name}`,
+        data => data.renameRoutine(oldName, name)))) {
+        alert(`"${name}" is not a free routine name. Use letters, digits and underscores, starting with a letter.`);
+    }
+};
+
+document.getElementById('deleteRoutineBtn').onclick = () => {
+    if (isSimulationRunning) return;
+    const name = ladderData.currentRoutine;
+    if (!confirm(`Delete routine ${name}? JSRs that call it will be reported by the verifier.`)) return;
+    editHistory.execute(new SnapshotCommand(`Delete routine ${name}`, data => data.removeRoutine(name)));
+};
+
+// Timers and counters used in the program, offered to RES
+function getStructures() {
+    const isStructure = c => c.address &&
+        (LadderData.TIMER_TYPES.includes(c.type) || LadderData.COUNTER_TYPES.includes(c.type));
+    const addresses = [...new Set(ladderData.findComponents(isStructure).map(c => c.address))];
+    
+    return addresses.map(address => ({
+        address,
+        label: address.startsWith('T') ? 'Timer' : 'Counter'
+    }));
+}
+
+// Status bits of every timer and counter, offered to contacts
+function getStatusBits() {
+    return getStructures().flatMap(structure => {
+        const bits = structure.label === 'Timer' ? ['EN', 'TT', 'DN'] : ['CU', 'CD', 'DN', 'OV', 'UN'];
+        return bits.map(bit => ({
+            address: `${structure.address}/${bit}`,
+            label: `${structure.label} ${bit}`
+        }));
+    });
+}
+
+// Show parameter dialog for box instructions
+function showParameterDialog(rungIndex, row, col, component, fields, event) {
+    const form = document.createElement('form');
+    form.className = 'absolute bg-slate-700 text-white p-3 rounded shadow-lg z-50 space-y-2 text-sm';
+    form.style.left = event.pageX + 'px';
+    form.style.top = event.pageY + 'px';
+    
+    const inputs = fields.map(field => {
+        const row = document.createElement('label');
+        row.className = 'flex items-center justify-between gap-3';
+        row.textContent = field.label;
+        
+        const input = document.createElement('input');
+        input.type = field.type;
+        const value = component[field.key] !== undefined ? component[field.key] : '';
+        input.value = field.list ? (value || []).join(', ') : value;
+        input.className = 'w-28 bg-slate-800 px-2 py-1 rounded';
+        if (field.pattern) {
+            // Word operands are checked by the browser before the form submits
+            input.pattern = field.pattern;
+            input.title = `${field.list ? 'Comma separated: ' : ''}Integer, N7:n, or T4:n/C5:n .ACC/.PRE`;
+        }
+        if (field.options) {
+            // Suggestions, e.g. the routines a JSR can call
+            const datalist = document.createElement('datalist');
+            datalist.id = `parameterOptions-${field.key}`;
+            datalist.innerHTML = field.options().map(option => `<option value="${option}">`).join('');
+            row.appendChild(datalist);
+            input.setAttribute('list', datalist.id);
+        }
+        row.appendChild(input);
+        form.appendChild(row);
+        return input;
+    });
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'flex justify-end gap-2 pt-1';
+    buttons.innerHTML = `
+        <button type="button" class="px-3 py-1 bg-slate-600 rounded">Cancel</button>
+        <button type="submit" class="px-3 py-1 bg-blue-600 rounded">OK</button>
+    `;
+    form.appendChild(buttons);
+    
+    const close = () => {
+        if (document.body.contains(form)) {
+            document.body.removeChild(form);
+        }
+    };
+    
+    form.onsubmit = (e) => {
+        e.preventDefault();
+        const changes = {};
+        fields.forEach((field, i) => {
+            const value = inputs[i].value.trim();
+            if (field.list) {
+                changes[field.key] = value.split(',').map(operand => operand.trim()).filter(Boolean);
+            } else {
+                changes[field.key] = field.type === 'number' ? Number(value) || 0 : value;
+            }
+        });
+        close();
+        editHistory.execute(new UpdateComponentCommand(rungIndex, row, col, changes,
+            `Edit ${component.type} at rung ${rungIndex}, column ${col + 1}`));
+    };
+    buttons.querySelector('button[type="button"]').onclick = close;
+    form.onkeydown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+    
+    document.body.appendChild(form);
+    inputs[0].focus();
+}
+
 // Simulation controls
-document.getElementById('startStopBtn').onclick = () => {
+function toggleSimulation() {
     isSimulationRunning = !isSimulationRunning;
-    const btn = document.getElementById('startStopBtn');
     
     if (isSimulationRunning) {
-        simulator.start();
-        btn.textContent = '⏹ Stop';
-        btn.className = 'px-6 py-2 bg-red-600 hover:bg-red-700 rounded-lg font-semibold';
         renderer.setSimulationState(simulator);
+        // Edits since the last run may have added timers or counters to record
+        trend.setChannels(TrendRecorder.channelsFor(ladderData));
+        simulator.setTrendChannels(trend.channels);
+        simulator.start();
     } else {
         simulator.stop();
-        btn.textContent = '▶ Start';
-        btn.className = 'px-6 py-2 bg-green-600 hover:bg-green-700 rounded-lg font-semibold';
         renderer.setSimulationState(null);
     }
     
+    renderStartStop();
+    renderDebugControls();
     renderPins();
     renderer.draw();
-};
+    hmiView.update();
+}
+
+function renderStartStop() {
+    // The run-only bar has its own copy of the button
+    for (const btn of [document.getElementById('startStopBtn'), document.getElementById('hmiStartStopBtn')]) {
+        btn.textContent = isSimulationRunning ? '⏹ Stop' : '▶ Start';
+        btn.className = isSimulationRunning
+            ? 'px-6 py-2 bg-red-600 hover:bg-red-700 rounded-lg font-semibold'
+            : 'px-6 py-2 bg-green-600 hover:bg-green-700 rounded-lg font-semibold';
+    }
+}
+
+document.getElementById('startStopBtn').onclick = toggleSimulation;
+document.getElementById('hmiStartStopBtn').onclick = toggleSimulation;
 
 document.getElementById('resetBtn').onclick = () => {
+    resetSimulation();
+};
+
+document.getElementById('hmiResetBtn').onclick = () => {
+    resetSimulation();
+};
+
+function resetSimulation() {
     simulator.reset();
+    simulator.resetPlant();
+    drawPlant();
+    trend.clear();
     renderPins();
     renderer.setSimulationState(null);
     renderer.draw();
+    timingDiagram.draw();
+    hmiView.update();
     
     if (isSimulationRunning) {
         isSimulationRunning = false;
-        const btn = document.getElementById('startStopBtn');
-        btn.textContent = '▶ Start';
-        btn.className = 'px-6 py-2 bg-green-600 hover:bg-green-700 rounded-lg font-semibold';
+        renderStartStop();
+    }
+    renderDebugControls();
+}
+
+// Debugger
+function renderDebugControls() {
+    const paused = isSimulationRunning && simulator.paused;
+    const pauseBtn = document.getElementById('pauseBtn');
+    pauseBtn.disabled = !isSimulationRunning;
+    pauseBtn.textContent = paused ? '▶ Resume' : '⏸ Pause';
+    document.getElementById('stepScanBtn').disabled = !paused;
+    document.getElementById('stepRungBtn').disabled = !paused;
+    
+    let status = '';
+    if (paused) {
+        status = simulator.scanPosition === null
+            ? `Paused after scan ${simulator.scanCount}`
+            : `Paused in scan ${simulator.scanCount}, before rung ${simulator.scanPosition}`;
+        if (breakMessage) status = `${breakMessage}. ${status}`;
     }
+    document.getElementById('debugStatus').textContent = status;
+}
+
+function debugChanged() {
+    renderDebugControls();
+    renderPins();
+    renderer.draw();
+    renderWatch();
+    hmiView.update();
+}
+
+async function debugStep(step) {
+    if (!isSimulationRunning || !simulator.paused) return;
+    breakMessage = '';
+    await watch.step(step);
+    debugChanged();
+}
+
+document.getElementById('pauseBtn').onclick = async () => {
+    if (simulator.paused) {
+        breakMessage = '';
+        await simulator.resume();
+    } else {
+        await simulator.pause();
+    }
+    debugChanged();
+};
+
+document.getElementById('stepScanBtn').onclick = () => debugStep(() => simulator.stepScan());
+document.getElementById('stepRungBtn').onclick = () => debugStep(() => simulator.stepRung());
+
+function formatWatchValue(value) {
+    if (value === undefined) return '—';
+    return typeof value === 'boolean' ? (value ? 'ON' : 'OFF') : String(value);
+}
+
+function renderWatch() {
+    const listEl = document.getElementById('watchList');
+    listEl.innerHTML = '';
+    
+    watch.addresses.forEach(address => {
+        const row = document.createElement('tr');
+        const changed = watch.hasChanged(address) ? 'watch-changed' : '';
+        row.innerHTML = `
+            <td class="py-0.5 font-semibold">${address}</td>
+            <td class="text-right text-gray-400">${formatWatchValue(watch.before[address])}</td>
+            <td class="text-right ${changed}">${formatWatchValue(watch.after[address])}</td>
+        `;
+        const removeCell = document.createElement('td');
+        removeCell.className = 'text-right';
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'px-1 text-gray-500 hover:text-red-400';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Stop watching';
+        removeBtn.onclick = () => {
+            watch.remove(address);
+            renderWatch();
+        };
+        removeCell.appendChild(removeBtn);
+        row.appendChild(removeCell);
+        listEl.appendChild(row);
+    });
+}
+
+document.getElementById('watchForm').onsubmit = (event) => {
+    event.preventDefault();
+    const input = document.getElementById('watchInput');
+    if (watch.add(input.value)) {
+        input.value = '';
+        renderWatch();
+    }
+};
+
+document.getElementById('scanPeriodInput').onchange = async (event) => {
+    await simulator.setScanPeriod(Number(event.target.value));
+    event.target.value = simulator.scanPeriod;
 };
 
-// ESC key to deselect tool
+document.getElementById('benchmarkBtn').onclick = () => {
+    // Runs on simulators of its own, so a running simulation carries on as it was
+    const result = new LadderBenchmark(ladderData).run({ scans: BENCHMARK_SCANS });
+    alert(LadderBenchmark.formatResult(result));
+};
+
+// Timing diagram
+document.getElementById('trendZoomInput').oninput = (event) => {
+    timingDiagram.setScanWidth(Number(event.target.value));
+    timingDiagram.draw();
+};
+
+document.getElementById('exportVcdBtn').onclick = () => {
+    downloadFile(projectName + '.vcd', trend.toVCD(), 'text/plain');
+};
+
+document.getElementById('exportCsvBtn').onclick = () => {
+    downloadFile(projectName + '.csv', trend.toCSV(), 'text/csv');
+};
+
+document.getElementById('clearTrendBtn').onclick = () => {
+    trend.clear();
+    timingDiagram.draw();
+};
+
+// Project files
+function autosave() {
+    try {
+        localStorage.setItem(AUTOSAVE_KEY, LadderProject.serialize(ladderData));
+    } catch (error) {
+        console.error('Autosave failed:', error);
+    }
+}
+
+function restoreAutosave() {
+    const saved = localStorage.getItem(AUTOSAVE_KEY);
+    if (!saved) return;
+    
+    try {
+        loadProject(LadderProject.parse(saved));
+    } catch (error) {
+        console.error('Ignoring unreadable autosave:', error);
+    }
+}
+
+function loadProject(data) {
+    resetSimulation();
+    const pins = ladderData.pins;
+    ladderData.fromJSON(data);
+    // Rung ids start over in the loaded program
+    simulator.clearBreakpoints();
+    mnemonicsEdited = false;
+    // Projects saved without pins keep the current pin list
+    if (!data.pins) {
+        ladderData.pins = pins;
+    }
+    simulator.initializePins();
+    simulator.resetPlant();
+    setPendingBranch(null);
+    selectRung(0);
+    editHistory.clear();
+    renderPins();
+}
+
+function downloadFile(filename, text, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+document.getElementById('newProjectBtn').onclick = () => {
+    if (!confirm('Start a new project? The current program will be discarded.')) return;
+    
+    projectName = 'ladder-program';
+    loadProject({ routines: [], pins: ladderData.pins });
+    autosave();
+};
+
+document.getElementById('saveProjectBtn').onclick = () => {
+    downloadFile(projectName + LadderProject.FILE_EXTENSION, LadderProject.serialize(ladderData), 'application/json');
+    autosave();
+};
+
+document.getElementById('openProjectBtn').onclick = () => {
+    document.getElementById('projectFileInput').click();
+};
+
+document.getElementById('projectFileInput').onchange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+        loadProject(LadderProject.parse(await file.text()));
+        projectName = file.name.replace(/(\.ladder)?\.json$/i, '');
+        autosave();
+    } catch (error) {
+        const details = error.errors ? error.errors.join('\n') : error.message;
+        alert(`Could not open ${file.name}:\n\n${details}`);
+    }
+};
+
+// IEC 61131-3 export
+function showTextModal(title, text, filename) {
+    document.getElementById('textModalTitle').textContent = title;
+    document.getElementById('textModalContent').textContent = text;
+    document.getElementById('textModalCopyBtn').onclick = () => navigator.clipboard.writeText(text);
+    document.getElementById('textModalDownloadBtn').onclick = () => downloadFile(filename, text, 'text/plain');
+    document.getElementById('textModal').classList.remove('hidden');
+}
+
+function hideTextModal() {
+    document.getElementById('textModal').classList.add('hidden');
+}
+
+document.getElementById('textModalCloseBtn').onclick = hideTextModal;
+
+function exportProgramName() {
+    return LadderExporter.toIdentifier(projectName);
+}
+
+document.getElementById('exportStBtn').onclick = () => {
+    const text = new LadderExporter(ladderData, exportProgramName()).toStructuredText();
+    showTextModal('Structured Text', text, projectName + '.st');
+};
+
+document.getElementById('exportIlBtn').onclick = () => {
+    const text = new LadderExporter(ladderData, exportProgramName()).toInstructionList();
+    showTextModal('Instruction List', text, projectName + '.il');
+};
+
+// PLCopen XML exchange
+document.getElementById('exportXmlBtn').onclick = () => {
+    const plcopen = new LadderPlcOpen(ladderData);
+    const xml = plcopen.toXml(exportProgramName());
+    downloadFile(projectName + '.xml', xml, 'application/xml');
+    
+    if (plcopen.report.length > 0) {
+        showTextModal('PLCopen export report', plcopen.report.join('\n'), projectName + '-export-report.txt');
+    }
+};
+
+document.getElementById('importXmlBtn').onclick = () => {
+    document.getElementById('plcopenFileInput').click();
+};
+
+document.getElementById('plcopenFileInput').onchange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    const plcopen = new LadderPlcOpen(ladderData);
+    try {
+        loadProject(plcopen.fromXml(await file.text()));
+        projectName = file.name.replace(/\.xml$/i, '');
+        autosave();
+    } catch (error) {
+        const details = error.errors ? error.errors.join('\n') : error.message;
+        alert(`Could not import ${file.name}:\n\n${details}`);
+        return;
+    }
+    
+    if (plcopen.report.length > 0) {
+        showTextModal(`Import report for ${file.name}`, plcopen.report.join('\n'), projectName + '-import-report.txt');
+    }
+};
+
+// Undo/redo
+function undo() {
+    if (!isSimulationRunning) editHistory.undo();
+}
+
+function redo() {
+    if (!isSimulationRunning) editHistory.redo();
+}
+
+document.getElementById('undoBtn').onclick = undo;
+document.getElementById('redoBtn').onclick = redo;
+
+// Keyboard shortcuts: ESC deselects the tool, Ctrl+Z undoes, Ctrl+Y / Ctrl+Shift+Z redoes
 document.addEventListener('keydown', (e) => {
+    // Operators in run-only mode can't edit the program
+    if (isRunOnly()) return;
+    
+    const isTyping = ['INPUT', 'SELECT', 'TEXTAREA'].includes(document.activeElement.tagName);
+    if (e.key === 'F10' || e.key === 'F11') {
+        e.preventDefault();
+        document.getElementById(e.key === 'F10' ? 'stepScanBtn' : 'stepRungBtn').click();
+        return;
+    }
+    if ((e.ctrlKey || e.metaKey) && !isTyping) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            redo();
+        }
+    }
+    
     if (e.key === 'Escape') {
+        hideTextModal();
+        hideTagEditor();
+        renderer.setHighlightedCells([]);
         currentTool = null;
+        setPendingBranch(null);
         renderToolbox();
+        renderer.draw();
     }
 });
 
 // Initialize
 window.onload = async () => {
-    await loadPins();
+    loadDefaultTags();
+    restoreAutosave();
     renderToolbox();
+    renderHistory();
+    renderVerification();
+    renderMnemonics();
+    renderTruthTable();
+    renderRoutines();
     renderer.draw();
+    timingDiagram.draw();
+    renderDebugControls();
+    applyRunOnlyMode();
 };
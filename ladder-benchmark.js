@@ -0,0 +1,124 @@
+/**
+ * Ladder Benchmark
+ * Measures how fast the compiled program scans, overall and rung by rung
+ */
+
+import { LadderSimulator } from './ladder-simulator.js';
+
+// Times every rung it runs. The time of a rung whose JSR runs other rungs
+// leaves theirs out, so the costs add up to the whole scan
+class ProfilingSimulator extends LadderSimulator {
+    constructor(ladderData) {
+        super(ladderData);
+        this.rungTimes = new Map(); // rung id -> { time, runs }
+        this.nestedTime = 0;
+    }
+
+    evaluateRung(compiled) {
+        const outerNestedTime = this.nestedTime;
+        this.nestedTime = 0;
+        const start = performance.now();
+        const isTrue = super.evaluateRung(compiled);
+        const elapsed = performance.now() - start;
+
+        const entry = this.rungTimes.get(compiled.id) || { time: 0, runs: 0 };
+        entry.time += elapsed - this.nestedTime;
+        entry.runs++;
+        this.rungTimes.set(compiled.id, entry);
+        this.nestedTime = outerNestedTime + elapsed;
+        return isTrue;
+    }
+}
+
+export class LadderBenchmark {
+    constructor(ladderData) {
+        this.ladderData = ladderData;
+    }
+
+    run(options = {}) {
+        // Scans run back to back on simulators of their own, so a running
+        // simulation is left alone. Each scan advances timers by the scan period.
+        // The scan rate is measured without the per-rung timing, which slows it
+        const scans = Math.max(1, Math.round(options.scans) || LadderBenchmark.DEFAULT_SCANS);
+        const scanPeriod = options.scanPeriod || LadderBenchmark.DEFAULT_SCAN_PERIOD;
+
+        const simulator = this.createSimulator(LadderSimulator);
+        const compileStart = performance.now();
+        simulator.getProgram();
+        const compileTime = performance.now() - compileStart;
+
+        const start = performance.now();
+        for (let scan = 0; scan < scans && !simulator.fault; scan++) {
+            simulator.executeScan(scanPeriod);
+        }
+        const totalTime = performance.now() - start;
+        const scanned = simulator.scanCount;
+
+        const profiler = this.createSimulator(ProfilingSimulator);
+        for (let scan = 0; scan < scans && !profiler.fault; scan++) {
+            profiler.executeScan(scanPeriod);
+        }
+        const profiledTime = [...profiler.rungTimes.values()].reduce((sum, entry) => sum + entry.time, 0);
+
+        const rungs = [];
+        for (const routine of this.ladderData.routines) {
+            routine.rungs.forEach((rung, index) => {
+                const entry = profiler.rungTimes.get(rung.id) || { time: 0, runs: 0 };
+                rungs.push({
+                    routine: routine.name,
+                    index,
+                    runs: entry.runs,
+                    // Average cost of one run, and the rung's share of all rung time
+                    microseconds: entry.runs > 0 ? entry.time * 1000 / entry.runs : 0,
+                    share: profiledTime > 0 ? entry.time / profiledTime : 0
+                });
+            });
+        }
+
+        return {
+            scans: scanned,
+            fault: simulator.fault,
+            compileMilliseconds: compileTime,
+            totalMilliseconds: totalTime,
+            scansPerSecond: totalTime > 0 ? scanned * 1000 / totalTime : Infinity,
+            microsecondsPerScan: scanned > 0 ? totalTime * 1000 / scanned : 0,
+            rungs
+        };
+    }
+
+    createSimulator(SimulatorClass) {
+        const simulator = new SimulatorClass(this.ladderData);
+        simulator.initializePins();
+        simulator.isRunning = true;
+        return simulator;
+    }
+
+    static formatResult(result, slowest = LadderBenchmark.SLOWEST_RUNGS) {
+        const lines = [
+            `${result.scans} scans in ${result.totalMilliseconds.toFixed(1)} ms: ` +
+            `${Math.round(result.scansPerSecond)} scans/s, ${result.microsecondsPerScan.toFixed(2)} µs per scan`,
+            `Compiled in ${result.compileMilliseconds.toFixed(2)} ms`
+        ];
+        if (result.fault) {
+            lines.push(`Stopped early by a fault: ${result.fault}`);
+        }
+
+        // The costliest rungs first; rungs that never ran cost nothing
+        const costly = result.rungs
+            .filter(rung => rung.runs > 0)
+            .sort((a, b) => b.share - a.share)
+            .slice(0, slowest);
+        if (costly.length > 0) {
+            lines.push('Slowest rungs:');
+            for (const rung of costly) {
+                const name = `${rung.routine} rung ${rung.index}`;
+                lines.push(`  ${name.padEnd(20)} ${rung.microseconds.toFixed(2).padStart(8)} µs  ${(rung.share * 100).toFixed(1).padStart(5)}%`);
+            }
+        }
+        return lines.join('\n');
+    }
+}
+
+LadderBenchmark.DEFAULT_SCANS = 10000;
+LadderBenchmark.DEFAULT_SCAN_PERIOD = 1; // ms of simulated time per scan
+LadderBenchmark.SLOWEST_RUNGS = 10;
@@ -0,0 +1,210 @@
+/**
+ * Ladder Edit Commands
+ * Reversible editing operations recorded by LadderHistory
+ */
+
+// Deep copy of plain program data
+function cloneData(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+export class PlaceComponentCommand {
+    constructor(rungIndex, row, col, type, address, label, params = {}) {
+        this.rungIndex = rungIndex;
+        this.row = row;
+        this.col = col;
+        this.type = type;
+        this.address = address;
+        this.componentLabel = label;
+        this.params = params;
+        this.label = `Place ${type} at rung ${rungIndex}, row ${row}, column ${col + 1}`;
+    }
+
+    execute(ladderData) {
+        // Remember whatever this placement overwrites
+        this.previous = cloneData(ladderData.getComponent(this.rungIndex, this.row, this.col));
+        return ladderData.addComponent(this.rungIndex, this.row, this.col,
+            this.type, this.address, this.componentLabel, cloneData(this.params));
+    }
+
+    undo(ladderData) {
+        if (this.previous) {
+            ladderData.restoreComponent(this.rungIndex, this.row, this.previous);
+        } else {
+            ladderData.removeComponent(this.rungIndex, this.row, this.col);
+        }
+    }
+}
+
+export class RemoveComponentCommand {
+    constructor(rungIndex, row, col) {
+        this.rungIndex = rungIndex;
+        this.row = row;
+        this.col = col;
+        this.label = `Clear rung ${rungIndex}, row ${row}, column ${col + 1}`;
+    }
+
+    execute(ladderData) {
+        this.removed = cloneData(ladderData.getComponent(this.rungIndex, this.row, this.col));
+        if (!this.removed) return false;
+        return ladderData.removeComponent(this.rungIndex, this.row, this.col);
+    }
+
+    undo(ladderData) {
+        ladderData.restoreComponent(this.rungIndex, this.row, this.removed);
+    }
+}
+
+export class UpdateComponentCommand {
+    constructor(rungIndex, row, col, changes, label) {
+        this.rungIndex = rungIndex;
+        this.row = row;
+        this.col = col;
+        this.changes = changes;
+        this.label = label || `Edit rung ${rungIndex}, row ${row}, column ${col + 1}`;
+    }
+
+    execute(ladderData) {
+        const component = ladderData.getComponent(this.rungIndex, this.row, this.col);
+        if (!component) return false;
+
+        this.previous = {};
+        for (const key of Object.keys(this.changes)) {
+            this.previous[key] = cloneData(component[key]);
+        }
+        return ladderData.updateComponent(this.rungIndex, this.row, this.col, cloneData(this.changes));
+    }
+
+    undo(ladderData) {
+        ladderData.updateComponent(this.rungIndex, this.row, this.col, cloneData(this.previous));
+    }
+}
+
+// Branch edits renumber rows, so they restore the rung's branch list as a whole
+export class AddBranchCommand {
+    constructor(rungIndex, parentRow, startCol, endCol) {
+        this.rungIndex = rungIndex;
+        this.parentRow = parentRow;
+        this.startCol = startCol;
+        this.endCol = endCol;
+        this.label = `Add branch on rung ${rungIndex}, columns ${startCol + 1}-${endCol + 1}`;
+    }
+
+    execute(ladderData) {
+        this.before = cloneData(ladderData.getAllBranches(this.rungIndex));
+        this.row = ladderData.addBranch(this.rungIndex, this.parentRow, this.startCol, this.endCol);
+        return this.row !== null;
+    }
+
+    undo(ladderData) {
+        ladderData.restoreBranches(this.rungIndex, cloneData(this.before));
+    }
+}
+
+export class RemoveBranchCommand {
+    constructor(rungIndex, row) {
+        this.rungIndex = rungIndex;
+        this.row = row;
+        this.label = `Remove branch at rung ${rungIndex}, row ${row}`;
+    }
+
+    execute(ladderData) {
+        this.before = cloneData(ladderData.getAllBranches(this.rungIndex));
+        return ladderData.removeBranch(this.rungIndex, this.row);
+    }
+
+    undo(ladderData) {
+        ladderData.restoreBranches(this.rungIndex, cloneData(this.before));
+    }
+}
+
+export class InsertRungCommand {
+    constructor(rungIndex) {
+        this.rungIndex = rungIndex;
+        this.label = `Insert rung ${rungIndex}`;
+    }
+
+    execute(ladderData) {
+        // Redo puts back the same rung so its id stays stable
+        this.rung = this.rung || ladderData.createEmptyRung();
+        this.rungIndex = ladderData.insertRung(this.rungIndex, this.rung);
+        return true;
+    }
+
+    undo(ladderData) {
+        ladderData.removeRung(this.rungIndex);
+    }
+}
+
+export class RemoveRungCommand {
+    constructor(rungIndex) {
+        this.rungIndex = rungIndex;
+        this.label = `Delete rung ${rungIndex}`;
+    }
+
+    execute(ladderData) {
+        this.before = [...ladderData.rungs];
+        return ladderData.removeRung(this.rungIndex);
+    }
+
+    undo(ladderData) {
+        ladderData.rungs = [...this.before];
+    }
+}
+
+export class MoveRungCommand {
+    constructor(fromIndex, toIndex) {
+        this.fromIndex = fromIndex;
+        this.toIndex = toIndex;
+        this.label = `Move rung ${fromIndex} to ${toIndex}`;
+    }
+
+    execute(ladderData) {
+        return ladderData.moveRung(this.fromIndex, this.toIndex);
+    }
+
+    undo(ladderData) {
+        ladderData.moveRung(this.toIndex, this.fromIndex);
+    }
+}
+
+export class SnapshotCommand {
+    // Edits that touch many places at once (such as renaming a tag) and HMI
+    // layout edits are recorded as before/after copies of the whole project
+    constructor(label, change) {
+        this.label = label;
+        this.change = change;
+    }
+
+    execute(ladderData) {
+        if (this.after) {
+            SnapshotCommand.restore(ladderData, this.after);
+            return true;
+        }
+        
+        this.before = cloneData(ladderData.toJSON());
+        if (this.change(ladderData) === false) {
+            SnapshotCommand.restore(ladderData, this.before);
+            return false;
+        }
+        ladderData.changed();
+        this.after = cloneData(ladderData.toJSON());
+        return true;
+    }
+
+    undo(ladderData) {
+        SnapshotCommand.restore(ladderData, this.before);
+    }
+
+    static restore(ladderData, snapshot) {
+        const copy = cloneData(snapshot);
+        ladderData.routines = copy.routines;
+        ladderData.pins = copy.pins;
+        ladderData.hmi = copy.hmi;
+        // The routine being edited may not exist in the snapshot
+        if (!ladderData.getRoutine(ladderData.currentRoutine)) {
+            ladderData.selectRoutine(ladderData.getMainRoutine().name);
+        }
+        ladderData.changed();
+    }
+}
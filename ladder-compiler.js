@@ -0,0 +1,94 @@
+/**
+ * Ladder Compiler
+ * Flattens rungs into lists of cells over numbered nets, so a scan runs
+ * straight through arrays instead of walking the branch data
+ */
+
+export class LadderCompiler {
+    constructor(ladderData, compileComponent) {
+        // compileComponent(component, instanceKey) returns the component's
+        // behaviour as a function of its input power; the simulator supplies it
+        this.ladderData = ladderData;
+        this.compileComponent = compileComponent;
+    }
+
+    compile() {
+        // Compiled rungs by routine in program order, and by rung id for the
+        // renderer's lookups
+        const routines = new Map();
+        const rungs = new Map();
+        for (const routine of this.ladderData.routines) {
+            const compiled = routine.rungs.map(rung => this.compileRung(rung));
+            compiled.forEach(rung => rungs.set(rung.id, rung));
+            routines.set(routine.name, compiled);
+        }
+        return { routines, rungs, main: routines.get(this.ladderData.getMainRoutine().name) };
+    }
+
+    compileRung(rung) {
+        const netOf = this.ladderData.buildNetwork(rung);
+        const branches = [...rung.branches].sort((a, b) => a.row - b.row);
+        const root = branches.find(b => b.parent_branch_id === null);
+
+        // Nets are numbered in the order they are met, so their power fits a byte array
+        const netIndex = new Map();
+        const net = (branch, col) => {
+            const key = netOf(branch, col);
+            if (!netIndex.has(key)) netIndex.set(key, netIndex.size);
+            return netIndex.get(key);
+        };
+
+        // Power only flows left to right, so the cells are laid out one column
+        // at a time and top to bottom within a column: every net is fully fed
+        // before a cell reads it. Empty cells are plain wire
+        const cells = [];
+        const componentCells = new Map(); // 'row-col' -> cell index
+        const lastCol = branches.length > 0 ? Math.max(...branches.map(b => b.end_col)) : -1;
+        for (let col = 0; col <= lastCol; col++) {
+            for (const branch of branches) {
+                if (col < branch.start_col || col > branch.end_col) continue;
+
+                const component = branch.components.find(c => c.col === col);
+                if (component) {
+                    componentCells.set(`${branch.row}-${col}`, cells.length);
+                }
+                cells.push({
+                    input: net(branch, col),
+                    output: net(branch, col + 1),
+                    execute: component ? this.compileComponent(component, `${rung.id}:${branch.id}:${col}`) : null,
+                    // NC contacts show as active while they block power
+                    showsBlocking: Boolean(component) && component.type === 'NC'
+                });
+            }
+        }
+
+        // Wire state 'col' is the left edge of that cell
+        const wires = new Map(); // 'row-col' -> net
+        for (const branch of branches) {
+            for (let col = branch.start_col; col <= branch.end_col + 1; col++) {
+                wires.set(`${branch.row}-${col}`, net(branch, col));
+            }
+        }
+
+        return {
+            id: rung.id,
+            rung,
+            cells,
+            wires,
+            componentCells,
+            netCount: netIndex.size,
+            // The left rail powers the root branch's first node; the rung is
+            // true when power reaches the right rail. A rung without a root never is
+            input: root ? net(root, root.start_col) : null,
+            output: root ? net(root, root.end_col + 1) : null,
+            // Scratch state for a run of the rung
+            power: new Uint8Array(netIndex.size),
+            active: new Uint8Array(cells.length),
+            // What the renderer shows, from the scan the rung last ran in
+            shownPower: new Uint8Array(netIndex.size),
+            shownActive: new Uint8Array(cells.length),
+            shownScan: null,
+            running: false
+        };
+    }
+}
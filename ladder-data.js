@@ -3,53 +3,218 @@
  * Manages the ladder diagram data structure
  */
 
-class LadderData {
+export class LadderData {
     constructor() {
-        this.rungs = [this.createEmptyRung(0)];
+        // Rung ids are unique across every routine of the program. The main
+        // routine is scanned; the others only run when a JSR calls them
+        this.nextRungId = 0;
+        this.routines = [{ name: LadderData.MAIN_ROUTINE, rungs: [this.createEmptyRung()] }];
+        this.currentRoutine = LadderData.MAIN_ROUTINE; // the routine being edited
         this.pins = {
             inputs: [],
-            outputs: []
+            outputs: [],
+            memory: [],
+            registers: []
         };
+        // Operator panel: widgets bound to addresses, see ladder-hmi.js
+        this.hmi = { widgets: [] };
+        // Counts edits to the program, so a compiled copy can tell it is out of date
+        this.revision = 0;
     }
 
-    createEmptyRung(id) {
+    changed() {
+        // Every method that edits rungs, routines or tags calls this; code that
+        // replaces or edits those tables directly calls it when done
+        this.revision++;
+    }
+
+    get rungs() {
+        // Everything that edits or views rungs works on the current routine
+        return this.getRoutine(this.currentRoutine).rungs;
+    }
+
+    set rungs(rungs) {
+        this.getRoutine(this.currentRoutine).rungs = rungs;
+        this.changed();
+    }
+
+    getRoutine(name) {
+        return this.routines.find(routine => routine.name === name) || null;
+    }
+
+    getMainRoutine() {
+        return this.routines[0];
+    }
+
+    selectRoutine(name) {
+        if (!this.getRoutine(name)) return false;
+        this.currentRoutine = name;
+        return true;
+    }
+
+    addRoutine(name) {
+        // Returns the new routine, or null if the name is invalid or taken
+        if (!LadderData.isRoutineName(name) || this.getRoutine(name)) return null;
+
+        const routine = { name, rungs: [this.createEmptyRung()] };
+        this.routines.push(routine);
+        this.changed();
+        return routine;
+    }
+
+    renameRoutine(oldName, newName) {
+        // JSRs follow the rename. The main routine keeps its name
+        const routine = this.getRoutine(oldName);
+        if (!routine || routine === this.getMainRoutine() ||
+            !LadderData.isRoutineName(newName) || this.getRoutine(newName)) {
+            return false;
+        }
+
+        routine.name = newName;
+        for (const jsr of this.findComponents(c => c.type === 'JSR' && c.routine === oldName)) {
+            jsr.routine = newName;
+        }
+        if (this.currentRoutine === oldName) {
+            this.currentRoutine = newName;
+        }
+        this.changed();
+        return true;
+    }
+
+    removeRoutine(name) {
+        // JSRs that called it are left in place and reported by the verifier
+        const routine = this.getRoutine(name);
+        if (!routine || routine === this.getMainRoutine()) return false;
+
+        this.routines = this.routines.filter(r => r !== routine);
+        if (this.currentRoutine === name) {
+            this.currentRoutine = LadderData.MAIN_ROUTINE;
+        }
+        this.changed();
+        return true;
+    }
+
+    routineCalls(name) {
+        // Names of the routines a routine calls, in program order, once each
+        const routine = this.getRoutine(name);
+        if (!routine) return [];
+
+        const calls = [];
+        for (const rung of routine.rungs) {
+            for (const branch of [...rung.branches].sort((a, b) => a.row - b.row)) {
+                for (const component of branch.components) {
+                    if (component.type === 'JSR' && component.routine && !calls.includes(component.routine)) {
+                        calls.push(component.routine);
+                    }
+                }
+            }
+        }
+        return calls;
+    }
+
+    callTree() {
+        // The routines reachable from the main routine as nested
+        // { name, missing, recursive, calls }. A call back into a routine already
+        // on the path is marked recursive and not followed. Routines that are
+        // never called are listed after the tree as { unused: [...] }
+        const reached = new Set();
+        const visit = (name, path) => {
+            const node = { name, missing: !this.getRoutine(name), recursive: path.includes(name), calls: [] };
+            reached.add(name);
+            if (!node.missing && !node.recursive) {
+                node.calls = this.routineCalls(name).map(callee => visit(callee, [...path, name]));
+            }
+            return node;
+        };
+
+        const root = visit(this.getMainRoutine().name, []);
+        const unused = this.routines.map(r => r.name).filter(name => !reached.has(name));
+        return { root, unused };
+    }
+
+    createEmptyRung() {
+        // Branches span the cells start_col..end_col. A child branch splits off
+        // its parent at the left edge of start_col and merges back at the right
+        // edge of end_col, so nested branches form parallel paths
         return {
-            id: id,
+            id: this.nextRungId++,
             branches: [
                 {
                     id: 0,
                     row: 0,
                     start_col: 0,
-                    end_col: 9,
+                    end_col: LadderData.COLS - 1,
                     parent_branch_id: null,
-                    connection_col: null,
-                    components: []
-                },
-                {
-                    id: 1,
-                    row: 1,
-                    start_col: 0,
-                    end_col: 9,
-                    parent_branch_id: 0,
-                    connection_col: 0,
                     components: []
                 }
             ]
         };
     }
 
-    loadPins(inputPins, outputPins) {
+    loadPins(inputPins, outputPins, memoryBits = [], registers = []) {
         this.pins.inputs = inputPins;
         this.pins.outputs = outputPins;
+        this.pins.memory = memoryBits;
+        this.pins.registers = registers;
+        this.changed();
+    }
+
+    getRung(rungIndex) {
+        return this.rungs[rungIndex];
+    }
+
+    getRungCount() {
+        return this.rungs.length;
+    }
+
+    addRung() {
+        this.rungs.push(this.createEmptyRung());
+        this.changed();
+        return this.rungs.length - 1;
+    }
+
+    insertRung(rungIndex, rung = this.createEmptyRung()) {
+        // Insert a rung (new and empty by default) above the given position
+        const index = Math.max(0, Math.min(rungIndex, this.rungs.length));
+        this.rungs.splice(index, 0, rung);
+        this.changed();
+        return index;
+    }
+
+    removeRung(rungIndex) {
+        if (!this.rungs[rungIndex]) return false;
+
+        this.rungs.splice(rungIndex, 1);
+        // A program always keeps at least one rung to edit
+        if (this.rungs.length === 0) {
+            this.rungs.push(this.createEmptyRung());
+        }
+        this.changed();
+        return true;
+    }
+
+    moveRung(fromIndex, toIndex) {
+        if (!this.rungs[fromIndex] || toIndex < 0 || toIndex >= this.rungs.length) {
+            return false;
+        }
+
+        const [rung] = this.rungs.splice(fromIndex, 1);
+        this.rungs.splice(toIndex, 0, rung);
+        this.changed();
+        return true;
     }
 
-    addComponent(row, col, type, address, label) {
+    addComponent(rungIndex, row, col, type, address, label, params = {}) {
         // Find the branch at this row
-        const rung = this.rungs[0]; // For now, single rung
-        let branch = rung.branches.find(b => b.row === row);
+        const branch = this.getBranch(rungIndex, row);
 
         if (!branch) {
-            console.error('Branch not found at row', row);
+            console.error('Branch not found at rung', rungIndex, 'row', row);
+            return false;
+        }
+
+        if (col < branch.start_col || col > branch.end_col) {
+            console.error('Column', col, 'is outside the branch at row', row);
             return false;
         }
 
@@ -57,73 +222,358 @@ class LadderData {
         const existingIndex = branch.components.findIndex(c => c.col === col);
         if (existingIndex >= 0) {
             // Update existing component
-            branch.components[existingIndex] = { type, address, label, col };
+            branch.components[existingIndex] = { type, address, label, col, ...params };
         } else {
             // Add new component
-            branch.components.push({ type, address, label, col });
+            branch.components.push({ type, address, label, col, ...params });
             // Sort components by column
             branch.components.sort((a, b) => a.col - b.col);
         }
 
+        this.changed();
+        return true;
+    }
+
+    getComponent(rungIndex, row, col) {
+        const branch = this.getBranch(rungIndex, row);
+        return branch ? branch.components.find(c => c.col === col) : undefined;
+    }
+
+    updateComponent(rungIndex, row, col, changes) {
+        const component = this.getComponent(rungIndex, row, col);
+        if (!component) return false;
+        
+        Object.assign(component, changes);
+        this.changed();
         return true;
     }
 
-    removeComponent(row, col) {
-        const rung = this.rungs[0];
-        const branch = rung.branches.find(b => b.row === row);
+    restoreComponent(rungIndex, row, component) {
+        // Put back an exact copy of a previously removed or replaced component
+        const { type, address, label, col, ...params } = component;
+        return this.addComponent(rungIndex, row, col, type, address, label, params);
+    }
+
+    removeComponent(rungIndex, row, col) {
+        const branch = this.getBranch(rungIndex, row);
         
         if (branch) {
             branch.components = branch.components.filter(c => c.col !== col);
+            this.changed();
             return true;
         }
         return false;
     }
 
-    addBranch(row, start_col, end_col, connection_col) {
-        const rung = this.rungs[0];
+    addBranch(rungIndex, parentRow, start_col, end_col) {
+        const rung = this.rungs[rungIndex];
+        const parent = this.getBranch(rungIndex, parentRow);
+        if (!parent) return null;
         
-        // Check if branch already exists at this row
-        if (rung.branches.find(b => b.row === row)) {
-            console.log('Branch already exists at row', row);
-            return;
+        // A branch must split and merge within its parent's span
+        if (start_col > end_col || start_col < parent.start_col || end_col > parent.end_col) {
+            console.log('Branch must lie within columns', parent.start_col + 1, 'to', parent.end_col + 1);
+            return null;
         }
 
+        // Place the new branch directly below its parent's existing sub-branches
+        const row = Math.max(...this.getDescendants(rungIndex, parent).map(b => b.row), parent.row) + 1;
+        rung.branches.forEach(b => {
+            if (b.row >= row) b.row++;
+        });
+
         const newBranch = {
-            id: rung.branches.length,
+            id: Math.max(...rung.branches.map(b => b.id)) + 1,
             row: row,
             start_col: start_col,
             end_col: end_col,
-            parent_branch_id: 0, // Connected to main rung
-            connection_col: connection_col,
+            parent_branch_id: parent.id,
             components: []
         };
 
         rung.branches.push(newBranch);
+        rung.branches.sort((a, b) => a.row - b.row);
+        this.changed();
+        return row;
     }
 
-    removeBranch(row) {
-        const rung = this.rungs[0];
-        rung.branches = rung.branches.filter(b => b.row !== row);
+    removeBranch(rungIndex, row) {
+        const rung = this.rungs[rungIndex];
+        const branch = this.getBranch(rungIndex, row);
+        // The main branch (row 0) can't be removed
+        if (!branch || branch.parent_branch_id === null) return false;
+        
+        // Nested branches go with it, then the remaining rows close up
+        const removed = new Set([branch, ...this.getDescendants(rungIndex, branch)]);
+        rung.branches = rung.branches
+            .filter(b => !removed.has(b))
+            .sort((a, b) => a.row - b.row);
+        rung.branches.forEach((b, index) => {
+            b.row = index;
+        });
+        this.changed();
+        return true;
+    }
+
+    restoreBranches(rungIndex, branches) {
+        // Put back a rung's whole branch list, as saved before a branch edit
+        this.rungs[rungIndex].branches = branches;
+        this.changed();
     }
 
-    getBranch(row) {
-        const rung = this.rungs[0];
+    getDescendants(rungIndex, branch) {
+        const branches = this.rungs[rungIndex].branches;
+        const children = branches.filter(b => b.parent_branch_id === branch.id);
+        return children.flatMap(child => [child, ...this.getDescendants(rungIndex, child)]);
+    }
+
+    getBranch(rungIndex, row) {
+        const rung = this.rungs[rungIndex];
+        if (!rung) return undefined;
         return rung.branches.find(b => b.row === row);
     }
 
-    getAllBranches() {
-        return this.rungs[0].branches;
+    getAllBranches(rungIndex) {
+        return this.rungs[rungIndex].branches;
+    }
+
+    buildNetwork(rung) {
+        // Each branch has a node at every cell boundary of its span. Its first and
+        // last nodes are the same electrical point as the parent's split and merge
+        // nodes, so nodes are grouped into nets with a union-find
+        const links = new Map();
+        const find = (key) => {
+            let root = key;
+            while (links.has(root)) root = links.get(root);
+            return root;
+        };
+        const union = (a, b) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) links.set(rootA, rootB);
+        };
+        
+        for (const branch of rung.branches) {
+            const parent = rung.branches.find(b => b.id === branch.parent_branch_id);
+            if (!parent) continue;
+            
+            union(`${branch.id}:${branch.start_col}`, `${parent.id}:${branch.start_col}`);
+            union(`${branch.id}:${branch.end_col + 1}`, `${parent.id}:${branch.end_col + 1}`);
+        }
+        
+        return (branch, col) => find(`${branch.id}:${col}`);
+    }
+
+    buildRungFromTree(tree) {
+        // Lays out a series/parallel tree of components as a new rung. Nodes are
+        // { kind: 'series', items }, { kind: 'parallel', items } or
+        // { kind: 'element', component }. The last item of a top-level series is
+        // aligned to the right rail. Returns null if the tree is wider than the rung
+        const width = (node) => {
+            if (node.kind === 'element') return 1;
+            const widths = node.items.map(width);
+            if (node.kind === 'series') return widths.reduce((sum, w) => sum + w, 0);
+            return Math.max(0, ...widths);
+        };
+        if (width(tree) > LadderData.COLS) return null;
+
+        const branches = [];
+        const addBranch = (parent, start_col, end_col) => {
+            const branch = {
+                id: branches.length,
+                row: branches.length,
+                start_col,
+                end_col,
+                parent_branch_id: parent ? parent.id : null,
+                components: []
+            };
+            branches.push(branch);
+            return branch;
+        };
+
+        const place = (node, branch, col) => {
+            if (node.kind === 'element') {
+                branch.components.push({ ...JSON.parse(JSON.stringify(node.component)), col });
+            } else if (node.kind === 'series') {
+                for (const item of node.items) {
+                    place(item, branch, col);
+                    col += width(item);
+                }
+            } else {
+                // The first path stays on this branch, the others split off below it
+                const span = width(node);
+                if (span === 0) return;
+                node.items.forEach((item, i) => {
+                    place(item, i === 0 ? branch : addBranch(branch, col, col + span - 1), col);
+                });
+            }
+        };
+
+        const root = addBranch(null, 0, LadderData.COLS - 1);
+        if (tree.kind === 'series' && tree.items.length > 1) {
+            const last = tree.items[tree.items.length - 1];
+            place({ kind: 'series', items: tree.items.slice(0, -1) }, root, 0);
+            place(last, root, LadderData.COLS - width(last));
+        } else {
+            place(tree, root, 0);
+        }
+
+        return { id: this.nextRungId++, branches };
+    }
+
+    findTag(name) {
+        // Tags are the pins and registers; their id is the symbolic name
+        for (const group of LadderData.TAG_GROUPS) {
+            const tag = (this.pins[group] || []).find(pin => pin.id === name);
+            if (tag) return tag;
+        }
+        return null;
+    }
+
+    resolveAddress(operand) {
+        // Instructions can address a tag by symbolic name as well as by address
+        const tag = operand ? this.findTag(operand) : null;
+        return tag ? tag.address : operand;
+    }
+
+    replaceReferences(replacements) {
+        // Rewrite every operand found in the map (old -> new) in one pass, so
+        // swapping two names doesn't chain. HMI widgets are rewritten with the
+        // instructions. Returns how many were changed
+        let count = 0;
+        for (const item of [...this.findComponents(() => true), ...this.hmi.widgets]) {
+            for (const field of LadderData.OPERAND_FIELDS) {
+                if (typeof item[field] === 'string' && replacements.has(item[field])) {
+                    item[field] = replacements.get(item[field]);
+                    count++;
+                }
+            }
+            for (const field of LadderData.OPERAND_LIST_FIELDS) {
+                if (!Array.isArray(item[field])) continue;
+                item[field] = item[field].map((operand) => {
+                    if (!replacements.has(operand)) return operand;
+                    count++;
+                    return replacements.get(operand);
+                });
+            }
+        }
+        if (count > 0) this.changed();
+        return count;
+    }
+
+    findComponents(predicate) {
+        // Searches every routine, not just the one being edited
+        const found = [];
+        for (const rung of this.routines.flatMap(routine => routine.rungs)) {
+            for (const branch of rung.branches) {
+                found.push(...branch.components.filter(predicate));
+            }
+        }
+        return found;
+    }
+
+    static isRoutineName(name) {
+        return typeof name === 'string' && /^[A-Za-z_]\w*$/.test(name);
+    }
+
+    nextStructureAddress(file) {
+        // First unused element of a structure file, e.g. 'T4' -> 'T4:2'
+        const used = new Set(this.findComponents(c => c.address && c.address.startsWith(`${file}:`))
+            .map(c => c.address));
+        let index = 0;
+        while (used.has(`${file}:${index}`)) index++;
+        return `${file}:${index}`;
     }
 
     toJSON() {
         return {
-            rungs: this.rungs,
-            pins: this.pins
+            routines: this.routines,
+            pins: this.pins,
+            hmi: this.hmi
         };
     }
 
     fromJSON(data) {
-        this.rungs = data.rungs || [this.createEmptyRung(0)];
-        this.pins = data.pins || { inputs: [], outputs: [] };
+        // Programs from before routines are a main routine on its own
+        this.routines = data.routines || [{ name: LadderData.MAIN_ROUTINE, rungs: data.rungs || [] }];
+        if (this.routines.length === 0) {
+            this.routines.push({ name: LadderData.MAIN_ROUTINE, rungs: [] });
+        }
+        this.currentRoutine = this.getMainRoutine().name;
+        this.nextRungId = this.routines.flatMap(routine => routine.rungs)
+            .reduce((max, rung) => Math.max(max, rung.id + 1), 0);
+        for (const routine of this.routines) {
+            if (routine.rungs.length === 0) {
+                routine.rungs.push(this.createEmptyRung());
+            }
+        }
+        this.pins = data.pins || { inputs: [], outputs: [], memory: [], registers: [] };
+        this.pins.memory = this.pins.memory || [];
+        this.pins.registers = this.pins.registers || [];
+        this.hmi = data.hmi || { widgets: [] };
+        this.changed();
     }
 }
+
+// Number of cells across a rung
+LadderData.COLS = 10;
+
+// The routine the simulator scans; every other routine is a subroutine
+LadderData.MAIN_ROUTINE = 'MAIN';
+
+// Timer instructions keep a preset/accumulator in the T4 file
+LadderData.TIMER_TYPES = ['TON', 'TOF', 'RTO'];
+
+// Counter instructions keep a preset/accumulator in the C5 file
+LadderData.COUNTER_TYPES = ['CTU', 'CTD'];
+
+// Output instructions that write a single bit
+LadderData.COIL_TYPES = ['OUT', 'OTL', 'OTU'];
+
+// Edge instructions remember what they saw on the previous scan, per instance.
+// POS/NEG contacts pass power for one scan when their bit turns on/off; ONS
+// passes one scan of a rising rung; OSR/OSF pulse their bit when the rung
+// rises/falls
+LadderData.EDGE_CONTACT_TYPES = ['POS', 'NEG'];
+LadderData.ONE_SHOT_TYPES = ['ONS', 'OSR', 'OSF'];
+LadderData.EDGE_TYPES = [...LadderData.EDGE_CONTACT_TYPES, ...LadderData.ONE_SHOT_TYPES];
+
+// Word instructions read sourceA/sourceB and write dest. Compares act as
+// contacts, math and move instructions as outputs
+LadderData.COMPARE_TYPES = ['EQU', 'NEQ', 'GRT', 'LES', 'GEQ', 'LEQ'];
+LadderData.MATH_TYPES = ['ADD', 'SUB', 'MUL', 'DIV'];
+LadderData.MOVE_TYPES = ['MOV', 'CLR'];
+
+// Word operands: integer literals, N7 registers, timer/counter PRE/ACC words
+// and register tag names
+LadderData.WORD_OPERAND_PATTERN = '-?\\d+|N7:\\d+|[TC]\\d+:\\d+\\.(ACC|PRE)|[A-Za-z_]\\w*';
+LadderData.WORD_DESTINATION_PATTERN = 'N7:\\d+|[TC]\\d+:\\d+\\.ACC|[A-Za-z_]\\w*';
+
+// Pin groups that make up the tag database
+LadderData.TAG_GROUPS = ['inputs', 'outputs', 'memory', 'registers'];
+
+// Component fields that hold an address or word operand
+LadderData.OPERAND_FIELDS = ['address', 'sourceA', 'sourceB', 'dest'];
+
+// Component fields that hold a list of word operands
+LadderData.OPERAND_LIST_FIELDS = ['params', 'returns'];
+
+// Subroutine instructions. JSR calls routine, passing its params and storing
+// what the routine returns into returns. SBR, first in a subroutine, receives
+// the params; RET ends the routine and hands back its returns
+LadderData.ROUTINE_TYPES = ['JSR', 'SBR', 'RET'];
+
+// Every instruction the editor and simulator understand
+LadderData.CONTACT_TYPES = ['NO', 'NC'];
+LadderData.COMPONENT_TYPES = [
+    ...LadderData.CONTACT_TYPES,
+    ...LadderData.COIL_TYPES,
+    ...LadderData.EDGE_TYPES,
+    ...LadderData.TIMER_TYPES,
+    ...LadderData.COUNTER_TYPES,
+    ...LadderData.COMPARE_TYPES,
+    ...LadderData.MATH_TYPES,
+    ...LadderData.MOVE_TYPES,
+    ...LadderData.ROUTINE_TYPES,
+    'RES'
+];
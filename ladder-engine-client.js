@@ -0,0 +1,331 @@
+/**
+ * Scan Engine Client
+ * The page's end of the scan engine: sends it commands and reads state from its
+ * latest snapshot, through the same methods as LadderSimulator
+ */
+
+import { LadderSimulator } from './ladder-simulator.js';
+import { LadderEngineHost } from './ladder-engine-host.js';
+
+// Deep copy of a message, as postMessage would make
+function cloneMessage(message) {
+    return JSON.parse(JSON.stringify(message));
+}
+
+export class LadderEngineClient {
+    constructor(ladderData, options = {}) {
+        this.ladderData = ladderData;
+
+        // Reads go through a simulator holding the snapshot's tables, so tags,
+        // forces, status bits and words resolve as they do in the engine
+        this.state = new LadderSimulator(ladderData);
+        this.isRunning = false;
+        this.paused = false;
+        this.fault = null;
+        this.scanCount = 0;
+        this.simTime = 0;
+        this.scanDelta = 0;
+        this.scanPosition = null;
+        this.scanPeriod = this.state.scanPeriod;
+        this.callStack = [];
+        this.breakpoints = new Set();
+        this.wires = new Set(); // 'rungId-row-col'
+        this.components = new Set(); // 'rungId-row-col'
+        this.plant = null; // { name, state } of the engine's plant model
+
+        // onScan(samples) follows every snapshot that covers new scans, which
+        // is at most once per display frame, with a trend sample per scan
+        // taken in the engine (see setTrendChannels). Subscribers hear about
+        // every snapshot
+        this.onScan = null;
+        this.onBreak = null;
+        this.onFault = null;
+        this.listeners = new Set();
+
+        // Samples for a superseded channel list are dropped until the engine
+        // answers the batch that changed it
+        this.trendBatch = null;
+
+        this.batch = null;
+        this.nextBatchId = 0;
+        this.pending = new Map(); // batch id -> { resolve, reject }
+        this.connect(options.createWorker || LadderEngineClient.createWorker);
+    }
+
+    static createWorker() {
+        if (typeof Worker === 'undefined') return null;
+        return new Worker(new URL('./ladder-engine-worker.js', import.meta.url), { type: 'module' });
+    }
+
+    connect(createWorker) {
+        // Messages wait until the worker says it is ready. If it can't be
+        // started or fails to load, the engine runs on the page instead
+        let worker = null;
+        try {
+            worker = createWorker();
+        } catch (error) {
+            worker = null;
+        }
+        if (!worker) {
+            this.runOnPage([]);
+            return;
+        }
+
+        const waiting = [];
+        let ready = false;
+        this.transport = (message) => waiting.push(message);
+        worker.onmessage = (event) => {
+            if (event.data.type !== 'ready') {
+                this.receive(event.data);
+                return;
+            }
+            ready = true;
+            this.transport = (message) => worker.postMessage(message);
+            waiting.forEach(this.transport);
+            waiting.length = 0;
+        };
+        worker.onerror = (event) => {
+            // Errors once it runs are the engine's own, and show in the console
+            if (ready) return;
+            if (event.preventDefault) event.preventDefault();
+            worker.terminate();
+            this.runOnPage(waiting);
+        };
+        this.worker = worker;
+    }
+
+    runOnPage(waiting) {
+        this.worker = null;
+        const host = new LadderEngineHost(message => this.receive(cloneMessage(message)));
+        this.transport = (message) => host.handle(cloneMessage(message));
+        waiting.forEach(this.transport);
+    }
+
+    send(type, fields = {}) {
+        // Commands issued together go to the engine as one batch. The promise
+        // settles once the snapshot that follows them has been applied, and
+        // rejects if the engine couldn't apply the batch
+        if (!this.batch) {
+            const batch = { id: this.nextBatchId++, commands: [] };
+            batch.done = new Promise((resolve, reject) => this.pending.set(batch.id, { resolve, reject }));
+            this.batch = batch;
+            queueMicrotask(() => {
+                this.batch = null;
+                this.transport({ type: 'commands', id: batch.id, commands: batch.commands });
+            });
+        }
+        this.batch.commands.push({ type, ...fields });
+        return this.batch.done;
+    }
+
+    receive(message) {
+        const { snapshot } = message;
+        const scanned = snapshot.scanCount !== this.scanCount;
+        if (message.replyTo === this.trendBatch) {
+            this.trendBatch = null;
+        }
+        this.applySnapshot(snapshot);
+        if (scanned && snapshot.scanCount > 0 && this.onScan) {
+            this.onScan(this.trendBatch === null ? snapshot.samples : []);
+        }
+
+        if (message.type === 'break' && this.onBreak) {
+            this.onBreak(this.ladderData.getMainRoutine().rungs.find(rung => rung.id === message.rungId));
+        }
+        if (message.type === 'fault' && this.onFault) {
+            this.onFault(message.message);
+        }
+        this.listeners.forEach(listener => listener(snapshot));
+
+        const pending = this.pending.get(message.replyTo);
+        if (pending) {
+            this.pending.delete(message.replyTo);
+            if (message.error) {
+                pending.reject(new Error(message.error));
+            } else {
+                pending.resolve();
+            }
+        }
+    }
+
+    applySnapshot(snapshot) {
+        for (const field of ['isRunning', 'paused', 'fault', 'scanCount', 'simTime', 'scanPosition', 'scanPeriod', 'callStack']) {
+            this[field] = snapshot[field];
+        }
+        this.scanDelta = snapshot.elapsed;
+        Object.assign(this.state, {
+            pinStates: snapshot.pinStates,
+            registers: snapshot.registers,
+            timers: snapshot.timers,
+            counters: snapshot.counters,
+            forces: snapshot.forces,
+            forcesEnabled: snapshot.forcesEnabled
+        });
+        this.breakpoints = new Set(snapshot.breakpoints);
+        this.wires = new Set(snapshot.wires);
+        this.components = new Set(snapshot.components);
+        this.plant = snapshot.plant;
+    }
+
+    subscribe(listener) {
+        // listener(snapshot) runs after each snapshot is applied; returns the unsubscribe
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Program
+
+    loadProgram() {
+        // After every edit: the engine runs a copy of the program
+        return this.send('program', { project: this.ladderData.toJSON() });
+    }
+
+    initializePins() {
+        this.loadProgram();
+        return this.send('initializePins');
+    }
+
+    // Plant model, which runs in the engine next to the scan loop
+
+    setPlant(name) {
+        return this.send('setPlant', { name });
+    }
+
+    resetPlant() {
+        return this.send('resetPlant');
+    }
+
+    clickPlant(x, y, width, height) {
+        return this.send('clickPlant', { x, y, width, height });
+    }
+
+    // Scan loop and debugger
+
+    start() {
+        return this.send('start');
+    }
+
+    stop() {
+        return this.send('stop');
+    }
+
+    reset() {
+        return this.send('reset');
+    }
+
+    pause() {
+        return this.send('pause');
+    }
+
+    resume() {
+        return this.send('resume');
+    }
+
+    stepScan() {
+        return this.send('stepScan');
+    }
+
+    stepRung() {
+        return this.send('stepRung');
+    }
+
+    executeScan(elapsed) {
+        return this.send('scan', { elapsed });
+    }
+
+    setTrendChannels(channels) {
+        // What the engine samples after every scan for onScan
+        const done = this.send('setTrendChannels', { channels });
+        this.trendBatch = this.batch.id;
+        return done;
+    }
+
+    setScanPeriod(period) {
+        return this.send('setScanPeriod', { period });
+    }
+
+    toggleBreakpoint(rungId) {
+        return this.send('toggleBreakpoint', { rungId });
+    }
+
+    clearBreakpoints() {
+        return this.send('clearBreakpoints');
+    }
+
+    // I/O and forces
+
+    toggleInput(address) {
+        return this.send('toggleInput', { address });
+    }
+
+    setPinState(address, state) {
+        return this.send('setPin', { address, state });
+    }
+
+    togglePin(address) {
+        // Flipped in the engine, so presses within one frame all count
+        return this.send('togglePin', { address });
+    }
+
+    writeWord(address, value) {
+        return this.send('writeWord', { address, value });
+    }
+
+    setForce(address, value) {
+        return this.send('setForce', { address, value });
+    }
+
+    clearForces() {
+        return this.send('clearForces');
+    }
+
+    setForcesEnabled(enabled) {
+        return this.send('setForcesEnabled', { enabled });
+    }
+
+    // State from the latest snapshot
+
+    get forces() {
+        return this.state.forces;
+    }
+
+    get forcesEnabled() {
+        return this.state.forcesEnabled;
+    }
+
+    getPinState(operand) {
+        return this.state.getPinState(operand);
+    }
+
+    readWord(operand) {
+        return this.state.readWord(operand);
+    }
+
+    isForced(address) {
+        return this.state.isForced(address);
+    }
+
+    getForceCount() {
+        return this.state.getForceCount();
+    }
+
+    getTimer(address) {
+        return this.state.getTimer(address);
+    }
+
+    getCounter(address) {
+        return this.state.getCounter(address);
+    }
+
+    getCallStack() {
+        return this.callStack;
+    }
+
+    isWireEnergized(rungId, row, col) {
+        return this.wires.has(`${rungId}-${row}-${col}`);
+    }
+
+    isComponentActive(rungId, row, col) {
+        return this.components.has(`${rungId}-${row}-${col}`);
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * Scan Engine Host
+ * Runs the simulator behind messages: in the scan worker, or on the page when
+ * there is no worker. LadderEngineClient is the other end
+ */
+
+import { LadderData } from './ladder-data.js';
+import { LadderSimulator } from './ladder-simulator.js';
+import { TrendRecorder } from './ladder-trend.js';
+import { PlantHost } from './ladder-plant.js';
+import { PLANT_MODELS } from './ladder-plant-models.js';
+
+export class LadderEngineHost {
+    constructor(post) {
+        // post(message) delivers a message to the client
+        this.post = post;
+        this.ladderData = new LadderData();
+        this.simulator = new LadderSimulator(this.ladderData);
+        this.frameTimer = null;
+        this.publishedScan = null;
+        this.publishedTime = 0;
+
+        // Trend samples are taken after every scan, here where the scans run,
+        // and go out with the next snapshot. The plant model reacts to every
+        // scan here too, so fast sensor edges land on the scan they belong to
+        this.trendChannels = [];
+        this.samples = [];
+        this.plant = new PlantHost(this.simulator);
+        this.simulator.onScan = () => this.scanned();
+
+        // Breakpoints and faults halt the loop between frames; the client hears at once
+        this.simulator.onBreak = (rung) => this.publish({ type: 'break', rungId: rung.id });
+        this.simulator.onFault = (message) => this.publish({ type: 'fault', message });
+    }
+
+    handle(message) {
+        // The client sends the commands it issued together as one batch, and
+        // gets one snapshot back once they have all been applied. A batch that
+        // fails still gets its snapshot, carrying the error, so the client
+        // isn't left waiting. Unknown commands fail the batch before any of it
+        // runs; a command that throws leaves the ones before it applied
+        let error = null;
+        try {
+            if (message.type !== 'commands') {
+                throw new Error(`Unknown engine message "${message.type}"`);
+            }
+            const unknown = message.commands.find(command => !LadderEngineHost.COMMANDS[command.type]);
+            if (unknown) {
+                throw new Error(`Unknown engine command "${unknown.type}"`);
+            }
+            for (const command of message.commands) {
+                LadderEngineHost.COMMANDS[command.type](this, command);
+            }
+        } catch (caught) {
+            error = caught instanceof Error ? caught.message : String(caught);
+        }
+        this.publish({ type: 'snapshot', replyTo: message.id, error });
+    }
+
+    loadProgram(project) {
+        // The editor's program after an edit. Pins it added start from their
+        // defaults; everything else keeps running
+        this.ladderData.fromJSON(project);
+        this.simulator.syncPins();
+    }
+
+    scanned() {
+        if (this.trendChannels.length > 0) {
+            this.samples.push(TrendRecorder.sample(this.trendChannels, this.simulator));
+            // No more than the page's recorder could hold, should snapshots stall
+            if (this.samples.length > TrendRecorder.DEFAULT_CAPACITY) {
+                this.samples.shift();
+            }
+        }
+        this.plant.step();
+    }
+
+    setPlant(name) {
+        // One of PLANT_MODELS by name, or none
+        const Model = PLANT_MODELS.find(model => model.NAME === name);
+        this.plant.setModel(Model ? new Model() : null);
+    }
+
+    setTrendChannels(channels) {
+        // Samples taken for the old channels are dropped with them
+        this.trendChannels = channels;
+        this.samples = [];
+    }
+
+    publish(message) {
+        this.post({ ...message, snapshot: this.snapshot() });
+        this.samples = [];
+        this.publishedScan = this.simulator.scanCount;
+        this.publishedTime = this.simulator.simTime;
+        this.updateFrameTimer();
+    }
+
+    updateFrameTimer() {
+        // While the loop runs, a snapshot goes out once per display frame if
+        // anything was scanned since the last one
+        const looping = this.simulator.isRunning && !this.simulator.paused;
+        if (looping && !this.frameTimer) {
+            this.frameTimer = setInterval(() => {
+                if (this.simulator.scanCount !== this.publishedScan) {
+                    this.publish({ type: 'snapshot' });
+                }
+            }, LadderEngineHost.FRAME_INTERVAL);
+        } else if (!looping && this.frameTimer) {
+            clearInterval(this.frameTimer);
+            this.frameTimer = null;
+        }
+    }
+
+    snapshot() {
+        // Everything the page shows. The message is copied on its way to the
+        // client, so the live tables can go in as they are
+        const simulator = this.simulator;
+        return {
+            isRunning: simulator.isRunning,
+            paused: simulator.paused,
+            fault: simulator.fault,
+            scanCount: simulator.scanCount,
+            simTime: simulator.simTime,
+            // Simulated time since the previous snapshot, which the plant model advances by
+            elapsed: Math.max(0, simulator.simTime - this.publishedTime),
+            scanPosition: simulator.scanPosition,
+            scanPeriod: simulator.scanPeriod,
+            callStack: simulator.getCallStack(),
+            pinStates: simulator.pinStates,
+            registers: simulator.registers,
+            timers: simulator.timers,
+            counters: simulator.counters,
+            forces: simulator.forces,
+            forcesEnabled: simulator.forcesEnabled,
+            breakpoints: [...simulator.breakpoints],
+            samples: this.samples,
+            // The plant for the page to draw, named so a stale copy isn't drawn as another model
+            plant: this.plant.model
+                ? { name: this.plant.model.constructor.NAME, state: this.plant.model.getState() }
+                : null,
+            ...this.energized()
+        };
+    }
+
+    energized() {
+        // Powered wires and active components of the rungs in the last scan,
+        // keyed 'rungId-row-col'
+        const wires = [];
+        const components = [];
+        const program = this.simulator.program;
+        for (const compiled of program ? program.rungs.values() : []) {
+            if (!this.simulator.shownRung(compiled.id)) continue;
+            compiled.wires.forEach((net, key) => {
+                if (compiled.shownPower[net]) wires.push(`${compiled.id}-${key}`);
+            });
+            compiled.componentCells.forEach((cell, key) => {
+                if (compiled.shownActive[cell]) components.push(`${compiled.id}-${key}`);
+            });
+        }
+        return { wires, components };
+    }
+}
+
+// About one display frame, in ms
+LadderEngineHost.FRAME_INTERVAL = 16;
+
+// What each command does, given the host and the command's fields
+LadderEngineHost.COMMANDS = {
+    program: (host, { project }) => host.loadProgram(project),
+    initializePins: ({ simulator }) => simulator.initializePins(),
+    start: ({ simulator }) => simulator.start(),
+    stop: ({ simulator }) => simulator.stop(),
+    reset: ({ simulator }) => simulator.reset(),
+    pause: ({ simulator }) => simulator.pause(),
+    resume: ({ simulator }) => simulator.resume(),
+    stepScan: ({ simulator }) => simulator.stepScan(),
+    stepRung: ({ simulator }) => simulator.stepRung(),
+    scan: ({ simulator }, { elapsed }) => simulator.executeScan(elapsed),
+    toggleInput: ({ simulator }, { address }) => simulator.toggleInput(address),
+    setPin: ({ simulator }, { address, state }) => simulator.setPinState(address, state),
+    togglePin: ({ simulator }, { address }) => simulator.togglePin(address),
+    writeWord: ({ simulator }, { address, value }) => simulator.writeWord(address, value),
+    setForce: ({ simulator }, { address, value }) => simulator.setForce(address, value),
+    clearForces: ({ simulator }) => simulator.clearForces(),
+    setForcesEnabled: ({ simulator }, { enabled }) => simulator.setForcesEnabled(enabled),
+    setScanPeriod: ({ simulator }, { period }) => simulator.setScanPeriod(period),
+    toggleBreakpoint: ({ simulator }, { rungId }) => simulator.toggleBreakpoint(rungId),
+    clearBreakpoints: ({ simulator }) => simulator.breakpoints.clear(),
+    setTrendChannels: (host, { channels }) => host.setTrendChannels(channels),
+    setPlant: (host, { name }) => host.setPlant(name),
+    resetPlant: ({ plant }) => plant.reset(),
+    clickPlant: ({ plant }, { x, y, width, height }) => plant.click(x, y, width, height)
+};
@@ -0,0 +1,12 @@
+/**
+ * Scan Engine Worker
+ * Runs the scan engine off the page's thread; LadderEngineClient starts it
+ */
+
+import { LadderEngineHost } from './ladder-engine-host.js';
+
+const host = new LadderEngineHost(message => self.postMessage(message));
+self.onmessage = (event) => host.handle(event.data);
+
+// Tells the client the worker loaded, so it stops holding messages back
+self.postMessage({ type: 'ready' });
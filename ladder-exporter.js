@@ -0,0 +1,702 @@
+/**
+ * Ladder Exporter
+ * Generates IEC 61131-3 Structured Text and Instruction List from the ladder
+ */
+
+import { LadderData } from './ladder-data.js';
+
+// Boolean expression trees built from rung power flow
+export const BoolExpr = {
+    TRUE: { op: 'const', value: true },
+    FALSE: { op: 'const', value: false },
+
+    variable(name) {
+        return { op: 'var', name };
+    },
+
+    // Word comparison; a and b are ST operands such as 'N0' or '10'
+    compare(operator, a, b) {
+        return { op: 'cmp', operator, a, b };
+    },
+
+    not(arg) {
+        if (arg.op === 'const') return arg.value ? BoolExpr.FALSE : BoolExpr.TRUE;
+        if (arg.op === 'not') return arg.arg;
+        return { op: 'not', arg };
+    },
+
+    and(a, b) {
+        if (a.op === 'const') return a.value ? b : BoolExpr.FALSE;
+        if (b.op === 'const') return b.value ? a : BoolExpr.FALSE;
+        return { op: 'and', args: [...BoolExpr.terms(a, 'and'), ...BoolExpr.terms(b, 'and')] };
+    },
+
+    or(a, b) {
+        if (a.op === 'const') return a.value ? BoolExpr.TRUE : b;
+        if (b.op === 'const') return b.value ? BoolExpr.TRUE : a;
+
+        // Factor a shared series prefix: (X AND Y) OR (X AND Z) -> X AND (Y OR Z)
+        const termsA = BoolExpr.terms(a, 'and');
+        const termsB = BoolExpr.terms(b, 'and');
+        let shared = 0;
+        while (shared < termsA.length && shared < termsB.length &&
+               BoolExpr.key(termsA[shared]) === BoolExpr.key(termsB[shared])) {
+            shared++;
+        }
+        if (shared > 0) {
+            return BoolExpr.and(
+                BoolExpr.all(termsA.slice(0, shared)),
+                BoolExpr.or(BoolExpr.all(termsA.slice(shared)), BoolExpr.all(termsB.slice(shared)))
+            );
+        }
+
+        return { op: 'or', args: [...BoolExpr.terms(a, 'or'), ...BoolExpr.terms(b, 'or')] };
+    },
+
+    all(terms) {
+        return terms.reduce((result, term) => BoolExpr.and(result, term), BoolExpr.TRUE);
+    },
+
+    terms(expr, op) {
+        return expr.op === op ? expr.args : [expr];
+    },
+
+    key(expr) {
+        return JSON.stringify(expr);
+    },
+
+    evaluate(expr, read) {
+        switch (expr.op) {
+            case 'const': return expr.value;
+            case 'var': return Boolean(read(expr.name));
+            case 'cmp': return LadderExporter.compareWords(expr.operator, read(expr.a), read(expr.b));
+            case 'not': return !BoolExpr.evaluate(expr.arg, read);
+            case 'and': return expr.args.every(arg => BoolExpr.evaluate(arg, read));
+            case 'or': return expr.args.some(arg => BoolExpr.evaluate(arg, read));
+        }
+        return false;
+    },
+
+    variables(expr, found = new Set()) {
+        if (expr.op === 'var') found.add(expr.name);
+        if (expr.op === 'cmp') [expr.a, expr.b].filter(operand => !/^-?\d+$/.test(operand)).forEach(operand => found.add(operand));
+        if (expr.op === 'not') BoolExpr.variables(expr.arg, found);
+        if (expr.args) expr.args.forEach(arg => BoolExpr.variables(arg, found));
+        return found;
+    }
+};
+
+export class LadderExporter {
+    constructor(ladderData, programName = 'LadderProgram') {
+        this.ladderData = ladderData;
+        this.programName = programName;
+        this.warnings = [];
+    }
+
+    toStructuredText() {
+        const body = this.generate((component, condition, trigger) => this.stStatement(component, condition, trigger));
+        return this.assemble(body);
+    }
+
+    toInstructionList() {
+        const body = this.generate((component, condition, trigger) => this.ilStatement(component, condition, trigger));
+        return this.assemble(body);
+    }
+
+    generate(emitStatement) {
+        this.warnings = [];
+        this.labelCount = 0;
+        this.prepare();
+
+        // IEC programs have no JSR; only the main routine is exported
+        const [main, ...subroutines] = this.ladderData.routines;
+        if (subroutines.length > 0) {
+            this.warnings.push(`Only the ${main.name} routine is exported; ${subroutines.map(r => r.name).join(', ')} left out`);
+        }
+
+        const body = [];
+        main.rungs.forEach((rung, index) => {
+            body.push(`(* Rung ${index} *)`);
+            for (const { component, condition, trigger } of this.buildRung(rung, index)) {
+                body.push(...emitStatement(component, condition, trigger));
+            }
+            body.push('');
+        });
+        return body;
+    }
+
+    assemble(body) {
+        const header = this.warnings.map(warning => `(* Warning: ${warning} *)`);
+        return [
+            ...header,
+            ...(header.length ? [''] : []),
+            `PROGRAM ${this.programName}`,
+            ...this.declarations(),
+            '',
+            ...body,
+            'END_PROGRAM',
+            ''
+        ].join('\n');
+    }
+
+    prepare() {
+        // Map every address to an IEC identifier, preferring the pin id
+        this.names = new Map();
+        this.declared = new Map(); // identifier -> { name, type, location, comment }
+        this.structureTypes = new Map(); // 'T4:0' -> 'TON'
+        this.triggerCount = 0;
+
+        const pins = this.ladderData.pins;
+        for (const group of [pins.inputs, pins.outputs, pins.memory || []]) {
+            for (const pin of group) {
+                const name = this.uniqueName(LadderExporter.toIdentifier(pin.id || pin.address));
+                this.names.set(pin.address, name);
+                this.declare(name, 'BOOL', pin.address, pin.label);
+            }
+        }
+        for (const register of pins.registers || []) {
+            const name = this.uniqueName(LadderExporter.toIdentifier(register.id || register.address));
+            this.names.set(register.address, name);
+            this.declare(name, 'INT', null, register.label, Number(register.value) || 0);
+        }
+
+        const structures = this.ladderData.findComponents(c => c.address &&
+            (LadderData.TIMER_TYPES.includes(c.type) || LadderData.COUNTER_TYPES.includes(c.type)));
+        for (const component of structures) {
+            if (!this.structureTypes.has(component.address)) {
+                this.structureTypes.set(component.address, component.type);
+            }
+        }
+
+        // Counters cleared by RES get a reset flag wired to their R/LD input
+        this.resetFlags = new Map();
+        for (const component of this.ladderData.findComponents(c => c.type === 'RES' && c.address)) {
+            if (LadderData.COUNTER_TYPES.includes(this.structureTypes.get(component.address))) {
+                const flag = `${this.nameOf(component.address)}_RES`;
+                this.resetFlags.set(component.address, flag);
+                this.declare(flag, 'BOOL', null, `RES of ${component.address}`);
+            }
+        }
+    }
+
+    buildRung(rung, rungIndex) {
+        // Same left-to-right column walk as the simulator, building each net's
+        // boolean expression instead of its power state. Output instructions
+        // are emitted in scan order with the expression of their input net.
+        // Edge instructions also emit the call of their R_TRIG/F_TRIG instance
+        const netOf = this.ladderData.buildNetwork(rung);
+        const branches = [...rung.branches].sort((a, b) => a.row - b.row);
+        const root = branches.find(b => b.parent_branch_id === null);
+        if (!root) return [];
+
+        const netExpr = new Map([[netOf(root, root.start_col), BoolExpr.TRUE]]);
+        const statements = [];
+        const lastCol = Math.max(...branches.map(b => b.end_col));
+
+        for (let col = 0; col <= lastCol; col++) {
+            for (const branch of branches) {
+                if (col < branch.start_col || col > branch.end_col) continue;
+
+                const input = netExpr.get(netOf(branch, col)) || BoolExpr.FALSE;
+                const component = branch.components.find(c => c.col === col);
+                let output = input;
+
+                if (component) {
+                    const where = `rung ${rungIndex}, row ${branch.row}, column ${col + 1}`;
+                    if (LadderData.CONTACT_TYPES.includes(component.type)) {
+                        output = BoolExpr.and(input, this.contactExpr(component, where));
+                    } else if (LadderData.EDGE_CONTACT_TYPES.includes(component.type)) {
+                        const trigger = this.triggerOf(rung, branch, component, where);
+                        statements.push({ component, condition: this.contactExpr(component, where), trigger });
+                        output = BoolExpr.and(input, BoolExpr.variable(`${trigger}.Q`));
+                    } else if (component.type === 'ONS') {
+                        const trigger = this.triggerOf(rung, branch, component, where);
+                        statements.push({ component, condition: input, trigger });
+                        output = BoolExpr.variable(`${trigger}.Q`);
+                    } else if (LadderData.COMPARE_TYPES.includes(component.type)) {
+                        output = BoolExpr.and(input, BoolExpr.compare(LadderExporter.COMPARE_OPERATORS[component.type],
+                            this.wordOperand(component.sourceA), this.wordOperand(component.sourceB)));
+                    } else if (LadderExporter.isWordOutput(component)) {
+                        statements.push({ component, condition: input });
+                    } else if (LadderData.ROUTINE_TYPES.includes(component.type)) {
+                        this.warnings.push(`${component.type} at ${where} has no IEC 61131-3 equivalent; instruction skipped`);
+                    } else if (!component.address) {
+                        this.warnings.push(`${component.type} at ${where} has no address and was skipped`);
+                    } else if (LadderData.ONE_SHOT_TYPES.includes(component.type)) {
+                        statements.push({ component, condition: input, trigger: this.triggerOf(rung, branch, component, where) });
+                    } else {
+                        statements.push({ component, condition: input });
+                    }
+                }
+
+                const next = netOf(branch, col + 1);
+                netExpr.set(next, BoolExpr.or(netExpr.get(next) || BoolExpr.FALSE, output));
+            }
+        }
+
+        return statements;
+    }
+
+    triggerOf(rung, branch, component, where) {
+        // One instance per edge instruction, as the simulator keeps one edge state each
+        const type = component.type === 'NEG' || component.type === 'OSF' ? 'F_TRIG' : 'R_TRIG';
+        const name = this.uniqueName(`${type}_${++this.triggerCount}`);
+        this.names.set(`${rung.id}:${branch.id}:${component.col}`, name);
+        this.declare(name, type, null, `${component.type} at ${where}`);
+        return name;
+    }
+
+    contactExpr(component, where) {
+        if (!component.address) {
+            this.warnings.push(`${component.type} contact at ${where} has no address and never conducts`);
+            return BoolExpr.FALSE;
+        }
+
+        const bit = this.bitExpr(component.address);
+        return component.type === 'NC' ? BoolExpr.not(bit) : bit;
+    }
+
+    bitExpr(address) {
+        const match = /^(.+)\/(EN|TT|DN|CU|CD|OV|UN)$/.exec(address);
+        if (!match) {
+            return BoolExpr.variable(this.nameOf(address));
+        }
+
+        // Timer and counter status bits map onto the standard function block
+        // pins, so only structures exported as a function block have them
+        const [, element, flag] = match;
+        const type = this.structureTypes.get(element);
+        if (!LadderExporter.STATUS_BITS[type]) {
+            this.warnings.push(`${address}: ${element} is not exported as an IEC function block, so the ${flag} bit reads FALSE`);
+            return BoolExpr.FALSE;
+        }
+        if (!LadderExporter.STATUS_BITS[type].includes(flag)) {
+            this.warnings.push(`${address}: the ${flag} bit has no IEC 61131-3 equivalent and reads FALSE`);
+            return BoolExpr.FALSE;
+        }
+        const name = this.nameOf(element);
+        const input = BoolExpr.variable(`${name}.IN`);
+        const done = BoolExpr.variable(`${name}.Q`);
+
+        switch (flag) {
+            case 'DN':
+                return done;
+            case 'EN':
+                return input;
+            case 'TT':
+                return type === 'TOF' ?
+                    BoolExpr.and(BoolExpr.not(input), done) :
+                    BoolExpr.and(input, BoolExpr.not(done));
+            default:
+                return BoolExpr.variable(`${name}.${flag}`);
+        }
+    }
+
+    stStatement(component, condition, trigger) {
+        const name = component.address ? this.nameOf(component.address) : '';
+        const expr = LadderExporter.toST(condition);
+
+        switch (component.type) {
+            case 'OUT':
+                return [`${name} := ${expr};`];
+            case 'OTL':
+                return [`IF ${expr} THEN`, `    ${name} := TRUE;`, 'END_IF;'];
+            case 'OTU':
+                return [`IF ${expr} THEN`, `    ${name} := FALSE;`, 'END_IF;'];
+            case 'TON':
+            case 'TOF':
+                return [`${name}(IN := ${expr}, PT := ${LadderExporter.toTime(component.preset)});`];
+            case 'CTU':
+                return [`${name}(CU := ${expr}, R := ${this.resetFlagOf(component)}, PV := ${Number(component.preset) || 0});`];
+            case 'CTD':
+                return [`${name}(CD := ${expr}, LD := ${this.resetFlagOf(component)}, PV := ${Number(component.preset) || 0});`];
+            case 'RES':
+                return this.resetStatement(component, flag => [`${flag} := ${expr};`]);
+            case 'POS':
+            case 'NEG':
+            case 'ONS':
+                return [`${trigger}(CLK := ${expr});`];
+            case 'OSR':
+            case 'OSF':
+                return [`${trigger}(CLK := ${expr});`, `${name} := ${trigger}.Q;`];
+            default:
+                if (LadderExporter.isWordOutput(component)) {
+                    return this.wordStatement(component, (dest, value) =>
+                        [`IF ${expr} THEN`, `    ${dest} := ${value};`, 'END_IF;']);
+                }
+                return this.unsupported(component);
+        }
+    }
+
+    ilStatement(component, condition, trigger) {
+        const name = component.address ? this.nameOf(component.address) : '';
+        const load = LadderExporter.toIL(condition);
+
+        switch (component.type) {
+            case 'OUT':
+                return [...load, `ST ${name}`];
+            case 'OTL':
+                return [...load, `S ${name}`];
+            case 'OTU':
+                return [...load, `R ${name}`];
+            case 'TON':
+            case 'TOF':
+                return [...load, `ST ${name}.IN`, `CAL ${name}(PT := ${LadderExporter.toTime(component.preset)})`];
+            case 'CTU':
+                return [...load, `ST ${name}.CU`,
+                    `CAL ${name}(R := ${this.resetFlagOf(component)}, PV := ${Number(component.preset) || 0})`];
+            case 'CTD':
+                return [...load, `ST ${name}.CD`,
+                    `CAL ${name}(LD := ${this.resetFlagOf(component)}, PV := ${Number(component.preset) || 0})`];
+            case 'RES':
+                return this.resetStatement(component, flag => [...load, `ST ${flag}`]);
+            case 'POS':
+            case 'NEG':
+            case 'ONS':
+                return [...load, `ST ${trigger}.CLK`, `CAL ${trigger}`];
+            case 'OSR':
+            case 'OSF':
+                return [...load, `ST ${trigger}.CLK`, `CAL ${trigger}`, `LD ${trigger}.Q`, `ST ${name}`];
+            default:
+                if (LadderExporter.isWordOutput(component)) {
+                    // Skip the computation with a conditional jump when the rung is false
+                    const label = `SKIP${++this.labelCount}`;
+                    return this.wordStatement(component, (dest, value, operator, a, b) => [
+                        ...load,
+                        `JMPCN ${label}`,
+                        `LD ${a}`,
+                        ...(operator ? [`${operator} ${b}`] : []),
+                        `ST ${dest}`,
+                        `${label}:`
+                    ]);
+                }
+                return this.unsupported(component);
+        }
+    }
+
+    wordStatement(component, emit) {
+        // emit(dest, stValue, ilOperator, a, b)
+        const dest = this.ladderData.resolveAddress(component.dest);
+        if (!/^N7:\d+$/.test(dest || '')) {
+            this.warnings.push(`${component.type} writes ${dest || 'nothing'}; only N7 registers can be written in IEC 61131-3. Instruction skipped`);
+            return [`(* ${component.type} -> ${dest} not exported *)`];
+        }
+
+        const name = this.nameOf(dest);
+        if (component.type === 'CLR') return emit(name, '0', null, '0');
+
+        const a = this.wordOperand(component.sourceA);
+        if (component.type === 'MOV') return emit(name, a, null, a);
+
+        const b = this.wordOperand(component.sourceB);
+        const { st, il } = LadderExporter.MATH_OPERATORS[component.type];
+        return emit(name, `${a} ${st} ${b}`, il, a, b);
+    }
+
+    wordOperand(operand) {
+        // Literal, register, or timer/counter word mapped onto the function block
+        const text = String(operand === undefined ? '' : operand).trim();
+        if (/^-?\d+$/.test(text)) return text;
+
+        const match = /^([TC]\d+:\d+)\.(ACC|PRE)$/.exec(text);
+        if (match) {
+            const name = this.nameOf(match[1]);
+            const isTimer = match[1].startsWith('T');
+            if (isTimer) {
+                return `TIME_TO_INT(${name}.${match[2] === 'ACC' ? 'ET' : 'PT'})`;
+            }
+            return `${name}.${match[2] === 'ACC' ? 'CV' : 'PV'}`;
+        }
+        if (!text) {
+            this.warnOnce('A word instruction has an empty operand; exported as 0');
+            return '0';
+        }
+        return this.nameOf(text);
+    }
+
+    resetStatement(component, emit) {
+        const flag = this.resetFlags.get(component.address);
+        if (flag) return emit(flag);
+
+        this.warnings.push(`RES of ${component.address}: IEC timers have no reset input; instruction skipped`);
+        return [`(* RES ${component.address} not exported *)`];
+    }
+
+    resetFlagOf(component) {
+        if (component.type === 'CTD') {
+            this.warnOnce('CTD: IEC CTD counts down from PV after LD, while the ladder CTD counts down from 0');
+        }
+        return this.resetFlags.get(component.address) || 'FALSE';
+    }
+
+    unsupported(component) {
+        this.warnings.push(`${component.type} ${component.address} has no IEC 61131-3 equivalent; instruction skipped`);
+        return [`(* ${component.type} ${component.address} not exported *)`];
+    }
+
+    warnOnce(warning) {
+        if (!this.warnings.includes(warning)) {
+            this.warnings.push(warning);
+        }
+    }
+
+    nameOf(operand) {
+        const address = this.ladderData.resolveAddress(operand);
+        if (!this.names.has(address)) {
+            const name = this.uniqueName(LadderExporter.toIdentifier(address));
+            this.names.set(address, name);
+
+            const type = this.structureTypes.get(address);
+            if (type === 'TON' || type === 'TOF' || LadderData.COUNTER_TYPES.includes(type)) {
+                this.declare(name, type, null, address);
+            } else if (/^N7:\d+$/.test(address)) {
+                this.declare(name, 'INT', null, 'Not in the data table');
+            } else if (!type) {
+                this.declare(name, 'BOOL', address, 'Not in the pin list');
+            }
+        }
+        return this.names.get(address);
+    }
+
+    uniqueName(base) {
+        const taken = new Set(this.names.values());
+        let name = base;
+        for (let i = 2; taken.has(name); i++) {
+            name = `${base}_${i}`;
+        }
+        return name;
+    }
+
+    declare(name, type, address, comment, initial) {
+        this.declared.set(name, { name, type, location: LadderExporter.toDirectAddress(address), comment, initial });
+    }
+
+    declarations() {
+        const lines = [...this.declared.values()].map(({ name, type, location, comment, initial }) => {
+            const at = location ? ` AT ${location}` : '';
+            const value = initial ? ` := ${initial}` : '';
+            const note = comment ? ` (* ${comment} *)` : '';
+            return `    ${name}${at} : ${type}${value};${note}`;
+        });
+        return ['VAR', ...lines, 'END_VAR'];
+    }
+
+    static toIdentifier(text) {
+        // IEC identifiers: letters, digits and single underscores, not starting with a digit
+        let name = String(text).replace(/[^A-Za-z0-9_]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+        if (!name) name = 'UNNAMED';
+        return /^[0-9]/.test(name) ? `X_${name}` : name;
+    }
+
+    static toDirectAddress(address) {
+        // 'I:0/3' -> %IX0.3, 'O:0/3' -> %QX0.3, 'B3:1/2' -> %MX1.2
+        const match = /^(I|O|B\d*):(\d+)\/(\d+)$/.exec(address || '');
+        if (!match) return null;
+
+        const area = match[1] === 'I' ? 'I' : match[1] === 'O' ? 'Q' : 'M';
+        return `%${area}X${match[2]}.${match[3]}`;
+    }
+
+    static toTime(ms) {
+        return `T#${Math.max(0, Math.round(Number(ms) || 0))}MS`;
+    }
+
+    static toST(expr, parentPrecedence = 0) {
+        // Precedence: OR 1, AND 2, NOT 3
+        switch (expr.op) {
+            case 'const':
+                return expr.value ? 'TRUE' : 'FALSE';
+            case 'var':
+                return expr.name;
+            case 'cmp':
+                return `${expr.a} ${expr.operator} ${expr.b}`;
+            case 'not':
+                return `NOT ${LadderExporter.toST(expr.arg, 3)}`;
+            case 'and':
+            case 'or': {
+                const precedence = expr.op === 'or' ? 1 : 2;
+                const text = expr.args
+                    .map(arg => LadderExporter.toST(arg, precedence))
+                    .join(expr.op === 'or' ? ' OR ' : ' AND ');
+                return precedence < parentPrecedence ? `(${text})` : text;
+            }
+        }
+        return 'FALSE';
+    }
+
+    static toIL(expr) {
+        // Instruction list that leaves the expression in the current result
+        const isSimple = (arg) => arg.op === 'var' || arg.op === 'const' ||
+                                  (arg.op === 'not' && arg.arg.op === 'var');
+        const operand = (arg) => arg.op === 'not' ? arg.arg.name : LadderExporter.toST(arg);
+        const modifier = (arg) => arg.op === 'not' ? 'N' : '';
+
+        if (isSimple(expr)) {
+            return [`LD${modifier(expr)} ${operand(expr)}`];
+        }
+        if (expr.op === 'cmp') {
+            return [`LD ${expr.a}`, `${LadderExporter.IL_COMPARE[expr.operator]} ${expr.b}`];
+        }
+        if (expr.op === 'not') {
+            return [...LadderExporter.toIL(expr.arg), 'NOT'];
+        }
+
+        const operator = expr.op === 'and' ? 'AND' : 'OR';
+        const lines = LadderExporter.toIL(expr.args[0]);
+        for (const arg of expr.args.slice(1)) {
+            if (isSimple(arg)) {
+                lines.push(`${operator}${modifier(arg)} ${operand(arg)}`);
+            } else {
+                lines.push(`${operator}(`, ...LadderExporter.toIL(arg).map(line => `    ${line}`), ')');
+            }
+        }
+        return lines;
+    }
+
+    static evaluateStructuredText(source, variables) {
+        // Runs the assignments of generated Structured Text so exports can be
+        // checked against the simulator. Function block calls are not executed;
+        // type conversions such as TIME_TO_INT pass their argument through
+        const tokens = LadderExporter.tokenizeST(source);
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const expect = (value) => {
+            const token = next();
+            if (!token || token.toUpperCase() !== value) {
+                throw new Error(`Expected ${value} but found ${token || 'end of text'}`);
+            }
+        };
+
+        const primary = () => {
+            const token = next();
+            if (token === '(') {
+                const value = orExpr();
+                expect(')');
+                return value;
+            }
+            const upper = (token || '').toUpperCase();
+            if (upper === 'TRUE') return true;
+            if (upper === 'FALSE') return false;
+            if (upper === 'NOT') return !primary();
+            if (token === '-') return -primary();
+            if (/^\d+$/.test(token || '')) return Number(token);
+            if (!/^[A-Za-z_][\w.]*$/.test(token || '')) {
+                throw new Error(`Unexpected ${token || 'end of text'}`);
+            }
+            if (peek() === '(') {
+                next();
+                const value = orExpr();
+                expect(')');
+                return value;
+            }
+            return variables[token] !== undefined ? variables[token] : false;
+        };
+        const term = () => {
+            let value = primary();
+            while (peek() === '*' || peek() === '/') {
+                const operator = next();
+                const right = primary();
+                value = operator === '*' ? value * right : Math.trunc(value / right);
+            }
+            return value;
+        };
+        const sum = () => {
+            let value = term();
+            while (peek() === '+' || peek() === '-') {
+                const operator = next();
+                const right = term();
+                value = operator === '+' ? value + right : value - right;
+            }
+            return value;
+        };
+        const comparison = () => {
+            let value = sum();
+            while (peek() && LadderExporter.IL_COMPARE[peek()]) {
+                const operator = next();
+                value = LadderExporter.compareWords(operator, value, sum());
+            }
+            return value;
+        };
+        const andExpr = () => {
+            let value = comparison();
+            while (peek() && ['AND', '&'].includes(peek().toUpperCase())) {
+                next();
+                value = Boolean(comparison()) && Boolean(value);
+            }
+            return value;
+        };
+        const orExpr = () => {
+            let value = andExpr();
+            while (peek() && peek().toUpperCase() === 'OR') {
+                next();
+                value = Boolean(andExpr()) || Boolean(value);
+            }
+            return value;
+        };
+
+        while (pos < tokens.length) {
+            const token = next();
+            const upper = token.toUpperCase();
+
+            if (upper === 'VAR') {
+                while (pos < tokens.length && next().toUpperCase() !== 'END_VAR');
+            } else if (upper === 'IF') {
+                const condition = orExpr();
+                expect('THEN');
+                const target = next();
+                expect(':=');
+                const value = orExpr();
+                expect(';');
+                expect('END_IF');
+                expect(';');
+                if (condition) variables[target] = value;
+            } else if (peek() === ':=') {
+                next();
+                variables[token] = orExpr();
+                expect(';');
+            } else if (peek() === '(') {
+                // Function block call: skip to the end of the statement
+                while (pos < tokens.length && next() !== ';');
+            }
+        }
+        return variables;
+    }
+
+    static tokenizeST(source) {
+        const withoutComments = source.replace(/\(\*[\s\S]*?\*\)/g, ' ');
+        return withoutComments.match(/:=|<>|<=|>=|[A-Za-z_][\w.]*|\d+|\S/g) || [];
+    }
+
+    static compareWords(operator, a, b) {
+        switch (operator) {
+            case '=': return a === b;
+            case '<>': return a !== b;
+            case '>': return a > b;
+            case '<': return a < b;
+            case '>=': return a >= b;
+            case '<=': return a <= b;
+        }
+        return false;
+    }
+
+    static isWordOutput(component) {
+        return LadderData.MATH_TYPES.includes(component.type) || LadderData.MOVE_TYPES.includes(component.type);
+    }
+}
+
+// Status bits each IEC function block can stand in for
+LadderExporter.STATUS_BITS = {
+    TON: ['EN', 'TT', 'DN'],
+    TOF: ['EN', 'TT', 'DN'],
+    CTU: ['CU', 'DN'],
+    CTD: ['CD', 'DN']
+};
+LadderExporter.COMPARE_OPERATORS = { EQU: '=', NEQ: '<>', GRT: '>', LES: '<', GEQ: '>=', LEQ: '<=' };
+LadderExporter.IL_COMPARE = { '=': 'EQ', '<>': 'NE', '>': 'GT', '<': 'LT', '>=': 'GE', '<=': 'LE' };
+LadderExporter.MATH_OPERATORS = {
+    ADD: { st: '+', il: 'ADD' },
+    SUB: { st: '-', il: 'SUB' },
+    MUL: { st: '*', il: 'MUL' },
+    DIV: { st: '/', il: 'DIV' }
+};
@@ -0,0 +1,91 @@
+/**
+ * Ladder History
+ * Undo/redo stack of edit commands
+ */
+
+export class LadderHistory {
+    constructor(ladderData, limit = 200) {
+        this.ladderData = ladderData;
+        this.limit = limit;
+        this.done = [];
+        this.undone = [];
+        this.onChange = null;
+    }
+
+    execute(command) {
+        // Commands address rungs by index within the routine being edited
+        command.routine = this.ladderData.currentRoutine;
+        if (!command.execute(this.ladderData)) return false;
+
+        this.done.push(command);
+        if (this.done.length > this.limit) {
+            this.done.shift();
+        }
+        // A new edit discards anything that could have been redone
+        this.undone = [];
+        this.notify();
+        return true;
+    }
+
+    undo() {
+        const command = this.done.pop();
+        if (!command) return false;
+
+        this.inRoutine(command, () => command.undo(this.ladderData));
+        this.undone.push(command);
+        this.notify();
+        return true;
+    }
+
+    redo() {
+        const command = this.undone.pop();
+        if (!command) return false;
+
+        this.inRoutine(command, () => command.execute(this.ladderData));
+        this.done.push(command);
+        this.notify();
+        return true;
+    }
+
+    inRoutine(command, apply) {
+        // Undo and redo go back to the routine the command was made in. It is
+        // selected again afterwards in case the command itself brought it back
+        this.ladderData.selectRoutine(command.routine);
+        apply();
+        this.ladderData.selectRoutine(command.routine);
+    }
+
+    goTo(doneCount) {
+        // Undo or redo until exactly doneCount commands are applied
+        while (this.done.length > doneCount && this.undo());
+        while (this.done.length < doneCount && this.redo());
+    }
+
+    canUndo() {
+        return this.done.length > 0;
+    }
+
+    canRedo() {
+        return this.undone.length > 0;
+    }
+
+    getEntries() {
+        // Oldest first; undone entries follow in the order they would be redone
+        return [
+            ...this.done.map(command => ({ label: command.label, done: true })),
+            ...[...this.undone].reverse().map(command => ({ label: command.label, done: false }))
+        ];
+    }
+
+    clear() {
+        this.done = [];
+        this.undone = [];
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * HMI View
+ * Builds the operator panel's widgets in the page; in edit mode they are dragged and selected instead
+ */
+
+import { LadderHmi } from './ladder-hmi.js';
+
+export class HmiView {
+    constructor(container, hmi, ladderData) {
+        this.container = container;
+        this.hmi = hmi;
+        this.ladderData = ladderData;
+        this.editing = false;
+        this.selectedId = null;
+        this.refreshers = [];
+
+        // Edit mode callbacks
+        this.onSelect = null; // (widget or null)
+        this.onMove = null; // (widget, x, y)
+
+        this.container.addEventListener('pointerdown', (event) => {
+            if (this.editing && event.target === this.container) {
+                this.select(null);
+            }
+        });
+    }
+
+    setEditing(editing) {
+        this.editing = editing;
+        this.selectedId = null;
+        this.render();
+    }
+
+    select(widget) {
+        this.selectedId = widget ? widget.id : null;
+        this.render();
+        if (this.onSelect) {
+            this.onSelect(widget);
+        }
+    }
+
+    getSelected() {
+        return this.ladderData.hmi.widgets.find(widget => widget.id === this.selectedId) || null;
+    }
+
+    render() {
+        // The widget list is read afresh, since undo and loading replace it
+        this.container.innerHTML = '';
+        this.container.classList.toggle('editing', this.editing);
+        this.refreshers = [];
+
+        for (const widget of this.ladderData.hmi.widgets) {
+            const element = document.createElement('div');
+            element.className = `hmi-widget ${widget.id === this.selectedId ? 'selected' : ''}`;
+            element.style.left = `${widget.x}px`;
+            element.style.top = `${widget.y}px`;
+
+            const label = document.createElement('div');
+            label.className = 'hmi-label';
+            label.textContent = widget.label;
+            element.appendChild(label);
+
+            const control = this.buildControl(widget);
+            element.appendChild(control.element);
+            this.refreshers.push(control.refresh);
+
+            if (this.editing) {
+                const problem = LadderHmi.checkAddress(widget, this.ladderData);
+                const address = document.createElement('div');
+                address.className = `hmi-address ${problem ? 'invalid' : ''}`;
+                address.textContent = widget.address || 'unbound';
+                address.title = problem || '';
+                element.appendChild(address);
+                this.makeDraggable(element, widget);
+            }
+            this.container.appendChild(element);
+        }
+        this.update();
+    }
+
+    update() {
+        // Refresh the displayed values after a scan
+        for (const refresh of this.refreshers) {
+            refresh();
+        }
+    }
+
+    buildControl(widget) {
+        const element = document.createElement('div');
+        const live = !this.editing;
+
+        if (widget.type === 'pushbutton') {
+            const button = document.createElement('button');
+            button.className = 'hmi-button';
+            button.title = widget.mode === 'maintained' ? 'Push on, push off' : 'On while held';
+            if (live) {
+                button.onpointerdown = (event) => {
+                    button.setPointerCapture(event.pointerId);
+                    this.hmi.press(widget);
+                    this.update();
+                };
+                button.onpointerup = button.onpointercancel = () => {
+                    this.hmi.release(widget);
+                    this.update();
+                };
+            }
+            element.appendChild(button);
+            return { element, refresh: () => button.classList.toggle('on', this.hmi.valueOf(widget)) };
+        }
+
+        if (widget.type === 'selector') {
+            const selector = document.createElement('div');
+            selector.className = 'hmi-selector';
+            selector.innerHTML = `<span>${widget.positions[0]}</span><div class="hmi-knob"></div><span>${widget.positions[1]}</span>`;
+            if (live) {
+                selector.onclick = () => {
+                    this.hmi.select(widget, this.hmi.valueOf(widget) ? 0 : 1);
+                    this.update();
+                };
+            }
+            element.appendChild(selector);
+            return { element, refresh: () => selector.classList.toggle('on', this.hmi.valueOf(widget)) };
+        }
+
+        if (widget.type === 'lamp') {
+            const lamp = document.createElement('div');
+            lamp.className = 'hmi-lamp';
+            const color = LadderHmi.LAMP_COLORS[widget.color] || LadderHmi.LAMP_COLORS.green;
+            element.appendChild(lamp);
+            return {
+                element,
+                refresh: () => {
+                    const on = this.hmi.valueOf(widget);
+                    lamp.style.backgroundColor = on ? color : '';
+                    lamp.style.boxShadow = on ? `0 0 12px ${color}` : '';
+                }
+            };
+        }
+
+        if (widget.type === 'display') {
+            const display = document.createElement('div');
+            display.className = 'hmi-display';
+            element.appendChild(display);
+            return { element, refresh: () => { display.textContent = `${this.hmi.valueOf(widget)} ${widget.units}`.trim(); } };
+        }
+
+        // Numeric entry
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = -32768;
+        input.max = 32767;
+        input.className = 'hmi-entry';
+        input.disabled = !live;
+        input.onchange = () => {
+            this.hmi.enter(widget, Number(input.value) || 0);
+            input.blur();
+            this.update();
+        };
+        element.appendChild(input);
+        if (widget.units) {
+            const units = document.createElement('span');
+            units.className = 'hmi-units';
+            units.textContent = widget.units;
+            element.appendChild(units);
+        }
+        return {
+            element,
+            refresh: () => {
+                // Don't overwrite a value being typed
+                if (document.activeElement !== input) input.value = this.hmi.valueOf(widget);
+            }
+        };
+    }
+
+    makeDraggable(element, widget) {
+        element.onpointerdown = (event) => {
+            event.preventDefault();
+            element.setPointerCapture(event.pointerId);
+            const start = { x: event.clientX, y: event.clientY };
+            let moved = false;
+
+            element.onpointermove = (move) => {
+                const dx = move.clientX - start.x;
+                const dy = move.clientY - start.y;
+                moved = moved || Math.abs(dx) + Math.abs(dy) > 3;
+                element.style.left = `${widget.x + dx}px`;
+                element.style.top = `${widget.y + dy}px`;
+            };
+            element.onpointerup = (up) => {
+                element.onpointermove = null;
+                element.onpointerup = null;
+                if (!moved) {
+                    this.select(widget);
+                    return;
+                }
+
+                // Drop on the layout grid, inside the panel
+                const snap = value => Math.round(value / LadderHmi.GRID) * LadderHmi.GRID;
+                const x = Math.min(Math.max(0, snap(widget.x + up.clientX - start.x)), LadderHmi.WIDTH - element.offsetWidth);
+                const y = Math.min(Math.max(0, snap(widget.y + up.clientY - start.y)), LadderHmi.HEIGHT - element.offsetHeight);
+                this.selectedId = widget.id;
+                if (this.onMove) {
+                    this.onMove(widget, x, y);
+                }
+            };
+        };
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * HMI Panel
+ * Operator widgets bound to PLC addresses, and how operating them reads and writes the simulator
+ */
+
+import { LadderData } from './ladder-data.js';
+
+export class LadderHmi {
+    constructor(simulator) {
+        this.simulator = simulator;
+    }
+
+    valueOf(widget) {
+        if (!widget.address) {
+            return LadderHmi.isWord(widget) ? 0 : false;
+        }
+        return LadderHmi.isWord(widget)
+            ? this.simulator.readWord(widget.address)
+            : this.simulator.getPinState(widget.address);
+    }
+
+    press(widget) {
+        // Momentary buttons are on while held; maintained buttons toggle per
+        // press. The simulator does the toggling, as the value shown may be a
+        // frame old and several presses can land within one frame
+        if (widget.type !== 'pushbutton') return false;
+        if (widget.mode === 'maintained') {
+            return this.operate(widget, () => this.simulator.togglePin(widget.address));
+        }
+        return this.writeBit(widget, true);
+    }
+
+    release(widget) {
+        if (widget.type !== 'pushbutton' || widget.mode === 'maintained') return false;
+        return this.writeBit(widget, false);
+    }
+
+    select(widget, position) {
+        // Two-position selector: position 0 turns the bit off, 1 turns it on
+        if (widget.type !== 'selector') return false;
+        return this.writeBit(widget, position === 1);
+    }
+
+    enter(widget, value) {
+        // Like the data table, entries are accepted while stopped too
+        if (widget.type !== 'entry' || !widget.address) return false;
+        this.simulator.writeWord(widget.address, value);
+        this.rescan();
+        return true;
+    }
+
+    writeBit(widget, value) {
+        return this.operate(widget, () => this.simulator.setPinState(widget.address, value));
+    }
+
+    operate(widget, change) {
+        // Operator switches only act on a running machine, like the I/O sidebar
+        if (!widget.address || !this.simulator.isRunning) return false;
+        change();
+        this.rescan();
+        return true;
+    }
+
+    rescan() {
+        // Show the effect straight away, unless the debugger has the scan paused
+        if (this.simulator.isRunning && !this.simulator.paused) {
+            this.simulator.executeScan();
+        }
+    }
+
+    static createWidget(type, widgets, x, y) {
+        const id = widgets.reduce((max, widget) => Math.max(max, widget.id + 1), 0);
+        return { id, type, x, y, address: '', ...LadderHmi.WIDGET_TYPES[type].defaults };
+    }
+
+    static isWord(widget) {
+        return LadderHmi.WIDGET_TYPES[widget.type].word;
+    }
+
+    static validate(hmi) {
+        // Problems with a project file's HMI section, in the project validator's style
+        const errors = [];
+        if (!hmi || !Array.isArray(hmi.widgets)) {
+            return ['HMI: missing "widgets" array'];
+        }
+
+        const ids = new Set();
+        hmi.widgets.forEach((widget, index) => {
+            const where = `HMI widget ${index}`;
+            if (!widget || !LadderHmi.WIDGET_TYPES[widget.type]) {
+                errors.push(`${where}: unknown widget type "${widget && widget.type}"`);
+                return;
+            }
+            if (!Number.isInteger(widget.id) || ids.has(widget.id)) {
+                errors.push(`${where}: missing or duplicate numeric id`);
+            }
+            ids.add(widget.id);
+            if (!Number.isFinite(widget.x) || !Number.isFinite(widget.y)) {
+                errors.push(`${where}: missing position`);
+            }
+            if (typeof widget.address !== 'string') {
+                errors.push(`${where}: missing address`);
+            }
+        });
+        return errors;
+    }
+
+    static checkAddress(widget, ladderData) {
+        // Why an address can't be bound to this widget, or null if it can
+        const address = ladderData.resolveAddress(widget.address);
+        if (!address) return 'No address';
+
+        const type = LadderHmi.WIDGET_TYPES[widget.type];
+        if (/^[A-Za-z_]\w*$/.test(address)) return `Unknown tag "${address}"`;
+        if (type.word) {
+            const pattern = type.writes ? LadderData.WORD_DESTINATION_PATTERN : LadderData.WORD_OPERAND_PATTERN;
+            if (!new RegExp(`^(${pattern})$`).test(address) || /^-?\d+$/.test(address)) {
+                return `${address} is not a register`;
+            }
+        } else if (!LadderHmi.BIT_PATTERN.test(address)) {
+            return `${address} is not a bit address`;
+        } else if (type.writes && address.startsWith('O:')) {
+            return `${address} is an output; the program would overwrite it every scan`;
+        }
+        return null;
+    }
+}
+
+// Widget kinds: word widgets use registers, the others bits; writes marks operator controls
+LadderHmi.WIDGET_TYPES = {
+    pushbutton: { name: 'Pushbutton', word: false, writes: true, defaults: { label: 'Start', mode: 'momentary' } },
+    selector: { name: 'Selector switch', word: false, writes: true, defaults: { label: 'Mode', positions: ['OFF', 'ON'] } },
+    lamp: { name: 'Pilot lamp', word: false, writes: false, defaults: { label: 'Running', color: 'green' } },
+    display: { name: 'Numeric display', word: true, writes: false, defaults: { label: 'Value', units: '' } },
+    entry: { name: 'Numeric entry', word: true, writes: true, defaults: { label: 'Setpoint', units: '' } }
+};
+
+LadderHmi.LAMP_COLORS = { green: '#22c55e', red: '#ef4444', yellow: '#eab308', blue: '#3b82f6', white: '#f8fafc' };
+
+// I/O, memory and timer/counter status bits
+LadderHmi.BIT_PATTERN = /^([IO]:\d+\/\d+|B\d+:\d+\/\d+|[TC]\d+:\d+\/[A-Z]{2})$/;
+
+// Layout grid of the panel, in pixels
+LadderHmi.GRID = 10;
+LadderHmi.WIDTH = 880;
+LadderHmi.HEIGHT = 480;
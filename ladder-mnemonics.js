@@ -0,0 +1,284 @@
+/**
+ * Ladder Mnemonics
+ * Converts the program to and from RSLogix-style instruction text, one rung per line
+ */
+
+import { LadderData } from './ladder-data.js';
+
+export class MnemonicSyntaxError extends Error {
+    constructor(errors) {
+        // errors are { line, column, message }, both counted from 1
+        super(errors.map(error => `Line ${error.line}, column ${error.column}: ${error.message}`).join('\n'));
+        this.name = 'MnemonicSyntaxError';
+        this.errors = errors;
+    }
+}
+
+export class LadderMnemonics {
+    constructor(ladderData) {
+        this.ladderData = ladderData;
+        this.warnings = [];
+    }
+
+    // Ladder to text
+
+    toText() {
+        this.warnings = [];
+        const lines = this.ladderData.rungs.map((rung, index) => {
+            try {
+                return this.rungToText(rung);
+            } catch (error) {
+                this.warnings.push(`Rung ${index}: ${error.message}; it can't be written as mnemonics`);
+                return `; Rung ${index} can't be written as mnemonics: ${error.message}`;
+            }
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    rungToText(rung) {
+        const root = rung.branches.find(b => b.parent_branch_id === null);
+        const tokens = root ? this.seriesTokens(rung, root, root.start_col, root.end_col) : [];
+        return tokens.length > 0 ? tokens.join(' ') : 'NOP';
+    }
+
+    seriesTokens(rung, branch, from, to, children = LadderMnemonics.childrenOf(rung, branch)) {
+        // Walks one branch from column `from` to `to`. `children` are the branches
+        // that split off it in that stretch; each becomes a BST..BND group that
+        // runs up to the widest one's merge point and holds the narrower ones
+        const outside = children.find(child => child.start_col < from || child.end_col > to);
+        if (outside) {
+            throw new Error(`the branch at row ${outside.row} overlaps another branch`);
+        }
+
+        const tokens = [];
+        for (let col = from; col <= to;) {
+            const splitting = children.filter(child => child.start_col === col);
+            if (splitting.length === 0) {
+                const component = branch.components.find(c => c.col === col);
+                if (component) tokens.push(...this.instructionTokens(component));
+                col++;
+                continue;
+            }
+
+            const end = Math.max(...splitting.map(child => child.end_col));
+            const legs = splitting.filter(child => child.end_col === end).sort((a, b) => a.row - b.row);
+            const inner = children.filter(child => !legs.includes(child) && child.start_col <= end);
+            tokens.push('BST', ...this.seriesTokens(rung, branch, col, end, inner));
+            for (const leg of legs) {
+                tokens.push('NXB', ...this.seriesTokens(rung, leg, col, end));
+            }
+            tokens.push('BND');
+            col = end + 1;
+        }
+        return tokens;
+    }
+
+    instructionTokens(component) {
+        const mnemonic = LadderMnemonics.MNEMONICS[component.type];
+        const instruction = LadderMnemonics.INSTRUCTIONS[mnemonic];
+        if (!instruction) {
+            throw new Error(`${component.type} has no mnemonic`);
+        }
+        return [mnemonic, ...instruction.operands.map(({ key, kind, list }) => {
+            // Lists are written as one comma separated operand
+            const raw = list ? (component[key] || []).join(',') : component[key];
+            const value = String(raw === undefined ? '' : raw).trim();
+            if (kind === 'preset') return String(Number(value) || 0);
+            return value === '' ? LadderMnemonics.EMPTY_OPERAND : value;
+        })];
+    }
+
+    // Text to ladder
+
+    parse(text) {
+        // Returns the rungs of the program in the text, or throws a
+        // MnemonicSyntaxError listing every line that doesn't parse. Lines that
+        // match an existing rung's text keep that rung, so its layout survives
+        const existing = new Map();
+        for (const rung of this.ladderData.rungs) {
+            let line;
+            try {
+                line = this.rungToText(rung);
+            } catch (error) {
+                // Rungs that can't be written never match a line
+                continue;
+            }
+            if (!existing.has(line)) existing.set(line, []);
+            existing.get(line).push(rung);
+        }
+
+        const rungs = [];
+        const errors = [];
+        text.split(/\r?\n/).forEach((line, index) => {
+            const tokens = LadderMnemonics.tokenize(line);
+            if (tokens.length === 0) return;
+
+            const reused = existing.get(tokens.map(token => token.text).join(' '));
+            if (reused && reused.length > 0) {
+                rungs.push(JSON.parse(JSON.stringify(reused.shift())));
+                return;
+            }
+            try {
+                rungs.push(this.parseRung(tokens));
+            } catch (error) {
+                if (!(error instanceof MnemonicSyntaxError)) throw error;
+                errors.push(...error.errors.map(e => ({ ...e, line: index + 1 })));
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new MnemonicSyntaxError(errors);
+        }
+        return rungs.length > 0 ? rungs : [this.ladderData.createEmptyRung()];
+    }
+
+    parseRung(tokens) {
+        // series := (instruction | BST series (NXB series)* BND)*
+        const fail = (token, message) => {
+            throw new MnemonicSyntaxError([{ line: 0, column: token.column, message }]);
+        };
+        let position = 0;
+
+        const parseSeries = () => {
+            const items = [];
+            while (position < tokens.length) {
+                const token = tokens[position];
+                const word = token.text.toUpperCase();
+                if (word === 'NXB' || word === 'BND') break;
+                position++;
+
+                if (word === 'BST') {
+                    const legs = [parseSeries()];
+                    while (position < tokens.length && tokens[position].text.toUpperCase() === 'NXB') {
+                        position++;
+                        legs.push(parseSeries());
+                    }
+                    if (position >= tokens.length) fail(token, 'BST is never closed with BND');
+                    position++;
+                    items.push({ kind: 'parallel', items: legs });
+                } else if (word !== 'NOP') {
+                    items.push({ kind: 'element', component: this.parseInstruction(token, tokens, position, fail) });
+                    position += LadderMnemonics.INSTRUCTIONS[word].operands.length;
+                }
+            }
+            return { kind: 'series', items };
+        };
+
+        const tree = parseSeries();
+        if (position < tokens.length) {
+            const token = tokens[position];
+            fail(token, `${token.text.toUpperCase()} without a matching BST`);
+        }
+
+        const rung = this.ladderData.buildRungFromTree(tree);
+        if (!rung) fail(tokens[0], `The rung needs more than the ${LadderData.COLS} cells across a rung`);
+        return rung;
+    }
+
+    parseInstruction(token, tokens, position, fail) {
+        const mnemonic = token.text.toUpperCase();
+        const instruction = LadderMnemonics.INSTRUCTIONS[mnemonic];
+        if (!instruction) fail(token, `Unknown instruction "${token.text}"`);
+
+        const component = { type: instruction.type, address: '', label: '' };
+        instruction.operands.forEach(({ key, kind, name, list }, index) => {
+            if (list) component[key] = [];
+            const operand = tokens[position + index];
+            if (!operand || LadderMnemonics.isKeyword(operand.text)) {
+                fail(token, `${mnemonic} is missing its ${name}`);
+            }
+            if (operand.text === LadderMnemonics.EMPTY_OPERAND && kind !== 'preset') return;
+            if (!LadderMnemonics.OPERAND_PATTERNS[kind].test(operand.text)) {
+                fail(operand, `"${operand.text}" is not a valid ${name} for ${mnemonic}`);
+            }
+            if (list) {
+                component[key] = operand.text.split(',');
+            } else {
+                component[key] = kind === 'preset' ? Number(operand.text) : operand.text;
+            }
+        });
+        if (component.address) {
+            component.label = this.labelOf(component.address);
+        }
+        return component;
+    }
+
+    labelOf(operand) {
+        // Same label the pin picker gives an instruction
+        const tag = this.ladderData.findTag(operand);
+        if (tag) return tag.label;
+        const pin = LadderData.TAG_GROUPS.flatMap(group => this.ladderData.pins[group] || [])
+            .find(p => p.address === operand);
+        return pin ? pin.label : '';
+    }
+
+    static tokenize(line) {
+        // Whitespace separated words with their 1-based column; ';' starts a comment
+        const code = line.split(';')[0];
+        return [...code.matchAll(/\S+/g)].map(match => ({ text: match[0], column: match.index + 1 }));
+    }
+
+    static isKeyword(text) {
+        const word = text.toUpperCase();
+        return LadderMnemonics.STRUCTURE_KEYWORDS.includes(word) || word in LadderMnemonics.INSTRUCTIONS;
+    }
+
+    static childrenOf(rung, branch) {
+        return rung.branches.filter(b => b.parent_branch_id === branch.id);
+    }
+}
+
+// Written for an unassigned operand
+LadderMnemonics.EMPTY_OPERAND = '?';
+
+// Branch start, next branch, branch end, and an empty rung
+LadderMnemonics.STRUCTURE_KEYWORDS = ['BST', 'NXB', 'BND', 'NOP'];
+
+LadderMnemonics.OPERAND_PATTERNS = {
+    bit: /^([IO]:\d+\/\d+|B\d+:\d+\/\d+|[TC]\d+:\d+\/[A-Z]{2}|[A-Za-z_]\w*)$/,
+    structure: /^([TC]\d+:\d+|[A-Za-z_]\w*)$/,
+    preset: /^\d+$/,
+    source: new RegExp(`^(${LadderData.WORD_OPERAND_PATTERN})$`),
+    dest: new RegExp(`^(${LadderData.WORD_DESTINATION_PATTERN})$`),
+    routine: /^[A-Za-z_]\w*$/,
+    sources: new RegExp(`^(${LadderData.WORD_OPERAND_PATTERN})(,(${LadderData.WORD_OPERAND_PATTERN}))*$`),
+    dests: new RegExp(`^(${LadderData.WORD_DESTINATION_PATTERN})(,(${LadderData.WORD_DESTINATION_PATTERN}))*$`)
+};
+
+// Instructions with their component type and operands in written order.
+// Timer presets are in milliseconds, as in the instruction editor
+const ADDRESS = { key: 'address', kind: 'bit', name: 'address' };
+const STRUCTURE = { key: 'address', kind: 'structure', name: 'timer or counter' };
+const PRESET = { key: 'preset', kind: 'preset', name: 'preset' };
+const SOURCE_A = { key: 'sourceA', kind: 'source', name: 'source A' };
+const SOURCE_B = { key: 'sourceB', kind: 'source', name: 'source B' };
+const DEST = { key: 'dest', kind: 'dest', name: 'destination' };
+const ROUTINE = { key: 'routine', kind: 'routine', name: 'routine' };
+const PARAMS = { key: 'params', kind: 'sources', name: 'parameter list', list: true };
+const RETURNS = { key: 'returns', kind: 'dests', name: 'return list', list: true };
+LadderMnemonics.INSTRUCTIONS = {
+    XIC: { type: 'NO', operands: [ADDRESS] },
+    XIO: { type: 'NC', operands: [ADDRESS] },
+    OTE: { type: 'OUT', operands: [ADDRESS] },
+    OTL: { type: 'OTL', operands: [ADDRESS] },
+    OTU: { type: 'OTU', operands: [ADDRESS] },
+    ...Object.fromEntries(LadderData.EDGE_CONTACT_TYPES.map(type => [type, { type, operands: [ADDRESS] }])),
+    ONS: { type: 'ONS', operands: [] },
+    OSR: { type: 'OSR', operands: [ADDRESS] },
+    OSF: { type: 'OSF', operands: [ADDRESS] },
+    ...Object.fromEntries([...LadderData.TIMER_TYPES, ...LadderData.COUNTER_TYPES]
+        .map(type => [type, { type, operands: [STRUCTURE, PRESET] }])),
+    RES: { type: 'RES', operands: [STRUCTURE] },
+    ...Object.fromEntries(LadderData.COMPARE_TYPES.map(type => [type, { type, operands: [SOURCE_A, SOURCE_B] }])),
+    ...Object.fromEntries(LadderData.MATH_TYPES.map(type => [type, { type, operands: [SOURCE_A, SOURCE_B, DEST] }])),
+    MOV: { type: 'MOV', operands: [{ ...SOURCE_A, name: 'source' }, DEST] },
+    CLR: { type: 'CLR', operands: [DEST] },
+    // Parameter lists are comma separated, e.g. JSR Fill N7:0,5 N7:1
+    JSR: { type: 'JSR', operands: [ROUTINE, PARAMS, RETURNS] },
+    SBR: { type: 'SBR', operands: [{ ...PARAMS, kind: 'dests' }] },
+    RET: { type: 'RET', operands: [{ ...RETURNS, kind: 'sources' }] }
+};
+
+// Component type -> mnemonic
+LadderMnemonics.MNEMONICS = Object.fromEntries(
+    Object.entries(LadderMnemonics.INSTRUCTIONS).map(([mnemonic, { type }]) => [type, mnemonic]));
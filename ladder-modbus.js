@@ -0,0 +1,229 @@
+/**
+ * Modbus Slave
+ * Maps the tag database onto Modbus tables and answers Modbus requests from the simulator
+ *
+ * Inputs are discrete inputs, outputs and memory bits are coils, and registers
+ * are holding registers. A tag's "modbus" field sets its address within its
+ * table; tags without one take the lowest free addresses, in tag list order.
+ * Discrete inputs are read-only, as the program's inputs come from the field,
+ * so HMIs and scripts operate the machine through memory bits and registers.
+ * Writes to coils driven by OUT last until the next scan rewrites them
+ */
+
+// An exception response: the request was understood but can't be served
+export class ModbusException extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ModbusException';
+        this.code = code;
+    }
+}
+
+export class ModbusMap {
+    constructor(pins) {
+        // Table -> Modbus address -> tag
+        this.tables = {};
+        for (const table of Object.keys(ModbusMap.TABLE_NAMES)) {
+            const map = new Map();
+            const tags = ModbusMap.groupsOf(table).flatMap(group => pins[group] || []);
+            for (const tag of tags) {
+                if (ModbusMap.isAddress(tag.modbus) && !map.has(tag.modbus)) {
+                    map.set(tag.modbus, tag);
+                }
+            }
+            let next = 0;
+            for (const tag of tags.filter(tag => tag.modbus === undefined)) {
+                while (map.has(next)) next++;
+                map.set(next, tag);
+            }
+            this.tables[table] = map;
+        }
+    }
+
+    tagAt(table, address) {
+        return this.tables[table].get(address) || null;
+    }
+
+    entries() {
+        // Every mapped tag as { table, modbus, tag }, by table and address
+        return Object.entries(this.tables).flatMap(([table, map]) =>
+            [...map.entries()]
+                .sort((a, b) => a[0] - b[0])
+                .map(([modbus, tag]) => ({ table, modbus, tag })));
+    }
+
+    static groupsOf(table) {
+        return Object.keys(ModbusMap.TABLES).filter(group => ModbusMap.TABLES[group] === table);
+    }
+
+    static isAddress(value) {
+        return Number.isInteger(value) && value >= 0 && value <= 0xFFFF;
+    }
+
+    static validate(pins) {
+        // Explicit addresses must fit the table and not be shared within it
+        const errors = [];
+        const used = new Map(); // 'table:address' -> tag name
+        for (const [group, table] of Object.entries(ModbusMap.TABLES)) {
+            for (const tag of pins[group] || []) {
+                if (tag.modbus === undefined) continue;
+                const where = tag.id || tag.address;
+                if (!ModbusMap.isAddress(tag.modbus)) {
+                    errors.push(`${where}: the Modbus address must be a whole number from 0 to 65535`);
+                    continue;
+                }
+                const key = `${table}:${tag.modbus}`;
+                if (used.has(key)) {
+                    errors.push(`${where}: ${ModbusMap.TABLE_NAMES[table]} ${tag.modbus} is already used by ${used.get(key)}`);
+                }
+                used.set(key, where);
+            }
+        }
+        return errors;
+    }
+}
+
+// Tag group -> Modbus table
+ModbusMap.TABLES = { inputs: 'discreteInputs', outputs: 'coils', memory: 'coils', registers: 'holdingRegisters' };
+ModbusMap.TABLE_NAMES = { discreteInputs: 'discrete input', coils: 'coil', holdingRegisters: 'holding register' };
+
+export class ModbusSlave {
+    constructor(simulator, map) {
+        this.simulator = simulator;
+        this.map = map;
+    }
+
+    handleAdu(adu) {
+        // Modbus TCP frame: transaction id, protocol id 0, length and unit id,
+        // then the request. The reply keeps the transaction and unit ids
+        const pdu = this.handle(adu.subarray(7));
+        const reply = new Uint8Array(7 + pdu.length);
+        const view = new DataView(reply.buffer);
+        reply.set(adu.subarray(0, 2), 0);
+        view.setUint16(2, 0);
+        view.setUint16(4, pdu.length + 1);
+        reply[6] = adu[6];
+        reply.set(pdu, 7);
+        return reply;
+    }
+
+    handle(pdu) {
+        // One request in, its response out; a request that can't be served
+        // gets an exception response with the function code's high bit set
+        const code = pdu[0];
+        try {
+            return this.execute(pdu);
+        } catch (error) {
+            if (!(error instanceof ModbusException)) throw error;
+            return Uint8Array.of(code | 0x80, error.code);
+        }
+    }
+
+    execute(pdu) {
+        const view = new DataView(pdu.buffer, pdu.byteOffset, pdu.byteLength);
+        const word = (offset) => {
+            if (offset + 2 > pdu.length) {
+                throw new ModbusException(ModbusSlave.ILLEGAL_DATA_VALUE, 'Request is too short');
+            }
+            return view.getUint16(offset);
+        };
+        const code = pdu[0];
+
+        switch (code) {
+            case ModbusSlave.READ_COILS:
+            case ModbusSlave.READ_DISCRETE_INPUTS: {
+                const table = code === ModbusSlave.READ_COILS ? 'coils' : 'discreteInputs';
+                const tags = this.tagsIn(table, word(1), word(3), 2000);
+                const reply = new Uint8Array(2 + Math.ceil(tags.length / 8));
+                reply[0] = code;
+                reply[1] = reply.length - 2;
+                tags.forEach((tag, i) => {
+                    if (this.simulator.getPinState(tag.address)) reply[2 + (i >> 3)] |= 1 << (i & 7);
+                });
+                return reply;
+            }
+
+            case ModbusSlave.READ_HOLDING_REGISTERS: {
+                const tags = this.tagsIn('holdingRegisters', word(1), word(3), 125);
+                const reply = new Uint8Array(2 + tags.length * 2);
+                const replyView = new DataView(reply.buffer);
+                reply[0] = code;
+                reply[1] = tags.length * 2;
+                tags.forEach((tag, i) => replyView.setUint16(2 + i * 2, this.simulator.readWord(tag.address) & 0xFFFF));
+                return reply;
+            }
+
+            case ModbusSlave.WRITE_SINGLE_COIL: {
+                const [tag] = this.tagsIn('coils', word(1), 1, 1);
+                const value = word(3);
+                if (value !== 0xFF00 && value !== 0x0000) {
+                    throw new ModbusException(ModbusSlave.ILLEGAL_DATA_VALUE, 'A coil is written as FF00 or 0000');
+                }
+                this.simulator.setPinState(tag.address, value === 0xFF00);
+                return pdu.slice(0, 5);
+            }
+
+            case ModbusSlave.WRITE_SINGLE_REGISTER: {
+                const [tag] = this.tagsIn('holdingRegisters', word(1), 1, 1);
+                this.simulator.writeWord(tag.address, ModbusSlave.toSigned(word(3)));
+                return pdu.slice(0, 5);
+            }
+
+            case ModbusSlave.WRITE_MULTIPLE_COILS: {
+                const tags = this.tagsIn('coils', word(1), word(3), 1968);
+                this.checkByteCount(pdu, Math.ceil(tags.length / 8));
+                tags.forEach((tag, i) => this.simulator.setPinState(tag.address, Boolean(pdu[6 + (i >> 3)] & (1 << (i & 7)))));
+                return pdu.slice(0, 5);
+            }
+
+            case ModbusSlave.WRITE_MULTIPLE_REGISTERS: {
+                const tags = this.tagsIn('holdingRegisters', word(1), word(3), 123);
+                this.checkByteCount(pdu, tags.length * 2);
+                tags.forEach((tag, i) => this.simulator.writeWord(tag.address, ModbusSlave.toSigned(word(6 + i * 2))));
+                return pdu.slice(0, 5);
+            }
+        }
+        throw new ModbusException(ModbusSlave.ILLEGAL_FUNCTION, `Function code ${code} is not supported`);
+    }
+
+    tagsIn(table, start, quantity, maxQuantity) {
+        // Every address of the range must be mapped
+        if (quantity < 1 || quantity > maxQuantity) {
+            throw new ModbusException(ModbusSlave.ILLEGAL_DATA_VALUE, `Quantity must be 1 to ${maxQuantity}`);
+        }
+        const tags = [];
+        for (let address = start; address < start + quantity; address++) {
+            const tag = this.map.tagAt(table, address);
+            if (!tag) {
+                throw new ModbusException(ModbusSlave.ILLEGAL_DATA_ADDRESS,
+                    `No tag is mapped to ${ModbusMap.TABLE_NAMES[table]} ${address}`);
+            }
+            tags.push(tag);
+        }
+        return tags;
+    }
+
+    checkByteCount(pdu, expected) {
+        if (pdu[5] !== expected || pdu.length < 6 + expected) {
+            throw new ModbusException(ModbusSlave.ILLEGAL_DATA_VALUE, `Expected ${expected} bytes of values`);
+        }
+    }
+
+    static toSigned(value) {
+        // Registers hold 16-bit two's complement words
+        return value >= 0x8000 ? value - 0x10000 : value;
+    }
+}
+
+ModbusSlave.READ_COILS = 1;
+ModbusSlave.READ_DISCRETE_INPUTS = 2;
+ModbusSlave.READ_HOLDING_REGISTERS = 3;
+ModbusSlave.WRITE_SINGLE_COIL = 5;
+ModbusSlave.WRITE_SINGLE_REGISTER = 6;
+ModbusSlave.WRITE_MULTIPLE_COILS = 15;
+ModbusSlave.WRITE_MULTIPLE_REGISTERS = 16;
+
+// Exception codes
+ModbusSlave.ILLEGAL_FUNCTION = 1;
+ModbusSlave.ILLEGAL_DATA_ADDRESS = 2;
+ModbusSlave.ILLEGAL_DATA_VALUE = 3;
@@ -0,0 +1,421 @@
+/**
+ * Built-in Plant Models
+ * A conveyor, a tank, a traffic intersection and a garage door (see ladder-plant.js)
+ */
+
+import { PlantModel } from './ladder-plant.js';
+
+const COLORS = {
+    TEXT: '#9ca3af',
+    FRAME: '#64748b',
+    ON: '#22c55e',
+    OFF: '#374151',
+    BLOCKED: '#ef4444',
+    WATER: '#3b82f6',
+    BOX: '#b45309'
+};
+
+function drawLamp(ctx, x, y, radius, on, color = COLORS.ON) {
+    ctx.fillStyle = on ? color : COLORS.OFF;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+function drawLabel(ctx, text, x, y, align = 'left') {
+    ctx.fillStyle = COLORS.TEXT;
+    ctx.font = '11px Inter';
+    ctx.textAlign = align;
+    ctx.fillText(text, x, y);
+}
+
+export class ConveyorModel extends PlantModel {
+    reset() {
+        // Box positions are the leading edge as a fraction of the belt length
+        this.boxes = [];
+        this.feedTimer = ConveyorModel.FEED_INTERVAL;
+        this.delivered = 0;
+        this.running = false;
+    }
+
+    update(outputs, elapsed) {
+        this.running = outputs.Motor;
+        if (this.running) {
+            const travel = ConveyorModel.SPEED * elapsed / 1000;
+            this.boxes = this.boxes.map(x => x + travel);
+            this.delivered += this.boxes.filter(x => x - ConveyorModel.BOX > 1).length;
+            this.boxes = this.boxes.filter(x => x - ConveyorModel.BOX <= 1);
+        }
+
+        // The operator puts a box on the infeed every few seconds, if there's room
+        this.feedTimer += elapsed;
+        if (this.feedTimer >= ConveyorModel.FEED_INTERVAL && this.addBox()) {
+            this.feedTimer = 0;
+        }
+
+        return {
+            EntryEye: this.isBlocked(ConveyorModel.ENTRY_EYE),
+            ExitEye: this.isBlocked(ConveyorModel.EXIT_EYE)
+        };
+    }
+
+    addBox() {
+        // Boxes are loaded at least a box length apart
+        if (this.boxes.some(x => x - ConveyorModel.BOX < 2 * ConveyorModel.BOX)) return false;
+        this.boxes.push(ConveyorModel.BOX);
+        return true;
+    }
+
+    isBlocked(eye) {
+        return this.boxes.some(x => x - ConveyorModel.BOX <= eye && eye <= x);
+    }
+
+    click() {
+        this.addBox();
+    }
+
+    draw(ctx, width, height) {
+        const left = 40;
+        const length = width - 80;
+        const top = height / 2;
+        const toX = position => left + position * length;
+
+        // Belt and rollers
+        ctx.fillStyle = '#1f2937';
+        ctx.fillRect(left, top, length, 14);
+        ctx.strokeStyle = this.running ? COLORS.ON : COLORS.FRAME;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(left, top, length, 14);
+        for (const x of [left, left + length]) {
+            drawLamp(ctx, x, top + 7, 9, this.running);
+        }
+
+        // Boxes sit on the belt
+        ctx.fillStyle = COLORS.BOX;
+        for (const x of this.boxes) {
+            ctx.fillRect(toX(x - ConveyorModel.BOX), top - 30, ConveyorModel.BOX * length, 30);
+        }
+
+        // Photo-eyes shine across the belt just above it
+        for (const [name, eye] of [['Entry eye', ConveyorModel.ENTRY_EYE], ['Exit eye', ConveyorModel.EXIT_EYE]]) {
+            const x = toX(eye);
+            const blocked = this.isBlocked(eye);
+            ctx.strokeStyle = blocked ? COLORS.BLOCKED : COLORS.ON;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, top - 50);
+            ctx.lineTo(x, top - 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            drawLabel(ctx, `${name}${blocked ? ' (blocked)' : ''}`, x, top - 56, 'center');
+        }
+
+        drawLabel(ctx, `Motor ${this.running ? 'ON' : 'OFF'}`, left, height - 12);
+        drawLabel(ctx, `Delivered: ${this.delivered}`, left + length, height - 12, 'right');
+        this.drawFault(ctx, width);
+    }
+}
+
+ConveyorModel.NAME = 'Conveyor';
+ConveyorModel.DESCRIPTION = 'A belt carrying boxes past two photo-eyes. Boxes arrive every 4 s; click to add one';
+ConveyorModel.SIGNALS = [
+    { name: 'Motor', direction: 'output', address: 'O:0/0', description: 'Belt motor' },
+    { name: 'EntryEye', direction: 'input', address: 'I:0/0', description: 'Photo-eye near the infeed, on while a box blocks it' },
+    { name: 'ExitEye', direction: 'input', address: 'I:0/1', description: 'Photo-eye near the discharge, on while a box blocks it' }
+];
+ConveyorModel.SPEED = 0.2; // belt lengths per second
+ConveyorModel.BOX = 0.08; // belt lengths
+ConveyorModel.ENTRY_EYE = 0.15;
+ConveyorModel.EXIT_EYE = 0.85;
+ConveyorModel.FEED_INTERVAL = 4000; // ms
+
+export class TankModel extends PlantModel {
+    reset() {
+        this.level = 0; // percent
+        this.filling = false;
+        this.draining = false;
+    }
+
+    update(outputs, elapsed) {
+        this.filling = outputs.FillValve;
+        this.draining = outputs.DrainValve;
+
+        const seconds = elapsed / 1000;
+        let level = this.level;
+        if (this.filling) level += TankModel.FILL_RATE * seconds;
+        if (this.draining) level -= TankModel.DRAIN_RATE * seconds;
+        if (level > 100 && this.filling) {
+            this.fault = this.fault || 'Tank overflowed';
+        }
+        this.level = Math.min(100, Math.max(0, level));
+
+        return {
+            LowLevel: this.level >= TankModel.LOW_SWITCH,
+            HighLevel: this.level >= TankModel.HIGH_SWITCH,
+            Level: Math.floor(this.level)
+        };
+    }
+
+    draw(ctx, width, height) {
+        const tankWidth = 120;
+        const tankHeight = height - 60;
+        const left = (width - tankWidth) / 2;
+        const top = 30;
+        const levelY = percent => top + tankHeight * (1 - percent / 100);
+
+        // Inlet at the top left, outlet at the bottom right
+        ctx.strokeStyle = COLORS.FRAME;
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.moveTo(left - 80, top - 10);
+        ctx.lineTo(left + 20, top - 10);
+        ctx.lineTo(left + 20, top + 6);
+        ctx.moveTo(left + tankWidth, top + tankHeight - 10);
+        ctx.lineTo(left + tankWidth + 80, top + tankHeight - 10);
+        ctx.stroke();
+        drawLamp(ctx, left - 40, top - 10, 8, this.filling);
+        drawLabel(ctx, 'Fill valve', left - 40, top - 22, 'center');
+        drawLamp(ctx, left + tankWidth + 40, top + tankHeight - 10, 8, this.draining);
+        drawLabel(ctx, 'Drain valve', left + tankWidth + 40, top + tankHeight + 10, 'center');
+
+        // Contents and shell
+        ctx.fillStyle = COLORS.WATER;
+        ctx.fillRect(left, levelY(this.level), tankWidth, tankHeight * this.level / 100);
+        ctx.strokeStyle = COLORS.FRAME;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(left, top, tankWidth, tankHeight);
+
+        // Level switches on the left wall
+        for (const [name, percent] of [['High', TankModel.HIGH_SWITCH], ['Low', TankModel.LOW_SWITCH]]) {
+            drawLamp(ctx, left - 10, levelY(percent), 5, this.level >= percent);
+            drawLabel(ctx, `${name} ${percent}%`, left - 20, levelY(percent) + 4, 'right');
+        }
+        drawLabel(ctx, `${Math.floor(this.level)}%`, left + tankWidth / 2, top + tankHeight / 2, 'center');
+        this.drawFault(ctx, width);
+    }
+}
+
+TankModel.NAME = 'Tank';
+TankModel.DESCRIPTION = 'A tank with fill and drain valves, low and high level switches and a level transmitter';
+TankModel.SIGNALS = [
+    { name: 'FillValve', direction: 'output', address: 'O:0/0', description: 'Fill valve' },
+    { name: 'DrainValve', direction: 'output', address: 'O:0/1', description: 'Drain valve' },
+    { name: 'LowLevel', direction: 'input', address: 'I:0/0', description: 'Low level switch, on while the level is at or above 20%' },
+    { name: 'HighLevel', direction: 'input', address: 'I:0/1', description: 'High level switch, on while the level is at or above 80%' },
+    { name: 'Level', direction: 'input', address: 'N7:0', type: 'INT', description: 'Level in percent' }
+];
+TankModel.FILL_RATE = 10; // percent per second
+TankModel.DRAIN_RATE = 8; // percent per second
+TankModel.LOW_SWITCH = 20;
+TankModel.HIGH_SWITCH = 80;
+
+export class TrafficModel extends PlantModel {
+    reset() {
+        // Each direction has a queue of waiting cars that arrive on a fixed rhythm
+        this.directions = {};
+        for (const direction of TrafficModel.DIRECTIONS) {
+            this.directions[direction.name] = { waiting: 0, arrivalTimer: 0, departureTimer: 0, lights: {} };
+        }
+        this.passed = 0;
+    }
+
+    update(outputs, elapsed) {
+        const sensors = {};
+        for (const { name, arrivalInterval } of TrafficModel.DIRECTIONS) {
+            const state = this.directions[name];
+            state.lights = { red: outputs[`${name}Red`], yellow: outputs[`${name}Yellow`], green: outputs[`${name}Green`] };
+
+            state.arrivalTimer += elapsed;
+            if (state.arrivalTimer >= arrivalInterval) {
+                state.arrivalTimer -= arrivalInterval;
+                state.waiting = Math.min(TrafficModel.MAX_QUEUE, state.waiting + 1);
+            }
+
+            // On green, the queue drains one car at a time
+            if (state.lights.green && state.waiting > 0) {
+                state.departureTimer += elapsed;
+                if (state.departureTimer >= TrafficModel.DEPARTURE_INTERVAL) {
+                    state.departureTimer = 0;
+                    state.waiting--;
+                    this.passed++;
+                }
+            } else {
+                state.departureTimer = 0;
+            }
+            sensors[`${name}Waiting`] = state.waiting > 0;
+        }
+
+        const moving = name => this.directions[name].lights.green || this.directions[name].lights.yellow;
+        if (moving('NS') && moving('EW')) {
+            this.fault = this.fault || 'Both directions have right of way';
+        }
+        return sensors;
+    }
+
+    click(x, y, width) {
+        // The north-south road runs down the middle of the view
+        const name = Math.abs(x - width / 2) < TrafficModel.ROAD_WIDTH / 2 ? 'NS' : 'EW';
+        const state = this.directions[name];
+        state.waiting = Math.min(TrafficModel.MAX_QUEUE, state.waiting + 1);
+    }
+
+    draw(ctx, width, height) {
+        const road = TrafficModel.ROAD_WIDTH;
+        const centerX = width / 2;
+        const centerY = height / 2;
+
+        ctx.fillStyle = '#1f2937';
+        ctx.fillRect(centerX - road / 2, 0, road, height);
+        ctx.fillRect(0, centerY - road / 2, width, road);
+
+        // Queues: north-south cars wait below the junction, east-west cars to its left
+        ctx.fillStyle = COLORS.BOX;
+        for (let i = 0; i < this.directions.NS.waiting; i++) {
+            ctx.fillRect(centerX + 4, centerY + road / 2 + 6 + i * 16, 12, 12);
+        }
+        for (let i = 0; i < this.directions.EW.waiting; i++) {
+            ctx.fillRect(centerX - road / 2 - 18 - i * 16, centerY + 4, 12, 12);
+        }
+
+        // Signal heads at the stop lines
+        const drawHead = (x, y, lights) => {
+            ctx.fillStyle = '#111827';
+            ctx.fillRect(x - 9, y - 27, 18, 54);
+            drawLamp(ctx, x, y - 16, 6, lights.red, '#ef4444');
+            drawLamp(ctx, x, y, 6, lights.yellow, '#eab308');
+            drawLamp(ctx, x, y + 16, 6, lights.green, COLORS.ON);
+        };
+        drawHead(centerX + road / 2 + 20, centerY + road / 2 + 30, this.directions.NS.lights);
+        drawHead(centerX - road / 2 - 20, centerY - road / 2 - 30, this.directions.EW.lights);
+        drawLabel(ctx, 'N-S', centerX + road / 2 + 36, centerY + road / 2 + 34);
+        drawLabel(ctx, 'E-W', centerX - road / 2 - 36, centerY - road / 2 - 26, 'right');
+
+        drawLabel(ctx, `Cars through: ${this.passed}`, width - 10, height - 10, 'right');
+        this.drawFault(ctx, width);
+    }
+}
+
+TrafficModel.NAME = 'Traffic intersection';
+TrafficModel.DESCRIPTION = 'Two crossing roads with red, yellow and green lights and car detectors. Click a road to add a car';
+TrafficModel.SIGNALS = [
+    { name: 'NSRed', direction: 'output', address: 'O:0/0', description: 'North-south red' },
+    { name: 'NSYellow', direction: 'output', address: 'O:0/1', description: 'North-south yellow' },
+    { name: 'NSGreen', direction: 'output', address: 'O:0/2', description: 'North-south green' },
+    { name: 'EWRed', direction: 'output', address: 'O:0/3', description: 'East-west red' },
+    { name: 'EWYellow', direction: 'output', address: 'O:0/4', description: 'East-west yellow' },
+    { name: 'EWGreen', direction: 'output', address: 'O:0/5', description: 'East-west green' },
+    { name: 'NSWaiting', direction: 'input', address: 'I:0/0', description: 'North-south car detector, on while a car waits' },
+    { name: 'EWWaiting', direction: 'input', address: 'I:0/1', description: 'East-west car detector, on while a car waits' }
+];
+TrafficModel.DIRECTIONS = [
+    { name: 'NS', arrivalInterval: 3000 },
+    { name: 'EW', arrivalInterval: 5000 }
+];
+TrafficModel.DEPARTURE_INTERVAL = 1500; // ms per car on green
+TrafficModel.MAX_QUEUE = 8;
+TrafficModel.ROAD_WIDTH = 60; // px
+
+export class GarageDoorModel extends PlantModel {
+    reset() {
+        this.position = 0; // 0 closed, 1 fully open
+        this.obstructed = false;
+        this.light = false;
+        this.motor = null;
+    }
+
+    update(outputs, elapsed) {
+        this.light = outputs.Light;
+        this.motor = outputs.OpenMotor ? 'opening' : outputs.CloseMotor ? 'closing' : null;
+
+        if (outputs.OpenMotor && outputs.CloseMotor) {
+            this.fault = this.fault || 'Open and close motors on together';
+            this.motor = null;
+        } else if (this.fault) {
+            // A damaged door stays where it is until the plant is reset
+        } else if (this.motor) {
+            const travel = elapsed / GarageDoorModel.TRAVEL_TIME;
+            const position = this.position + (this.motor === 'opening' ? travel : -travel);
+            if (this.motor === 'closing' && this.obstructed && position < GarageDoorModel.OBSTRUCTION_HEIGHT) {
+                this.position = GarageDoorModel.OBSTRUCTION_HEIGHT;
+                this.fault = 'Door closed on an obstruction';
+            } else {
+                this.position = Math.min(1, Math.max(0, position));
+            }
+        }
+
+        return {
+            OpenLimit: this.position >= 1,
+            ClosedLimit: this.position <= 0,
+            Obstruction: this.obstructed
+        };
+    }
+
+    click() {
+        // Something walks into, or out of, the doorway
+        this.obstructed = !this.obstructed;
+    }
+
+    draw(ctx, width, height) {
+        const doorWidth = 200;
+        const doorHeight = height - 50;
+        const left = (width - doorWidth) / 2;
+        const top = 30;
+
+        // Opening, then the door rolled down from the top
+        ctx.fillStyle = '#0f172a';
+        ctx.fillRect(left, top, doorWidth, doorHeight);
+        const closed = doorHeight * (1 - this.position);
+        ctx.fillStyle = '#475569';
+        ctx.fillRect(left, top, doorWidth, closed);
+        ctx.strokeStyle = '#334155';
+        ctx.lineWidth = 1;
+        for (let y = top + 16; y < top + closed; y += 16) {
+            ctx.beginPath();
+            ctx.moveTo(left, y + 0.5);
+            ctx.lineTo(left + doorWidth, y + 0.5);
+            ctx.stroke();
+        }
+        ctx.strokeStyle = COLORS.FRAME;
+        ctx.lineWidth = 3;
+        ctx.strokeRect(left, top, doorWidth, doorHeight);
+
+        // Photo-eye across the bottom of the opening, and whatever blocks it
+        const beamY = top + doorHeight - 8;
+        ctx.strokeStyle = this.obstructed ? COLORS.BLOCKED : COLORS.ON;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(left, beamY);
+        ctx.lineTo(left + doorWidth, beamY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        if (this.obstructed) {
+            ctx.fillStyle = COLORS.BOX;
+            ctx.fillRect(left + doorWidth / 2 - 15, top + doorHeight - 30, 30, 30);
+        }
+
+        drawLamp(ctx, left + doorWidth / 2, top - 12, 7, this.light, '#fde047');
+        drawLamp(ctx, left + doorWidth + 20, top + 8, 5, this.position >= 1);
+        drawLabel(ctx, 'Open limit', left + doorWidth + 30, top + 12);
+        drawLamp(ctx, left + doorWidth + 20, top + doorHeight - 8, 5, this.position <= 0);
+        drawLabel(ctx, 'Closed limit', left + doorWidth + 30, top + doorHeight - 4);
+        drawLabel(ctx, this.motor ? `Motor ${this.motor}` : 'Motor stopped', left, height - 6);
+        drawLabel(ctx, 'Click to block the doorway', left + doorWidth, height - 6, 'right');
+        this.drawFault(ctx, width);
+    }
+}
+
+GarageDoorModel.NAME = 'Garage door';
+GarageDoorModel.DESCRIPTION = 'A motorised door with open and closed limit switches and a safety photo-eye. Click to block the doorway';
+GarageDoorModel.SIGNALS = [
+    { name: 'OpenMotor', direction: 'output', address: 'O:0/0', description: 'Motor, opening direction' },
+    { name: 'CloseMotor', direction: 'output', address: 'O:0/1', description: 'Motor, closing direction' },
+    { name: 'Light', direction: 'output', address: 'O:0/2', description: 'Courtesy light' },
+    { name: 'OpenLimit', direction: 'input', address: 'I:0/0', description: 'Open limit switch, on while the door is fully open' },
+    { name: 'ClosedLimit', direction: 'input', address: 'I:0/1', description: 'Closed limit switch, on while the door is fully closed' },
+    { name: 'Obstruction', direction: 'input', address: 'I:0/2', description: 'Safety photo-eye, on while something blocks the doorway' }
+];
+GarageDoorModel.TRAVEL_TIME = 6000; // ms from closed to open
+GarageDoorModel.OBSTRUCTION_HEIGHT = 0.15; // the door touches an obstruction below this position
+
+// Models offered in the plant picker, in menu order
+export const PLANT_MODELS = [ConveyorModel, TankModel, TrafficModel, GarageDoorModel];
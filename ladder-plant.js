@@ -0,0 +1,160 @@
+/**
+ * Plant Models
+ * Virtual machines wired to the simulator's I/O, so a program can be run against a process
+ *
+ * Writing a model
+ *
+ * A model is a subclass of PlantModel. It declares its wiring and implements
+ * the process; the host does the I/O:
+ *
+ *   static NAME, DESCRIPTION   Shown in the model picker
+ *   static SIGNALS             The wiring, as [{ name, direction, address, type, description }]
+ *       direction  'output': a PLC output the model reads, such as a motor or valve
+ *                  'input': a PLC input the model writes, such as a limit switch
+ *       address    Default address or tag name; new MyModel({ Motor: 'O:0/3' }) rewires it
+ *       type       'BOOL' (the default) or 'INT' for an N7 register
+ *
+ *   reset()                      Put the process back in its initial state
+ *   update(outputs, elapsed)     Advance the process by elapsed ms, given the PLC outputs
+ *                                as { name: value }, and return the sensors as { name: value }
+ *   draw(ctx, width, height)     Draw the process on a 2D canvas context
+ *   click(x, y, width, height)   Optional: the user clicked the view
+ *
+ * The host calls update after every scan, with the time the scan covered, so
+ * sensor changes reach the program on its next scan like a real input image.
+ * On the page the host runs in the scan engine's worker, next to the scan
+ * loop, and the page draws its own copy of the model from getState(); keep the
+ * process in plain data fields so it can be copied. Models only
+ * see signal names, never addresses, and must not use Math.random or the clock: the same
+ * outputs must always give the same process, so scenarios stay repeatable.
+ * Set this.fault to a message when the program drives the process into a bad
+ * state (the host keeps it until reset). Add the class to PLANT_MODELS in
+ * ladder-plant-models.js to offer it in the UI.
+ */
+
+export class PlantModel {
+    constructor(wiring = {}) {
+        // Signal name -> address, starting from the declared defaults
+        this.addresses = {};
+        for (const signal of this.constructor.SIGNALS) {
+            this.addresses[signal.name] = wiring[signal.name] || signal.address;
+        }
+        this.fault = null;
+        this.reset();
+    }
+
+    get signals() {
+        return this.constructor.SIGNALS.map(signal => ({
+            type: 'BOOL',
+            ...signal,
+            address: this.addresses[signal.name]
+        }));
+    }
+
+    reset() {}
+
+    update(outputs, elapsed) {
+        return {};
+    }
+
+    draw(ctx, width, height) {}
+
+    click(x, y, width, height) {}
+
+    getState() {
+        // Everything but the wiring, which the copy being drawn already has
+        const { addresses, ...state } = this;
+        return state;
+    }
+
+    setState(state) {
+        Object.assign(this, state);
+    }
+
+    drawFault(ctx, width) {
+        // Shared banner for models that report a fault
+        if (!this.fault) return;
+        ctx.fillStyle = 'rgba(220, 38, 38, 0.85)';
+        ctx.fillRect(0, 0, width, 22);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 12px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.fault, width / 2, 15);
+    }
+}
+
+PlantModel.NAME = 'Plant';
+PlantModel.DESCRIPTION = '';
+PlantModel.SIGNALS = [];
+
+export class PlantHost {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.model = null;
+    }
+
+    setModel(model) {
+        this.model = model;
+        this.reset();
+    }
+
+    reset() {
+        // The process starts over and its sensors are written before the first scan
+        if (!this.model) return;
+        this.model.reset();
+        this.model.fault = null;
+        this.writeInputs(this.model.update(this.readOutputs(), 0));
+    }
+
+    step() {
+        // Called after every scan with the time it covered
+        if (!this.model) return;
+        this.writeInputs(this.model.update(this.readOutputs(), this.simulator.scanDelta));
+    }
+
+    click(x, y, width, height) {
+        // Clicks change the process, so its sensors are written straight away
+        if (!this.model) return;
+        this.model.click(x, y, width, height);
+        this.writeInputs(this.model.update(this.readOutputs(), 0));
+    }
+
+    drives(address) {
+        // Whether the model writes this input, so the switch in the pin list has no effect
+        return Boolean(this.model) && this.model.signals.some(signal => signal.direction === 'input' &&
+            this.simulator.ladderData.resolveAddress(signal.address) === address);
+    }
+
+    readOutputs() {
+        const outputs = {};
+        for (const signal of this.model.signals) {
+            if (signal.direction !== 'output') continue;
+            outputs[signal.name] = signal.type === 'INT'
+                ? this.simulator.readWord(signal.address)
+                : this.simulator.getPinState(signal.address);
+        }
+        return outputs;
+    }
+
+    writeInputs(values) {
+        for (const signal of this.model.signals) {
+            if (signal.direction !== 'input' || !(signal.name in values)) continue;
+            if (signal.type === 'INT') {
+                this.simulator.writeWord(signal.address, values[signal.name]);
+            } else {
+                this.simulator.setPinState(signal.address, Boolean(values[signal.name]));
+            }
+        }
+    }
+
+    missingTags() {
+        // Signals wired to addresses the tag database doesn't have yet
+        const ladderData = this.simulator.ladderData;
+        const pins = ladderData.pins;
+        const known = new Set([...pins.inputs, ...pins.outputs, ...(pins.memory || []), ...(pins.registers || [])]
+            .map(pin => pin.address));
+        return this.model
+            ? this.model.signals.filter(signal => !known.has(ladderData.resolveAddress(signal.address)))
+            : [];
+    }
+}
@@ -0,0 +1,754 @@
+/**
+ * Ladder PLCopen XML
+ * Imports and exports LD bodies in the PLCopen TC6 XML exchange format
+ */
+
+import { LadderData } from './ladder-data.js';
+import { LadderExporter } from './ladder-exporter.js';
+import { ProjectValidationError } from './ladder-project.js';
+
+export class LadderPlcOpen {
+    constructor(ladderData, options = {}) {
+        this.ladderData = ladderData;
+        this.report = [];
+        // Anything with DOMParser's parseFromString; Node has no DOMParser of its own
+        this.createParser = options.createParser || LadderPlcOpen.createParser;
+    }
+
+    static createParser() {
+        return new DOMParser();
+    }
+
+    // Export
+
+    toXml(programName = 'LadderProgram') {
+        this.report = [];
+        this.nextId = 1;
+
+        // The IEC exporter owns identifier naming so ST, IL and XML agree
+        this.names = new LadderExporter(this.ladderData, programName);
+        this.names.prepare();
+
+        // Like the ST export, only the main routine becomes the program body
+        const [main, ...subroutines] = this.ladderData.routines;
+        if (subroutines.length > 0) {
+            this.report.push(`Only the ${main.name} routine was exported; ${subroutines.map(r => r.name).join(', ')} left out`);
+        }
+
+        const body = [];
+        let top = 0;
+        main.rungs.forEach((rung, index) => {
+            body.push(...this.exportRung(rung, index, top));
+            const rows = Math.max(...rung.branches.map(b => b.row)) + 1;
+            top += rows * LadderPlcOpen.ROW_HEIGHT + LadderPlcOpen.RUNG_GAP;
+        });
+        this.report.push(...this.names.warnings);
+
+        const variables = [...this.names.declared.values()].map(variable => this.exportVariable(variable));
+        const xhtml = 'http://www.w3.org/1999/xhtml';
+
+        return [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            `<project xmlns="${LadderPlcOpen.NAMESPACE}" xmlns:xhtml="${xhtml}">`,
+            `  <fileHeader companyName="" productName="PLC Ladder Simulator" productVersion="1" creationDateTime="${new Date().toISOString().slice(0, 19)}"/>`,
+            `  <contentHeader name="${LadderPlcOpen.escape(programName)}">`,
+            '    <coordinateInfo>',
+            '      <fbd><scaling x="1" y="1"/></fbd>',
+            '      <ld><scaling x="1" y="1"/></ld>',
+            '      <sfc><scaling x="1" y="1"/></sfc>',
+            '    </coordinateInfo>',
+            '  </contentHeader>',
+            '  <types>',
+            '    <dataTypes/>',
+            '    <pous>',
+            `      <pou name="${LadderPlcOpen.escape(programName)}" pouType="program">`,
+            '        <interface>',
+            '          <localVars>',
+            ...variables.map(line => `            ${line}`),
+            '          </localVars>',
+            '        </interface>',
+            '        <body>',
+            '          <LD>',
+            ...body.map(line => `            ${line}`),
+            '          </LD>',
+            '        </body>',
+            '      </pou>',
+            '    </pous>',
+            '  </types>',
+            '  <instances>',
+            '    <configurations/>',
+            '  </instances>',
+            '</project>',
+            ''
+        ].join('\n');
+    }
+
+    exportVariable({ name, type, location, comment, initial }) {
+        const address = location ? ` address="${location}"` : '';
+        const dataType = LadderPlcOpen.ELEMENTARY_TYPES.includes(type) ? `<${type}/>` : `<derived name="${type}"/>`;
+        const initialValue = initial ? `<initialValue><simpleValue value="${initial}"/></initialValue>` : '';
+        const documentation = comment ?
+            `<documentation><xhtml:p>${LadderPlcOpen.escape(comment)}</xhtml:p></documentation>` : '';
+        return `<variable name="${LadderPlcOpen.escape(name)}"${address}><type>${dataType}</type>${initialValue}${documentation}</variable>`;
+    }
+
+    exportRung(rung, rungIndex, top) {
+        // Walks the rung like the simulator, tracking which elements drive each
+        // net. Empty cells and box instructions pass their input net straight on
+        const netOf = this.ladderData.buildNetwork(rung);
+        const branches = [...rung.branches].sort((a, b) => a.row - b.row);
+        const root = branches.find(b => b.parent_branch_id === null);
+        const lines = [];
+        const height = (Math.max(...branches.map(b => b.row)) + 1) * LadderPlcOpen.ROW_HEIGHT;
+
+        const leftRail = this.nextId++;
+        lines.push(`<leftPowerRail localId="${leftRail}" height="${height}" width="10">`,
+            `  <position x="0" y="${top}"/>`,
+            '  <connectionPointOut formalParameter=""/>',
+            '</leftPowerRail>');
+
+        const sources = new Map([[netOf(root, root.start_col), [leftRail]]]);
+        const addSources = (net, ids) => sources.set(net, [...(sources.get(net) || []), ...ids]);
+        const lastCol = Math.max(...branches.map(b => b.end_col));
+
+        for (let col = 0; col <= lastCol; col++) {
+            for (const branch of branches) {
+                if (col < branch.start_col || col > branch.end_col) continue;
+
+                const inputs = sources.get(netOf(branch, col)) || [];
+                const next = netOf(branch, col + 1);
+                const component = branch.components.find(c => c.col === col);
+                if (!component) {
+                    addSources(next, inputs);
+                    continue;
+                }
+
+                const position = {
+                    x: LadderPlcOpen.LEFT_MARGIN + col * LadderPlcOpen.CELL_WIDTH,
+                    y: top + branch.row * LadderPlcOpen.ROW_HEIGHT
+                };
+                const where = `rung ${rungIndex}, row ${branch.row}, column ${col + 1}`;
+                const id = this.exportElement(component, inputs, position, lines, where);
+                addSources(next, id !== null ? [id] : inputs);
+            }
+        }
+
+        const rightX = LadderPlcOpen.LEFT_MARGIN + LadderData.COLS * LadderPlcOpen.CELL_WIDTH;
+        lines.push(`<rightPowerRail localId="${this.nextId++}" height="${height}" width="10">`,
+            `  <position x="${rightX}" y="${top}"/>`,
+            ...LadderPlcOpen.connectionPointIn(sources.get(netOf(root, root.end_col + 1)) || [], '  '),
+            '</rightPowerRail>');
+
+        return lines;
+    }
+
+    exportElement(component, inputs, position, lines, where) {
+        // Returns the id of the element that drives the next cell, or null when
+        // the instruction is a box that passes its input power through
+        const { x, y } = position;
+        const id = this.nextId++;
+        const connection = LadderPlcOpen.connectionPointIn(inputs, '  ');
+
+        if (LadderData.CONTACT_TYPES.includes(component.type) || LadderData.EDGE_CONTACT_TYPES.includes(component.type)) {
+            const edge = { POS: ' edge="rising"', NEG: ' edge="falling"' }[component.type] || '';
+            lines.push(`<contact localId="${id}" negated="${component.type === 'NC'}"${edge} height="20" width="21">`,
+                `  <position x="${x}" y="${y}"/>`,
+                ...connection,
+                '  <connectionPointOut/>',
+                `  <variable>${LadderPlcOpen.escape(this.contactVariable(component, where))}</variable>`,
+                '</contact>');
+            return id;
+        }
+
+        // Word instructions would need ST or FBD networks; the path is kept as a plain wire
+        if (LadderData.COMPARE_TYPES.includes(component.type) || LadderExporter.isWordOutput(component)) {
+            this.report.push(`${component.type} at ${where} has no LD equivalent and was exported as a wire`);
+            return null;
+        }
+
+        // One-shots and subroutine instructions have no LD element; the path is kept as a plain wire
+        if (LadderData.ONE_SHOT_TYPES.includes(component.type) || LadderData.ROUTINE_TYPES.includes(component.type)) {
+            this.report.push(`${component.type} at ${where} has no LD equivalent and was exported as a wire`);
+            return null;
+        }
+
+        if (!component.address) {
+            this.report.push(`${component.type} at ${where} has no address and was not exported`);
+            return null;
+        }
+
+        const name = this.names.nameOf(component.address);
+        if (LadderData.COIL_TYPES.includes(component.type) ||
+            (component.type === 'RES' && this.names.resetFlags.has(component.address))) {
+            const storage = { OTL: 'set', OTU: 'reset' }[component.type] || 'none';
+            const variable = component.type === 'RES' ? this.names.resetFlags.get(component.address) : name;
+            lines.push(`<coil localId="${id}" negated="false" storage="${storage}" height="20" width="21">`,
+                `  <position x="${x}" y="${y}"/>`,
+                ...connection,
+                '  <connectionPointOut/>',
+                `  <variable>${LadderPlcOpen.escape(variable)}</variable>`,
+                '</coil>');
+            return id;
+        }
+
+        const block = LadderPlcOpen.BLOCKS[component.type];
+        if (!block) {
+            this.report.push(`${component.type} ${component.address} at ${where} has no PLCopen equivalent and was not exported`);
+            return null;
+        }
+
+        // Preset and reset inputs come from variable elements left of the box
+        const presetId = this.nextId++;
+        const preset = component.type in LadderPlcOpen.TIMER_BLOCKS ?
+            LadderExporter.toTime(component.preset) : String(Number(component.preset) || 0);
+        lines.push(`<inVariable localId="${presetId}" height="20" width="60">`,
+            `  <position x="${x - LadderPlcOpen.CELL_WIDTH}" y="${y + 30}"/>`,
+            '  <connectionPointOut/>',
+            `  <expression>${preset}</expression>`,
+            '</inVariable>');
+
+        const inputVariables = [[block.input, inputs], [block.preset, [presetId]]];
+        const resetFlag = this.names.resetFlags.get(component.address);
+        if (block.reset && resetFlag) {
+            const resetId = this.nextId++;
+            lines.push(`<inVariable localId="${resetId}" height="20" width="60">`,
+                `  <position x="${x - LadderPlcOpen.CELL_WIDTH}" y="${y + 60}"/>`,
+                '  <connectionPointOut/>',
+                `  <expression>${LadderPlcOpen.escape(resetFlag)}</expression>`,
+                '</inVariable>');
+            inputVariables.push([block.reset, [resetId]]);
+        }
+
+        lines.push(`<block localId="${id}" typeName="${component.type}" instanceName="${LadderPlcOpen.escape(name)}" height="80" width="60">`,
+            `  <position x="${x}" y="${y}"/>`,
+            '  <inputVariables>',
+            ...inputVariables.flatMap(([formal, ids]) => [
+                `    <variable formalParameter="${formal}">`,
+                ...LadderPlcOpen.connectionPointIn(ids, '      '),
+                '    </variable>'
+            ]),
+            '  </inputVariables>',
+            '  <inOutVariables/>',
+            '  <outputVariables>',
+            ...block.outputs.map(formal => `    <variable formalParameter="${formal}"><connectionPointOut/></variable>`),
+            '  </outputVariables>',
+            '</block>');
+        return null;
+    }
+
+    contactVariable(component, where) {
+        if (!component.address) {
+            this.report.push(`${component.type} contact at ${where} has no address and was exported as FALSE`);
+            return 'FALSE';
+        }
+
+        const expr = this.names.bitExpr(component.address);
+        if (expr.op === 'var' || expr.op === 'const') {
+            return LadderExporter.toST(expr);
+        }
+        this.report.push(`${component.address} at ${where} has no single PLCopen variable; exported as ${LadderExporter.toST(expr)}`);
+        return LadderExporter.toST(expr);
+    }
+
+    static connectionPointIn(ids, indent) {
+        if (ids.length === 0) return [`${indent}<connectionPointIn/>`];
+        return [
+            `${indent}<connectionPointIn>`,
+            ...ids.map(id => `${indent}  <connection refLocalId="${id}"/>`),
+            `${indent}</connectionPointIn>`
+        ];
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Import
+
+    fromXml(text) {
+        // Returns { rungs, pins } for LadderData.fromJSON. Everything that cannot
+        // be represented is listed in this.report
+        this.report = [];
+        // Browsers report bad XML as a parsererror element, other parsers may throw
+        let doc;
+        try {
+            doc = this.createParser().parseFromString(text, 'application/xml');
+        } catch (error) {
+            throw new ProjectValidationError([`Not valid XML: ${error.message}`]);
+        }
+        const error = doc.getElementsByTagName('parsererror')[0];
+        if (error || !doc.documentElement || doc.documentElement.localName !== 'project') {
+            throw new ProjectValidationError([error ? `Not valid XML: ${error.textContent.trim()}` : 'Not a PLCopen project']);
+        }
+
+        this.builder = new LadderData();
+        this.builder.rungs = [];
+        this.builder.nextRungId = 0;
+        this.pins = JSON.parse(JSON.stringify(this.ladderData.pins));
+        this.variables = new Map(); // name -> direct address
+        this.instances = new Map(); // instance name -> { type, address }
+        this.resolved = new Map();
+
+        const rungs = [];
+        const pous = LadderPlcOpen.descendants(doc.documentElement, 'pou');
+        for (const pou of pous) {
+            const name = pou.getAttribute('name');
+            const body = LadderPlcOpen.child(pou, 'body');
+            const ld = body && LadderPlcOpen.child(body, 'LD');
+            if (!ld) {
+                const language = body && LadderPlcOpen.elements(body)[0];
+                this.report.push(`POU ${name}: ${language ? language.localName : 'empty'} body is not ladder logic and was skipped`);
+                continue;
+            }
+            if (rungs.length > 0) {
+                this.report.push(`POU ${name}: appended after the rungs of the previous POU`);
+            }
+
+            this.readInterface(pou);
+            rungs.push(...this.importBody(ld, name));
+        }
+
+        if (pous.length === 0) {
+            this.report.push('The file contains no POUs');
+        }
+        return { rungs, pins: this.pins };
+    }
+
+    readInterface(pou) {
+        const iface = LadderPlcOpen.child(pou, 'interface');
+        if (!iface) return;
+
+        for (const variable of LadderPlcOpen.descendants(iface, 'variable')) {
+            const name = variable.getAttribute('name');
+            const type = LadderPlcOpen.child(variable, 'type');
+            const dataType = type && LadderPlcOpen.elements(type)[0];
+            const typeName = dataType && (dataType.getAttribute('name') || dataType.localName);
+            const address = LadderPlcOpen.fromDirectAddress(variable.getAttribute('address'));
+
+            if (LadderPlcOpen.BLOCKS[typeName]) {
+                this.instanceAddress(name, typeName);
+            } else if (address) {
+                this.variables.set(name, address);
+                this.addPin(name, address, LadderPlcOpen.text(LadderPlcOpen.descendants(variable, 'documentation')[0]));
+            } else if (variable.getAttribute('address')) {
+                this.report.push(`Variable ${name}: address ${variable.getAttribute('address')} is not a bit address; kept as an internal bit`);
+            }
+        }
+    }
+
+    addPin(name, address, label) {
+        // Direct addresses that are not yet in the pin list become new pins
+        const group = address.startsWith('I:') ? 'inputs' : address.startsWith('O:') ? 'outputs' : 'memory';
+        const pins = this.pins[group];
+        if (!pins.some(pin => pin.address === address)) {
+            pins.push({ id: name, label: label || name, address });
+            this.report.push(`Added ${group === 'memory' ? 'memory bit' : group.slice(0, -1)} ${address} for variable ${name}`);
+        }
+    }
+
+    instanceAddress(name, type) {
+        // Keep T4_3 style names from our own exports, otherwise use the next free element
+        if (!this.instances.has(name)) {
+            const file = LadderData.TIMER_TYPES.includes(type) ? 'T4' : 'C5';
+            const match = new RegExp(`^${file}_(\\d+)$`).exec(name);
+            const used = new Set([...this.instances.values()].map(instance => instance.address));
+            let address = match ? `${file}:${match[1]}` : null;
+            for (let i = 0; !address || used.has(address); i++) {
+                address = `${file}:${i}`;
+            }
+            this.instances.set(name, { type, address });
+        }
+        return this.instances.get(name).address;
+    }
+
+    importBody(ld, pouName) {
+        this.elements = new Map();
+        this.trees = new Map();
+        this.visiting = new Set();
+        this.used = new Set();
+        this.resetCoils = new Map(); // variable -> counter address
+
+        const outputs = [];
+        for (const element of LadderPlcOpen.elements(ld)) {
+            const id = element.getAttribute('localId');
+            this.elements.set(id, element);
+
+            const kind = element.localName;
+            const type = element.getAttribute('typeName');
+            if (kind === 'block' && LadderPlcOpen.BLOCKS[type]) {
+                this.instanceAddress(element.getAttribute('instanceName') || `block${id}`, type);
+            } else if (!LadderPlcOpen.IMPORTED_ELEMENTS.includes(kind)) {
+                const name = type ? `${kind} ${type}` : kind;
+                this.report.push(`${pouName}: ${name} (localId ${id}) is not supported and was skipped`);
+            }
+        }
+
+        // A reset input fed by a plain variable means coils on that variable act as RES
+        for (const element of this.elements.values()) {
+            const block = element.localName === 'block' && LadderPlcOpen.BLOCKS[element.getAttribute('typeName')];
+            const reset = block && block.reset && this.resetInput(element, block);
+            const variable = reset && this.constantInput(reset);
+            if (variable && !/^(TRUE|FALSE)$/i.test(variable)) {
+                const name = element.getAttribute('instanceName') || `block${element.getAttribute('localId')}`;
+                this.resetCoils.set(variable, this.instanceAddress(name, element.getAttribute('typeName')));
+            }
+        }
+
+        for (const element of this.elements.values()) {
+            const position = LadderPlcOpen.position(element);
+            if (element.localName === 'coil') {
+                const component = this.importCoil(element);
+                if (component) {
+                    outputs.push({ ...position, tree: this.inputTree(element), component });
+                }
+            } else if (element.localName === 'block') {
+                outputs.push(...this.importBlock(element).map(output => ({ ...position, ...output })));
+            }
+        }
+        outputs.sort((a, b) => a.y - b.y || a.x - b.x);
+
+        // Outputs in a row that share the same condition stay on one rung
+        const rungs = [];
+        const groups = [];
+        for (const output of outputs) {
+            if (!output.tree) {
+                this.report.push(`${pouName}: ${output.component.type} ${output.component.address} is not connected to the left rail and was skipped`);
+                continue;
+            }
+            const last = groups[groups.length - 1];
+            const key = JSON.stringify(output.tree);
+            if (last && last.key === key) {
+                last.outputs.push(output);
+            } else {
+                groups.push({ key, tree: output.tree, outputs: [output] });
+            }
+        }
+
+        for (const group of groups) {
+            const components = group.outputs.map(output => ({ kind: 'element', component: output.component }));
+            const tree = LadderPlcOpen.series([group.tree, LadderPlcOpen.parallel(components)]);
+            const rung = this.builder.buildRungFromTree(tree);
+            if (rung) {
+                rungs.push(rung);
+            } else {
+                const names = group.outputs.map(output => output.component.address).join(', ');
+                this.report.push(`${pouName}: the rung driving ${names} is wider than ${LadderData.COLS} cells and was skipped`);
+            }
+        }
+
+        for (const [id, element] of this.elements) {
+            if (element.localName === 'contact' && !this.used.has(id)) {
+                this.report.push(`${pouName}: contact ${LadderPlcOpen.text(LadderPlcOpen.child(element, 'variable'))} (localId ${id}) does not drive any output and was skipped`);
+            }
+        }
+        return rungs;
+    }
+
+    importCoil(element) {
+        const variable = LadderPlcOpen.text(LadderPlcOpen.child(element, 'variable'));
+        if (element.getAttribute('negated') === 'true') {
+            this.report.push(`Negated coil ${variable} is not supported and was skipped`);
+            return null;
+        }
+
+        const storage = element.getAttribute('storage') || 'none';
+        if (storage === 'none' && this.resetCoils.has(variable)) {
+            return { type: 'RES', address: this.resetCoils.get(variable), label: '' };
+        }
+        const type = { none: 'OUT', set: 'OTL', reset: 'OTU' }[storage];
+        if (!type) {
+            this.report.push(`Coil ${variable}: storage "${storage}" is not supported and was skipped`);
+            return null;
+        }
+        return { type, address: this.resolveBit(variable), label: '' };
+    }
+
+    importBlock(element) {
+        const type = element.getAttribute('typeName');
+        const block = LadderPlcOpen.BLOCKS[type];
+        if (!block) return [];
+
+        const id = element.getAttribute('localId');
+        const address = this.instanceAddress(element.getAttribute('instanceName') || `block${id}`, type);
+        const inputs = new Map(LadderPlcOpen.descendants(LadderPlcOpen.child(element, 'inputVariables'), 'variable')
+            .map(variable => [variable.getAttribute('formalParameter'), variable]));
+
+        const presetSource = this.constantInput(inputs.get(block.preset));
+        let preset = 0;
+        if (presetSource === null) {
+            this.report.push(`${type} ${address}: ${block.preset} is not a constant and was set to 0`);
+        } else {
+            preset = type in LadderPlcOpen.TIMER_BLOCKS ? LadderPlcOpen.parseTime(presetSource) : parseInt(presetSource, 10);
+            if (!Number.isFinite(preset)) {
+                this.report.push(`${type} ${address}: ${block.preset} "${presetSource}" was not understood and was set to 0`);
+                preset = 0;
+            }
+        }
+        if (inputs.has('EN') && LadderPlcOpen.connections(inputs.get('EN')).length > 0) {
+            this.report.push(`${type} ${address}: the EN input is ignored`);
+        }
+
+        const outputs = [{
+            tree: inputs.has(block.input) ? this.inputTree(inputs.get(block.input)) : null,
+            component: { type, address, label: '', preset }
+        }];
+
+        // A wired reset input becomes a RES rung for the same element
+        const reset = block.reset && inputs.get(block.reset);
+        const resetVariable = reset && this.constantInput(reset);
+        if (reset && !this.resetCoils.has(resetVariable) && LadderPlcOpen.connections(reset).length > 0) {
+            const tree = this.inputTree(reset);
+            if (tree) {
+                outputs.push({ tree, component: { type: 'RES', address, label: '' } });
+            }
+        }
+        return outputs;
+    }
+
+    resetInput(element, block) {
+        return LadderPlcOpen.descendants(LadderPlcOpen.child(element, 'inputVariables'), 'variable')
+            .find(variable => variable.getAttribute('formalParameter') === block.reset) || null;
+    }
+
+    constantInput(variable) {
+        const [connection] = variable ? LadderPlcOpen.connections(variable) : [];
+        const source = connection && this.elements.get(connection.refLocalId);
+        if (!source || source.localName !== 'inVariable') return null;
+        return LadderPlcOpen.text(LadderPlcOpen.child(source, 'expression'));
+    }
+
+    inputTree(element) {
+        // Power into an element is the parallel combination of everything wired to it
+        const paths = LadderPlcOpen.connections(element)
+            .map(connection => this.outputTree(connection.refLocalId, connection.formalParameter))
+            .filter(tree => tree !== null);
+        return paths.length > 0 ? LadderPlcOpen.parallel(paths) : null;
+    }
+
+    outputTree(id, formalParameter) {
+        // Series/parallel tree of contacts between the left rail and an element's
+        // output, or null if no powered path reaches it
+        const key = `${id}:${formalParameter || ''}`;
+        if (this.trees.has(key)) return this.trees.get(key);
+        if (this.visiting.has(key)) {
+            this.report.push(`Element ${id} is part of a feedback loop; the loop was cut`);
+            return null;
+        }
+
+        const element = this.elements.get(id);
+        if (!element) {
+            this.report.push(`Connection to missing element ${id} was skipped`);
+            return null;
+        }
+
+        this.visiting.add(key);
+        let tree = null;
+        switch (element.localName) {
+            case 'leftPowerRail':
+                tree = LadderPlcOpen.series([]);
+                break;
+            case 'contact': {
+                const input = this.inputTree(element);
+                if (input) {
+                    this.used.add(id);
+                    tree = LadderPlcOpen.series([input, { kind: 'element', component: this.importContact(element) }]);
+                }
+                break;
+            }
+            case 'coil':
+                tree = this.inputTree(element);
+                break;
+            case 'block':
+                tree = this.blockOutput(element, formalParameter);
+                break;
+            case 'inVariable': {
+                const expression = LadderPlcOpen.text(LadderPlcOpen.child(element, 'expression'));
+                if (/^TRUE$/i.test(expression)) {
+                    tree = LadderPlcOpen.series([]);
+                } else if (!/^FALSE$/i.test(expression)) {
+                    tree = { kind: 'element', component: { type: 'NO', address: this.resolveBit(expression), label: '' } };
+                }
+                break;
+            }
+            default:
+                this.report.push(`Connection from ${element.localName} ${id} is not supported and was cut`);
+        }
+        this.visiting.delete(key);
+        this.trees.set(key, tree);
+        return tree;
+    }
+
+    blockOutput(element, formalParameter) {
+        // A timer or counter Q output is the same signal as its DN bit
+        const type = element.getAttribute('typeName');
+        if (LadderPlcOpen.BLOCKS[type] && (formalParameter || 'Q') === 'Q') {
+            const address = this.instanceAddress(element.getAttribute('instanceName') ||
+                `block${element.getAttribute('localId')}`, type);
+            return { kind: 'element', component: { type: 'NO', address: `${address}/DN`, label: '' } };
+        }
+        this.report.push(`Output ${formalParameter || '(default)'} of ${type} block ${element.getAttribute('localId')} is not supported and was cut`);
+        return null;
+    }
+
+    importContact(element) {
+        const edge = element.getAttribute('edge');
+        const variable = LadderPlcOpen.text(LadderPlcOpen.child(element, 'variable'));
+        const negated = element.getAttribute('negated') === 'true';
+        if (edge === 'rising' || edge === 'falling') {
+            if (negated) {
+                this.report.push(`Contact ${variable}: negated ${edge} edge detection is not supported; imported without the negation`);
+            }
+            return { type: edge === 'rising' ? 'POS' : 'NEG', address: this.resolveBit(variable), label: '' };
+        }
+        const type = negated ? 'NC' : 'NO';
+        return { type, address: this.resolveBit(variable), label: '' };
+    }
+
+    resolveBit(name) {
+        if (this.resolved.has(name)) return this.resolved.get(name);
+
+        let address = null;
+        const member = /^(.+)\.(Q|IN|CU|CD)$/.exec(name);
+        if (member && this.instances.has(member[1])) {
+            const bit = { Q: 'DN', IN: 'EN' }[member[2]] || member[2];
+            address = `${this.instances.get(member[1]).address}/${bit}`;
+        } else if (this.variables.has(name)) {
+            address = this.variables.get(name);
+        } else {
+            const pins = [...this.pins.inputs, ...this.pins.outputs, ...this.pins.memory];
+            const pin = pins.find(p => p.id === name || p.address === name);
+            if (pin) {
+                address = pin.address;
+            } else {
+                address = name;
+                this.report.push(`Variable ${name} has no address; kept as an internal bit`);
+            }
+        }
+
+        this.resolved.set(name, address);
+        return address;
+    }
+
+    static series(items) {
+        const flat = items.flatMap(item => item.kind === 'series' ? item.items : [item]);
+        return flat.length === 1 ? flat[0] : { kind: 'series', items: flat };
+    }
+
+    static parallel(items) {
+        // Factor a shared series prefix: (A B) || (A C) -> A (B || C)
+        const merge = (a, b) => {
+            const termsA = a.kind === 'series' ? a.items : [a];
+            const termsB = b.kind === 'series' ? b.items : [b];
+            let shared = 0;
+            while (shared < termsA.length && shared < termsB.length &&
+                   JSON.stringify(termsA[shared]) === JSON.stringify(termsB[shared])) {
+                shared++;
+            }
+            if (shared === 0) return null;
+            return LadderPlcOpen.series([
+                ...termsA.slice(0, shared),
+                LadderPlcOpen.parallel([LadderPlcOpen.series(termsA.slice(shared)), LadderPlcOpen.series(termsB.slice(shared))])
+            ]);
+        };
+
+        const paths = [];
+        for (const item of items.flatMap(item => item.kind === 'parallel' ? item.items : [item])) {
+            const key = JSON.stringify(item);
+            if (paths.some(path => JSON.stringify(path) === key)) continue;
+
+            let merged = null;
+            const index = paths.findIndex(path => (merged = merge(path, item)) !== null);
+            if (index >= 0) {
+                paths[index] = merged;
+            } else {
+                paths.push(item);
+            }
+        }
+        return paths.length === 1 ? paths[0] : { kind: 'parallel', items: paths };
+    }
+
+    static fromDirectAddress(location) {
+        // %IX0.3 -> I:0/3, %QX0.3 -> O:0/3, %MX1.2 -> B3:1/2
+        const match = /^%([IQM])X(\d+)\.(\d+)$/i.exec(location || '');
+        if (!match) return null;
+
+        const file = { I: 'I', Q: 'O', M: 'B3' }[match[1].toUpperCase()];
+        return `${file}:${match[2]}/${match[3]}`;
+    }
+
+    static parseTime(text) {
+        // T#1s500ms, TIME#250MS, T#2.5s -> milliseconds
+        const match = /^(?:T|TIME)#(.+)$/i.exec(text.trim());
+        if (!match) return NaN;
+
+        const units = { d: 86400000, h: 3600000, m: 60000, s: 1000, ms: 1 };
+        const parts = match[1].replace(/_/g, '').toLowerCase().match(/\d+(?:\.\d+)?(?:ms|d|h|m|s)/g);
+        if (!parts || parts.join('') !== match[1].replace(/_/g, '').toLowerCase()) return NaN;
+
+        return Math.round(parts.reduce((total, part) => {
+            const [, value, unit] = /^([\d.]+)(ms|d|h|m|s)$/.exec(part);
+            return total + Number(value) * units[unit];
+        }, 0));
+    }
+
+    static elements(parent) {
+        return parent ? Array.from(parent.childNodes).filter(node => node.nodeType === 1) : [];
+    }
+
+    static child(parent, name) {
+        return LadderPlcOpen.elements(parent).find(node => node.localName === name) || null;
+    }
+
+    static descendants(parent, name) {
+        return parent ? Array.from(parent.getElementsByTagNameNS('*', name)) : [];
+    }
+
+    static connections(element) {
+        const point = LadderPlcOpen.child(element, 'connectionPointIn');
+        return LadderPlcOpen.elements(point)
+            .filter(node => node.localName === 'connection')
+            .map(node => ({
+                refLocalId: node.getAttribute('refLocalId'),
+                formalParameter: node.getAttribute('formalParameter') || ''
+            }));
+    }
+
+    static position(element) {
+        const position = LadderPlcOpen.child(element, 'position');
+        return {
+            x: position ? Number(position.getAttribute('x')) || 0 : 0,
+            y: position ? Number(position.getAttribute('y')) || 0 : 0
+        };
+    }
+
+    static text(element) {
+        return element ? element.textContent.trim() : '';
+    }
+}
+
+LadderPlcOpen.NAMESPACE = 'http://www.plcopen.org/xml/tc6_0201';
+LadderPlcOpen.ELEMENTARY_TYPES = ['BOOL', 'INT'];
+
+// Graphical layout of exported diagrams
+LadderPlcOpen.LEFT_MARGIN = 40;
+LadderPlcOpen.CELL_WIDTH = 80;
+LadderPlcOpen.ROW_HEIGHT = 60;
+LadderPlcOpen.RUNG_GAP = 40;
+
+// Standard function blocks and the pins that carry rung power, preset and reset
+LadderPlcOpen.TIMER_BLOCKS = {
+    TON: { input: 'IN', preset: 'PT', outputs: ['Q', 'ET'] },
+    TOF: { input: 'IN', preset: 'PT', outputs: ['Q', 'ET'] }
+};
+LadderPlcOpen.BLOCKS = {
+    ...LadderPlcOpen.TIMER_BLOCKS,
+    CTU: { input: 'CU', preset: 'PV', reset: 'R', outputs: ['Q', 'CV'] },
+    CTD: { input: 'CD', preset: 'PV', reset: 'LD', outputs: ['Q', 'CV'] }
+};
+
+// LD body elements the importer understands; anything else goes in the report
+LadderPlcOpen.IMPORTED_ELEMENTS = ['leftPowerRail', 'rightPowerRail', 'contact', 'coil', 'inVariable'];
@@ -0,0 +1,282 @@
+/**
+ * Ladder Project File
+ * Reads and writes versioned .ladder.json project files
+ */
+
+import { LadderData } from './ladder-data.js';
+import { LadderHmi } from './ladder-hmi.js';
+
+export class ProjectValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid project file:\n${errors.join('\n')}`);
+        this.name = 'ProjectValidationError';
+        this.errors = errors;
+    }
+}
+
+export class LadderProject {
+    static serialize(ladderData) {
+        return JSON.stringify({
+            format: LadderProject.FORMAT,
+            version: LadderProject.VERSION,
+            ...ladderData.toJSON()
+        }, null, 2);
+    }
+
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new ProjectValidationError([`Not valid JSON: ${error.message}`]);
+        }
+
+        if (!LadderProject.isObject(data)) {
+            throw new ProjectValidationError(['Project must be a JSON object']);
+        }
+        if (data.format !== undefined && data.format !== LadderProject.FORMAT) {
+            throw new ProjectValidationError([`Unknown file format "${data.format}"`]);
+        }
+
+        const migrated = LadderProject.migrate(data);
+        const errors = LadderProject.validate(migrated);
+        if (errors.length > 0) {
+            throw new ProjectValidationError(errors);
+        }
+        return migrated;
+    }
+
+    static migrate(data) {
+        // Files written before versioning are version 1
+        let version = data.version || 1;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new ProjectValidationError([`File version ${JSON.stringify(version)} is not a version number`]);
+        }
+        if (version > LadderProject.VERSION) {
+            throw new ProjectValidationError([
+                `File version ${version} is newer than this editor supports (${LadderProject.VERSION})`
+            ]);
+        }
+
+        // Migrations walk the rungs and pins, so those must have the right shape first
+        const errors = version < LadderProject.VERSION ? LadderProject.validateShape(data) : [];
+        if (errors.length > 0) {
+            throw new ProjectValidationError(errors);
+        }
+
+        let migrated = JSON.parse(JSON.stringify(data));
+        while (version < LadderProject.VERSION) {
+            migrated = LadderProject.MIGRATIONS[version](migrated);
+            version++;
+        }
+        migrated.version = version;
+        return migrated;
+    }
+
+    static validateShape(data) {
+        const errors = [];
+        if (data.rungs !== undefined && !Array.isArray(data.rungs)) {
+            errors.push('Project "rungs" must be an array');
+        }
+        if (data.pins !== undefined && !LadderProject.isObject(data.pins)) {
+            errors.push('Project "pins" must be an object');
+        }
+        return errors;
+    }
+
+    static validate(data) {
+        const errors = [];
+
+        if (!Array.isArray(data.routines) || data.routines.length === 0) {
+            errors.push('Project must contain a non-empty "routines" array');
+            return errors;
+        }
+
+        // Rung ids are unique across routines, since the simulator keys its state by them
+        const rungIds = new Set();
+        const names = new Set();
+        data.routines.forEach((routine, routineIndex) => {
+            if (!routine || !LadderData.isRoutineName(routine.name)) {
+                errors.push(`Routine ${routineIndex}: name must be a letter or underscore followed by letters, digits or underscores`);
+                return;
+            }
+            if (names.has(routine.name)) {
+                errors.push(`Routine ${routine.name}: more than one routine has this name`);
+            }
+            names.add(routine.name);
+            if (routineIndex === 0 && routine.name !== LadderData.MAIN_ROUTINE) {
+                errors.push(`The first routine must be ${LadderData.MAIN_ROUTINE}, not ${routine.name}`);
+            }
+            if (!Array.isArray(routine.rungs) || routine.rungs.length === 0) {
+                errors.push(`Routine ${routine.name}: must contain a non-empty "rungs" array`);
+                return;
+            }
+            errors.push(...LadderProject.validateRungs(routine, rungIds));
+        });
+
+        const pins = data.pins;
+        if (pins !== undefined && !LadderProject.isObject(pins)) {
+            errors.push('Project "pins" must be an object');
+        } else if (pins !== undefined) {
+            ['inputs', 'outputs', 'memory', 'registers'].forEach(group => {
+                if (pins[group] !== undefined && !Array.isArray(pins[group])) {
+                    errors.push(`Pins: "${group}" must be an array`);
+                } else if (pins[group] && pins[group].some(pin => !pin || typeof pin.address !== 'string')) {
+                    errors.push(`Pins: every entry in "${group}" needs an address`);
+                }
+            });
+        }
+
+        if (data.hmi !== undefined) {
+            errors.push(...LadderHmi.validate(data.hmi));
+        }
+
+        return errors;
+    }
+
+    static validateRungs(routine, rungIds) {
+        // Rungs of the main routine are numbered as before; others name their routine
+        const errors = [];
+        const prefix = routine.name === LadderData.MAIN_ROUTINE ? '' : `${routine.name} `;
+        routine.rungs.forEach((rung, rungIndex) => {
+            const where = `${prefix}Rung ${rungIndex}`;
+            if (!rung || !Number.isInteger(rung.id)) {
+                errors.push(`${where}: missing numeric id`);
+                return;
+            }
+            if (rungIds.has(rung.id)) {
+                errors.push(`${where}: duplicate rung id ${rung.id}`);
+            }
+            rungIds.add(rung.id);
+
+            if (!Array.isArray(rung.branches)) {
+                errors.push(`${where}: missing "branches" array`);
+                return;
+            }
+            errors.push(...LadderProject.validateBranches(rung.branches, where));
+        });
+        return errors;
+    }
+
+    static validateBranches(branches, where) {
+        const errors = [];
+        const byId = new Map();
+        const rows = new Set();
+
+        for (const branch of branches) {
+            if (!branch || !Number.isInteger(branch.id) || !Number.isInteger(branch.row)) {
+                errors.push(`${where}: branch is missing a numeric id or row`);
+                return errors;
+            }
+            if (byId.has(branch.id)) {
+                errors.push(`${where}: duplicate branch id ${branch.id}`);
+            }
+            if (rows.has(branch.row)) {
+                errors.push(`${where}: more than one branch on row ${branch.row}`);
+            }
+            byId.set(branch.id, branch);
+            rows.add(branch.row);
+        }
+
+        const roots = branches.filter(b => b.parent_branch_id === null);
+        if (roots.length !== 1 || roots[0].row !== 0) {
+            errors.push(`${where}: must have exactly one main branch (no parent) on row 0`);
+        }
+
+        for (const branch of branches) {
+            const at = `${where}, row ${branch.row}`;
+            const validSpan = Number.isInteger(branch.start_col) && Number.isInteger(branch.end_col) &&
+                              branch.start_col >= 0 && branch.end_col < LadderData.COLS &&
+                              branch.start_col <= branch.end_col;
+            if (!validSpan) {
+                errors.push(`${at}: invalid column span ${branch.start_col}..${branch.end_col}`);
+            }
+
+            if (branch.parent_branch_id !== null) {
+                const parent = byId.get(branch.parent_branch_id);
+                if (!parent) {
+                    errors.push(`${at}: references missing parent branch ${branch.parent_branch_id}`);
+                } else if (validSpan && (branch.start_col < parent.start_col || branch.end_col > parent.end_col)) {
+                    errors.push(`${at}: span ${branch.start_col}..${branch.end_col} lies outside its parent branch`);
+                } else if (LadderProject.hasParentCycle(branch, byId)) {
+                    errors.push(`${at}: parent references form a cycle`);
+                }
+            }
+
+            if (!Array.isArray(branch.components)) {
+                errors.push(`${at}: missing "components" array`);
+                continue;
+            }
+
+            const cols = new Set();
+            for (const component of branch.components) {
+                if (!component || !LadderData.COMPONENT_TYPES.includes(component.type)) {
+                    errors.push(`${at}: unknown component type "${component && component.type}"`);
+                    continue;
+                }
+                if (!Number.isInteger(component.col) ||
+                    component.col < branch.start_col || component.col > branch.end_col) {
+                    errors.push(`${at}: ${component.type} at column ${component.col} is outside the branch`);
+                }
+                if (cols.has(component.col)) {
+                    errors.push(`${at}: duplicate component at column ${component.col}`);
+                }
+                cols.add(component.col);
+            }
+        }
+
+        return errors;
+    }
+
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static hasParentCycle(branch, byId) {
+        const seen = new Set();
+        let current = branch;
+        while (current && current.parent_branch_id !== null) {
+            if (seen.has(current.id)) return true;
+            seen.add(current.id);
+            current = byId.get(current.parent_branch_id);
+        }
+        return false;
+    }
+}
+
+LadderProject.FORMAT = 'plc-ladder';
+LadderProject.VERSION = 4;
+LadderProject.FILE_EXTENSION = '.ladder.json';
+
+// Each migration upgrades a project from version N to N + 1
+LadderProject.MIGRATIONS = {
+    // v1 branches hung off the main rung at connection_col and never merged back;
+    // v2 branches split at start_col and merge after end_col
+    1: (data) => {
+        // Malformed rungs and branches are left for validate to report
+        for (const rung of data.rungs || []) {
+            if (!rung || !Array.isArray(rung.branches)) continue;
+            for (const branch of rung.branches) {
+                if (!branch) continue;
+                if (branch.parent_branch_id !== null && Number.isInteger(branch.connection_col)) {
+                    branch.start_col = Math.max(branch.start_col, branch.connection_col);
+                }
+                delete branch.connection_col;
+            }
+        }
+        data.pins = data.pins || { inputs: [], outputs: [] };
+        data.pins.memory = data.pins.memory || [];
+        return data;
+    },
+    // v3 adds the HMI panel layout
+    2: (data) => {
+        data.hmi = data.hmi || { widgets: [] };
+        return data;
+    },
+    // v4 splits the program into routines; the old rungs become the main routine
+    3: (data) => {
+        data.routines = [{ name: LadderData.MAIN_ROUTINE, rungs: data.rungs }];
+        delete data.rungs;
+        return data;
+    }
+};
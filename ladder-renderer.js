@@ -3,7 +3,20 @@
  * Handles all canvas drawing operations
  */
 
-class LadderRenderer {
+import { LadderData } from './ladder-data.js';
+
+// Text drawn inside the special coils
+const COIL_LETTERS = { OTL: 'L', OTU: 'U', RES: 'RES' };
+
+// Operand rows shown inside word instruction boxes
+const WORD_BOX_ROWS = {
+    compare: [['A', 'sourceA'], ['B', 'sourceB']],
+    math: [['A', 'sourceA'], ['B', 'sourceB'], ['=', 'dest']],
+    MOV: [['', 'sourceA'], ['→', 'dest']],
+    CLR: [['→', 'dest']]
+};
+
+export class LadderRenderer {
     constructor(canvas, ladderData) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
@@ -12,7 +25,7 @@ class LadderRenderer {
         // Configuration
         this.config = {
             RAIL_WIDTH: 40,
-            COLS: 10,
+            COLS: LadderData.COLS,
             CELL_WIDTH: 80,
             CELL_HEIGHT: 80,
             GRID_COLOR: '#374151',
@@ -20,40 +33,158 @@ class LadderRenderer {
             WIRE_ENERGIZED_COLOR: '#fbbf24',
             COMPONENT_COLOR: '#e5e7eb',
             COMPONENT_ACTIVE_COLOR: '#22c55e',
-            OUTPUT_ACTIVE_COLOR: '#f97316'
+            OUTPUT_ACTIVE_COLOR: '#f97316',
+            RUNG_SEPARATOR_COLOR: '#4b5563',
+            SELECTION_COLOR: 'rgba(59, 130, 246, 0.08)',
+            HIGHLIGHT_COLOR: '#f472b6',
+            FORCE_COLOR: '#facc15',
+            FORCE_DISABLED_COLOR: '#6b7280',
+            BREAKPOINT_COLOR: '#dc2626',
+            EXECUTION_COLOR: 'rgba(250, 204, 21, 0.12)',
+            BOX_WIDTH: 64,
+            BOX_HEIGHT: 60
         };
         
         this.simulationState = null;
+        this.selectedRung = 0;
+        this.pendingBranch = null;
+        this.highlightedCells = [];
+        this.forceState = null;
+        this.debugState = null;
     }
 
     setSimulationState(state) {
         this.simulationState = state;
     }
 
+    setForceState(state) {
+        // Forces are shown whether or not the simulation is running
+        this.forceState = state;
+    }
+
+    setDebugState(state) {
+        // Breakpoints are shown whether or not the simulation is running
+        this.debugState = state;
+    }
+
+    setSelectedRung(rungIndex) {
+        this.selectedRung = rungIndex;
+    }
+
+    setPendingBranch(position) {
+        // First cell picked with the branch tool, waiting for the merge cell
+        this.pendingBranch = position;
+    }
+
+    setHighlightedCells(cells) {
+        // Cells picked from the cross-reference or problem list, as { rung, row, col }
+        this.highlightedCells = cells || [];
+    }
+
+    getRungLayout() {
+        // Rungs are stacked top to bottom, each as tall as its deepest branch
+        const layout = [];
+        let top = 0;
+        
+        this.ladderData.rungs.forEach((rung, index) => {
+            const rows = Math.max(...rung.branches.map(b => b.row)) + 1;
+            layout.push({ rung, index, top, rows });
+            top += rows * this.config.CELL_HEIGHT;
+        });
+        
+        return layout;
+    }
+
     draw() {
-        // Adjust canvas height based on number of branches
-        const branches = this.ladderData.getAllBranches();
-        const maxRow = Math.max(...branches.map(b => b.row));
-        const requiredHeight = (maxRow + 2) * this.config.CELL_HEIGHT;
+        // Adjust canvas height to fit every rung plus the column labels
+        const layout = this.getRungLayout();
+        const last = layout[layout.length - 1];
+        const requiredHeight = last.top + (last.rows + 1) * this.config.CELL_HEIGHT;
         
-        if (this.canvas.height < requiredHeight) {
+        if (this.canvas.height !== requiredHeight) {
             this.canvas.height = requiredHeight;
         }
         
         this.clear();
+        this.drawSelection(layout);
+        this.drawExecutionPosition(layout);
         this.drawRails();
-        this.drawGrid();
-        this.drawBranches();
-        this.drawColumnLabels();
+        this.drawGrid(layout);
+        this.drawRungs(layout);
+        this.drawPendingBranch(layout);
+        this.drawHighlightedCells(layout);
+        this.drawColumnLabels(layout);
     }
 
     clear() {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
 
+    drawSelection(layout) {
+        const entry = layout[this.selectedRung];
+        if (!entry) return;
+        
+        const { RAIL_WIDTH, COLS, CELL_WIDTH, CELL_HEIGHT, SELECTION_COLOR } = this.config;
+        this.ctx.fillStyle = SELECTION_COLOR;
+        this.ctx.fillRect(RAIL_WIDTH, entry.top, COLS * CELL_WIDTH, entry.rows * CELL_HEIGHT);
+    }
+
+    drawExecutionPosition(layout) {
+        // While paused, the rung that runs on the next step. Steps go through
+        // the main routine, so there is no marker on subroutines
+        const state = this.debugState;
+        if (!state || !state.paused) return;
+        if (this.ladderData.currentRoutine !== this.ladderData.getMainRoutine().name) return;
+        const entry = layout[state.scanPosition === null ? 0 : state.scanPosition];
+        if (!entry) return;
+        
+        const { RAIL_WIDTH, COLS, CELL_WIDTH, CELL_HEIGHT, EXECUTION_COLOR, FORCE_COLOR } = this.config;
+        this.ctx.fillStyle = EXECUTION_COLOR;
+        this.ctx.fillRect(RAIL_WIDTH, entry.top, COLS * CELL_WIDTH, entry.rows * CELL_HEIGHT);
+        this.ctx.fillStyle = FORCE_COLOR;
+        this.ctx.beginPath();
+        this.ctx.moveTo(4, entry.top + 8);
+        this.ctx.lineTo(12, entry.top + 14);
+        this.ctx.lineTo(4, entry.top + 20);
+        this.ctx.fill();
+    }
+
+    drawPendingBranch(layout) {
+        const entry = this.pendingBranch && layout[this.pendingBranch.rung];
+        if (!entry) return;
+        
+        const { RAIL_WIDTH, CELL_WIDTH, CELL_HEIGHT } = this.config;
+        this.ctx.strokeStyle = this.config.WIRE_ENERGIZED_COLOR;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.strokeRect(
+            RAIL_WIDTH + this.pendingBranch.col * CELL_WIDTH + 3,
+            entry.top + this.pendingBranch.row * CELL_HEIGHT + 3,
+            CELL_WIDTH - 6,
+            CELL_HEIGHT - 6
+        );
+        this.ctx.setLineDash([]);
+    }
+
+    drawHighlightedCells(layout) {
+        const { RAIL_WIDTH, CELL_WIDTH, CELL_HEIGHT, HIGHLIGHT_COLOR } = this.config;
+        this.ctx.strokeStyle = HIGHLIGHT_COLOR;
+        this.ctx.lineWidth = 3;
+        for (const cell of this.highlightedCells) {
+            const entry = layout[cell.rung];
+            if (!entry) continue;
+            this.ctx.strokeRect(
+                RAIL_WIDTH + cell.col * CELL_WIDTH + 2,
+                entry.top + cell.row * CELL_HEIGHT + 2,
+                CELL_WIDTH - 4,
+                CELL_HEIGHT - 4
+            );
+        }
+    }
+
     drawRails() {
-        const { RAIL_WIDTH, COLS, CELL_WIDTH, WIRE_COLOR } = this.config;
-        const h = this.canvas.height;
+        const { RAIL_WIDTH, COLS, CELL_WIDTH, CELL_HEIGHT, WIRE_COLOR } = this.config;
+        const h = this.canvas.height - CELL_HEIGHT;
         const rightRailX = RAIL_WIDTH + COLS * CELL_WIDTH;
         
         this.ctx.strokeStyle = WIRE_COLOR;
@@ -68,11 +199,11 @@ class LadderRenderer {
         this.ctx.stroke();
     }
 
-    drawGrid() {
-        const { RAIL_WIDTH, COLS, CELL_WIDTH, GRID_COLOR } = this.config;
-        const branches = this.ladderData.getAllBranches();
-        const maxRow = Math.max(...branches.map(b => b.row));
-        const h = (maxRow + 1) * this.config.CELL_HEIGHT;
+    drawGrid(layout) {
+        const { RAIL_WIDTH, COLS, CELL_WIDTH, CELL_HEIGHT, GRID_COLOR, RUNG_SEPARATOR_COLOR } = this.config;
+        const last = layout[layout.length - 1];
+        const h = last.top + last.rows * CELL_HEIGHT;
+        const rightRailX = RAIL_WIDTH + COLS * CELL_WIDTH;
         
         this.ctx.strokeStyle = GRID_COLOR;
         this.ctx.lineWidth = 1;
@@ -86,93 +217,109 @@ class LadderRenderer {
             this.ctx.stroke();
         }
         
-        // Horizontal lines
-        for (let row = 0; row <= maxRow + 1; row++) {
-            const y = row * this.config.CELL_HEIGHT;
-            const rightRailX = RAIL_WIDTH + COLS * CELL_WIDTH;
-            this.ctx.beginPath();
-            this.ctx.moveTo(RAIL_WIDTH, y);
-            this.ctx.lineTo(rightRailX, y);
-            this.ctx.stroke();
+        // Horizontal lines, with a stronger line between rungs
+        for (const entry of layout) {
+            for (let row = 0; row <= entry.rows; row++) {
+                const y = entry.top + row * CELL_HEIGHT;
+                const isRungEdge = row === 0 || row === entry.rows;
+                this.ctx.strokeStyle = isRungEdge ? RUNG_SEPARATOR_COLOR : GRID_COLOR;
+                this.ctx.lineWidth = isRungEdge ? 2 : 1;
+                this.ctx.beginPath();
+                this.ctx.moveTo(RAIL_WIDTH, y);
+                this.ctx.lineTo(rightRailX, y);
+                this.ctx.stroke();
+            }
         }
     }
 
-    drawBranches() {
-        const branches = this.ladderData.getAllBranches();
-        
-        for (const branch of branches) {
-            this.drawBranch(branch);
+    drawRungs(layout) {
+        for (const entry of layout) {
+            for (const branch of entry.rung.branches) {
+                this.drawBranch(branch, entry);
+            }
+            this.drawRungNumber(entry);
         }
     }
 
-    drawBranch(branch) {
-        const { RAIL_WIDTH, CELL_WIDTH, CELL_HEIGHT } = this.config;
-        const y = (branch.row + 0.5) * CELL_HEIGHT;
-        
-        // Draw horizontal wire
-        const startX = RAIL_WIDTH + branch.start_col * CELL_WIDTH;
-        const endX = RAIL_WIDTH + (branch.end_col + 1) * CELL_WIDTH;
-        
-        // Determine if wire is energized
-        const isEnergized = this.simulationState && 
-                           this.simulationState.isWireEnergized(branch.row, branch.start_col);
+    drawRungNumber(entry) {
+        const y = entry.top + 0.5 * this.config.CELL_HEIGHT;
         
-        this.ctx.strokeStyle = isEnergized ? this.config.WIRE_ENERGIZED_COLOR : this.config.WIRE_COLOR;
-        this.ctx.lineWidth = 2;
+        // Breakpoints show as a red dot behind the rung number
+        const hasBreakpoint = Boolean(this.debugState) && this.debugState.breakpoints.has(entry.rung.id);
+        if (hasBreakpoint) {
+            this.ctx.fillStyle = this.config.BREAKPOINT_COLOR;
+            this.ctx.beginPath();
+            this.ctx.arc(20, y, 14, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
         
-        // Draw wire in segments (broken by components)
-        let currentX = startX;
+        this.ctx.fillStyle = hasBreakpoint ? '#ffffff' : entry.index === this.selectedRung ? '#60a5fa' : '#9ca3af';
+        this.ctx.font = 'bold 12px Inter';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(String(entry.index).padStart(3, '0'), 20, y + 5);
+    }
+
+    drawBranch(branch, entry) {
+        const { RAIL_WIDTH, COLS, CELL_WIDTH, CELL_HEIGHT } = this.config;
+        const rungId = entry.rung.id;
+        const y = entry.top + (branch.row + 0.5) * CELL_HEIGHT;
+        const isEnergized = (col) => this.simulationState &&
+                                     this.simulationState.isWireEnergized(rungId, branch.row, col);
         
-        for (const component of branch.components) {
-            const compX = RAIL_WIDTH + (component.col + 0.5) * CELL_WIDTH;
-            
-            // Draw wire up to component
-            this.ctx.beginPath();
-            this.ctx.moveTo(currentX, y);
-            this.ctx.lineTo(compX - 20, y);
-            this.ctx.stroke();
-            
-            // Draw component
-            this.drawComponent(component, compX, y, branch.row);
+        // Draw the horizontal wire cell by cell (broken by components)
+        for (let col = branch.start_col; col <= branch.end_col; col++) {
+            const cellX = RAIL_WIDTH + col * CELL_WIDTH;
+            const component = branch.components.find(c => c.col === col);
             
-            // Check if wire after component is energized
-            const afterEnergized = this.simulationState && 
-                                  this.simulationState.isWireEnergized(branch.row, component.col + 1);
-            this.ctx.strokeStyle = afterEnergized ? this.config.WIRE_ENERGIZED_COLOR : this.config.WIRE_COLOR;
+            if (!component) {
+                this.drawWire(cellX, y, cellX + CELL_WIDTH, y, isEnergized(col));
+                continue;
+            }
             
-            currentX = compX + 20;
+            const compX = cellX + CELL_WIDTH / 2;
+            const halfWidth = this.getComponentHalfWidth(component);
+            this.drawWire(cellX, y, compX - halfWidth, y, isEnergized(col));
+            this.drawComponent(component, compX, y, rungId, branch.row);
+            this.drawWire(compX + halfWidth, y, cellX + CELL_WIDTH, y, isEnergized(col + 1));
         }
         
-        // Draw remaining wire
-        this.ctx.beginPath();
-        this.ctx.moveTo(currentX, y);
-        this.ctx.lineTo(endX, y);
-        this.ctx.stroke();
-        
-        // Draw vertical connection if this is a branch
-        if (branch.connection_col !== null) {
-            const connX = RAIL_WIDTH + (branch.connection_col + 0.5) * CELL_WIDTH;
-            const parentY = (0 + 0.5) * CELL_HEIGHT; // Assume parent is row 0
+        // Draw the vertical split and merge connections to the parent branch
+        const parent = entry.rung.branches.find(b => b.id === branch.parent_branch_id);
+        if (parent) {
+            const parentY = entry.top + (parent.row + 0.5) * CELL_HEIGHT;
+            const splitX = RAIL_WIDTH + branch.start_col * CELL_WIDTH;
+            const mergeX = RAIL_WIDTH + (branch.end_col + 1) * CELL_WIDTH;
             
-            this.ctx.strokeStyle = this.config.WIRE_COLOR;
-            this.ctx.lineWidth = 3;
-            this.ctx.beginPath();
-            this.ctx.moveTo(connX, parentY);
-            this.ctx.lineTo(connX, y);
-            this.ctx.stroke();
+            this.drawWire(splitX, parentY, splitX, y, isEnergized(branch.start_col));
+            // Branches running to the right rail merge into the rail itself
+            if (branch.end_col + 1 < COLS) {
+                this.drawWire(mergeX, parentY, mergeX, y, isEnergized(branch.end_col + 1));
+            }
         }
-        
-        // Draw row label
-        this.ctx.fillStyle = '#9ca3af';
-        this.ctx.font = '12px Inter';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText(`R${branch.row}`, 20, y + 5);
     }
 
-    drawComponent(component, x, y, row) {
+    drawWire(x1, y1, x2, y2, isEnergized) {
+        this.ctx.strokeStyle = isEnergized ? this.config.WIRE_ENERGIZED_COLOR : this.config.WIRE_COLOR;
+        this.ctx.lineWidth = x1 === x2 ? 3 : 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x1, y1);
+        this.ctx.lineTo(x2, y2);
+        this.ctx.stroke();
+    }
+
+    drawComponent(component, x, y, rungId, row) {
         const isActive = this.simulationState && 
-                        this.simulationState.isComponentActive(row, component.col);
-        const isOutput = component.type === 'OUT';
+                        this.simulationState.isComponentActive(rungId, row, component.col);
+        const isTimer = LadderData.TIMER_TYPES.includes(component.type);
+        const isCounter = LadderData.COUNTER_TYPES.includes(component.type);
+        const isCompare = LadderData.COMPARE_TYPES.includes(component.type);
+        const isMath = LadderData.MATH_TYPES.includes(component.type) ||
+                       LadderData.MOVE_TYPES.includes(component.type);
+        const isRoutine = LadderData.ROUTINE_TYPES.includes(component.type);
+        const isOutput = LadderData.COIL_TYPES.includes(component.type) ||
+                         component.type === 'RES' || component.type === 'OSR' ||
+                         component.type === 'OSF' || isTimer || isCounter || isMath ||
+                         (isRoutine && component.type !== 'SBR');
         
         const color = isActive ? 
                      (isOutput ? this.config.OUTPUT_ACTIVE_COLOR : this.config.COMPONENT_ACTIVE_COLOR) : 
@@ -182,6 +329,31 @@ class LadderRenderer {
         this.ctx.fillStyle = color;
         this.ctx.lineWidth = 3;
         
+        if (isTimer) {
+            const timer = this.simulationState && this.simulationState.getTimer(component.address);
+            this.drawStructure(component, x, y, color, timer, ['EN', 'TT', 'DN']);
+            return;
+        }
+        
+        if (isCounter) {
+            const counter = this.simulationState && this.simulationState.getCounter(component.address);
+            const bits = component.type === 'CTU' ? ['CU', 'DN', 'OV'] : ['CD', 'DN', 'UN'];
+            this.drawStructure(component, x, y, color, counter, bits);
+            return;
+        }
+        
+        if (isRoutine) {
+            this.drawRoutineBox(component, x, y);
+            return;
+        }
+        
+        if (isCompare || isMath) {
+            const rows = isCompare ? WORD_BOX_ROWS.compare :
+                         WORD_BOX_ROWS[component.type] || WORD_BOX_ROWS.math;
+            this.drawWordBox(component, x, y, rows);
+            return;
+        }
+        
         switch (component.type) {
             case 'NO':
                 // Normally Open Contact
@@ -207,12 +379,49 @@ class LadderRenderer {
                 this.ctx.stroke();
                 break;
                 
+            case 'POS':
+            case 'NEG':
+                // Rising and Falling Edge Contacts
+                this.ctx.beginPath();
+                this.ctx.moveTo(x - 15, y - 15);
+                this.ctx.lineTo(x - 15, y + 15);
+                this.ctx.moveTo(x + 15, y - 15);
+                this.ctx.lineTo(x + 15, y + 15);
+                this.ctx.stroke();
+                this.ctx.font = 'bold 12px Inter';
+                this.ctx.textAlign = 'center';
+                this.ctx.fillText(component.type === 'POS' ? 'P' : 'N', x, y + 4);
+                break;
+                
+            case 'ONS':
+            case 'OSR':
+            case 'OSF':
+                // One-Shots
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeRect(x - 16, y - 10, 32, 20);
+                this.ctx.font = 'bold 9px Inter';
+                this.ctx.textAlign = 'center';
+                this.ctx.fillText(component.type, x, y + 3);
+                break;
+                
             case 'OUT':
                 // Output Coil
                 this.ctx.beginPath();
                 this.ctx.arc(x, y, 15, 0, 2 * Math.PI);
                 this.ctx.stroke();
                 break;
+                
+            case 'OTL':
+            case 'OTU':
+            case 'RES':
+                // Latch, Unlatch and Reset Coils
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, 15, 0, 2 * Math.PI);
+                this.ctx.stroke();
+                this.ctx.font = 'bold 9px Inter';
+                this.ctx.textAlign = 'center';
+                this.ctx.fillText(COIL_LETTERS[component.type], x, y + 3);
+                break;
         }
         
         // Draw labels
@@ -221,13 +430,102 @@ class LadderRenderer {
         this.ctx.fillText(component.address || '', x, y - 25);
         this.ctx.font = '8px Inter';
         this.ctx.fillText(component.label || '', x, y + 28);
+        this.drawForceMarker(component, x, y);
+    }
+
+    drawForceMarker(component, x, y) {
+        // Tag forced bits with their forced value; grey while forces are disabled
+        const forces = this.forceState && this.forceState.forces;
+        const address = this.ladderData.resolveAddress(component.address);
+        if (!forces || !Object.prototype.hasOwnProperty.call(forces, address)) return;
+        
+        const { FORCE_COLOR, FORCE_DISABLED_COLOR } = this.config;
+        this.ctx.fillStyle = this.forceState.forcesEnabled ? FORCE_COLOR : FORCE_DISABLED_COLOR;
+        this.ctx.fillRect(x + 14, y - 22, 22, 12);
+        this.ctx.fillStyle = '#0f172a';
+        this.ctx.font = 'bold 8px Inter';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(forces[address] ? 'F ON' : 'F OFF', x + 25, y - 13, 20);
+    }
+
+    getComponentHalfWidth(component) {
+        // Box instructions are wider than contacts and coils
+        const isBox = LadderData.TIMER_TYPES.includes(component.type) ||
+                      LadderData.COUNTER_TYPES.includes(component.type) ||
+                      LadderData.COMPARE_TYPES.includes(component.type) ||
+                      LadderData.MATH_TYPES.includes(component.type) ||
+                      LadderData.MOVE_TYPES.includes(component.type) ||
+                      LadderData.ROUTINE_TYPES.includes(component.type);
+        return isBox ? this.config.BOX_WIDTH / 2 : 20;
+    }
+
+    drawStructure(component, x, y, color, element, bits) {
+        // Timers and counters share the PRE/ACC box layout
+        const preset = element ? element.pre : (Number(component.preset) || 0);
+        const accumulated = element ? element.acc : 0;
+        
+        this.drawBox(component.type, x, y, [
+            component.address || '?',
+            `PRE ${preset}`,
+            `ACC ${Math.round(accumulated)}`
+        ]);
+        
+        // Status bits along the bottom edge, lit when set
+        const top = y - this.config.BOX_HEIGHT / 2;
+        this.ctx.font = 'bold 8px Inter';
+        bits.forEach((bit, i) => {
+            const isSet = element && element[bit.toLowerCase()];
+            this.ctx.fillStyle = isSet ? this.config.COMPONENT_ACTIVE_COLOR : this.config.GRID_COLOR;
+            this.ctx.fillText(bit, x - 18 + i * 18, top + 56);
+        });
+        this.ctx.fillStyle = color;
+    }
+
+    drawWordBox(component, x, y, rows) {
+        // Operands with their live values while simulating, e.g. 'A N7:0=12'
+        const lines = rows.map(([name, key]) => {
+            const operand = component[key] === undefined ? '?' : String(component[key]);
+            const isLiteral = /^-?\d+$/.test(operand);
+            const value = this.simulationState && !isLiteral ?
+                `=${this.simulationState.readWord(operand)}` : '';
+            return `${name} ${operand}${value}`.trim();
+        });
+        this.drawBox(component.type, x, y, lines);
     }
 
-    drawColumnLabels() {
+    drawRoutineBox(component, x, y) {
+        // The called routine and the parameter lists, '-' when empty
+        const list = values => (values || []).join(',') || '-';
+        const lines = {
+            JSR: [component.routine || '?', `IN ${list(component.params)}`, `RET ${list(component.returns)}`],
+            SBR: ['Subroutine', `IN ${list(component.params)}`],
+            RET: ['Return', `RET ${list(component.returns)}`]
+        }[component.type];
+        this.drawBox(component.type, x, y, lines);
+    }
+
+    drawBox(title, x, y, lines) {
+        const { BOX_WIDTH, BOX_HEIGHT } = this.config;
+        const left = x - BOX_WIDTH / 2;
+        const top = y - BOX_HEIGHT / 2;
+        
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(left, top, BOX_WIDTH, BOX_HEIGHT);
+        
+        this.ctx.textAlign = 'center';
+        this.ctx.font = 'bold 10px Inter';
+        this.ctx.fillText(title, x, top + 11);
+        this.ctx.font = '9px Inter';
+        lines.forEach((line, i) => {
+            // Long operands are squeezed to fit inside the box
+            this.ctx.fillText(line, x, top + 23 + i * 11, BOX_WIDTH - 6);
+        });
+    }
+
+    drawColumnLabels(layout) {
         const { RAIL_WIDTH, COLS, CELL_WIDTH, CELL_HEIGHT } = this.config;
-        const branches = this.ladderData.getAllBranches();
-        const maxRow = Math.max(...branches.map(b => b.row));
-        const y = (maxRow + 1) * CELL_HEIGHT + 20;
+        const last = layout[layout.length - 1];
+        const y = last.top + last.rows * CELL_HEIGHT + 20;
         
         this.ctx.fillStyle = '#9ca3af';
         this.ctx.font = '12px Inter';
@@ -239,16 +537,31 @@ class LadderRenderer {
         }
     }
 
+    getClickedRung(event) {
+        // Rung index whose number (left of the rail) was clicked, or null
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        if (x >= this.config.RAIL_WIDTH) return null;
+        
+        const entry = this.getRungLayout().find(e => y >= e.top && y < e.top + e.rows * this.config.CELL_HEIGHT);
+        return entry ? entry.index : null;
+    }
+
     getClickedPosition(event) {
         const rect = this.canvas.getBoundingClientRect();
         const x = event.clientX - rect.left;
         const y = event.clientY - rect.top;
         
         const col = Math.floor((x - this.config.RAIL_WIDTH) / this.config.CELL_WIDTH);
-        const row = Math.floor(y / this.config.CELL_HEIGHT);
+        if (col < 0 || col >= this.config.COLS) return null;
         
-        if (col >= 0 && col < this.config.COLS && row >= 0) {
-            return { row, col };
+        // Find the rung under the cursor, then the row inside it
+        for (const entry of this.getRungLayout()) {
+            const row = Math.floor((y - entry.top) / this.config.CELL_HEIGHT);
+            if (row >= 0 && row < entry.rows) {
+                return { rung: entry.index, row, col };
+            }
         }
         return null;
     }
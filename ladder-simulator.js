@@ -3,13 +3,74 @@
  * Executes ladder logic and tracks pin/wire states
  */
 
-class LadderSimulator {
+import { LadderData } from './ladder-data.js';
+import { LadderCompiler } from './ladder-compiler.js';
+
+// Stops the processor part way through a scan, e.g. a JSR to a missing routine
+export class LadderFault extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LadderFault';
+    }
+}
+
+export class LadderSimulator {
     constructor(ladderData) {
         this.ladderData = ladderData;
         this.isRunning = false;
         this.pinStates = {};
-        this.wireStates = {}; // Map: 'row-col' -> boolean
-        this.componentStates = {}; // Map: 'row-col' -> boolean
+        this.registers = {}; // Map: 'N7:n' -> 16-bit integer
+        this.timers = {}; // Map: 'T4:n' -> { pre, acc, en, tt, dn }
+        this.counters = {}; // Map: 'C5:n' -> { pre, acc, cu, cd, dn, ov, un }
+        this.edgeStates = {}; // Map: 'rungId:branchId:col' -> what an edge instruction saw last scan
+        this.forces = {}; // Map: address -> forced value
+        this.forcesEnabled = true;
+        
+        // Scans run the compiled program, which also holds the wire and
+        // component states shown by the renderer. It is rebuilt on the first
+        // scan after the program data changes (see LadderData.revision)
+        this.program = null;
+        this.programRevision = null;
+        
+        // Subroutines: one frame per routine being executed, the main routine
+        // at the bottom. A fault halts the simulator until it is started again
+        this.callStack = [];
+        this.fault = null;
+        this.onFault = null;
+        
+        // Continuous scan loop
+        this.scanPeriod = 100; // ms
+        this.scanTimer = null;
+        this.lastScanTime = null;
+        this.scanDelta = 0;
+        this.simTime = 0; // ms of simulated time since reset
+        this.scanCount = 0;
+        this.onScan = null;
+        
+        // Debugging: the loop halts after a breakpoint rung goes true, and
+        // scans can then be stepped whole or one rung at a time. Both work on
+        // the main routine; a JSR runs its routine to the end
+        this.breakpoints = new Set(); // rung ids
+        this.paused = false;
+        this.scanPosition = null; // index of the next rung while halted inside a scan
+        this.rungResults = {}; // Map: rung id -> rung condition at its last execution
+        this.onBreak = null;
+    }
+
+    getProgram() {
+        if (!this.program || this.programRevision !== this.ladderData.revision) {
+            const compiler = new LadderCompiler(this.ladderData,
+                (component, instanceKey) => this.compileComponent(component, instanceKey));
+            this.program = compiler.compile();
+            this.programRevision = this.ladderData.revision;
+        }
+        return this.program;
+    }
+
+    invalidateProgram() {
+        // For edits made to the data's tables directly, which the revision
+        // doesn't see. Operands are resolved when compiling, so tag edits count as well
+        this.program = null;
     }
 
     initializePins() {
@@ -20,190 +81,754 @@ class LadderSimulator {
         this.ladderData.pins.outputs.forEach(pin => {
             this.pinStates[pin.address] = false;
         });
+        (this.ladderData.pins.memory || []).forEach(pin => {
+            this.pinStates[pin.address] = false;
+        });
+        
+        // Registers start from the values stored in the data table
+        (this.ladderData.pins.registers || []).forEach(register => {
+            this.registers[register.address] = LadderSimulator.toWord(register.value);
+        });
+    }
+
+    syncPins() {
+        // Pins added since initializePins start OFF and registers at their data
+        // table value; everything already known keeps its state
+        const pins = this.ladderData.pins;
+        for (const pin of [...pins.inputs, ...pins.outputs, ...(pins.memory || [])]) {
+            if (!(pin.address in this.pinStates)) {
+                this.pinStates[pin.address] = false;
+            }
+        }
+        for (const register of pins.registers || []) {
+            if (!(register.address in this.registers)) {
+                this.registers[register.address] = LadderSimulator.toWord(register.value);
+            }
+        }
     }
 
     start() {
+        this.fault = null;
         this.isRunning = true;
-        this.executeScan();
+        this.paused = false;
+        this.scanPosition = null;
+        this.lastScanTime = Date.now();
+        this.executeScan(0);
+        if (!this.paused) {
+            this.startScanTimer();
+        }
     }
 
     stop() {
         this.isRunning = false;
-        this.wireStates = {};
-        this.componentStates = {};
+        this.paused = false;
+        this.scanPosition = null;
+        this.stopScanTimer();
+        if (this.program) {
+            this.program.rungs.forEach(compiled => { compiled.shownScan = null; });
+        }
+    }
+
+    pause() {
+        if (!this.isRunning) return;
+        this.paused = true;
+        this.stopScanTimer();
+    }
+
+    resume() {
+        // Finish a scan halted at a breakpoint, then carry on looping
+        if (!this.isRunning || !this.paused) return;
+        this.paused = false;
+        this.lastScanTime = Date.now();
+        if (this.scanPosition !== null && !this.continueScan(true)) return;
+        this.startScanTimer();
+    }
+
+    stepScan() {
+        // Run to the end of the current scan, or one whole scan, ignoring breakpoints.
+        // Stepped scans take one scan period of simulated time
+        if (!this.paused) return;
+        if (this.scanPosition === null) {
+            this.beginScan(this.scanPeriod);
+        }
+        this.continueScan(false);
+    }
+
+    stepRung() {
+        if (!this.paused) return;
+        if (this.scanPosition === null) {
+            this.beginScan(this.scanPeriod);
+        }
+        this.executeRung(this.scanPosition++);
+        if (this.fault) return;
+        if (this.scanPosition >= this.getProgram().main.length) {
+            this.endScan();
+        }
+    }
+
+    toggleBreakpoint(rungId) {
+        if (this.breakpoints.has(rungId)) {
+            this.breakpoints.delete(rungId);
+        } else {
+            this.breakpoints.add(rungId);
+        }
     }
 
     reset() {
         this.stop();
+        this.registers = {};
         this.initializePins();
+        this.timers = {};
+        this.counters = {};
+        this.edgeStates = {};
+        this.fault = null;
+        this.simTime = 0;
+        this.scanCount = 0;
+        this.rungResults = {};
+    }
+
+    setScanPeriod(ms) {
+        this.scanPeriod = Math.max(1, Math.round(ms) || 1);
+        
+        // Restart the loop so the new period takes effect immediately
+        if (this.scanTimer) {
+            this.stopScanTimer();
+            this.startScanTimer();
+        }
+    }
+
+    startScanTimer() {
+        this.stopScanTimer();
+        this.scanTimer = setInterval(() => this.executeScan(), this.scanPeriod);
+    }
+
+    stopScanTimer() {
+        if (this.scanTimer) {
+            clearInterval(this.scanTimer);
+            this.scanTimer = null;
+        }
     }
 
     toggleInput(address) {
-        if (!this.isRunning) return;
+        // A forced input ignores the switch until the force is removed. While
+        // paused the input changes, but only the next step will scan it
+        if (!this.isRunning || this.isForced(address)) return;
         
         this.pinStates[address] = !this.pinStates[address];
-        this.executeScan();
+        if (!this.paused) {
+            this.executeScan();
+        }
     }
 
-    getPinState(address) {
-        return this.pinStates[address] || false;
+    getPinState(operand) {
+        return this.bitReader(operand)();
+    }
+
+    bitReader(operand) {
+        // Forces override both the input image and whatever coils wrote
+        const address = this.ladderData.resolveAddress(operand);
+        
+        // Timer and counter status bits are addressed as e.g. 'T4:0/DN'
+        const bit = this.parseStatusBit(address);
+        if (bit) {
+            const flag = bit.flag.toLowerCase();
+            return () => {
+                if (this.isForced(address)) return this.forces[address];
+                const element = this.timers[bit.element] || this.counters[bit.element];
+                return element ? element[flag] || false : false;
+            };
+        }
+        return () => {
+            if (this.isForced(address)) return this.forces[address];
+            return this.pinStates[address] || false;
+        };
+    }
+
+    parseStatusBit(address) {
+        const match = /^(.+)\/(EN|TT|DN|CU|CD|OV|UN)$/.exec(address || '');
+        return match ? { element: match[1], flag: match[2] } : null;
+    }
+
+    setForce(address, value) {
+        // null removes the force
+        if (value === null) {
+            delete this.forces[address];
+        } else {
+            this.forces[address] = Boolean(value);
+        }
+    }
+
+    clearForces() {
+        this.forces = {};
+    }
+
+    setForcesEnabled(enabled) {
+        // Disabled forces stay installed but have no effect
+        this.forcesEnabled = enabled;
+    }
+
+    isForced(address) {
+        return this.forcesEnabled && Object.prototype.hasOwnProperty.call(this.forces, address);
+    }
+
+    getForceCount() {
+        return Object.keys(this.forces).length;
+    }
+
+    getTimer(address) {
+        return this.timers[address] || null;
+    }
+
+    getCounter(address) {
+        return this.counters[address] || null;
     }
 
     setPinState(address, state) {
-        this.pinStates[address] = state;
+        this.bitWriter(address)(state);
     }
 
-    isWireEnergized(row, col) {
-        const key = `${row}-${col}`;
-        return this.wireStates[key] || false;
+    togglePin(operand) {
+        // Flips the bit as stored, so a force on it still wins until removed
+        const address = this.ladderData.resolveAddress(operand);
+        this.pinStates[address] = !this.pinStates[address];
+    }
+
+    bitWriter(operand) {
+        const address = this.ladderData.resolveAddress(operand);
+        return (state) => {
+            this.pinStates[address] = state;
+        };
     }
 
-    isComponentActive(row, col) {
-        const key = `${row}-${col}`;
-        return this.componentStates[key] || false;
+    readWord(operand) {
+        return this.wordReader(operand)();
     }
 
-    executeScan() {
-        // Clear previous states
-        this.wireStates = {};
-        this.componentStates = {};
+    wordReader(operand) {
+        // Integer literal, N7 register, or a timer/counter word such as 'T4:0.ACC'
+        const text = this.ladderData.resolveAddress(String(operand === undefined ? '' : operand).trim());
+        if (/^-?\d+$/.test(text)) {
+            const value = LadderSimulator.toWord(Number(text));
+            return () => value;
+        }
         
-        // First, clear all outputs
-        this.ladderData.pins.outputs.forEach(pin => {
-            this.pinStates[pin.address] = false;
-        });
+        const word = this.parseStructureWord(text);
+        if (word) {
+            return () => {
+                const element = this.timers[word.element] || this.counters[word.element];
+                return element ? Math.round(element[word.field]) : 0;
+            };
+        }
+        return () => this.registers[text] || 0;
+    }
+
+    writeWord(operand, value) {
+        this.wordWriter(operand)(value);
+    }
+
+    wordWriter(operand) {
+        const address = this.ladderData.resolveAddress(operand);
+        const word = this.parseStructureWord(address);
+        if (word) {
+            // Only accumulators are writable; presets come from the instruction
+            return (value) => {
+                const element = this.timers[word.element] || this.counters[word.element];
+                if (element && word.field === 'acc') {
+                    element.acc = LadderSimulator.toWord(value);
+                }
+            };
+        }
+        if (/^N7:\d+$/.test(address || '')) {
+            return (value) => {
+                this.registers[address] = LadderSimulator.toWord(value);
+            };
+        }
+        return () => {};
+    }
+
+    parseStructureWord(operand) {
+        const match = /^([TC]\d+:\d+)\.(ACC|PRE)$/.exec(operand || '');
+        return match ? { element: match[1], field: match[2].toLowerCase() } : null;
+    }
+
+    static toWord(value) {
+        // Registers are 16-bit signed; results saturate instead of wrapping
+        const number = Math.trunc(Number(value)) || 0;
+        return Math.max(-32768, Math.min(32767, number));
+    }
+
+    isWireEnergized(rungId, row, col) {
+        const compiled = this.shownRung(rungId);
+        const net = compiled ? compiled.wires.get(`${row}-${col}`) : undefined;
+        return net !== undefined && compiled.shownPower[net] === 1;
+    }
+
+    isComponentActive(rungId, row, col) {
+        const compiled = this.shownRung(rungId);
+        const cell = compiled ? compiled.componentCells.get(`${row}-${col}`) : undefined;
+        return cell !== undefined && compiled.shownActive[cell] === 1;
+    }
+
+    shownRung(rungId) {
+        // Only rungs that ran in the current scan show any power
+        const compiled = this.program ? this.program.rungs.get(rungId) : null;
+        return compiled && compiled.shownScan === this.scanCount ? compiled : null;
+    }
+
+    executeScan(elapsed) {
+        this.beginScan(elapsed);
+        this.continueScan(true);
+    }
+
+    beginScan(elapsed) {
+        // Time since the previous scan drives the timer accumulators
+        const now = Date.now();
+        this.scanDelta = elapsed !== undefined ? elapsed : now - (this.lastScanTime || now);
+        this.lastScanTime = now;
+        this.simTime += this.scanDelta;
+        this.scanCount++;
+        this.scanPosition = 0;
+        this.callStack = [{ routine: this.ladderData.getMainRoutine().name, params: [], returns: null }];
         
-        // Evaluate ladder logic
-        this.evaluateLadder();
+        // Outputs keep their state between scans: OUT rewrites its bit every
+        // scan, while OTL/OTU only change it when their rung is true
     }
 
-    evaluateLadder() {
-        const branches = this.ladderData.getAllBranches();
+    continueScan(useBreakpoints) {
+        // Rungs execute in program order, top to bottom. Returns false if a
+        // breakpoint halted the scan part way
+        const rungs = this.getProgram().main;
+        while (this.scanPosition < rungs.length) {
+            const rung = rungs[this.scanPosition];
+            const wasTrue = this.rungResults[rung.id];
+            const isTrue = this.executeRung(this.scanPosition++);
+            if (this.fault) return false;
+            
+            if (useBreakpoints && isTrue && !wasTrue && this.breakpoints.has(rung.id)) {
+                this.pause();
+                if (this.onBreak) {
+                    this.onBreak(rung.rung);
+                }
+                return false;
+            }
+        }
+        this.endScan();
+        return true;
+    }
+
+    executeRung(index) {
+        // Rung of the main routine. A RET that goes true ends the scan
+        const rungs = this.getProgram().main;
+        const rung = rungs[index];
+        let isTrue;
+        try {
+            isTrue = this.evaluateRung(rung);
+        } catch (error) {
+            if (!(error instanceof LadderFault)) throw error;
+            this.raiseFault(error.message);
+            return false;
+        }
+        this.rungResults[rung.id] = isTrue;
+        if (this.callStack[0].returns) {
+            this.scanPosition = rungs.length;
+        }
+        return isTrue;
+    }
+
+    raiseFault(message) {
+        // Like a major fault on a PLC: outputs freeze and the scan loop stops
+        this.fault = message;
+        this.stop();
+        if (this.onFault) {
+            this.onFault(message);
+        }
+    }
+
+    callRoutine(component) {
+        // JSR: the parameters are read before the call and the returned values
+        // written after it, when the routine has run its rungs or hit a RET
+        const rungs = this.getProgram().routines.get(component.routine);
+        if (!rungs) {
+            throw new LadderFault(`JSR calls routine "${component.routine || ''}", which does not exist`);
+        }
+        if (this.callStack.length > LadderSimulator.MAX_CALL_DEPTH) {
+            const path = this.callStack.map(frame => frame.routine).join(' > ');
+            throw new LadderFault(`Call stack overflow: more than ${LadderSimulator.MAX_CALL_DEPTH} nested JSR calls (${path} > ${component.routine})`);
+        }
+
+        const frame = { routine: component.routine, params: (component.params || []).map(p => this.readWord(p)), returns: null };
+        this.callStack.push(frame);
+        try {
+            for (const rung of rungs) {
+                this.rungResults[rung.id] = this.evaluateRung(rung);
+                if (frame.returns) break;
+            }
+        } finally {
+            this.callStack.pop();
+        }
+
+        // A routine that ends without RET returns nothing; its destinations keep their values
+        (component.returns || []).forEach((dest, i) => {
+            if (frame.returns && i < frame.returns.length) {
+                this.writeWord(dest, frame.returns[i]);
+            }
+        });
+    }
+
+    getCallStack() {
+        return this.callStack.map(frame => frame.routine);
+    }
+
+    endScan() {
+        this.scanPosition = null;
+        if (this.onScan) {
+            this.onScan();
+        }
+    }
+
+    evaluateRung(compiled) {
+        // Runs the compiled cells in order. A JSR can call back into the routine
+        // it is in, so a rung already running gets fresh net power
+        if (compiled.input === null) return false;
+        const power = compiled.running ? new Uint8Array(compiled.netCount) : compiled.power;
+        const active = compiled.running ? new Uint8Array(compiled.cells.length) : compiled.active;
+        power.fill(0);
+        active.fill(0);
+        power[compiled.input] = 1;
         
-        // Sort branches by row (evaluate top to bottom)
-        branches.sort((a, b) => a.row - b.row);
+        const wasRunning = compiled.running;
+        compiled.running = true;
+        try {
+            const cells = compiled.cells;
+            for (let i = 0; i < cells.length; i++) {
+                const cell = cells[i];
+                const inputPower = power[cell.input] === 1;
+                let outputPower = inputPower;
+                if (cell.execute) {
+                    outputPower = cell.execute(inputPower);
+                    // NC contacts are "active" (green) when they're blocking power,
+                    // but only if there's power available to block
+                    if (outputPower || (cell.showsBlocking && inputPower)) {
+                        active[i] = 1;
+                    }
+                }
+                if (outputPower) {
+                    power[cell.output] = 1;
+                }
+            }
+        } finally {
+            compiled.running = wasRunning;
+        }
         
-        for (const branch of branches) {
-            this.evaluateBranch(branch);
+        this.showRungState(compiled, power, active);
+        return power[compiled.output] === 1;
+    }
+
+    showRungState(compiled, power, active) {
+        // A routine called more than once in a scan shows what any call energized
+        if (compiled.shownScan !== this.scanCount) {
+            compiled.shownPower.set(power);
+            compiled.shownActive.set(active);
+            compiled.shownScan = this.scanCount;
+            return;
         }
+        power.forEach((on, net) => { compiled.shownPower[net] |= on; });
+        active.forEach((on, cell) => { compiled.shownActive[cell] |= on; });
     }
 
-    evaluateBranch(branch) {
-        // A branch has power if:
-        // 1. It's the main rung (row 0) - always has power from left rail
-        // 2. It's connected to a powered position via vertical line
+    compileComponent(component, instanceKey) {
+        // The component's behaviour as a function from input power to output
+        // power, with its operands resolved up front
+        const type = component.type;
         
-        let hasPower = false;
+        if (LadderData.EDGE_TYPES.includes(type)) {
+            return this.compileEdge(component, instanceKey);
+        }
         
-        if (branch.row === 0) {
-            // Main rung always starts with power
-            hasPower = true;
-        } else if (branch.connection_col !== null) {
-            // Branch connected via vertical line
-            // Check if the connection point on parent branch has power
-            const parentBranch = this.ladderData.getAllBranches()
-                .find(b => b.id === branch.parent_branch_id);
-            
-            if (parentBranch) {
-                // Check if power reaches the connection point on parent branch
-                hasPower = this.evaluatePowerAtColumn(parentBranch, branch.connection_col);
-            }
+        if (LadderData.TIMER_TYPES.includes(type)) {
+            return (inputPower) => {
+                this.evaluateTimer(component, inputPower);
+                return inputPower;
+            };
         }
         
-        // If branch doesn't have initial power, skip it
-        if (!hasPower) return;
+        if (LadderData.COUNTER_TYPES.includes(type)) {
+            return (inputPower) => {
+                this.evaluateCounter(component, inputPower);
+                return inputPower;
+            };
+        }
         
-        // Mark initial wire as energized
-        this.wireStates[`${branch.row}-${branch.start_col}`] = true;
+        if (type === 'RES') {
+            return (inputPower) => {
+                if (inputPower) {
+                    this.resetElement(component.address);
+                }
+                return inputPower;
+            };
+        }
         
-        // Evaluate each component in sequence (left to right)
-        let currentPower = true;
-        let currentCol = branch.start_col;
+        if (LadderData.MATH_TYPES.includes(type) || LadderData.MOVE_TYPES.includes(type)) {
+            const execute = this.compileMath(component);
+            return (inputPower) => {
+                if (inputPower) {
+                    execute();
+                }
+                return inputPower;
+            };
+        }
         
-        for (const component of branch.components) {
-            // Mark wires up to this component as energized if we have power
-            for (let col = currentCol; col < component.col; col++) {
-                if (currentPower) {
-                    this.wireStates[`${branch.row}-${col}`] = true;
+        if (LadderData.ROUTINE_TYPES.includes(type)) {
+            return (inputPower) => {
+                if (inputPower) {
+                    this.evaluateRoutineInstruction(component);
                 }
-            }
-            
-            // Evaluate component
-            const componentPower = this.evaluateComponent(component, currentPower);
-            
-            // Mark component as active if it's conducting/energized
-            if (componentPower) {
-                this.componentStates[`${branch.row}-${component.col}`] = true;
-                this.wireStates[`${branch.row}-${component.col}`] = true;
-            } else if (component.type === 'NC' && currentPower) {
-                // NC contacts are "active" (green) when they're blocking power
-                // But only if there's power available to block
-                this.componentStates[`${branch.row}-${component.col}`] = true;
-            }
-            
-            currentPower = componentPower;
-            currentCol = component.col + 1;
+                return inputPower;
+            };
         }
         
-        // Mark remaining wires as energized if we still have power
-        for (let col = currentCol; col <= branch.end_col; col++) {
-            if (currentPower) {
-                this.wireStates[`${branch.row}-${col}`] = true;
+        // Without power coming in nothing conducts.
+        // OTL/OTU leave their bit untouched on a false rung
+        switch (type) {
+            case 'NO': {
+                // Normally Open: conducts if input is ON
+                const read = this.bitReader(component.address);
+                return (inputPower) => inputPower && read();
+            }
+                
+            case 'NC': {
+                // Normally Closed: conducts if input is OFF
+                const read = this.bitReader(component.address);
+                return (inputPower) => inputPower && !read();
+            }
+                
+            case 'EQU':
+            case 'NEQ':
+            case 'GRT':
+            case 'LES':
+            case 'GEQ':
+            case 'LEQ': {
+                // Compare: conducts while the comparison holds
+                const compare = this.compileCompare(component);
+                return (inputPower) => inputPower && compare();
+            }
+                
+            case 'OUT': {
+                // Output: follows the rung, so it is cleared when power doesn't reach it
+                const write = this.bitWriter(component.address);
+                return (inputPower) => {
+                    write(inputPower);
+                    return inputPower;
+                };
+            }
+                
+            case 'OTL':
+            case 'OTU': {
+                // Latch sets the bit, which stays on after the rung goes false;
+                // unlatch clears it
+                const write = this.bitWriter(component.address);
+                const state = type === 'OTL';
+                return (inputPower) => {
+                    if (inputPower) {
+                        write(state);
+                    }
+                    return inputPower;
+                };
             }
+                
+            default:
+                return () => false;
         }
     }
 
-    evaluatePowerAtColumn(branch, col) {
-        // Simulate evaluation up to this column to see if power reaches it
-        let hasPower = (branch.row === 0); // Main rung has power
+    compileEdge(component, instanceKey) {
+        // Each instance compares with what it saw on its previous scan: its bit
+        // for POS/NEG, which is watched even while the rung is false, and the
+        // rung condition for the one-shots
+        const type = component.type;
+        const read = LadderData.EDGE_CONTACT_TYPES.includes(type) ? this.bitReader(component.address) : null;
+        const write = component.address && (type === 'OSR' || type === 'OSF') ? this.bitWriter(component.address) : null;
         
-        for (const component of branch.components) {
-            if (component.col >= col) break; // Haven't reached this column yet
+        return (inputPower) => {
+            const previous = this.edgeStates[instanceKey] || false;
+            const current = read ? read() : inputPower;
+            this.edgeStates[instanceKey] = current;
             
-            // Evaluate component
-            switch (component.type) {
-                case 'NO':
-                    hasPower = hasPower && this.getPinState(component.address);
-                    break;
-                case 'NC':
-                    hasPower = hasPower && !this.getPinState(component.address);
-                    break;
-                case 'OUT':
-                    // Outputs don't affect power flow
-                    break;
+            switch (type) {
+                case 'POS':
+                    return inputPower && current && !previous;
+                case 'NEG':
+                    return inputPower && !current && previous;
+                case 'ONS':
+                    return current && !previous;
+                case 'OSR':
+                case 'OSF':
+                    // The bit is on for the one scan after the rung rises (OSR) or falls (OSF)
+                    if (write) {
+                        write(type === 'OSR' ? current && !previous : previous && !current);
+                    }
+                    return inputPower;
             }
-            
-            if (!hasPower) break;
+            return false;
+        };
+    }
+
+    evaluateRoutineInstruction(component) {
+        const frame = this.callStack[this.callStack.length - 1];
+        switch (component.type) {
+            case 'JSR':
+                this.callRoutine(component);
+                break;
+            case 'SBR':
+                // Receive the caller's parameters, in order; extras are ignored
+                (component.params || []).forEach((dest, i) => {
+                    if (frame && i < frame.params.length) {
+                        this.writeWord(dest, frame.params[i]);
+                    }
+                });
+                break;
+            case 'RET':
+                // The routine ends after this rung
+                if (frame) {
+                    frame.returns = (component.returns || []).map(operand => this.readWord(operand));
+                }
+                break;
         }
-        
-        return hasPower;
     }
 
-    evaluateComponent(component, inputPower) {
-        if (!inputPower) {
-            // No power coming in, component doesn't conduct
-            if (component.type === 'OUT') {
-                this.setPinState(component.address, false);
-            }
-            return false;
+    evaluateTimer(component, rungCondition) {
+        const preset = Math.max(0, Number(component.preset) || 0);
+        let timer = this.timers[component.address];
+        if (!timer) {
+            timer = { pre: preset, acc: 0, en: false, tt: false, dn: false };
+            this.timers[component.address] = timer;
         }
+        timer.pre = preset;
         
         switch (component.type) {
-            case 'NO':
-                // Normally Open: conducts if input is ON
-                return this.getPinState(component.address);
-                
-            case 'NC':
-                // Normally Closed: conducts if input is OFF
-                return !this.getPinState(component.address);
+            case 'TON':
+                // On-delay: times while the rung is true, resets when it goes false
+                if (rungCondition) {
+                    timer.acc = Math.min(timer.pre, timer.acc + this.scanDelta);
+                } else {
+                    timer.acc = 0;
+                }
+                timer.en = rungCondition;
+                timer.dn = rungCondition && timer.acc >= timer.pre;
+                timer.tt = rungCondition && !timer.dn;
+                break;
                 
-            case 'OUT':
-                // Output: gets energized if power reaches it
-                this.setPinState(component.address, true);
-                return true;
+            case 'TOF':
+                // Off-delay: DN follows the rung on, drops after the preset once it goes false
+                if (rungCondition) {
+                    timer.acc = 0;
+                    timer.dn = true;
+                } else if (timer.dn) {
+                    timer.acc = Math.min(timer.pre, timer.acc + this.scanDelta);
+                    timer.dn = timer.acc < timer.pre;
+                }
+                timer.en = rungCondition;
+                timer.tt = !rungCondition && timer.dn;
+                break;
                 
-            default:
-                return false;
+            case 'RTO':
+                // Retentive: keeps its accumulator while false, cleared only by RES
+                if (rungCondition) {
+                    timer.acc = Math.min(timer.pre, timer.acc + this.scanDelta);
+                }
+                timer.en = rungCondition;
+                timer.dn = timer.acc >= timer.pre;
+                timer.tt = rungCondition && !timer.dn;
+                break;
+        }
+    }
+
+    evaluateCounter(component, rungCondition) {
+        let counter = this.counters[component.address];
+        if (!counter) {
+            counter = { pre: 0, acc: 0, cu: false, cd: false, dn: false, ov: false, un: false };
+            this.counters[component.address] = counter;
+        }
+        counter.pre = Number(component.preset) || 0;
+        
+        // CU/CD hold last scan's rung state, so counting happens on the false-to-true edge
+        if (component.type === 'CTU') {
+            if (rungCondition && !counter.cu) {
+                counter.acc++;
+                if (counter.acc > 32767) {
+                    counter.acc = -32768;
+                    counter.ov = true;
+                }
+            }
+            counter.cu = rungCondition;
+        } else {
+            if (rungCondition && !counter.cd) {
+                counter.acc--;
+                if (counter.acc < -32768) {
+                    counter.acc = 32767;
+                    counter.un = true;
+                }
+            }
+            counter.cd = rungCondition;
+        }
+        counter.dn = counter.acc >= counter.pre;
+    }
+
+    compileCompare(component) {
+        const readA = this.wordReader(component.sourceA);
+        const readB = this.wordReader(component.sourceB);
+        
+        switch (component.type) {
+            case 'EQU': return () => readA() === readB();
+            case 'NEQ': return () => readA() !== readB();
+            case 'GRT': return () => readA() > readB();
+            case 'LES': return () => readA() < readB();
+            case 'GEQ': return () => readA() >= readB();
+            case 'LEQ': return () => readA() <= readB();
+        }
+        return () => false;
+    }
+
+    compileMath(component) {
+        const readA = this.wordReader(component.sourceA);
+        const readB = this.wordReader(component.sourceB);
+        const write = this.wordWriter(component.dest);
+        
+        switch (component.type) {
+            case 'ADD':
+                return () => write(readA() + readB());
+            case 'SUB':
+                return () => write(readA() - readB());
+            case 'MUL':
+                return () => write(readA() * readB());
+            case 'DIV':
+                // Division by zero leaves the destination unchanged
+                return () => {
+                    const b = readB();
+                    if (b !== 0) {
+                        write(readA() / b);
+                    }
+                };
+            case 'MOV':
+                return () => write(readA());
+            case 'CLR':
+                return () => write(0);
+        }
+        return () => {};
+    }
+
+    resetElement(address) {
+        const timer = this.timers[address];
+        if (timer) {
+            Object.assign(timer, { acc: 0, en: false, tt: false, dn: false });
+        }
+        
+        const counter = this.counters[address];
+        if (counter) {
+            Object.assign(counter, { acc: 0, cu: false, cd: false, dn: false, ov: false, un: false });
         }
     }
 }
+
+// Nested JSR calls allowed before the simulator faults, which stops runaway recursion
+LadderSimulator.MAX_CALL_DEPTH = 32;
@@ -0,0 +1,106 @@
+/**
+ * Tag Database
+ * Validation, addressing and renaming of the program's tags (pins and registers)
+ */
+
+import { LadderData } from './ladder-data.js';
+import { ModbusMap } from './ladder-modbus.js';
+
+export class LadderTags {
+    static defaults() {
+        // Tags of a brand new project
+        const bits = (prefix, label, file, count) => Array.from({ length: count }, (_, i) => ({
+            id: `${prefix}${i}`,
+            label: `${label} ${i}`,
+            address: `${file}:0/${i}`,
+            type: 'BOOL'
+        }));
+        return {
+            inputs: bits('I', 'Input', 'I', 6),
+            outputs: bits('O', 'Output', 'O', 5),
+            memory: bits('B', 'Bit', 'B3', 8),
+            registers: Array.from({ length: 8 }, (_, i) => ({
+                id: `N${i}`,
+                label: `Register ${i}`,
+                address: `N7:${i}`,
+                type: 'INT',
+                value: 0
+            }))
+        };
+    }
+
+    static typeOf(group) {
+        return group === 'registers' ? 'INT' : 'BOOL';
+    }
+
+    static nextAddress(group, pins) {
+        // First free address of the group: I:0/0..I:0/15, I:1/0, ... or N7:0, N7:1, ...
+        const used = new Set(LadderData.TAG_GROUPS.flatMap(g => (pins[g] || []).map(pin => pin.address)));
+        for (let index = 0; ; index++) {
+            const address = group === 'registers'
+                ? `N7:${index}`
+                : `${LadderTags.FILES[group]}:${Math.floor(index / 16)}/${index % 16}`;
+            if (!used.has(address)) return address;
+        }
+    }
+
+    static validate(pins) {
+        const errors = [];
+        const names = new Set();
+        const addresses = new Map();
+
+        for (const group of LadderData.TAG_GROUPS) {
+            for (const tag of pins[group] || []) {
+                const name = tag.id || '';
+                const where = name || tag.address || `unnamed ${LadderTags.GROUP_NAMES[group]}`;
+                if (!/^[A-Za-z_]\w*$/.test(name)) {
+                    errors.push(`${where}: the name must start with a letter or _ and contain only letters, digits and _`);
+                } else if (names.has(name)) {
+                    errors.push(`${name}: the name is used more than once`);
+                }
+                if (!LadderTags.ADDRESS_PATTERNS[group].test(tag.address || '')) {
+                    errors.push(`${where}: "${tag.address || ''}" is not a valid ${LadderTags.GROUP_NAMES[group]} address`);
+                } else if (addresses.has(tag.address)) {
+                    errors.push(`${where}: address ${tag.address} is already used by ${addresses.get(tag.address)}`);
+                }
+                names.add(name);
+                addresses.set(tag.address, name);
+            }
+        }
+        return errors.concat(ModbusMap.validate(pins));
+    }
+
+    static apply(ladderData, pins, renames) {
+        // Replaces the tag database. renames lists { from, to } pairs of the old
+        // and new version of each edited tag; instructions that referred to the
+        // old name or address are rewritten to the new one, and instructions
+        // showing the old description get the new one
+        const replacements = new Map();
+        for (const { from, to } of renames) {
+            if (from.id && from.id !== to.id) replacements.set(from.id, to.id);
+            if (from.address !== to.address) replacements.set(from.address, to.address);
+        }
+        ladderData.replaceReferences(replacements);
+        ladderData.pins = pins;
+        ladderData.changed();
+
+        for (const { from, to } of renames) {
+            if (from.label === to.label) continue;
+            const refersTo = c => c.address === to.id || c.address === to.address;
+            for (const component of ladderData.findComponents(refersTo)) {
+                if (component.label === from.label) component.label = to.label;
+            }
+        }
+    }
+}
+
+LadderTags.FILES = { inputs: 'I', outputs: 'O', memory: 'B3' };
+
+LadderTags.GROUP_NAMES = { inputs: 'input', outputs: 'output', memory: 'memory bit', registers: 'register' };
+
+LadderTags.ADDRESS_PATTERNS = {
+    inputs: /^I:\d+\/\d+$/,
+    outputs: /^O:\d+\/\d+$/,
+    memory: /^B\d+:\d+\/\d+$/,
+    registers: /^N7:\d+$/
+};
@@ -0,0 +1,179 @@
+/**
+ * Timing Diagram
+ * Draws the trend recording as a scrolling logic-analyzer view, one column per scan
+ */
+
+export class TimingDiagram {
+    constructor(canvas, recorder) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.recorder = recorder;
+
+        // Configuration
+        this.config = {
+            NAME_WIDTH: 130,
+            ROW_HEIGHT: 24,
+            AXIS_HEIGHT: 20,
+            SCAN_WIDTH: 6,
+            GRID_COLOR: '#374151',
+            TEXT_COLOR: '#9ca3af',
+            BIT_LOW_COLOR: '#64748b',
+            BIT_HIGH_COLOR: '#22c55e',
+            WORD_COLOR: '#22d3ee'
+        };
+    }
+
+    setScanWidth(pixels) {
+        this.config.SCAN_WIDTH = Math.max(1, pixels);
+    }
+
+    draw() {
+        const { NAME_WIDTH, ROW_HEIGHT, AXIS_HEIGHT, SCAN_WIDTH } = this.config;
+        const channels = this.recorder.channels;
+        const requiredHeight = Math.max(1, channels.length) * ROW_HEIGHT + AXIS_HEIGHT;
+        if (this.canvas.height !== requiredHeight) {
+            this.canvas.height = requiredHeight;
+        }
+
+        // Only the newest scans that fit are shown, so the view scrolls left as it records
+        const visible = Math.floor((this.canvas.width - NAME_WIDTH) / SCAN_WIDTH);
+        const samples = this.recorder.getSamples().slice(-visible);
+
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawGrid(channels.length);
+        channels.forEach((channel, index) => {
+            const top = index * ROW_HEIGHT;
+            this.drawName(channel, top);
+            if (channel.kind === 'bit') {
+                this.drawBit(samples, index, top);
+            } else {
+                this.drawWord(samples, index, top);
+            }
+        });
+        this.drawTimeAxis(samples, channels.length * ROW_HEIGHT);
+
+        if (channels.length === 0) {
+            this.ctx.fillStyle = this.config.TEXT_COLOR;
+            this.ctx.font = '12px Inter';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText('Start the simulation to record a timing diagram', NAME_WIDTH + 8, ROW_HEIGHT / 2 + 4);
+        }
+    }
+
+    drawGrid(rows) {
+        const { NAME_WIDTH, ROW_HEIGHT, GRID_COLOR } = this.config;
+        this.ctx.strokeStyle = GRID_COLOR;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        for (let row = 1; row <= rows; row++) {
+            this.ctx.moveTo(0, row * ROW_HEIGHT + 0.5);
+            this.ctx.lineTo(this.canvas.width, row * ROW_HEIGHT + 0.5);
+        }
+        this.ctx.moveTo(NAME_WIDTH + 0.5, 0);
+        this.ctx.lineTo(NAME_WIDTH + 0.5, rows * ROW_HEIGHT);
+        this.ctx.stroke();
+    }
+
+    drawName(channel, top) {
+        const { NAME_WIDTH, ROW_HEIGHT, TEXT_COLOR } = this.config;
+        this.ctx.fillStyle = TEXT_COLOR;
+        this.ctx.font = '11px Inter';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(channel.name, 6, top + ROW_HEIGHT / 2 + 4, NAME_WIDTH - 12);
+    }
+
+    drawBit(samples, index, top) {
+        // Square wave: high near the top of the row, low near the bottom
+        const { NAME_WIDTH, ROW_HEIGHT, SCAN_WIDTH, BIT_LOW_COLOR, BIT_HIGH_COLOR } = this.config;
+        const high = top + 5;
+        const low = top + ROW_HEIGHT - 5;
+
+        samples.forEach((sample, i) => {
+            const x = NAME_WIDTH + i * SCAN_WIDTH;
+            const value = sample.values[index];
+            const previous = i > 0 ? samples[i - 1].values[index] : value;
+
+            this.ctx.strokeStyle = value ? BIT_HIGH_COLOR : BIT_LOW_COLOR;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            if (value !== previous) {
+                this.ctx.moveTo(x, previous ? high : low);
+                this.ctx.lineTo(x, value ? high : low);
+            } else {
+                this.ctx.moveTo(x, value ? high : low);
+            }
+            this.ctx.lineTo(x + SCAN_WIDTH, value ? high : low);
+            this.ctx.stroke();
+
+            if (value) {
+                this.ctx.fillStyle = 'rgba(34, 197, 94, 0.15)';
+                this.ctx.fillRect(x, high, SCAN_WIDTH, low - high);
+            }
+        });
+    }
+
+    drawWord(samples, index, top) {
+        // Bus view: a band that pinches at every value change, labelled with the value
+        const { NAME_WIDTH, ROW_HEIGHT, SCAN_WIDTH, WORD_COLOR } = this.config;
+        const upper = top + 5;
+        const lower = top + ROW_HEIGHT - 5;
+        const middle = top + ROW_HEIGHT / 2;
+        const pinch = Math.min(3, SCAN_WIDTH / 2);
+
+        // Split the visible scans into runs of equal value
+        const runs = [];
+        samples.forEach((sample, i) => {
+            const value = sample.values[index];
+            const run = runs[runs.length - 1];
+            if (run && run.value === value) {
+                run.end = i + 1;
+            } else {
+                runs.push({ value, start: i, end: i + 1 });
+            }
+        });
+
+        this.ctx.strokeStyle = WORD_COLOR;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.font = '10px Inter';
+        this.ctx.textAlign = 'center';
+        runs.forEach((run, i) => {
+            const x1 = NAME_WIDTH + run.start * SCAN_WIDTH;
+            const x2 = NAME_WIDTH + run.end * SCAN_WIDTH;
+            const left = i > 0 ? pinch : 0;
+
+            this.ctx.beginPath();
+            this.ctx.moveTo(x1, middle);
+            this.ctx.lineTo(x1 + left, upper);
+            this.ctx.lineTo(x2, upper);
+            this.ctx.moveTo(x1, middle);
+            this.ctx.lineTo(x1 + left, lower);
+            this.ctx.lineTo(x2, lower);
+            this.ctx.stroke();
+
+            const label = String(run.value);
+            if (this.ctx.measureText(label).width < x2 - x1 - 4) {
+                this.ctx.fillStyle = WORD_COLOR;
+                this.ctx.fillText(label, (x1 + x2) / 2, middle + 4);
+            }
+        });
+    }
+
+    drawTimeAxis(samples, top) {
+        // Simulated time every 100 px or so
+        const { NAME_WIDTH, SCAN_WIDTH, TEXT_COLOR, GRID_COLOR } = this.config;
+        const every = Math.max(1, Math.round(100 / SCAN_WIDTH));
+
+        this.ctx.font = '10px Inter';
+        this.ctx.textAlign = 'left';
+        for (let i = 0; i < samples.length; i += every) {
+            const x = NAME_WIDTH + i * SCAN_WIDTH;
+            this.ctx.strokeStyle = GRID_COLOR;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x + 0.5, top);
+            this.ctx.lineTo(x + 0.5, top + 5);
+            this.ctx.stroke();
+            this.ctx.fillStyle = TEXT_COLOR;
+            this.ctx.fillText(`${Math.round(samples[i].time)} ms`, x + 3, top + 14);
+        }
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * Trend Recorder
+ * Records every scan's bits and words into a ring buffer and exports them as VCD or CSV
+ */
+
+import { LadderData } from './ladder-data.js';
+
+export class TrendRecorder {
+    constructor(capacity = TrendRecorder.DEFAULT_CAPACITY) {
+        this.capacity = capacity;
+        this.channels = []; // { name, address, kind: 'bit' | 'word' }
+        this.clear();
+    }
+
+    static channelsFor(ladderData) {
+        // Every pin and register, then the status bits and accumulator of each
+        // timer and counter used by the program
+        const pins = ladderData.pins;
+        const bit = pin => ({ name: pin.label || pin.address, address: pin.address, kind: 'bit' });
+        const channels = [
+            ...pins.inputs.map(bit),
+            ...pins.outputs.map(bit),
+            ...(pins.memory || []).map(bit),
+            ...(pins.registers || []).map(register => ({
+                name: register.label || register.address,
+                address: register.address,
+                kind: 'word'
+            }))
+        ];
+
+        const seen = new Set();
+        for (const component of ladderData.findComponents(c => c.address)) {
+            const isTimer = LadderData.TIMER_TYPES.includes(component.type);
+            const isCounter = LadderData.COUNTER_TYPES.includes(component.type);
+            if (!isTimer && !isCounter) continue;
+
+            // A counter used by both CTU and CTD gets both count bits
+            const flags = isTimer ? ['EN', 'TT', 'DN'] : [component.type === 'CTU' ? 'CU' : 'CD', 'DN'];
+            for (const flag of flags) {
+                const address = `${component.address}/${flag}`;
+                if (!seen.has(address)) {
+                    seen.add(address);
+                    channels.push({ name: address, address, kind: 'bit' });
+                }
+            }
+            const acc = `${component.address}.ACC`;
+            if (!seen.has(acc)) {
+                seen.add(acc);
+                channels.push({ name: acc, address: acc, kind: 'word' });
+            }
+        }
+
+        return channels;
+    }
+
+    setChannels(channels) {
+        // The recording is kept unless the channel list actually changed
+        const key = list => list.map(c => `${c.kind}:${c.address}:${c.name}`).join('\n');
+        if (key(channels) === key(this.channels)) return false;
+
+        this.channels = channels;
+        this.clear();
+        return true;
+    }
+
+    clear() {
+        this.samples = new Array(this.capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    static sample(channels, simulator) {
+        // The channels' values after the scan the simulator just finished
+        return {
+            time: simulator.simTime,
+            scan: simulator.scanCount,
+            values: channels.map(channel => channel.kind === 'bit'
+                ? simulator.getPinState(channel.address)
+                : simulator.readWord(channel.address))
+        };
+    }
+
+    record(simulator) {
+        this.add(TrendRecorder.sample(this.channels, simulator));
+    }
+
+    add(sample) {
+        // A sample taken elsewhere, such as in the scan engine's worker.
+        // Once full, the oldest sample is overwritten
+        this.samples[(this.start + this.length) % this.capacity] = sample;
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    getSamples() {
+        // Oldest first
+        const samples = [];
+        for (let i = 0; i < this.length; i++) {
+            samples.push(this.samples[(this.start + i) % this.capacity]);
+        }
+        return samples;
+    }
+
+    toVCD() {
+        // Value Change Dump as read by GTKWave. Time is simulated milliseconds;
+        // scans at the same millisecond share a timestamp and the last one wins
+        const ids = this.channels.map((channel, index) => TrendRecorder.vcdIdentifier(index));
+        const references = TrendRecorder.uniqueReferences(this.channels);
+        const lines = [
+            '$version PLC Ladder Simulator $end',
+            '$timescale 1ms $end',
+            '$scope module ladder $end',
+            ...this.channels.map((channel, index) => channel.kind === 'bit'
+                ? `$var wire 1 ${ids[index]} ${references[index]} $end`
+                : `$var integer 16 ${ids[index]} ${references[index]} $end`),
+            '$upscope $end',
+            '$enddefinitions $end'
+        ];
+
+        const valueLine = (index, value) => this.channels[index].kind === 'bit'
+            ? `${value ? 1 : 0}${ids[index]}`
+            : `b${(value & 0xffff).toString(2)} ${ids[index]}`;
+
+        let previous = null;
+        let lastTime = null;
+        for (const sample of this.getSamples()) {
+            const time = Math.round(sample.time);
+            if (previous === null) {
+                lines.push(`#${time}`, '$dumpvars', ...sample.values.map((value, index) => valueLine(index, value)), '$end');
+                lastTime = time;
+            } else {
+                const changes = sample.values
+                    .map((value, index) => value !== previous[index] ? valueLine(index, value) : null)
+                    .filter(line => line !== null);
+                if (changes.length > 0 && time !== lastTime) {
+                    lines.push(`#${time}`);
+                    lastTime = time;
+                }
+                lines.push(...changes);
+            }
+            previous = sample.values;
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    toCSV() {
+        // One row per scan; bits as 0/1
+        const header = ['time_ms', 'scan', ...this.channels.map(channel => channel.name)];
+        const rows = this.getSamples().map(sample => [
+            sample.time,
+            sample.scan,
+            ...sample.values.map(value => typeof value === 'boolean' ? (value ? 1 : 0) : value)
+        ]);
+        return [header, ...rows].map(row => row.map(TrendRecorder.csvField).join(',')).join('\n') + '\n';
+    }
+
+    static vcdIdentifier(index) {
+        // Printable ASCII '!'..'~', little end first
+        let id = '';
+        do {
+            id += String.fromCharCode(33 + index % 94);
+            index = Math.floor(index / 94);
+        } while (index > 0);
+        return id;
+    }
+
+    static uniqueReferences(channels) {
+        // VCD names can't contain whitespace; repeated names get a suffix
+        const used = new Set();
+        return channels.map(channel => {
+            const base = channel.name.replace(/[^\w:./\[\]-]+/g, '_') || '_';
+            let reference = base;
+            for (let n = 2; used.has(reference); n++) {
+                reference = `${base}_${n}`;
+            }
+            used.add(reference);
+            return reference;
+        });
+    }
+
+    static csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Scans kept in the ring buffer; older ones are dropped
+TrendRecorder.DEFAULT_CAPACITY = 5000;
@@ -0,0 +1,247 @@
+/**
+ * Truth Tables
+ * Runs every combination of an output coil's conditions through the simulator and
+ * derives its boolean expression, as drawn and as a minimized sum of products
+ */
+
+import { LadderData } from './ladder-data.js';
+import { LadderSimulator } from './ladder-simulator.js';
+import { BoolExpr, LadderExporter } from './ladder-exporter.js';
+
+export class TruthTable {
+    constructor(ladderData) {
+        this.ladderData = ladderData;
+    }
+
+    coils() {
+        // Every bit coil with an address, in scan order: { rung, row, col, component }
+        const coils = [];
+        this.ladderData.rungs.forEach((rung, rungIndex) => {
+            const cells = rung.branches.flatMap(branch => branch.components
+                .filter(c => LadderData.COIL_TYPES.includes(c.type) && c.address)
+                .map(component => ({ rung: rungIndex, row: branch.row, col: component.col, component })));
+            coils.push(...cells.sort((a, b) => a.col - b.col || a.row - b.row));
+        });
+        return coils;
+    }
+
+    build(coil) {
+        // { inputs, rows: [{ values, output }], expression, minimized } or { error }.
+        // The output is whether power reaches the coil, so a seal-in contact on
+        // the coil's own bit is an input like any other
+        const rung = this.conditionRung(this.ladderData.rungs[coil.rung]);
+        const upstream = this.componentsBefore(rung, coil);
+        const edge = upstream.find(({ component }) => LadderData.EDGE_TYPES.includes(component.type));
+        if (edge) {
+            // The result depends on the previous scan, which a table of one scan can't show
+            return { error: `This coil depends on an edge instruction (${edge.component.type}), so it has no truth table` };
+        }
+
+        const contacts = this.contactsBefore(upstream);
+        if (contacts.length > TruthTable.MAX_INPUTS) {
+            return { error: `${contacts.length} conditions lead to this coil; truth tables are limited to ${TruthTable.MAX_INPUTS}` };
+        }
+
+        const outputs = this.simulate(rung, coil, contacts);
+
+        // Keep only the conditions that can change the output on their own
+        const count = contacts.length;
+        const flip = index => 1 << (count - 1 - index);
+        const kept = contacts.filter((contact, index) =>
+            outputs.some((output, combination) => output !== outputs[combination ^ flip(index)]));
+        const keptIndexes = kept.map(contact => contacts.indexOf(contact));
+
+        const rows = [];
+        for (let combination = 0; combination < 2 ** kept.length; combination++) {
+            const values = kept.map((contact, index) => Boolean(combination & (1 << (kept.length - 1 - index))));
+            const full = keptIndexes.reduce((sum, contactIndex, index) => sum | (values[index] ? flip(contactIndex) : 0), 0);
+            rows.push({ values, output: outputs[full] });
+        }
+
+        const names = kept.map(contact => contact.name);
+        const minterms = rows.map((row, index) => row.output ? index : -1).filter(index => index >= 0);
+        return {
+            inputs: names,
+            rows,
+            expression: LadderExporter.toST(this.structureExpr(rung, coil, contacts)),
+            minimized: TruthTable.formatSumOfProducts(TruthTable.minimize(minterms, names.length), names)
+        };
+    }
+
+    conditionRung(rung) {
+        // A copy where each compare is a contact on a made-up bit named after the
+        // comparison, so it can be forced true and false like any other condition.
+        // Subroutine instructions pass power and only act on the data table,
+        // which the forces override, so they are left out
+        const copy = JSON.parse(JSON.stringify(rung));
+        for (const branch of copy.branches) {
+            branch.components = branch.components
+                .filter(component => !LadderData.ROUTINE_TYPES.includes(component.type))
+                .map(component => {
+                    if (!LadderData.COMPARE_TYPES.includes(component.type)) return component;
+                    const operator = LadderExporter.COMPARE_OPERATORS[component.type];
+                    return { type: 'NO', address: `(${component.sourceA} ${operator} ${component.sourceB})`, label: '', col: component.col };
+                });
+        }
+        return copy;
+    }
+
+    componentsBefore(rung, coil) {
+        // Components on some path from the left rail to the coil: { component, col, row }
+        const netOf = this.ladderData.buildNetwork(rung);
+        const coilBranch = rung.branches.find(b => b.row === coil.row);
+        const reaching = new Set([netOf(coilBranch, coil.col)]);
+
+        // Walk right to left, so each net is complete before the cells that feed it
+        const cells = rung.branches.flatMap(branch => Array.from(
+            { length: branch.end_col - branch.start_col + 1 }, (_, i) => ({ branch, col: branch.start_col + i })));
+        cells.sort((a, b) => b.col - a.col);
+
+        const found = [];
+        for (const { branch, col } of cells) {
+            if (!reaching.has(netOf(branch, col + 1))) continue;
+            reaching.add(netOf(branch, col));
+            const component = branch.components.find(c => c.col === col);
+            if (component) found.push({ component, col, row: branch.row });
+        }
+        return found.sort((a, b) => a.col - b.col || a.row - b.row);
+    }
+
+    contactsBefore(upstream) {
+        // One input per contact address, named and ordered as first met in scan
+        // order: { name as first written, address }
+        const contacts = [];
+        for (const { component } of upstream) {
+            if (!LadderData.CONTACT_TYPES.includes(component.type) || !component.address) continue;
+            const address = this.ladderData.resolveAddress(component.address);
+            if (!contacts.some(c => c.address === address)) {
+                contacts.push({ name: component.address, address });
+            }
+        }
+        return contacts;
+    }
+
+    simulate(rung, coil, contacts) {
+        // A one-rung program scanned once per combination, with every condition
+        // forced. Combination bits run from the first contact (high) to the last
+        const data = new LadderData();
+        data.rungs = [rung];
+        data.pins = this.ladderData.pins;
+        const simulator = new LadderSimulator(data);
+        simulator.initializePins();
+
+        const outputs = [];
+        for (let combination = 0; combination < 2 ** contacts.length; combination++) {
+            contacts.forEach((contact, index) => {
+                simulator.setForce(contact.address, Boolean(combination & (1 << (contacts.length - 1 - index))));
+            });
+            simulator.executeScan(0);
+            outputs.push(simulator.isComponentActive(rung.id, coil.row, coil.col));
+        }
+        return outputs;
+    }
+
+    structureExpr(rung, coil, contacts) {
+        // Series cells AND, parallel branches OR: the column walk of the exporter,
+        // stopping at the coil's input. Contacts take their input's name
+        const nameOf = (address) => {
+            const contact = contacts.find(c => c.address === this.ladderData.resolveAddress(address));
+            return contact ? contact.name : address;
+        };
+        const netOf = this.ladderData.buildNetwork(rung);
+        const branches = [...rung.branches].sort((a, b) => a.row - b.row);
+        const root = branches.find(b => b.parent_branch_id === null);
+        const netExpr = new Map([[netOf(root, root.start_col), BoolExpr.TRUE]]);
+
+        for (let col = 0; col <= coil.col; col++) {
+            for (const branch of branches) {
+                if (col < branch.start_col || col > branch.end_col) continue;
+
+                const input = netExpr.get(netOf(branch, col)) || BoolExpr.FALSE;
+                if (col === coil.col && branch.row === coil.row) return input;
+
+                const component = branch.components.find(c => c.col === col);
+                let output = input;
+                if (component && LadderData.CONTACT_TYPES.includes(component.type)) {
+                    const bit = component.address ? BoolExpr.variable(nameOf(component.address)) : BoolExpr.FALSE;
+                    output = BoolExpr.and(input, component.type === 'NC' ? BoolExpr.not(bit) : bit);
+                }
+                const next = netOf(branch, col + 1);
+                netExpr.set(next, BoolExpr.or(netExpr.get(next) || BoolExpr.FALSE, output));
+            }
+        }
+        return BoolExpr.FALSE;
+    }
+
+    static minimize(minterms, count) {
+        // Quine-McCluskey. Implicants are { value, mask } where mask bits are the
+        // inputs eliminated from the term. Returns the chosen prime implicants
+        let current = [...new Set(minterms)].map(value => ({ value, mask: 0 }));
+        const primes = [];
+        while (current.length > 0) {
+            const combined = new Map();
+            const used = new Set();
+            for (let i = 0; i < current.length; i++) {
+                for (let j = i + 1; j < current.length; j++) {
+                    const a = current[i];
+                    const b = current[j];
+                    const difference = a.value ^ b.value;
+                    if (a.mask !== b.mask || (difference & (difference - 1)) !== 0) continue;
+
+                    const merged = { value: a.value & b.value, mask: a.mask | difference };
+                    combined.set(`${merged.value}/${merged.mask}`, merged);
+                    used.add(a).add(b);
+                }
+            }
+            primes.push(...current.filter(implicant => !used.has(implicant)));
+            current = [...combined.values()];
+        }
+
+        // Essential primes first, then whichever prime covers the most of what's
+        // left, preferring fewer literals
+        const covers = (implicant, minterm) => (minterm & ~implicant.mask) === implicant.value;
+        const literals = implicant => count - TruthTable.bitCount(implicant.mask);
+        let remaining = new Set(minterms);
+        const chosen = [];
+        const choose = (implicant) => {
+            chosen.push(implicant);
+            remaining = new Set([...remaining].filter(minterm => !covers(implicant, minterm)));
+        };
+
+        for (const minterm of minterms) {
+            const covering = primes.filter(implicant => covers(implicant, minterm));
+            if (covering.length === 1 && !chosen.includes(covering[0]) && remaining.has(minterm)) {
+                choose(covering[0]);
+            }
+        }
+        while (remaining.size > 0) {
+            const score = implicant => [...remaining].filter(minterm => covers(implicant, minterm)).length;
+            const best = primes
+                .filter(implicant => !chosen.includes(implicant))
+                .sort((a, b) => score(b) - score(a) || literals(a) - literals(b))[0];
+            choose(best);
+        }
+        return chosen.sort((a, b) => literals(a) - literals(b) || b.value - a.value);
+    }
+
+    static formatSumOfProducts(implicants, names) {
+        if (implicants.length === 0) return 'FALSE';
+        return implicants.map((implicant) => {
+            const literals = names
+                .map((name, index) => ({ name, bit: 1 << (names.length - 1 - index) }))
+                .filter(({ bit }) => !(implicant.mask & bit))
+                .map(({ name, bit }) => implicant.value & bit ? name : `NOT ${name}`);
+            if (literals.length === 0) return 'TRUE';
+            return implicants.length > 1 && literals.length > 1 ? `(${literals.join(' AND ')})` : literals.join(' AND ');
+        }).join(' OR ');
+    }
+
+    static bitCount(value) {
+        let count = 0;
+        for (let bits = value; bits; bits &= bits - 1) count++;
+        return count;
+    }
+}
+
+// Rows grow as 2^inputs; beyond this the table is no longer readable
+TruthTable.MAX_INPUTS = 8;
@@ -0,0 +1,349 @@
+/**
+ * Ladder Verifier
+ * Static checks over a program and a cross-reference of every address it uses
+ */
+
+import { LadderData } from './ladder-data.js';
+import { LadderSimulator } from './ladder-simulator.js';
+
+export class LadderVerifier {
+    constructor(ladderData) {
+        this.ladderData = ladderData;
+    }
+
+    verify() {
+        // Issues are { severity: 'error' | 'warning', message, cells: [{ rung, row, col }] }
+        // with rung as the rung index, the same as the renderer's positions.
+        // Rungs are those of the routine being edited; pins count as used
+        // anywhere in the program
+        const issues = [
+            ...this.checkOperands(),
+            ...this.checkDuplicateCoils(),
+            ...this.checkOutputPlacement(),
+            ...this.checkBranches(),
+            ...this.checkRoutines(),
+            ...this.checkUnusedPins()
+        ];
+        return issues.sort((a, b) => LadderVerifier.SEVERITIES.indexOf(a.severity) -
+                                     LadderVerifier.SEVERITIES.indexOf(b.severity));
+    }
+
+    crossReference() {
+        // Every read and write of every address, grouped by address in natural order
+        const byAddress = new Map();
+        this.forEachComponent((component, cell) => {
+            for (const { address: operand, access } of LadderVerifier.operandsOf(component)) {
+                if (!operand || LadderVerifier.isLiteral(operand)) continue;
+                // References by tag name are listed under the tag's address
+                const address = this.ladderData.resolveAddress(operand);
+                if (!byAddress.has(address)) byAddress.set(address, []);
+                byAddress.get(address).push({ ...cell, type: component.type, access });
+            }
+        });
+
+        return [...byAddress.entries()]
+            .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(([address, references]) => ({ address, label: this.labelOf(address), references }));
+    }
+
+    checkOperands() {
+        const issues = [];
+        this.forEachComponent((component, cell) => {
+            for (const { key, address } of LadderVerifier.operandsOf(component)) {
+                const operand = String(address || '').trim();
+                if (operand === '') {
+                    const what = key === 'address' ? 'no address' : `no ${LadderVerifier.OPERAND_NAMES[key]}`;
+                    issues.push(this.issue('error', `${component.type} has ${what}`, [cell]));
+                } else if (/^[A-Za-z_]\w*$/.test(operand) && !this.ladderData.findTag(operand)) {
+                    issues.push(this.issue('error', `${component.type} refers to unknown tag "${operand}"`, [cell]));
+                }
+            }
+        });
+        return issues;
+    }
+
+    checkDuplicateCoils() {
+        // Only the last OUT in scan order decides the bit, which hides the others
+        const coils = new Map();
+        this.forEachComponent((component, cell) => {
+            if (component.type !== 'OUT' || !component.address) return;
+            const address = this.ladderData.resolveAddress(component.address);
+            if (!coils.has(address)) coils.set(address, []);
+            coils.get(address).push(cell);
+        });
+
+        return [...coils.entries()]
+            .filter(([, cells]) => cells.length > 1)
+            .map(([address, cells]) => this.issue('warning',
+                `${this.describe(address)} is written by ${cells.length} OUT coils; only the last one in scan order has any effect`,
+                cells));
+    }
+
+    checkOutputPlacement() {
+        // Outputs belong at the end of a path: nothing after them should test a condition
+        const issues = [];
+        this.ladderData.rungs.forEach((rung, rungIndex) => {
+            const netOf = this.ladderData.buildNetwork(rung);
+            for (const branch of rung.branches) {
+                for (const component of branch.components) {
+                    if (!LadderVerifier.isOutput(component)) continue;
+
+                    const downstream = this.conditionsAfter(rung, netOf, netOf(branch, component.col + 1));
+                    if (downstream.length === 0) continue;
+                    issues.push(this.issue('warning',
+                        `${component.type} is not at the end of its branch; ${downstream.length} condition(s) follow it`,
+                        [{ rung: rungIndex, row: branch.row, col: component.col },
+                         ...downstream.map(cell => ({ rung: rungIndex, ...cell }))]));
+                }
+            }
+        });
+        return issues;
+    }
+
+    conditionsAfter(rung, netOf, startNet) {
+        // Walk every cell reachable to the right of a node, collecting contacts and compares
+        const found = [];
+        const visited = new Set([startNet]);
+        const queue = [startNet];
+        while (queue.length > 0) {
+            const net = queue.shift();
+            for (const branch of rung.branches) {
+                for (let col = branch.start_col; col <= branch.end_col; col++) {
+                    if (netOf(branch, col) !== net) continue;
+
+                    const component = branch.components.find(c => c.col === col);
+                    if (component && LadderVerifier.isCondition(component)) {
+                        found.push({ row: branch.row, col });
+                    }
+                    const next = netOf(branch, col + 1);
+                    if (!visited.has(next)) {
+                        visited.add(next);
+                        queue.push(next);
+                    }
+                }
+            }
+        }
+        return found;
+    }
+
+    checkBranches() {
+        // A branch is a parallel path between its split and merge nodes. If either
+        // path has no conditions it is a plain wire that shorts out the other one
+        const issues = [];
+        this.ladderData.rungs.forEach((rung, rungIndex) => {
+            for (const branch of rung.branches) {
+                const parent = rung.branches.find(b => b.id === branch.parent_branch_id);
+                if (!parent) continue;
+
+                const span = `columns ${branch.start_col + 1}-${branch.end_col + 1}`;
+                const cells = [{ rung: rungIndex, row: branch.row, col: branch.start_col }];
+                const subtree = [branch, ...rung.branches.filter(b => this.isDescendant(rung, b, branch))];
+                const isEmpty = subtree.every(b => b.components.length === 0);
+                const branchConditions = this.hasConditions(branch, branch.start_col, branch.end_col);
+                const parentConditions = this.hasConditions(parent, branch.start_col, branch.end_col);
+
+                if (isEmpty) {
+                    issues.push(this.issue(parentConditions ? 'error' : 'warning', parentConditions
+                        ? `Empty branch on row ${branch.row} shorts out ${span} of row ${parent.row}`
+                        : `Branch on row ${branch.row} has no instructions`, cells));
+                } else if (branchConditions && !parentConditions) {
+                    issues.push(this.issue('warning',
+                        `Branch on row ${branch.row} is bypassed: row ${parent.row} has no conditions across ${span}`, cells));
+                }
+            }
+        });
+        return issues;
+    }
+
+    hasConditions(branch, startCol, endCol) {
+        return branch.components.some(c => c.col >= startCol && c.col <= endCol && LadderVerifier.isCondition(c));
+    }
+
+    isDescendant(rung, branch, ancestor) {
+        let parent = rung.branches.find(b => b.id === branch.parent_branch_id);
+        while (parent) {
+            if (parent === ancestor) return true;
+            parent = rung.branches.find(b => b.id === parent.parent_branch_id);
+        }
+        return false;
+    }
+
+    checkRoutines() {
+        // JSR targets must exist, SBR belongs at the start of a subroutine, and
+        // a call that can lead back to its own routine recurses until the
+        // simulator's call depth limit
+        const issues = [];
+        const current = this.ladderData.currentRoutine;
+        const isMain = this.ladderData.getMainRoutine().name === current;
+        this.forEachComponent((component, cell) => {
+            if (component.type === 'SBR' && isMain) {
+                issues.push(this.issue('warning', 'SBR in the main routine never receives parameters', [cell]));
+            } else if (component.type === 'SBR' && (cell.rung !== 0 || cell.row !== 0 || cell.col !== 0)) {
+                issues.push(this.issue('warning', 'SBR should be the first instruction of the routine', [cell]));
+            }
+            if (component.type !== 'JSR') return;
+
+            const target = this.ladderData.getRoutine(component.routine);
+            if (!component.routine) {
+                issues.push(this.issue('error', 'JSR has no routine', [cell]));
+                return;
+            }
+            if (!target) {
+                issues.push(this.issue('error', `JSR calls routine "${component.routine}", which does not exist`, [cell]));
+                return;
+            }
+
+            const cycle = this.callPath(component.routine, current);
+            if (cycle) {
+                issues.push(this.issue('warning',
+                    `JSR ${component.routine} is recursive (${[current, ...cycle].join(' > ')}); the simulator faults after ${LadderSimulator.MAX_CALL_DEPTH} nested calls`,
+                    [cell]));
+            }
+
+            const received = this.receivedParameters(target);
+            const passed = (component.params || []).length;
+            if (received !== null && passed !== received) {
+                issues.push(this.issue('warning',
+                    `JSR passes ${passed} parameter(s) but the SBR of ${target.name} receives ${received}`, [cell]));
+            }
+        });
+        return issues;
+    }
+
+    callPath(from, to, seen = new Set()) {
+        // Routine names from one routine down to another through JSRs, or null
+        if (from === to) return [to];
+        if (seen.has(from)) return null;
+        seen.add(from);
+        for (const callee of this.ladderData.routineCalls(from)) {
+            const path = this.callPath(callee, to, seen);
+            if (path) return [from, ...path];
+        }
+        return null;
+    }
+
+    receivedParameters(routine) {
+        // How many parameters the routine's SBR takes, or null without one
+        for (const rung of routine.rungs) {
+            for (const branch of rung.branches) {
+                const sbr = branch.components.find(c => c.type === 'SBR');
+                if (sbr) return (sbr.params || []).length;
+            }
+        }
+        return null;
+    }
+
+    checkUnusedPins() {
+        // Uses in every routine count, not just the one being verified
+        const used = new Set(this.ladderData.findComponents(() => true)
+            .flatMap(component => LadderVerifier.operandsOf(component))
+            .filter(({ address }) => address && !LadderVerifier.isLiteral(address))
+            .map(({ address }) => this.ladderData.resolveAddress(address)));
+        const pins = this.ladderData.pins;
+        const groups = [
+            ['Input', pins.inputs],
+            ['Output', pins.outputs],
+            ['Memory bit', pins.memory || []],
+            ['Register', pins.registers || []]
+        ];
+
+        return groups.flatMap(([kind, list]) => list
+            .filter(pin => !used.has(pin.address))
+            .map(pin => this.issue('warning', `${kind} ${this.describe(pin.address)} is never used`, [])));
+    }
+
+    forEachComponent(callback) {
+        this.ladderData.rungs.forEach((rung, rungIndex) => {
+            for (const branch of rung.branches) {
+                for (const component of branch.components) {
+                    callback(component, { rung: rungIndex, row: branch.row, col: component.col });
+                }
+            }
+        });
+    }
+
+    issue(severity, message, cells) {
+        const at = cells[0] ? `Rung ${cells[0].rung}, row ${cells[0].row}, column ${cells[0].col + 1}: ` : '';
+        return { severity, message: at + message, cells };
+    }
+
+    labelOf(address) {
+        const pins = this.ladderData.pins;
+        const all = [...pins.inputs, ...pins.outputs, ...(pins.memory || []), ...(pins.registers || [])];
+        const pin = all.find(p => p.address === address);
+        return pin ? pin.label : '';
+    }
+
+    describe(address) {
+        const label = this.labelOf(address);
+        return label ? `${address} (${label})` : address;
+    }
+
+    static operandsOf(component) {
+        // The addresses an instruction reads and writes, keyed by the field they come from
+        const type = component.type;
+        if (LadderData.CONTACT_TYPES.includes(type) || LadderData.EDGE_CONTACT_TYPES.includes(type)) {
+            return [{ key: 'address', address: component.address, access: 'read' }];
+        }
+        if (type === 'ONS') {
+            // Its last-scan state belongs to the instruction, not to a bit
+            return [];
+        }
+        if (LadderData.COMPARE_TYPES.includes(type)) {
+            return [
+                { key: 'sourceA', address: component.sourceA, access: 'read' },
+                { key: 'sourceB', address: component.sourceB, access: 'read' }
+            ];
+        }
+        if (LadderData.MATH_TYPES.includes(type)) {
+            return [
+                { key: 'sourceA', address: component.sourceA, access: 'read' },
+                { key: 'sourceB', address: component.sourceB, access: 'read' },
+                { key: 'dest', address: component.dest, access: 'write' }
+            ];
+        }
+        if (type === 'MOV') {
+            return [
+                { key: 'sourceA', address: component.sourceA, access: 'read' },
+                { key: 'dest', address: component.dest, access: 'write' }
+            ];
+        }
+        if (type === 'CLR') {
+            return [{ key: 'dest', address: component.dest, access: 'write' }];
+        }
+        if (LadderData.ROUTINE_TYPES.includes(type)) {
+            // JSR reads what it passes and writes what comes back; SBR writes
+            // what it receives and RET reads what it hands back
+            const list = (key, access) => (component[key] || []).map(address => ({ key, address, access }));
+            if (type === 'JSR') return [...list('params', 'read'), ...list('returns', 'write')];
+            return type === 'SBR' ? list('params', 'write') : list('returns', 'read');
+        }
+        // Coils, timers, counters, RES, OSR and OSF write their address
+        return [{ key: 'address', address: component.address, access: 'write' }];
+    }
+
+    static isCondition(component) {
+        return LadderData.CONTACT_TYPES.includes(component.type) || LadderData.COMPARE_TYPES.includes(component.type) ||
+               LadderData.EDGE_CONTACT_TYPES.includes(component.type) || component.type === 'ONS' ||
+               component.type === 'SBR';
+    }
+
+    static isOutput(component) {
+        return !LadderVerifier.isCondition(component);
+    }
+
+    static isLiteral(operand) {
+        return /^-?\d+$/.test(String(operand).trim());
+    }
+}
+
+// Most severe first
+LadderVerifier.SEVERITIES = ['error', 'warning'];
+
+LadderVerifier.OPERAND_NAMES = {
+    sourceA: 'source A',
+    sourceB: 'source B',
+    dest: 'destination',
+    params: 'parameter',
+    returns: 'return value'
+};
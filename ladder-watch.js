@@ -0,0 +1,60 @@
+/**
+ * Watch List
+ * Chosen addresses with their values before and after each debugger step
+ */
+
+export class WatchList {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.addresses = [];
+        this.before = {};
+        this.after = {};
+    }
+
+    add(address) {
+        const text = String(address || '').trim();
+        if (!text || this.addresses.includes(text)) return false;
+        this.addresses.push(text);
+        this.after[text] = this.valueOf(text);
+        return true;
+    }
+
+    remove(address) {
+        this.addresses = this.addresses.filter(a => a !== address);
+        delete this.before[address];
+        delete this.after[address];
+    }
+
+    valueOf(address) {
+        // Registers and timer/counter words are numbers, everything else a bit
+        const resolved = this.simulator.ladderData.resolveAddress(address);
+        return WatchList.WORD_PATTERN.test(resolved)
+            ? this.simulator.readWord(resolved)
+            : this.simulator.getPinState(resolved);
+    }
+
+    capture() {
+        return Object.fromEntries(this.addresses.map(address => [address, this.valueOf(address)]));
+    }
+
+    async step(action) {
+        // Run one debugger action, keeping the values from either side of it.
+        // The action may return a promise, such as a command to the scan engine
+        this.before = this.capture();
+        await action();
+        this.after = this.capture();
+    }
+
+    record() {
+        // New values after something other than a step, such as a breakpoint;
+        // the previous reading becomes the before column
+        this.before = this.after;
+        this.after = this.capture();
+    }
+
+    hasChanged(address) {
+        return address in this.before && this.before[address] !== this.after[address];
+    }
+}
+
+WatchList.WORD_PATTERN = /^(N7:\d+|[TC]\d+:\d+\.(ACC|PRE))$/;
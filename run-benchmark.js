@@ -0,0 +1,31 @@
+/**
+ * Benchmark CLI
+ * Times the scan of a ladder program: node run-benchmark.js <file.ladder.json> [scans]
+ */
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { LadderData } from './ladder-data.js';
+import { LadderProject } from './ladder-project.js';
+import { LadderBenchmark } from './ladder-benchmark.js';
+
+export function benchmarkFile(file, scans) {
+    const ladderData = new LadderData();
+    ladderData.fromJSON(LadderProject.parse(readFileSync(file, 'utf8')));
+    return new LadderBenchmark(ladderData).run({ scans });
+}
+
+function main(args) {
+    if (args.length === 0) {
+        console.error('Usage: node run-benchmark.js <file.ladder.json> [scans]');
+        return 2;
+    }
+    const result = benchmarkFile(args[0], Number(args[1]) || undefined);
+    console.log(LadderBenchmark.formatResult(result));
+    return result.fault ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,91 @@
+/**
+ * Modbus TCP CLI
+ * Runs a ladder program headless and serves its tags to Modbus TCP clients on
+ * this machine: node run-modbus.js <file.ladder.json> [port]
+ */
+
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:net';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { LadderData } from './ladder-data.js';
+import { LadderProject } from './ladder-project.js';
+import { LadderSimulator } from './ladder-simulator.js';
+import { ModbusMap, ModbusSlave } from './ladder-modbus.js';
+
+// Unprivileged stand-in for Modbus's own port 502
+export const DEFAULT_PORT = 5020;
+export const LOCALHOST = '127.0.0.1';
+
+export function startModbusServer(simulator, map, port = DEFAULT_PORT) {
+    // Resolves with the listening server, bound to the loopback interface only.
+    // Requests may arrive split or several to a packet, so each connection
+    // collects bytes until it holds a whole frame
+    const slave = new ModbusSlave(simulator, map);
+    const server = createServer(socket => {
+        let received = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            received = Buffer.concat([received, chunk]);
+            while (received.length >= 7) {
+                const length = received.readUInt16BE(4);
+                if (received.readUInt16BE(2) !== 0 || length < 2 || length > 254) {
+                    // Not Modbus TCP; there is no telling where the next frame starts
+                    socket.destroy();
+                    return;
+                }
+                if (received.length < 6 + length) break;
+                socket.write(slave.handleAdu(received.subarray(0, 6 + length)));
+                received = received.subarray(6 + length);
+            }
+        });
+        // A client that goes away mid-request only ends its own connection
+        socket.on('error', () => socket.destroy());
+    });
+    return new Promise((resolvePromise, reject) => {
+        server.once('error', reject);
+        server.listen(port, LOCALHOST, () => {
+            server.off('error', reject);
+            resolvePromise(server);
+        });
+    });
+}
+
+export function describeMap(map) {
+    return map.entries()
+        .map(({ table, modbus, tag }) => `  ${ModbusMap.TABLE_NAMES[table].padEnd(17)}${String(modbus).padStart(6)}  ${tag.id} (${tag.address})`)
+        .join('\n');
+}
+
+async function main(args) {
+    if (args.length === 0) {
+        console.error('Usage: node run-modbus.js <file.ladder.json> [port]');
+        return 2;
+    }
+    const ladderData = new LadderData();
+    ladderData.fromJSON(LadderProject.parse(readFileSync(args[0], 'utf8')));
+    const errors = ModbusMap.validate(ladderData.pins);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(error));
+        return 1;
+    }
+
+    const simulator = new LadderSimulator(ladderData);
+    simulator.onFault = (message) => console.error(`Processor fault: ${message}`);
+    simulator.initializePins();
+    const map = new ModbusMap(ladderData.pins);
+    const port = Number(args[1]) || DEFAULT_PORT;
+    await startModbusServer(simulator, map, port);
+    simulator.start();
+
+    console.log(`Serving ${args[0]} on ${LOCALHOST}:${port}\n${describeMap(map)}`);
+    return 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+    main(process.argv.slice(2)).then(code => {
+        if (code !== 0) process.exitCode = code;
+    }, error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
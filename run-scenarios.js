@@ -0,0 +1,49 @@
+/**
+ * Scenario CLI
+ * Runs *.scenario.json files against their ladder programs: node run-scenarios.js [files or folders]
+ */
+
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { ScenarioRunner } from './scenario-runner.js';
+
+// A scenario file names its program (relative to the file) and lists scenarios
+export function runScenarioFile(file) {
+    const suite = JSON.parse(readFileSync(file, 'utf8'));
+    const program = readFileSync(resolve(dirname(file), suite.program), 'utf8');
+    const runner = new ScenarioRunner(program, { scanPeriod: suite.scanPeriod });
+    return (suite.scenarios || []).map(scenario => runner.run(scenario));
+}
+
+export function findScenarioFiles(paths) {
+    return paths.flatMap(path => {
+        if (!statSync(path).isDirectory()) return [path];
+        return readdirSync(path)
+            .sort()
+            .flatMap(name => findScenarioFiles([join(path, name)]))
+            .filter(file => file.endsWith('.scenario.json'));
+    });
+}
+
+function main(args) {
+    const files = findScenarioFiles(args.length > 0 ? args : ['scenarios']);
+    let failed = 0;
+    let total = 0;
+
+    for (const file of files) {
+        console.log(file);
+        for (const result of runScenarioFile(file)) {
+            total++;
+            if (!result.passed) failed++;
+            console.log(`  ${ScenarioRunner.formatResult(result).replace(/\n/g, '\n  ')}`);
+        }
+    }
+
+    console.log(`\n${total - failed} of ${total} scenarios passed`);
+    return failed === 0 ? 0 : 1;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,89 @@
+/**
+ * Scenario Runner
+ * Drives a ladder program through a timed sequence of inputs and checks expectations
+ */
+
+import { LadderData } from './ladder-data.js';
+import { LadderSimulator } from './ladder-simulator.js';
+import { LadderProject } from './ladder-project.js';
+
+export class ScenarioRunner {
+    constructor(project, options = {}) {
+        // project is parsed project data or the text of a .ladder.json file
+        const data = typeof project === 'string' ? LadderProject.parse(project) : project;
+        this.ladderData = new LadderData();
+        this.ladderData.fromJSON(JSON.parse(JSON.stringify(data)));
+        this.scanPeriod = options.scanPeriod || ScenarioRunner.DEFAULT_SCAN_PERIOD;
+    }
+
+    run(scenario) {
+        // Steps run in time order. Each step's inputs are applied, then the
+        // program scans up to the step time before its expectations are checked
+        const simulator = new LadderSimulator(this.ladderData);
+        simulator.initializePins();
+        simulator.isRunning = true;
+
+        const scanPeriod = scenario.scanPeriod || this.scanPeriod;
+        const steps = [...(scenario.steps || [])].sort((a, b) => (a.at || 0) - (b.at || 0));
+        const failures = [];
+        let time = 0;
+        simulator.executeScan(0);
+
+        for (const step of steps) {
+            const at = step.at || 0;
+            while (time < at) {
+                const elapsed = Math.min(scanPeriod, at - time);
+                simulator.executeScan(elapsed);
+                time += elapsed;
+            }
+
+            if (step.set) {
+                for (const [name, value] of Object.entries(step.set)) {
+                    this.write(simulator, this.resolve(name), value);
+                }
+                // Inputs take effect on the next scan, as they would on a PLC
+                simulator.executeScan(0);
+            }
+
+            for (const [name, expected] of Object.entries(step.expect || {})) {
+                const actual = this.read(simulator, this.resolve(name), expected);
+                if (actual !== expected) {
+                    failures.push({ at, name, expected, actual });
+                }
+            }
+        }
+
+        return {
+            name: scenario.name || 'Unnamed scenario',
+            passed: failures.length === 0,
+            failures
+        };
+    }
+
+    resolve(name) {
+        // Pins and registers can be referred to by tag name as well as by address
+        return this.ladderData.resolveAddress(name);
+    }
+
+    read(simulator, address, expected) {
+        return typeof expected === 'number' ? simulator.readWord(address) : simulator.getPinState(address);
+    }
+
+    write(simulator, address, value) {
+        if (typeof value === 'number') {
+            simulator.writeWord(address, value);
+        } else {
+            simulator.setPinState(address, Boolean(value));
+        }
+    }
+
+    static formatResult(result) {
+        const lines = [`${result.passed ? 'PASS' : 'FAIL'} ${result.name}`];
+        for (const failure of result.failures) {
+            lines.push(`    at ${failure.at} ms: ${failure.name} expected ${failure.expected}, got ${failure.actual}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+ScenarioRunner.DEFAULT_SCAN_PERIOD = 10; // ms
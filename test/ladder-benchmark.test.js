@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderBenchmark } from '../ladder-benchmark.js';
+
+test('the benchmark reports the scan rate and what each rung costs', () => {
+    // 100 seal-in rungs in MAIN, and a JSR to a routine that counts scans
+    const data = new LadderData();
+    for (let rung = 0; rung < 100; rung++) {
+        if (rung > 0) data.addRung();
+        data.addComponent(rung, 0, 0, 'NO', 'I:0/0', '');
+        data.addComponent(rung, 0, 1, 'NC', 'I:0/1', '');
+        data.addComponent(rung, 0, 9, 'OUT', `B3:${rung}`, '');
+        const row = data.addBranch(rung, 0, 0, 0);
+        data.addComponent(rung, row, 0, 'NO', `B3:${rung}`, '');
+    }
+    data.addRung();
+    data.addComponent(100, 0, 9, 'JSR', '', '', { routine: 'Count', params: [], returns: [] });
+    data.addRoutine('Count');
+    data.selectRoutine('Count');
+    data.addComponent(0, 0, 9, 'ADD', '', '', { sourceA: 'N7:0', sourceB: '1', dest: 'N7:0' });
+
+    const result = new LadderBenchmark(data).run({ scans: 50 });
+    assert.equal(result.scans, 50);
+    assert.equal(result.fault, null);
+    assert.ok(result.scansPerSecond > 0);
+    assert.equal(result.rungs.length, 102);
+    assert.deepEqual(result.rungs.at(-1), { ...result.rungs.at(-1), routine: 'Count', index: 0, runs: 50 });
+    const totalShare = result.rungs.reduce((sum, rung) => sum + rung.share, 0);
+    assert.ok(Math.abs(totalShare - 1) < 1e-9);
+
+    const report = LadderBenchmark.formatResult(result, 3);
+    assert.match(report, /^50 scans in [\d.]+ ms: \d+ scans\/s/);
+    assert.equal(report.split('\n').filter(line => / rung \d+ /.test(line)).length, 3);
+});
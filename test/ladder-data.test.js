@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+
+test('components must lie inside their branch span', () => {
+    const data = new LadderData();
+    const row = data.addBranch(0, 0, 2, 4);
+
+    assert.equal(data.addComponent(0, row, 3, 'NO', 'I:0/0', ''), true);
+    assert.equal(data.addComponent(0, row, 5, 'NO', 'I:0/1', ''), false);
+    assert.equal(data.getComponent(0, row, 3).address, 'I:0/0');
+});
+
+test('branches are placed below their parent subtree and removed with their children', () => {
+    const data = new LadderData();
+    const first = data.addBranch(0, 0, 0, 3);
+    const nested = data.addBranch(0, first, 1, 2);
+    const second = data.addBranch(0, 0, 5, 6);
+
+    assert.deepEqual([first, nested, second], [1, 2, 3]);
+    assert.equal(data.addBranch(0, first, 2, 5), null, 'nested span must fit inside the parent');
+
+    assert.equal(data.removeBranch(0, first), true);
+    assert.deepEqual(data.getAllBranches(0).map(b => [b.row, b.start_col]), [[0, 0], [1, 5]]);
+    assert.equal(data.removeBranch(0, 0), false, 'the main branch stays');
+});
+
+test('a branch shares its split and merge nodes with the parent', () => {
+    const data = new LadderData();
+    const row = data.addBranch(0, 0, 2, 4);
+    const rung = data.getRung(0);
+    const netOf = data.buildNetwork(rung);
+    const [main, branch] = rung.branches;
+
+    assert.equal(netOf(branch, 2), netOf(main, 2));
+    assert.equal(netOf(branch, 5), netOf(main, 5));
+    assert.notEqual(netOf(branch, 3), netOf(main, 3));
+    assert.equal(row, 1);
+});
+
+test('series/parallel trees are laid out with the last item on the right rail', () => {
+    const data = new LadderData();
+    const element = (type, address) => ({ kind: 'element', component: { type, address, label: '' } });
+    const rung = data.buildRungFromTree({
+        kind: 'series',
+        items: [
+            { kind: 'parallel', items: [element('NO', 'I:0/0'), element('NO', 'O:0/0')] },
+            element('NC', 'I:0/1'),
+            element('OUT', 'O:0/0')
+        ]
+    });
+
+    assert.deepEqual(rung.branches.map(b => [b.row, b.start_col, b.end_col, b.parent_branch_id]),
+        [[0, 0, LadderData.COLS - 1, null], [1, 0, 0, 0]]);
+    assert.deepEqual(rung.branches[0].components.map(c => [c.type, c.col]),
+        [['NO', 0], ['NC', 1], ['OUT', LadderData.COLS - 1]]);
+
+    const tooWide = { kind: 'series', items: Array.from({ length: LadderData.COLS + 1 }, () => element('NO', 'I:0/0')) };
+    assert.equal(data.buildRungFromTree(tooWide), null);
+});
+
+test('rungs keep unique ids through insert, move and remove', () => {
+    const data = new LadderData();
+    data.addRung();
+    data.insertRung(0);
+    assert.deepEqual(data.rungs.map(r => r.id), [2, 0, 1]);
+
+    data.moveRung(0, 2);
+    assert.deepEqual(data.rungs.map(r => r.id), [0, 1, 2]);
+
+    data.removeRung(0);
+    data.removeRung(0);
+    data.removeRung(0);
+    assert.equal(data.getRungCount(), 1, 'a program always keeps one rung');
+    assert.equal(data.rungs[0].id, 3);
+});
+
+test('structure addresses pick the first unused element', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'TON', 'T4:0', '', { preset: 100 });
+    data.addComponent(0, 0, 1, 'TON', 'T4:2', '', { preset: 100 });
+
+    assert.equal(data.nextStructureAddress('T4'), 'T4:1');
+    assert.equal(data.nextStructureAddress('C5'), 'C5:0');
+});
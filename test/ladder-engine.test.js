@@ -0,0 +1,210 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderEngineClient } from '../ladder-engine-client.js';
+import { LadderEngineHost } from '../ladder-engine-host.js';
+import { TrendRecorder } from '../ladder-trend.js';
+import { LadderTags } from '../ladder-tags.js';
+
+function sealIn() {
+    // I0 or the motor, and not I1, runs the motor O0
+    const data = new LadderData();
+    data.loadPins([{ id: 'Start', label: '', address: 'I:0/0' }, { id: 'Stop', label: '', address: 'I:0/1' }],
+        [{ id: 'Motor', label: '', address: 'O:0/0' }], [], []);
+    data.addComponent(0, 0, 0, 'NO', 'Start', '');
+    data.addComponent(0, 0, 1, 'NC', 'Stop', '');
+    data.addComponent(0, 0, 9, 'OUT', 'Motor', '');
+    const row = data.addBranch(0, 0, 0, 0);
+    data.addComponent(0, row, 0, 'NO', 'Motor', '');
+    return data;
+}
+
+test('without a worker the client runs the engine on the page and reads its snapshots', async () => {
+    const data = sealIn();
+    const rungId = data.rungs[0].id;
+    const client = new LadderEngineClient(data);
+    assert.equal(client.worker, null);
+    const snapshots = [];
+    client.subscribe(snapshot => snapshots.push(snapshot));
+    let scans = 0;
+    client.onScan = () => scans++;
+
+    client.initializePins();
+    client.setScanPeriod(1000);
+    await client.start();
+    assert.equal(client.isRunning, true);
+    assert.equal(client.getPinState('Motor'), false);
+
+    // A batch of commands is answered by one snapshot
+    const before = snapshots.length;
+    client.toggleInput('I:0/0');
+    await client.toggleInput('I:0/0');
+    assert.equal(snapshots.length, before + 1);
+    assert.equal(client.getPinState('O:0/0'), true, 'sealed in after Start was pressed and released');
+    assert.equal(client.isComponentActive(rungId, 1, 0), true);
+    assert.equal(client.isWireEnergized(rungId, 0, 10), true);
+    assert.ok(scans > 0);
+
+    await client.setForce('I:0/1', true);
+    await client.executeScan(0);
+    assert.equal(client.getForceCount(), 1);
+    assert.equal(client.getPinState('Motor'), false);
+
+    // Edits reach the engine as a new copy of the program
+    data.updateComponent(0, 0, 1, { address: 'I:0/2' });
+    client.loadProgram();
+    await client.executeScan(0);
+    assert.equal(client.getPinState('Motor'), false, 'the seal dropped out while Stop was forced');
+
+    await client.stop();
+    assert.equal(client.isRunning, false);
+    assert.equal(client.isWireEnergized(rungId, 0, 0), false);
+});
+
+test('the engine samples the trend after every scan, not once per snapshot', async () => {
+    const data = sealIn();
+    const client = new LadderEngineClient(data);
+    const samples = [];
+    client.onScan = scanned => samples.push(...scanned);
+    client.initializePins();
+    client.setScanPeriod(1000);
+    client.setTrendChannels(TrendRecorder.channelsFor(data));
+    await client.start();
+    try {
+        // The motor runs for one scan only; the snapshot shows it stopped
+        samples.length = 0;
+        client.setPinState('Start', true);
+        client.executeScan(0);
+        client.setPinState('Start', false);
+        client.setPinState('Stop', true);
+        await client.executeScan(0);
+        assert.equal(client.getPinState('Motor'), false);
+        assert.deepEqual(samples.map(sample => sample.values), [[true, false, true], [false, true, false]]);
+        assert.equal(samples[1].scan, samples[0].scan + 1);
+    } finally {
+        await client.stop();
+    }
+});
+
+test('the plant model reacts to every scan in the engine', async () => {
+    // Fill the tank until the high level switch
+    const data = new LadderData();
+    const tags = LadderTags.defaults();
+    data.loadPins(tags.inputs, tags.outputs, tags.memory, tags.registers);
+    data.addComponent(0, 0, 0, 'NC', 'I:0/1', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const client = new LadderEngineClient(data);
+    client.initializePins();
+    client.setScanPeriod(1000);
+    client.setPlant('Tank');
+    await client.start();
+    try {
+        // 10 s of 100 ms scans in one snapshot: the valve closes on the scan
+        // after the switch, rather than the tank overflowing between frames
+        for (let scan = 0; scan < 99; scan++) client.executeScan(100);
+        await client.executeScan(100);
+        assert.equal(client.plant.name, 'Tank');
+        assert.equal(client.plant.state.fault, null);
+        assert.equal(Math.round(client.plant.state.level), 80);
+        assert.equal(client.readWord('N7:0'), 80);
+        assert.equal(client.getPinState('O:0/0'), false);
+
+        await client.resetPlant();
+        assert.equal(client.plant.state.level, 0);
+    } finally {
+        await client.stop();
+    }
+});
+
+test('breakpoints and faults in the engine reach the client', async () => {
+    const data = sealIn();
+    data.addRung();
+    data.addComponent(1, 0, 9, 'JSR', '', '', { routine: 'Missing', params: [], returns: [] });
+    const client = new LadderEngineClient(data);
+    client.initializePins();
+    client.setScanPeriod(1000);
+
+    let broke = null;
+    client.onBreak = rung => { broke = rung; };
+    await client.toggleBreakpoint(data.rungs[0].id);
+    assert.deepEqual([...client.breakpoints], [data.rungs[0].id]);
+
+    // The JSR faults on the first scan, so stop the loop at the breakpoint first
+    await client.setPinState('Start', true);
+    await client.start();
+    assert.equal(broke, data.rungs[0]);
+    assert.equal(client.paused, true);
+    assert.equal(client.scanPosition, 1);
+
+    let fault = null;
+    client.onFault = message => { fault = message; };
+    await client.stepRung();
+    assert.match(fault, /JSR calls routine "Missing"/);
+    assert.equal(client.isRunning, false);
+    assert.equal(client.fault, fault);
+});
+
+test('messages wait for the worker, and a worker that fails to load falls back to the page', async () => {
+    // A stand-in worker that runs the host in this thread
+    const workers = [];
+    const createWorker = () => {
+        const worker = {
+            postMessage: message => worker.host.handle(JSON.parse(JSON.stringify(message))),
+            terminate: () => { worker.terminated = true; }
+        };
+        worker.host = new LadderEngineHost(message => worker.onmessage({ data: JSON.parse(JSON.stringify(message)) }));
+        workers.push(worker);
+        return worker;
+    };
+
+    const client = new LadderEngineClient(sealIn(), { createWorker });
+    let answered = false;
+    client.initializePins().then(() => { answered = true; });
+    client.setPinState('Start', true);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(answered, false, 'held back until the worker is ready');
+
+    workers[0].onmessage({ data: { type: 'ready' } });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(answered, true);
+    assert.equal(client.getPinState('Start'), true);
+
+    const fallback = new LadderEngineClient(sealIn(), { createWorker });
+    const done = fallback.initializePins().then(() => fallback.setPinState('Start', true));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    workers[1].onerror({ message: 'Failed to load module script' });
+    await done;
+    assert.equal(workers[1].terminated, true);
+    assert.equal(fallback.worker, null);
+    assert.equal(fallback.getPinState('I:0/0'), true);
+});
+
+test('a batch the engine fails on rejects instead of leaving the client waiting', async () => {
+    let worker = null;
+    const createWorker = () => {
+        worker = {
+            postMessage: message => worker.host.handle(JSON.parse(JSON.stringify(message))),
+            terminate: () => {}
+        };
+        worker.host = new LadderEngineHost(message => worker.onmessage({ data: JSON.parse(JSON.stringify(message)) }));
+        worker.host.simulator.reset = () => { throw new Error('Reset failed'); };
+        return worker;
+    };
+    const client = new LadderEngineClient(sealIn(), { createWorker });
+    worker.onmessage({ data: { type: 'ready' } });
+    await client.initializePins();
+
+    // Commands before the one that throws stay applied, and the snapshot shows them
+    client.setPinState('Start', true);
+    await assert.rejects(client.reset(), /Reset failed/);
+    assert.equal(client.getPinState('Start'), true);
+
+    // An unknown command fails its whole batch before any of it runs
+    client.setPinState('Stop', true);
+    await assert.rejects(client.send('launch'), /Unknown engine command "launch"/);
+    assert.equal(client.getPinState('Stop'), false);
+
+    assert.doesNotThrow(() => worker.host.handle({ type: 'hello' }));
+    await client.setPinState('Stop', true);
+    assert.equal(client.getPinState('Stop'), true);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderSimulator } from '../ladder-simulator.js';
+import { LadderExporter } from '../ladder-exporter.js';
+
+function sealInProgram() {
+    const data = new LadderData();
+    data.loadPins(
+        [{ id: 'X0', label: 'Start', address: 'I:0/0' }, { id: 'X1', label: 'Stop', address: 'I:0/1' }],
+        [{ id: 'Y0', label: 'Motor', address: 'O:0/0' }],
+        [],
+        [{ id: 'N0', label: 'Count', address: 'N7:0', value: 0 }]
+    );
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 1, 'NC', 'I:0/1', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(0, 0, 0, 0);
+    data.addComponent(0, row, 0, 'NO', 'O:0/0', '');
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'O:0/0', '');
+    data.addComponent(1, 0, 1, 'LES', '', '', { sourceA: 'N7:0', sourceB: '3' });
+    data.addComponent(1, 0, 9, 'ADD', '', '', { sourceA: 'N7:0', sourceB: '1', dest: 'N7:0' });
+    return data;
+}
+
+test('Structured Text uses the data table names and declares every variable', () => {
+    const source = new LadderExporter(sealInProgram(), 'Motor').toStructuredText();
+
+    assert.match(source, /^PROGRAM Motor$/m);
+    assert.match(source, /X0 AT %IX0\.0 : BOOL; \(\* Start \*\)/);
+    assert.match(source, /N0 : INT; \(\* Count \*\)/);
+    assert.match(source, /Y0 := \(X0 OR Y0\) AND NOT X1;/);
+    assert.match(source, /IF Y0 AND N0 < 3 THEN\s+N0 := N0 \+ 1;\s+END_IF;/);
+});
+
+test('exported Structured Text behaves like the simulator scan for scan', () => {
+    const data = sealInProgram();
+    const simulator = new LadderSimulator(data);
+    simulator.initializePins();
+    simulator.isRunning = true;
+    const source = new LadderExporter(data).toStructuredText();
+    const variables = { X0: false, X1: false, Y0: false, N0: 0 };
+
+    for (const [start, stop] of [[false, false], [true, false], [false, false], [false, false], [false, true], [false, false]]) {
+        simulator.setPinState('I:0/0', start);
+        simulator.setPinState('I:0/1', stop);
+        simulator.executeScan(0);
+        Object.assign(variables, { X0: start, X1: stop });
+        LadderExporter.evaluateStructuredText(source, variables);
+
+        assert.equal(variables.Y0, simulator.getPinState('O:0/0'));
+        assert.equal(variables.N0, simulator.readWord('N7:0'));
+    }
+});
+
+test('Instruction List skips word instructions with a conditional jump', () => {
+    const source = new LadderExporter(sealInProgram()).toInstructionList();
+
+    assert.match(source, /LD X0\nOR Y0\nANDN X1\nST Y0/);
+    assert.match(source, /JMPCN SKIP1\nLD N0\nADD 1\nST N0\nSKIP1:/);
+});
+
+test('instructions without an IEC equivalent are skipped with a warning', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'TON', 'T4:0', '', { preset: 500 });
+    data.addRung();
+    data.addComponent(1, 0, 9, 'RES', 'T4:0', '');
+    const exporter = new LadderExporter(data);
+    const source = exporter.toStructuredText();
+
+    assert.equal(exporter.warnings.length, 1);
+    assert.match(exporter.warnings[0], /RES of T4:0/);
+    assert.match(source, /^\(\* Warning: RES of T4:0/);
+    assert.match(source, /T4_0\(IN := I_0_0, PT := T#500MS\);/);
+});
+
+test('status bits of an RTO read FALSE, as it has no IEC function block', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'RTO', 'T4:0', '', { preset: 500 });
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'T4:0/DN', '');
+    data.addComponent(1, 0, 9, 'OUT', 'O:0/0', '');
+    const exporter = new LadderExporter(data);
+    const source = exporter.toStructuredText();
+
+    assert.deepEqual(exporter.warnings, [
+        'RTO T4:0 has no IEC 61131-3 equivalent; instruction skipped',
+        'T4:0/DN: T4:0 is not exported as an IEC function block, so the DN bit reads FALSE'
+    ]);
+    assert.match(source, /^O_0_0 := FALSE;$/m);
+    assert.doesNotMatch(source, /T4_0/);
+    assert.doesNotMatch(new LadderExporter(data).toInstructionList(), /T4_0/);
+});
+
+test('edge instructions become R_TRIG and F_TRIG instances', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/1', '');
+    data.addComponent(0, 0, 1, 'POS', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(1, 0, 1, 'ONS', '', '');
+    data.addComponent(1, 0, 9, 'OSF', 'B3:0/0', '');
+    const exporter = new LadderExporter(data);
+    const source = exporter.toStructuredText();
+
+    assert.deepEqual(exporter.warnings, []);
+    assert.match(source, /R_TRIG_1 : R_TRIG; \(\* POS at rung 0, row 0, column 2 \*\)/);
+    assert.match(source, /F_TRIG_3 : F_TRIG;/);
+    assert.match(source, /R_TRIG_1\(CLK := I_0_0\);\nO_0_0 := I_0_1 AND R_TRIG_1\.Q;/);
+    assert.match(source, /R_TRIG_2\(CLK := I_0_0\);\nF_TRIG_3\(CLK := R_TRIG_2\.Q\);\nB3_0_0 := F_TRIG_3\.Q;/);
+
+    const il = new LadderExporter(data).toInstructionList();
+    assert.match(il, /LD I_0_0\nST R_TRIG_1\.CLK\nCAL R_TRIG_1\nLD I_0_1\nAND R_TRIG_1\.Q\nST O_0_0/);
+});
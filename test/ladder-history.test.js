@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderHistory } from '../ladder-history.js';
+import { PlaceComponentCommand, AddBranchCommand, RemoveRungCommand } from '../ladder-commands.js';
+
+test('edits undo and redo in order', () => {
+    const data = new LadderData();
+    const history = new LadderHistory(data);
+    const initial = JSON.stringify(data.toJSON());
+
+    assert.equal(history.execute(new PlaceComponentCommand(0, 0, 0, 'NO', 'I:0/0', '')), true);
+    assert.equal(history.execute(new AddBranchCommand(0, 0, 0, 0)), true);
+    assert.equal(history.execute(new PlaceComponentCommand(0, 1, 0, 'NO', 'I:0/1', '')), true);
+    const edited = JSON.stringify(data.toJSON());
+
+    history.goTo(0);
+    assert.equal(JSON.stringify(data.toJSON()), initial);
+    assert.equal(history.canUndo(), false);
+
+    history.goTo(3);
+    assert.equal(JSON.stringify(data.toJSON()), edited);
+    assert.equal(history.canRedo(), false);
+});
+
+test('a new edit discards the redo stack and failed edits are not recorded', () => {
+    const data = new LadderData();
+    const history = new LadderHistory(data);
+
+    history.execute(new PlaceComponentCommand(0, 0, 0, 'NO', 'I:0/0', ''));
+    history.undo();
+    assert.equal(history.canRedo(), true);
+
+    history.execute(new PlaceComponentCommand(0, 0, 1, 'NC', 'I:0/1', ''));
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.execute(new AddBranchCommand(0, 5, 0, 0)), false);
+    assert.equal(history.getEntries().length, 1);
+});
+
+test('removing the last rung is undone back to the original rung', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    const history = new LadderHistory(data);
+    const before = JSON.stringify(data.rungs);
+
+    history.execute(new RemoveRungCommand(0));
+    assert.notEqual(JSON.stringify(data.rungs), before);
+    history.undo();
+    assert.equal(JSON.stringify(data.rungs), before);
+});
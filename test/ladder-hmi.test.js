@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderSimulator } from '../ladder-simulator.js';
+import { LadderProject, ProjectValidationError } from '../ladder-project.js';
+import { LadderTags } from '../ladder-tags.js';
+import { LadderHmi } from '../ladder-hmi.js';
+import { LadderEngineClient } from '../ladder-engine-client.js';
+
+function createData() {
+    const data = new LadderData();
+    const tags = LadderTags.defaults();
+    data.loadPins(tags.inputs, tags.outputs, tags.memory, tags.registers);
+    return data;
+}
+
+function createHmi(data) {
+    const simulator = new LadderSimulator(data);
+    simulator.initializePins();
+    simulator.isRunning = true;
+    return { simulator, hmi: new LadderHmi(simulator) };
+}
+
+const widget = (type, address, params = {}) => ({ ...LadderHmi.createWidget(type, [], 0, 0), address, ...params });
+
+test('pushbuttons and selectors drive bits through the simulator', () => {
+    // Start/stop seal-in: I:0/0 starts, I:0/1 stops, O:0/0 runs
+    const data = createData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 1, 'NC', 'I:0/1', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(0, 0, 0, 0);
+    data.addComponent(0, row, 0, 'NO', 'O:0/0', '');
+    const { simulator, hmi } = createHmi(data);
+
+    const start = widget('pushbutton', 'I0');
+    const stop = widget('pushbutton', 'I:0/1');
+    const running = widget('lamp', 'O:0/0');
+
+    assert.equal(hmi.press(start), true);
+    assert.equal(hmi.valueOf(start), true);
+    hmi.release(start);
+    assert.equal(hmi.valueOf(start), false);
+    assert.equal(hmi.valueOf(running), true);
+
+    hmi.press(stop);
+    hmi.release(stop);
+    assert.equal(hmi.valueOf(running), false);
+
+    const maintained = widget('pushbutton', 'B3:0/0', { mode: 'maintained' });
+    hmi.press(maintained);
+    hmi.release(maintained);
+    assert.equal(simulator.getPinState('B3:0/0'), true);
+    hmi.press(maintained);
+    assert.equal(simulator.getPinState('B3:0/0'), false);
+
+    const selector = widget('selector', 'I:0/2');
+    hmi.select(selector, 1);
+    assert.equal(simulator.getPinState('I:0/2'), true);
+    hmi.select(selector, 0);
+    assert.equal(simulator.getPinState('I:0/2'), false);
+});
+
+test('maintained buttons toggle in the engine, so presses within one frame all count', async () => {
+    const client = new LadderEngineClient(createData());
+    client.initializePins();
+    client.setScanPeriod(1000);
+    await client.start();
+    try {
+        const hmi = new LadderHmi(client);
+        const maintained = widget('pushbutton', 'B3:0/0', { mode: 'maintained' });
+        hmi.press(maintained);
+        hmi.press(maintained);
+        await client.executeScan(0);
+        assert.equal(client.getPinState('B3:0/0'), false, 'pressed on, then off again');
+    } finally {
+        await client.stop();
+    }
+});
+
+test('switches do nothing while stopped but numeric entries still write', () => {
+    const { simulator, hmi } = createHmi(createData());
+    simulator.isRunning = false;
+
+    assert.equal(hmi.press(widget('pushbutton', 'I:0/0')), false);
+    assert.equal(simulator.getPinState('I:0/0'), false);
+
+    assert.equal(hmi.enter(widget('entry', 'N7:2'), 40000), true);
+    assert.equal(hmi.valueOf(widget('display', 'N2')), 32767);
+    assert.equal(hmi.valueOf(widget('display', '')), 0);
+});
+
+test('widget addresses are checked against what the widget can bind to', () => {
+    const data = createData();
+    const check = (type, address) => LadderHmi.checkAddress(widget(type, address), data);
+
+    assert.equal(check('pushbutton', 'I0'), null);
+    assert.equal(check('lamp', 'T4:0/DN'), null);
+    assert.equal(check('display', 'T4:0.ACC'), null);
+    assert.equal(check('entry', 'N7:1'), null);
+    assert.equal(check('pushbutton', ''), 'No address');
+    assert.equal(check('lamp', 'Pump'), 'Unknown tag "Pump"');
+    assert.equal(check('lamp', 'N7:0'), 'N7:0 is not a bit address');
+    assert.equal(check('entry', 'T4:0.PRE'), 'T4:0.PRE is not a register');
+    assert.match(check('pushbutton', 'O:0/0'), /program would overwrite it/);
+});
+
+test('the HMI layout is saved with the project and follows tag renames', () => {
+    const data = createData();
+    data.hmi.widgets.push(widget('lamp', 'O0'), { ...widget('display', 'N7:0'), id: 1, x: 140 });
+
+    const renamed = JSON.parse(JSON.stringify(data.pins));
+    renamed.outputs[0].id = 'Motor';
+    renamed.registers[0].address = 'N7:9';
+    LadderTags.apply(data, renamed, [
+        { from: data.pins.outputs[0], to: renamed.outputs[0] },
+        { from: data.pins.registers[0], to: renamed.registers[0] }
+    ]);
+    assert.deepEqual(data.hmi.widgets.map(w => w.address), ['Motor', 'N7:9']);
+
+    const parsed = LadderProject.parse(LadderProject.serialize(data));
+    assert.deepEqual(parsed.hmi, data.hmi);
+
+    // Version 2 files gain an empty panel
+    const v2 = JSON.parse(LadderProject.serialize(new LadderData()));
+    v2.version = 2;
+    v2.rungs = v2.routines[0].rungs;
+    delete v2.routines;
+    delete v2.hmi;
+    assert.deepEqual(LadderProject.parse(JSON.stringify(v2)).hmi, { widgets: [] });
+
+    v2.hmi = { widgets: [{ id: 0, type: 'gauge', x: 0, y: 0, address: '' }] };
+    assert.throws(() => LadderProject.parse(JSON.stringify(v2)), ProjectValidationError);
+});
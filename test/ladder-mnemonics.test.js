@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderSimulator } from '../ladder-simulator.js';
+import { LadderMnemonics, MnemonicSyntaxError } from '../ladder-mnemonics.js';
+
+function sealInProgram() {
+    const data = new LadderData();
+    data.loadPins([{ id: 'Start', label: 'Start button', address: 'I:0/0' }], [], [], []);
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 1, 'NC', 'I:0/1', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(0, 0, 0, 0);
+    data.addComponent(0, row, 0, 'NO', 'O:0/0', '');
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'O:0/0', '');
+    data.addComponent(1, 0, 8, 'TON', 'T4:0', '', { preset: 2000 });
+    data.addComponent(1, 0, 9, 'ADD', '', '', { sourceA: 'N7:0', sourceB: '1', dest: 'N7:0' });
+    data.addRung();
+    return data;
+}
+
+test('rungs are written one per line with nested branches as BST/NXB/BND', () => {
+    const data = sealInProgram();
+    assert.equal(new LadderMnemonics(data).toText(), [
+        'BST XIC I:0/0 NXB XIC O:0/0 BND XIO I:0/1 OTE O:0/0',
+        'XIC O:0/0 TON T4:0 2000 ADD N7:0 1 N7:0',
+        'NOP',
+        ''
+    ].join('\n'));
+
+    // A narrower branch inside a wider one, and an unassigned operand
+    const nested = new LadderData();
+    nested.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    nested.addComponent(0, 0, 1, 'NO', '', '');
+    nested.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const outer = nested.addBranch(0, 0, 0, 2);
+    nested.addComponent(0, outer, 2, 'NC', 'I:0/3', '');
+    const inner = nested.addBranch(0, 0, 1, 1);
+    nested.addComponent(0, inner, 1, 'NO', 'I:0/2', '');
+    assert.equal(new LadderMnemonics(nested).rungToText(nested.rungs[0]),
+        'BST XIC I:0/0 BST XIC ? NXB XIC I:0/2 BND NXB XIO I:0/3 BND OTE O:0/0');
+});
+
+test('parsed text builds rungs that scan like the drawn program', () => {
+    const text = 'xic Start BST XIC I:0/1 NXB XIO I:0/2 BND OTE O:0/0\nBST XIC O:0/0 NXB BND OTL B3:0/0\n';
+    const data = sealInProgram();
+    data.rungs = new LadderMnemonics(data).parse(text);
+
+    const [first] = data.rungs;
+    assert.deepEqual(first.branches[0].components.map(c => [c.type, c.address, c.label, c.col]), [
+        ['NO', 'Start', 'Start button', 0],
+        ['NO', 'I:0/1', '', 1],
+        ['OUT', 'O:0/0', '', 9]
+    ]);
+    assert.equal(new LadderMnemonics(data).toText(), [
+        'XIC Start BST XIC I:0/1 NXB XIO I:0/2 BND OTE O:0/0',
+        'BST XIC O:0/0 NXB BND OTL B3:0/0',
+        ''
+    ].join('\n'));
+
+    const simulator = new LadderSimulator(data);
+    simulator.initializePins();
+    simulator.isRunning = true;
+    simulator.setPinState('I:0/0', true);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), true);
+    assert.equal(simulator.getPinState('B3:0/0'), true);
+    simulator.setPinState('I:0/2', true);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), false);
+});
+
+test('unchanged lines keep their rung and layout', () => {
+    const data = sealInProgram();
+    const mnemonics = new LadderMnemonics(data);
+    const lines = mnemonics.toText().split('\n');
+    lines[2] = 'XIC I:0/5 OTE O:0/5';
+    const rungs = mnemonics.parse(lines.join('\n'));
+
+    assert.deepEqual(rungs.slice(0, 2), data.rungs.slice(0, 2));
+    assert.notEqual(rungs[0], data.rungs[0]);
+    assert.equal(rungs[2].branches[0].components[1].col, LadderData.COLS - 1);
+    assert.ok(rungs[2].id > Math.max(...data.rungs.map(rung => rung.id)));
+});
+
+test('syntax errors are reported with their line and column', () => {
+    const parse = text => new LadderMnemonics(new LadderData()).parse(text);
+    const errorsOf = (text) => {
+        try {
+            parse(text);
+        } catch (error) {
+            assert.ok(error instanceof MnemonicSyntaxError);
+            return error.errors.map(e => `${e.line}:${e.column} ${e.message}`);
+        }
+        assert.fail('expected a syntax error');
+    };
+
+    assert.deepEqual(errorsOf([
+        'XIC I:0/0 OTE',
+        '',
+        'XIC I:0/0 BST XIC I:0/1 OTE O:0/0',
+        '  XIC I:0/0 BND OTE O:0/0',
+        'XIC I:0/0 FOO O:0/0',
+        'TON T4:0 1.5',
+        'ADD N7:0 1 5',
+        'XIC A XIC B XIC C XIC D XIC E XIC F XIC G XIC H XIC I XIC J OTE K'
+    ].join('\n')), [
+        '1:11 OTE is missing its address',
+        '3:11 BST is never closed with BND',
+        '4:13 BND without a matching BST',
+        '5:11 Unknown instruction "FOO"',
+        '6:10 "1.5" is not a valid preset for TON',
+        '7:12 "5" is not a valid destination for ADD',
+        '8:1 The rung needs more than the 10 cells across a rung'
+    ]);
+
+    assert.match(errorsOf('XIC I:0/0 NXB XIC I:0/1').join(), /^1:11 NXB without a matching BST$/);
+    assert.equal(parse('; comments and blank lines are skipped\n\n').length, 1);
+});
+
+test('overlapping branches are reported instead of written', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    data.addBranch(0, 0, 1, 4);
+    data.addBranch(0, 0, 3, 6);
+    data.addRung();
+
+    const mnemonics = new LadderMnemonics(data);
+    const text = mnemonics.toText();
+    assert.match(text, /^; Rung 0 can't be written as mnemonics/);
+    assert.equal(mnemonics.warnings.length, 1);
+    assert.equal(mnemonics.parse(text).length, 1);
+});
+
+test('edge instructions round-trip through text', () => {
+    const data = new LadderData();
+    const text = 'XIC I:0/0 ONS OSR B3:0/0\nPOS I:0/1 NEG I:0/2 OTE O:0/0\n';
+    data.rungs = new LadderMnemonics(data).parse(text);
+
+    const types = data.rungs.map(rung => rung.branches[0].components.map(c => `${c.type}@${c.col}`));
+    assert.deepEqual(types, [['NO@0', 'ONS@1', 'OSR@9'], ['POS@0', 'NEG@1', 'OUT@9']]);
+    assert.equal(new LadderMnemonics(data).toText(), text);
+});
+
+test('subroutine instructions write their parameter lists comma separated', () => {
+    const data = new LadderData();
+    const text = 'XIC I:0/0 JSR Fill N7:0,5 ?\nSBR N7:1,N7:2 RET N7:3\n';
+    data.rungs = new LadderMnemonics(data).parse(text);
+
+    assert.deepEqual(data.rungs[0].branches[0].components[1],
+        { type: 'JSR', address: '', label: '', routine: 'Fill', params: ['N7:0', '5'], returns: [], col: 9 });
+    assert.deepEqual(data.rungs[1].branches[0].components[0].params, ['N7:1', 'N7:2']);
+    assert.equal(new LadderMnemonics(data).toText(), text);
+    assert.throws(() => new LadderMnemonics(data).parse('JSR Fill N7:0,,1 ?'), /"N7:0,,1" is not a valid parameter list for JSR/);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from 'node:net';
+import { LadderData } from '../ladder-data.js';
+import { LadderSimulator } from '../ladder-simulator.js';
+import { LadderTags } from '../ladder-tags.js';
+import { ModbusMap, ModbusSlave } from '../ladder-modbus.js';
+import { startModbusServer } from '../run-modbus.js';
+
+function mixer() {
+    // Run (a memory bit an HMI sets) drives Motor; Speed is copied to Setpoint
+    const data = new LadderData();
+    data.loadPins(
+        [{ id: 'Start', label: '', address: 'I:0/0' }, { id: 'Level', label: '', address: 'I:0/1', modbus: 0 }],
+        [{ id: 'Motor', label: '', address: 'O:0/0' }],
+        [{ id: 'Run', label: '', address: 'B3:0/0', modbus: 100 }],
+        [{ id: 'Speed', label: '', address: 'N7:0', type: 'INT', value: 0 }, { id: 'Setpoint', label: '', address: 'N7:1', type: 'INT', value: 0 }]);
+    data.addComponent(0, 0, 0, 'NO', 'Run', '');
+    data.addComponent(0, 0, 9, 'OUT', 'Motor', '');
+    data.addRung();
+    data.addComponent(1, 0, 9, 'MOV', '', '', { sourceA: 'Speed', dest: 'Setpoint' });
+    return data;
+}
+
+function bytes(...values) {
+    return Uint8Array.from(values);
+}
+
+test('tags map onto Modbus tables by their own address or the next free one', () => {
+    const map = new ModbusMap(mixer().pins);
+    const rows = map.entries().map(({ table, modbus, tag }) => `${table} ${modbus} ${tag.id}`);
+    assert.deepEqual(rows, [
+        'discreteInputs 0 Level',
+        'discreteInputs 1 Start',
+        'coils 0 Motor',
+        'coils 100 Run',
+        'holdingRegisters 0 Speed',
+        'holdingRegisters 1 Setpoint'
+    ]);
+
+    const pins = mixer().pins;
+    pins.memory.push({ id: 'Spare', label: '', address: 'B3:0/1', modbus: 100 });
+    pins.registers[0].modbus = 70000;
+    assert.deepEqual(ModbusMap.validate(pins), [
+        'Spare: coil 100 is already used by Run',
+        'Speed: the Modbus address must be a whole number from 0 to 65535'
+    ]);
+    assert.deepEqual(LadderTags.validate(pins).slice(-2), ModbusMap.validate(pins));
+});
+
+test('the slave reads and writes the simulator, and answers bad requests with exceptions', () => {
+    const data = mixer();
+    const simulator = new LadderSimulator(data);
+    simulator.initializePins();
+    const slave = new ModbusSlave(simulator, new ModbusMap(data.pins));
+
+    // Write Run, then scan: the program turns the motor on
+    assert.deepEqual(slave.handle(bytes(5, 0, 100, 0xFF, 0)), bytes(5, 0, 100, 0xFF, 0));
+    simulator.setPinState('Start', true);
+    simulator.executeScan(0);
+    assert.deepEqual(slave.handle(bytes(1, 0, 0, 0, 1)), bytes(1, 1, 1));
+    assert.deepEqual(slave.handle(bytes(2, 0, 0, 0, 2)), bytes(2, 1, 0b10));
+
+    // Registers are signed words
+    assert.deepEqual(slave.handle(bytes(16, 0, 0, 0, 1, 2, 0xFF, 0x38)), bytes(16, 0, 0, 0, 1));
+    simulator.executeScan(0);
+    assert.equal(simulator.readWord('Setpoint'), -200);
+    assert.deepEqual(slave.handle(bytes(3, 0, 0, 0, 2)), bytes(3, 4, 0xFF, 0x38, 0xFF, 0x38));
+    assert.deepEqual(slave.handle(bytes(6, 0, 1, 0, 42)), bytes(6, 0, 1, 0, 42));
+    assert.equal(simulator.readWord('N7:1'), 42);
+
+    // Write two coils from a bit mask: Motor off, then Run off
+    assert.deepEqual(slave.handle(bytes(15, 0, 0, 0, 1, 1, 0)), bytes(15, 0, 0, 0, 1));
+    assert.equal(simulator.getPinState('Motor'), false);
+
+    assert.deepEqual(slave.handle(bytes(4, 0, 0, 0, 1)), bytes(0x84, ModbusSlave.ILLEGAL_FUNCTION));
+    assert.deepEqual(slave.handle(bytes(1, 0, 0, 0, 2)), bytes(0x81, ModbusSlave.ILLEGAL_DATA_ADDRESS), 'coil 1 is not mapped');
+    assert.deepEqual(slave.handle(bytes(3, 0, 0, 0, 0)), bytes(0x83, ModbusSlave.ILLEGAL_DATA_VALUE));
+    assert.deepEqual(slave.handle(bytes(5, 0, 100, 0x12, 0x34)), bytes(0x85, ModbusSlave.ILLEGAL_DATA_VALUE));
+    assert.deepEqual(slave.handle(bytes(16, 0, 0, 0, 2, 2, 0, 1)), bytes(0x90, ModbusSlave.ILLEGAL_DATA_VALUE));
+});
+
+test('the server answers Modbus TCP on localhost while the program scans', async () => {
+    const data = mixer();
+    const simulator = new LadderSimulator(data);
+    simulator.initializePins();
+    simulator.setScanPeriod(5);
+    const server = await startModbusServer(simulator, new ModbusMap(data.pins), 0);
+    simulator.start();
+    const socket = connect(server.address().port, '127.0.0.1');
+    try {
+        assert.equal(server.address().address, '127.0.0.1');
+        const replies = [];
+        let waiting = null;
+        socket.on('data', chunk => {
+            replies.push(chunk);
+            if (waiting) waiting();
+        });
+        const reply = async (length) => {
+            while (Buffer.concat(replies).length < length) {
+                await new Promise(resolve => { waiting = resolve; });
+            }
+            return [...Buffer.concat(replies.splice(0))];
+        };
+
+        // Two requests in one packet, the second split across two writes:
+        // set Run and Speed
+        socket.write(Buffer.from([0, 1, 0, 0, 0, 6, 9, 5, 0, 100, 0xFF, 0, 0, 2, 0, 0]));
+        socket.write(Buffer.from([0, 6, 9, 6, 0, 0, 0, 7]));
+        assert.deepEqual(await reply(24), [
+            0, 1, 0, 0, 0, 6, 9, 5, 0, 100, 0xFF, 0,
+            0, 2, 0, 0, 0, 6, 9, 6, 0, 0, 0, 7
+        ]);
+
+        // Poll Setpoint until the scan loop has copied Speed into it; by
+        // then it has also seen Run and turned the motor on
+        const deadline = Date.now() + 5000;
+        let setpoint;
+        for (let transaction = 3; ; transaction++) {
+            socket.write(Buffer.from([0, transaction, 0, 0, 0, 6, 9, 3, 0, 1, 0, 1]));
+            setpoint = await reply(11);
+            if (setpoint[10] === 7 || Date.now() > deadline) break;
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        assert.deepEqual(setpoint.slice(2), [0, 0, 0, 5, 9, 3, 2, 0, 7]);
+        socket.write(Buffer.from([0, 0, 0, 0, 0, 6, 9, 1, 0, 0, 0, 1]));
+        assert.deepEqual(await reply(10), [0, 0, 0, 0, 0, 4, 9, 1, 1, 1]);
+    } finally {
+        simulator.stop();
+        socket.destroy();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
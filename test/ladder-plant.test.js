@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderSimulator } from '../ladder-simulator.js';
+import { LadderTags } from '../ladder-tags.js';
+import { PlantHost } from '../ladder-plant.js';
+import { ConveyorModel, TankModel, TrafficModel, GarageDoorModel } from '../ladder-plant-models.js';
+
+function createPlant(data, model) {
+    const simulator = new LadderSimulator(data);
+    simulator.initializePins();
+    simulator.isRunning = true;
+    const host = new PlantHost(simulator);
+    host.setModel(model);
+    simulator.onScan = () => host.step();
+    return { simulator, host };
+}
+
+function createData() {
+    const data = new LadderData();
+    const tags = LadderTags.defaults();
+    data.loadPins(tags.inputs, tags.outputs, tags.memory, tags.registers);
+    return data;
+}
+
+function run(simulator, ms, scanPeriod = 100) {
+    for (let time = 0; time < ms; time += scanPeriod) {
+        simulator.executeScan(scanPeriod);
+    }
+}
+
+test('the host feeds outputs to the model and its sensors back to the inputs', () => {
+    const data = createData();
+    const { simulator, host } = createPlant(data, new TankModel({ FillValve: 'O:0/3' }));
+    assert.equal(host.model.addresses.FillValve, 'O:0/3');
+    assert.equal(simulator.getPinState('I:0/0'), false);
+
+    simulator.setPinState('O:0/3', true);
+    host.step();
+    simulator.scanDelta = 2500;
+    host.step();
+    assert.equal(simulator.readWord('N7:0'), 25);
+    assert.equal(simulator.getPinState('I:0/0'), true);
+    assert.equal(host.drives('I:0/1'), true);
+    assert.equal(host.drives('I:0/2'), false);
+    assert.deepEqual(host.missingTags(), []);
+
+    host.setModel(new TrafficModel());
+    assert.deepEqual(host.missingTags().map(signal => signal.address), ['O:0/5']);
+});
+
+test('a fill program holds the tank between its level switches', () => {
+    // Fill from below the low switch until the high switch, sealed in by the valve
+    const data = createData();
+    data.addComponent(0, 0, 0, 'NC', 'I:0/0', '');
+    data.addComponent(0, 0, 1, 'NC', 'I:0/1', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(0, 0, 0, 0);
+    data.addComponent(0, row, 0, 'NO', 'O:0/0', '');
+    const { simulator, host } = createPlant(data, new TankModel());
+
+    run(simulator, 10000);
+    assert.equal(simulator.getPinState('O:0/0'), false);
+    assert.equal(simulator.readWord('N7:0'), 80);
+
+    // Draining below the low switch starts another fill
+    simulator.setPinState('O:0/1', true);
+    run(simulator, 8000);
+    assert.ok(host.model.level < 80);
+    assert.equal(simulator.getPinState('O:0/0'), true);
+    assert.equal(host.model.fault, null);
+});
+
+test('boxes ride the conveyor past both photo-eyes only while the motor runs', () => {
+    const data = createData();
+    const { simulator, host } = createPlant(data, new ConveyorModel());
+    assert.equal(host.model.boxes.length, 1);
+
+    run(simulator, 3000);
+    assert.equal(simulator.getPinState('I:0/0'), false);
+
+    simulator.setPinState('O:0/0', true);
+    run(simulator, 500);
+    assert.equal(simulator.getPinState('I:0/0'), true);
+    run(simulator, 3500);
+    assert.equal(simulator.getPinState('I:0/1'), true);
+
+    run(simulator, 1200);
+    assert.equal(host.model.delivered, 1);
+});
+
+test('the garage door stops at its limits and reports abuse', () => {
+    const data = createData();
+    const { simulator, host } = createPlant(data, new GarageDoorModel());
+    assert.equal(simulator.getPinState('I:0/1'), true);
+
+    simulator.setPinState('O:0/0', true);
+    run(simulator, GarageDoorModel.TRAVEL_TIME);
+    assert.equal(simulator.getPinState('I:0/0'), true);
+    assert.equal(simulator.getPinState('I:0/1'), false);
+
+    // Closing onto whatever blocks the photo-eye damages the door
+    simulator.setPinState('O:0/0', false);
+    simulator.setPinState('O:0/1', true);
+    host.click();
+    assert.equal(simulator.getPinState('I:0/2'), true);
+    run(simulator, GarageDoorModel.TRAVEL_TIME);
+    assert.equal(host.model.fault, 'Door closed on an obstruction');
+    assert.equal(simulator.getPinState('I:0/1'), false);
+
+    host.reset();
+    simulator.setPinState('O:0/0', true);
+    run(simulator, 100);
+    assert.equal(host.model.fault, 'Open and close motors on together');
+});
+
+test('cars queue on red, leave on green and conflicting greens are a fault', () => {
+    const data = createData();
+    const { simulator, host } = createPlant(data, new TrafficModel());
+
+    simulator.setPinState('O:0/0', true); // NS red
+    run(simulator, 6000);
+    assert.equal(host.model.directions.NS.waiting, 2);
+    assert.equal(simulator.getPinState('I:0/0'), true);
+
+    simulator.setPinState('O:0/0', false);
+    simulator.setPinState('O:0/2', true); // NS green
+    run(simulator, 3000);
+    assert.equal(host.model.directions.NS.waiting, 1);
+    assert.equal(host.model.passed, 2);
+    assert.equal(host.model.fault, null);
+
+    simulator.setPinState('O:0/5', true); // EW green as well
+    run(simulator, 100);
+    assert.equal(host.model.fault, 'Both directions have right of way');
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+import { LadderData } from '../ladder-data.js';
+import { LadderSimulator } from '../ladder-simulator.js';
+import { ProjectValidationError } from '../ladder-project.js';
+import { LadderPlcOpen } from '../ladder-plcopen.js';
+
+// Node has no DOMParser; xmldom stands in, quietly, as bad XML is tested on purpose
+const createParser = () => new DOMParser({ onError: () => {} });
+
+function motorProgram() {
+    // Seal-in motor, a TON that starts with it, a lamp on the timer's done bit
+    // and an ADD, which has no LD element
+    const data = new LadderData();
+    data.loadPins(
+        [{ id: 'Start', label: 'Start button', address: 'I:0/0' }, { id: 'Stop', label: '', address: 'I:0/1' }],
+        [{ id: 'Motor', label: '', address: 'O:0/0' }, { id: 'Lamp', label: '', address: 'O:0/1' }],
+        [],
+        [{ id: 'Count', label: '', address: 'N7:0', value: 0 }]);
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 1, 'NC', 'I:0/1', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(0, 0, 0, 0);
+    data.addComponent(0, row, 0, 'NO', 'O:0/0', '');
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'O:0/0', '');
+    data.addComponent(1, 0, 5, 'TON', 'T4:0', '', { preset: 300 });
+    data.addRung();
+    data.addComponent(2, 0, 0, 'NO', 'T4:0/DN', '');
+    data.addComponent(2, 0, 9, 'OUT', 'O:0/1', '');
+    data.addRung();
+    data.addComponent(3, 0, 0, 'NO', 'O:0/0', '');
+    data.addComponent(3, 0, 9, 'ADD', '', '', { sourceA: 'N7:0', sourceB: '1', dest: 'N7:0' });
+    return data;
+}
+
+function run(data, inputs) {
+    // Motor and Lamp after each 100 ms scan, given Start and Stop for each
+    const simulator = new LadderSimulator(data);
+    simulator.initializePins();
+    return inputs.map(([start, stop]) => {
+        simulator.setPinState('I:0/0', start);
+        simulator.setPinState('I:0/1', stop);
+        simulator.executeScan(100);
+        return [simulator.getPinState('O:0/0'), simulator.getPinState('O:0/1')];
+    });
+}
+
+test('the export declares located variables and writes LD elements for each rung', () => {
+    const plcopen = new LadderPlcOpen(motorProgram());
+    const xml = plcopen.toXml('Motor');
+
+    assert.match(xml, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<project xmlns="http:\/\/www\.plcopen\.org\/xml\/tc6_0201"/);
+    assert.match(xml, /<pou name="Motor" pouType="program">/);
+    assert.match(xml, /<variable name="Start" address="%IX0\.0"><type><BOOL\/><\/type><documentation><xhtml:p>Start button<\/xhtml:p><\/documentation><\/variable>/);
+    assert.match(xml, /<variable name="Motor" address="%QX0\.0"><type><BOOL\/><\/type><\/variable>/);
+    assert.match(xml, /<variable name="T4_0"><type><derived name="TON"\/><\/type>/);
+    assert.match(xml, /<contact localId="\d+" negated="true"[^>]*>[\s\S]*?<variable>Stop<\/variable>/);
+    assert.match(xml, /<block localId="\d+" typeName="TON" instanceName="T4_0"/);
+    assert.match(xml, /<expression>T#300MS<\/expression>/);
+    assert.match(xml, /<variable>T4_0\.Q<\/variable>/);
+    assert.equal(xml.match(/<leftPowerRail /g).length, 4);
+    assert.deepEqual(plcopen.report, ['ADD at rung 3, row 0, column 10 has no LD equivalent and was exported as a wire']);
+});
+
+test('an exported program imports back and scans the same', () => {
+    const original = motorProgram();
+    const xml = new LadderPlcOpen(original).toXml('Motor');
+
+    const plcopen = new LadderPlcOpen(new LadderData(), { createParser });
+    const imported = new LadderData();
+    imported.fromJSON(plcopen.fromXml(xml));
+    assert.deepEqual(imported.pins.outputs.map(pin => [pin.id, pin.address]), [['Motor', 'O:0/0'], ['Lamp', 'O:0/1']]);
+    assert.equal(imported.rungs.length, 3, 'the rung left with only a contact is dropped');
+
+    // Start, run past the timer's preset, stop
+    const inputs = [[true, false], [false, false], [false, false], [false, false], [false, false], [false, true], [false, false]];
+    assert.deepEqual(run(imported, inputs), run(original, inputs));
+    assert.deepEqual(run(original, inputs).map(([, lamp]) => lamp), [false, false, true, true, true, false, false]);
+});
+
+test('the import report lists what could not be brought in', () => {
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<project xmlns="http://www.plcopen.org/xml/tc6_0201">
+  <types>
+    <pous>
+      <pou name="Calc" pouType="function">
+        <body><ST><xhtml:p xmlns:xhtml="http://www.w3.org/1999/xhtml">Total := Total + 1;</xhtml:p></ST></body>
+      </pou>
+      <pou name="Main" pouType="program">
+        <interface>
+          <localVars>
+            <variable name="Go" address="%IX0.0"><type><BOOL/></type></variable>
+            <variable name="Level" address="%IW3"><type><BOOL/></type></variable>
+            <variable name="Timer"><type><derived name="TON"/></type></variable>
+            <variable name="Out" address="%QX0.2"><type><BOOL/></type></variable>
+          </localVars>
+        </interface>
+        <body>
+          <LD>
+            <leftPowerRail localId="1"><connectionPointOut formalParameter=""/></leftPowerRail>
+            <contact localId="2" negated="false">
+              <connectionPointIn><connection refLocalId="1"/></connectionPointIn>
+              <variable>Go</variable>
+            </contact>
+            <inVariable localId="3"><expression>T#2S</expression></inVariable>
+            <block localId="4" typeName="TON" instanceName="Timer">
+              <inputVariables>
+                <variable formalParameter="IN"><connectionPointIn><connection refLocalId="2"/></connectionPointIn></variable>
+                <variable formalParameter="PT"><connectionPointIn><connection refLocalId="3"/></connectionPointIn></variable>
+              </inputVariables>
+              <outputVariables><variable formalParameter="ET"><connectionPointOut/></variable></outputVariables>
+            </block>
+            <coil localId="5" negated="false">
+              <connectionPointIn><connection refLocalId="4" formalParameter="ET"/></connectionPointIn>
+              <variable>Out</variable>
+            </coil>
+          </LD>
+        </body>
+      </pou>
+    </pous>
+  </types>
+</project>`;
+
+    const plcopen = new LadderPlcOpen(new LadderData(), { createParser });
+    const { rungs, pins } = plcopen.fromXml(xml);
+    assert.deepEqual(pins.inputs.map(pin => pin.address), ['I:0/0']);
+    assert.equal(rungs.length, 1);
+    assert.ok(plcopen.report.includes('POU Calc: ST body is not ladder logic and was skipped'));
+    assert.ok(plcopen.report.includes('Variable Level: address %IW3 is not a bit address; kept as an internal bit'));
+    assert.ok(plcopen.report.includes('Output ET of TON block 4 is not supported and was cut'));
+
+    assert.throws(() => plcopen.fromXml('<project><pous>'), error =>
+        error instanceof ProjectValidationError && /^Not valid XML/.test(error.errors[0]));
+    assert.throws(() => plcopen.fromXml('<ladder/>'), error =>
+        error instanceof ProjectValidationError && error.errors[0] === 'Not a PLCopen project');
+});
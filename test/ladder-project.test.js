@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderProject, ProjectValidationError } from '../ladder-project.js';
+
+test('a serialized project parses back to the same program', () => {
+    const data = new LadderData();
+    data.loadPins([{ id: 'X0', label: 'Start', address: 'I:0/0' }], [], [], [{ id: 'N0', label: '', address: 'N7:0', value: 4 }]);
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', 'Start');
+    data.addComponent(0, 0, 9, 'TON', 'T4:0', '', { preset: 1000 });
+
+    const parsed = LadderProject.parse(LadderProject.serialize(data));
+    assert.equal(parsed.format, LadderProject.FORMAT);
+    assert.equal(parsed.version, LadderProject.VERSION);
+    assert.deepEqual(parsed.routines, data.routines);
+    assert.deepEqual(parsed.pins, data.pins);
+});
+
+test('version 1 files are migrated to split/merge branches', () => {
+    const parsed = LadderProject.parse(JSON.stringify({
+        rungs: [{
+            id: 0,
+            branches: [
+                { id: 0, row: 0, start_col: 0, end_col: 9, parent_branch_id: null, components: [] },
+                { id: 1, row: 1, start_col: 0, end_col: 3, connection_col: 2, parent_branch_id: 0, components: [] }
+            ]
+        }],
+        pins: { inputs: [], outputs: [] }
+    }));
+
+    const branch = parsed.routines[0].rungs[0].branches[1];
+    assert.equal(branch.start_col, 2);
+    assert.equal('connection_col' in branch, false);
+    assert.deepEqual(parsed.pins.memory, []);
+});
+
+test('invalid files report every problem found', () => {
+    assert.throws(() => LadderProject.parse('{'), ProjectValidationError);
+    assert.throws(() => LadderProject.parse('{"format":"other","rungs":[]}'), /Unknown file format/);
+    assert.throws(() => LadderProject.parse(`{"version":${LadderProject.VERSION + 1},"rungs":[]}`), /newer than this editor/);
+
+    try {
+        LadderProject.parse(JSON.stringify({
+            rungs: [{ id: 0, branches: [] }, { id: 0, branches: [] }],
+            pins: { inputs: {}, outputs: [{ id: 'Y0' }] }
+        }));
+        assert.fail('expected a validation error');
+    } catch (error) {
+        assert.ok(error instanceof ProjectValidationError);
+        assert.ok(error.errors.some(e => e.includes('duplicate rung id 0')));
+        assert.ok(error.errors.some(e => e.includes('"inputs" must be an array')));
+        assert.ok(error.errors.some(e => e.includes('"outputs" needs an address')));
+    }
+});
+
+test('files of the wrong shape are rejected before and after migration', () => {
+    const errorsOf = (project) => {
+        try {
+            LadderProject.parse(JSON.stringify(project));
+        } catch (error) {
+            assert.ok(error instanceof ProjectValidationError, error.message);
+            return error.errors;
+        }
+        assert.fail('expected a validation error');
+    };
+
+    // Version 1 files go through every migration
+    assert.deepEqual(errorsOf({ rungs: { 0: {} }, pins: null }), [
+        'Project "rungs" must be an array',
+        'Project "pins" must be an object'
+    ]);
+    assert.deepEqual(errorsOf({ version: 1, rungs: [], pins: [] }), ['Project "pins" must be an object']);
+    assert.deepEqual(errorsOf({ version: '2', rungs: [] }), ['File version "2" is not a version number']);
+    assert.ok(errorsOf({ rungs: [null, { id: 1, branches: [null] }] }).includes('Rung 0: missing numeric id'));
+
+    // Current files skip the migrations
+    const current = JSON.parse(LadderProject.serialize(new LadderData()));
+    assert.deepEqual(errorsOf({ ...current, pins: null }), ['Project "pins" must be an object']);
+    assert.deepEqual(errorsOf({ ...current, routines: {} }), ['Project must contain a non-empty "routines" array']);
+});
+
+test('version 3 programs become the main routine, and routines are validated', () => {
+    const rungs = [{ id: 0, branches: [{ id: 0, row: 0, start_col: 0, end_col: 9, parent_branch_id: null, components: [] }] }];
+    const parsed = LadderProject.parse(JSON.stringify({ format: LadderProject.FORMAT, version: 3, rungs, hmi: { widgets: [] } }));
+    assert.deepEqual(parsed.routines, [{ name: 'MAIN', rungs }]);
+    assert.equal('rungs' in parsed, false);
+
+    try {
+        LadderProject.parse(JSON.stringify({
+            version: LadderProject.VERSION,
+            routines: [{ name: 'Fill', rungs }, { name: 'Fill', rungs }, { name: '2nd', rungs }]
+        }));
+        assert.fail('expected a validation error');
+    } catch (error) {
+        assert.ok(error.errors.some(e => e.includes('The first routine must be MAIN')));
+        assert.ok(error.errors.some(e => e.includes('Routine Fill: more than one routine has this name')));
+        assert.ok(error.errors.some(e => e.includes('Fill Rung 0: duplicate rung id 0')));
+        assert.ok(error.errors.some(e => e.includes('Routine 2: name must be')));
+    }
+});
@@ -0,0 +1,420 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderSimulator } from '../ladder-simulator.js';
+import { AddBranchCommand, RemoveBranchCommand } from '../ladder-commands.js';
+
+function createSimulator(data) {
+    const simulator = new LadderSimulator(data);
+    simulator.initializePins();
+    simulator.isRunning = true;
+    return simulator;
+}
+
+test('parallel branches OR together and series contacts AND', () => {
+    // (I0 OR I1) AND I2 -> O0
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 1, 'NO', 'I:0/2', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(0, 0, 0, 0);
+    data.addComponent(0, row, 0, 'NO', 'I:0/1', '');
+    const simulator = createSimulator(data);
+
+    for (let inputs = 0; inputs < 8; inputs++) {
+        const [i0, i1, i2] = [0, 1, 2].map(bit => Boolean(inputs >> bit & 1));
+        simulator.setPinState('I:0/0', i0);
+        simulator.setPinState('I:0/1', i1);
+        simulator.setPinState('I:0/2', i2);
+        simulator.executeScan(0);
+        assert.equal(simulator.getPinState('O:0/0'), (i0 || i1) && i2, `inputs ${inputs}`);
+    }
+});
+
+test('NC contacts conduct while their bit is off', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NC', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const simulator = createSimulator(data);
+
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), true);
+    simulator.setPinState('I:0/0', true);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), false);
+});
+
+test('latch and unlatch hold their bit across false rungs', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OTL', 'B3:0/0', '');
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'I:0/1', '');
+    data.addComponent(1, 0, 9, 'OTU', 'B3:0/0', '');
+    const simulator = createSimulator(data);
+
+    simulator.setPinState('I:0/0', true);
+    simulator.executeScan(0);
+    simulator.setPinState('I:0/0', false);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('B3:0/0'), true);
+
+    simulator.setPinState('I:0/1', true);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('B3:0/0'), false);
+});
+
+test('TON sets DN once the accumulator reaches the preset', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'TON', 'T4:0', '', { preset: 300 });
+    const simulator = createSimulator(data);
+
+    simulator.setPinState('I:0/0', true);
+    simulator.executeScan(100);
+    simulator.executeScan(100);
+    assert.equal(simulator.getPinState('T4:0/TT'), true);
+    assert.equal(simulator.getPinState('T4:0/DN'), false);
+
+    simulator.executeScan(100);
+    assert.equal(simulator.getPinState('T4:0/DN'), true);
+    assert.equal(simulator.readWord('T4:0.ACC'), 300);
+
+    simulator.setPinState('I:0/0', false);
+    simulator.executeScan(100);
+    assert.equal(simulator.getPinState('T4:0/DN'), false);
+    assert.equal(simulator.readWord('T4:0.ACC'), 0);
+});
+
+test('TOF keeps DN on for the preset after the rung goes false', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'TOF', 'T4:0', '', { preset: 200 });
+    const simulator = createSimulator(data);
+
+    simulator.setPinState('I:0/0', true);
+    simulator.executeScan(100);
+    simulator.setPinState('I:0/0', false);
+    simulator.executeScan(100);
+    assert.equal(simulator.getPinState('T4:0/DN'), true);
+    simulator.executeScan(100);
+    assert.equal(simulator.getPinState('T4:0/DN'), false);
+});
+
+test('CTU counts rising edges and RES clears it', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'CTU', 'C5:0', '', { preset: 2 });
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'I:0/1', '');
+    data.addComponent(1, 0, 9, 'RES', 'C5:0', '');
+    const simulator = createSimulator(data);
+
+    for (const state of [true, true, false, true]) {
+        simulator.setPinState('I:0/0', state);
+        simulator.executeScan(0);
+    }
+    assert.equal(simulator.readWord('C5:0.ACC'), 2);
+    assert.equal(simulator.getPinState('C5:0/DN'), true);
+
+    simulator.setPinState('I:0/1', true);
+    simulator.executeScan(0);
+    assert.equal(simulator.readWord('C5:0.ACC'), 0);
+    assert.equal(simulator.getPinState('C5:0/DN'), false);
+});
+
+test('word instructions compute into registers and saturate at 16 bits', () => {
+    const data = new LadderData();
+    data.loadPins([], [], [], [{ id: 'N0', label: '', address: 'N7:0', value: 30000 }]);
+    data.addComponent(0, 0, 9, 'ADD', '', '', { sourceA: 'N7:0', sourceB: '5000', dest: 'N7:1' });
+    data.addRung();
+    data.addComponent(1, 0, 9, 'DIV', '', '', { sourceA: 'N7:0', sourceB: '7', dest: 'N7:2' });
+    data.addRung();
+    data.addComponent(2, 0, 9, 'DIV', '', '', { sourceA: 'N7:0', sourceB: 'N7:9', dest: 'N7:3' });
+    data.addRung();
+    data.addComponent(3, 0, 0, 'GRT', '', '', { sourceA: 'N7:2', sourceB: '4000' });
+    data.addComponent(3, 0, 9, 'OUT', 'O:0/0', '');
+    const simulator = createSimulator(data);
+
+    simulator.writeWord('N7:3', 12);
+    simulator.executeScan(0);
+    assert.equal(simulator.readWord('N7:1'), 32767);
+    assert.equal(simulator.readWord('N7:2'), 4285);
+    assert.equal(simulator.readWord('N7:3'), 12, 'division by zero leaves the destination alone');
+    assert.equal(simulator.getPinState('O:0/0'), true);
+});
+
+test('reset restores registers to their data table values', () => {
+    const data = new LadderData();
+    data.loadPins([], [], [], [{ id: 'N0', label: '', address: 'N7:0', value: 7 }]);
+    data.addComponent(0, 0, 9, 'CLR', '', '', { dest: 'N7:0' });
+    const simulator = createSimulator(data);
+
+    simulator.executeScan(0);
+    assert.equal(simulator.readWord('N7:0'), 0);
+    simulator.reset();
+    assert.equal(simulator.readWord('N7:0'), 7);
+});
+
+test('forced inputs ignore toggles and forced outputs ignore their coils', () => {
+    // I0 -> O0, O0 -> O1
+    const data = new LadderData();
+    data.loadPins([{ id: 'X0', label: '', address: 'I:0/0' }], [], [], []);
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'O:0/0', '');
+    data.addComponent(1, 0, 9, 'OUT', 'O:0/1', '');
+    const simulator = createSimulator(data);
+
+    simulator.setForce('I:0/0', true);
+    simulator.toggleInput('I:0/0');
+    assert.equal(simulator.getPinState('I:0/0'), true);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), true);
+
+    simulator.setForce('I:0/0', null);
+    simulator.setForce('O:0/0', true);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), true, 'the coil is false but the force holds the output');
+    assert.equal(simulator.getPinState('O:0/1'), true, 'downstream logic sees the forced value');
+
+    simulator.setForcesEnabled(false);
+    assert.equal(simulator.getPinState('O:0/0'), false, 'disabled forces fall back to the coil result');
+    assert.equal(simulator.getForceCount(), 1);
+
+    simulator.setForcesEnabled(true);
+    simulator.clearForces();
+    assert.equal(simulator.getPinState('O:0/0'), false);
+});
+
+test('paused scans step one rung at a time', () => {
+    // I0 -> O0, O0 -> O1
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'O:0/0', '');
+    data.addComponent(1, 0, 9, 'OUT', 'O:0/1', '');
+    const simulator = createSimulator(data);
+    simulator.pause();
+
+    simulator.setPinState('I:0/0', true);
+    simulator.stepRung();
+    assert.equal(simulator.scanPosition, 1);
+    assert.equal(simulator.getPinState('O:0/0'), true);
+    assert.equal(simulator.getPinState('O:0/1'), false, 'rung 1 has not run yet');
+    assert.equal(simulator.isWireEnergized(1, 0, 0), false);
+
+    simulator.stepRung();
+    assert.equal(simulator.scanPosition, null);
+    assert.equal(simulator.getPinState('O:0/1'), true);
+    assert.equal(simulator.simTime, simulator.scanPeriod);
+
+    simulator.stepScan();
+    assert.equal(simulator.scanCount, 2);
+});
+
+test('breakpoints halt the scan when their rung goes true', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'O:0/0', '');
+    data.addComponent(1, 0, 9, 'OUT', 'O:0/1', '');
+    const simulator = createSimulator(data);
+    const breaks = [];
+    simulator.onBreak = (rung) => breaks.push(rung.id);
+    simulator.toggleBreakpoint(data.rungs[0].id);
+
+    simulator.executeScan(0);
+    assert.deepEqual(breaks, []);
+
+    simulator.setPinState('I:0/0', true);
+    simulator.executeScan(0);
+    assert.deepEqual(breaks, [0]);
+    assert.equal(simulator.paused, true);
+    assert.equal(simulator.scanPosition, 1);
+    assert.equal(simulator.getPinState('O:0/1'), false);
+
+    // Resuming finishes the scan, and a rung that stays true doesn't halt again
+    simulator.resume();
+    assert.equal(simulator.getPinState('O:0/1'), true);
+    simulator.executeScan(0);
+    assert.deepEqual(breaks, [0]);
+    simulator.stop();
+});
+
+test('a rising edge contact toggles an output once per press', () => {
+    // B3:0/0 pulses on each press of I:0/0, and O:0/0 := B3:0/0 XOR O:0/0
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'POS', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'B3:0/0', '');
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'B3:0/0', '');
+    data.addComponent(1, 0, 1, 'NC', 'O:0/0', '');
+    data.addComponent(1, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(1, 0, 0, 1);
+    data.addComponent(1, row, 0, 'NC', 'B3:0/0', '');
+    data.addComponent(1, row, 1, 'NO', 'O:0/0', '');
+    const simulator = createSimulator(data);
+
+    const outputs = [];
+    for (const pressed of [true, true, true, false, false, true, true, false]) {
+        simulator.setPinState('I:0/0', pressed);
+        simulator.executeScan(0);
+        outputs.push([simulator.getPinState('B3:0/0'), simulator.getPinState('O:0/0')].map(Number).join(''));
+    }
+    assert.deepEqual(outputs, ['11', '01', '01', '01', '01', '10', '00', '00']);
+});
+
+test('edge instructions keep separate state per instance', () => {
+    // The falling contact and ONS are on rung 0, OSR and OSF pulse bits on rung 1
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NEG', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(0, 0, 0, 9);
+    data.addComponent(0, row, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, row, 1, 'ONS', '', '');
+    data.addComponent(0, row, 9, 'OUT', 'O:0/1', '');
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(1, 0, 8, 'OSR', 'B3:0/0', '');
+    data.addComponent(1, 0, 9, 'OSF', 'B3:0/1', '');
+    const simulator = createSimulator(data);
+
+    const states = [];
+    for (const input of [false, true, true, false, false]) {
+        simulator.setPinState('I:0/0', input);
+        simulator.executeScan(0);
+        states.push(['O:0/0', 'O:0/1', 'B3:0/0', 'B3:0/1'].map(address => Number(simulator.getPinState(address))).join(''));
+    }
+    assert.deepEqual(states, ['0000', '0110', '0000', '1001', '0000']);
+    assert.equal(Object.keys(simulator.edgeStates).length, 4);
+
+    simulator.reset();
+    assert.deepEqual(simulator.edgeStates, {});
+});
+
+test('JSR passes parameters to a subroutine and stores what RET hands back', () => {
+    // MAIN: I0 -> JSR Double(N7:0) -> N7:1. Double: SBR N7:10, N7:11 := 2 * N7:10,
+    // RET N7:11, then a rung that must not run
+    const data = new LadderData();
+    data.loadPins([], [], [], [{ id: 'N0', label: '', address: 'N7:0', value: 21 }]);
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'JSR', '', '', { routine: 'Double', params: ['N7:0'], returns: ['N7:1'] });
+    data.addRoutine('Double');
+    data.selectRoutine('Double');
+    data.addComponent(0, 0, 0, 'SBR', '', '', { params: ['N7:10'] });
+    data.addComponent(0, 0, 9, 'MUL', '', '', { sourceA: 'N7:10', sourceB: '2', dest: 'N7:11' });
+    data.addRung();
+    data.addComponent(1, 0, 9, 'RET', '', '', { returns: ['N7:11'] });
+    data.addRung();
+    data.addComponent(2, 0, 9, 'OUT', 'O:0/0', '');
+    data.selectRoutine('MAIN');
+    const simulator = createSimulator(data);
+
+    simulator.executeScan(0);
+    assert.equal(simulator.readWord('N7:1'), 0, 'the JSR only calls while its rung is true');
+
+    simulator.setPinState('I:0/0', true);
+    simulator.executeScan(0);
+    assert.equal(simulator.readWord('N7:1'), 42);
+    assert.equal(simulator.getPinState('O:0/0'), false, 'rungs after RET are skipped');
+    assert.deepEqual(simulator.getCallStack(), ['MAIN']);
+});
+
+test('runaway recursion and missing routines fault the simulator', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 9, 'JSR', '', '', { routine: 'Loop', params: [], returns: [] });
+    data.addRoutine('Loop');
+    data.selectRoutine('Loop');
+    data.addComponent(0, 0, 9, 'JSR', '', '', { routine: 'Loop', params: [], returns: [] });
+    const simulator = createSimulator(data);
+    const faults = [];
+    simulator.onFault = message => faults.push(message);
+
+    simulator.executeScan(0);
+    assert.equal(simulator.isRunning, false);
+    assert.match(simulator.fault, /more than 32 nested JSR calls \(MAIN > Loop > Loop/);
+    assert.deepEqual(faults, [simulator.fault]);
+
+    data.removeRoutine('Loop');
+    simulator.start();
+    simulator.stop();
+    assert.match(simulator.fault, /JSR calls routine "Loop", which does not exist/);
+    simulator.reset();
+    assert.equal(simulator.fault, null);
+});
+
+test('the program is compiled once and rebuilt after the data changes', () => {
+    // I0 -> O0, with a branch around the contact that stays dark
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(0, 0, 0, 0);
+    data.addComponent(0, row, 0, 'NO', 'I:0/1', '');
+    const rungId = data.rungs[0].id;
+    const simulator = createSimulator(data);
+
+    simulator.setPinState('I:0/0', true);
+    simulator.executeScan(0);
+    const program = simulator.getProgram();
+    simulator.executeScan(0);
+    assert.equal(simulator.getProgram(), program);
+    assert.equal(simulator.getPinState('O:0/0'), true);
+    assert.equal(simulator.isComponentActive(rungId, 0, 0), true);
+    assert.equal(simulator.isComponentActive(rungId, row, 0), false);
+    assert.equal(simulator.isWireEnergized(rungId, row, 0), true, 'the branch splits from a powered node');
+    assert.equal(simulator.isWireEnergized(rungId, 0, 10), true);
+
+    // Edits through LadderData take effect on the next scan; edits made to
+    // its tables directly wait for invalidateProgram
+    data.updateComponent(0, 0, 0, { address: 'I:0/2' });
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), false);
+    const edited = simulator.getProgram();
+    assert.notEqual(edited, program);
+
+    data.rungs[0].branches[0].components[0].address = 'I:0/0';
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), false);
+    simulator.invalidateProgram();
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), true);
+    assert.notEqual(simulator.getProgram(), edited);
+
+    simulator.stop();
+    assert.equal(simulator.isWireEnergized(rungId, 0, 0), false);
+});
+
+test('undoing a branch edit takes effect on the next scan', () => {
+    // I0 OR I1 -> O0
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(0, 0, 0, 0);
+    data.addComponent(0, row, 0, 'NO', 'I:0/1', '');
+    const simulator = createSimulator(data);
+    simulator.setPinState('I:0/1', true);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), true);
+
+    const remove = new RemoveBranchCommand(0, row);
+    assert.equal(remove.execute(data), true);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), false);
+    remove.undo(data);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), true, 'the parallel path is back');
+
+    // An empty branch is a wire around the contacts
+    simulator.setPinState('I:0/1', false);
+    const add = new AddBranchCommand(0, 0, 0, 0);
+    assert.equal(add.execute(data), true);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), true);
+    add.undo(data);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/0'), false);
+});
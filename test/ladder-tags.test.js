@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderHistory } from '../ladder-history.js';
+import { LadderSimulator } from '../ladder-simulator.js';
+import { LadderTags } from '../ladder-tags.js';
+import { SnapshotCommand } from '../ladder-commands.js';
+
+function createData() {
+    const data = new LadderData();
+    const tags = LadderTags.defaults();
+    data.loadPins(tags.inputs, tags.outputs, tags.memory, tags.registers);
+    return data;
+}
+
+const edited = (pins, group, index, changes) => {
+    const copy = JSON.parse(JSON.stringify(pins));
+    Object.assign(copy[group][index], changes);
+    return copy;
+};
+
+test('validation reports bad names, bad addresses and duplicates', () => {
+    assert.deepEqual(LadderTags.validate(LadderTags.defaults()), []);
+
+    const pins = LadderTags.defaults();
+    pins.inputs[0].id = '1st';
+    pins.inputs[1].address = 'X:0/0';
+    pins.outputs[0].id = 'I2';
+    pins.registers[1].address = 'N7:0';
+    assert.deepEqual(LadderTags.validate(pins), [
+        '1st: the name must start with a letter or _ and contain only letters, digits and _',
+        'I1: "X:0/0" is not a valid input address',
+        'I2: the name is used more than once',
+        'N1: address N7:0 is already used by N0'
+    ]);
+});
+
+test('new tags take the first free address of their group', () => {
+    const pins = LadderTags.defaults();
+    assert.equal(LadderTags.nextAddress('inputs', pins), 'I:0/6');
+    assert.equal(LadderTags.nextAddress('registers', pins), 'N7:8');
+
+    pins.memory = Array.from({ length: 16 }, (_, i) => ({ id: `B${i}`, address: `B3:0/${i}` }));
+    assert.equal(LadderTags.nextAddress('memory', pins), 'B3:1/0');
+});
+
+test('renaming and readdressing tags rewrites every reference', () => {
+    const data = createData();
+    data.addComponent(0, 0, 0, 'NO', 'I0', 'Input 0');
+    data.addComponent(0, 0, 1, 'NC', 'I:0/1', 'Input 1');
+    data.addComponent(0, 0, 9, 'MOV', '', '', { sourceA: 'N0', dest: 'N7:1' });
+
+    // Swap the two inputs' addresses and rename the first one
+    let pins = edited(data.pins, 'inputs', 0, { id: 'Start', address: 'I:0/1', label: 'Start button' });
+    pins = edited(pins, 'inputs', 1, { address: 'I:0/0' });
+    pins = edited(pins, 'registers', 1, { id: 'Total', address: 'N7:5' });
+    const renames = ['inputs', 'registers'].flatMap(group => data.pins[group].map((from, i) => ({ from, to: pins[group][i] })));
+    LadderTags.apply(data, pins, renames);
+
+    const [contact, nc, mov] = data.rungs[0].branches[0].components;
+    assert.deepEqual([contact.address, contact.label], ['Start', 'Start button']);
+    assert.deepEqual([nc.address, nc.label], ['I:0/0', 'Input 1']);
+    assert.deepEqual([mov.sourceA, mov.dest], ['N0', 'N7:5']);
+    assert.equal(data.resolveAddress('Start'), 'I:0/1');
+});
+
+test('instructions addressed by tag name run against the tag address', () => {
+    const data = createData();
+    data.addComponent(0, 0, 0, 'NO', 'I0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O1', '');
+    data.addRung();
+    data.addComponent(1, 0, 9, 'MOV', '', '', { sourceA: '42', dest: 'N3' });
+    const simulator = new LadderSimulator(data);
+    simulator.initializePins();
+    simulator.isRunning = true;
+
+    simulator.setPinState('I:0/0', true);
+    simulator.executeScan(0);
+    assert.equal(simulator.getPinState('O:0/1'), true);
+    assert.equal(simulator.getPinState('O1'), true);
+    assert.equal(simulator.readWord('N7:3'), 42);
+});
+
+test('tag edits undo and redo as one snapshot', () => {
+    const data = createData();
+    data.addComponent(0, 0, 0, 'NO', 'I0', '');
+    const history = new LadderHistory(data);
+    const before = JSON.stringify(data.toJSON());
+
+    const pins = edited(data.pins, 'inputs', 0, { id: 'Start' });
+    const renames = [{ from: data.pins.inputs[0], to: pins.inputs[0] }];
+    assert.equal(history.execute(new SnapshotCommand('Edit tags', d => LadderTags.apply(d, pins, renames))), true);
+    const after = JSON.stringify(data.toJSON());
+    assert.equal(data.getComponent(0, 0, 0).address, 'Start');
+
+    history.undo();
+    assert.equal(JSON.stringify(data.toJSON()), before);
+    history.redo();
+    assert.equal(JSON.stringify(data.toJSON()), after);
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderSimulator } from '../ladder-simulator.js';
+import { TrendRecorder } from '../ladder-trend.js';
+
+function timerProgram() {
+    const data = new LadderData();
+    data.loadPins([{ id: 'X0', label: 'Start', address: 'I:0/0' }], [], [], []);
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'TON', 'T4:0', '', { preset: 20 });
+    return data;
+}
+
+function record(data, recorder, inputs) {
+    const simulator = new LadderSimulator(data);
+    simulator.initializePins();
+    simulator.isRunning = true;
+    simulator.onScan = () => recorder.record(simulator);
+    for (const input of inputs) {
+        simulator.setPinState('I:0/0', input);
+        simulator.executeScan(10);
+    }
+    return simulator;
+}
+
+test('channels cover pins, registers and the timers and counters in the program', () => {
+    const data = timerProgram();
+    data.pins.registers = [{ id: 'N0', label: '', address: 'N7:0', value: 0 }];
+    data.addRung();
+    data.addComponent(1, 0, 9, 'CTU', 'C5:0', '', { preset: 1 });
+
+    assert.deepEqual(TrendRecorder.channelsFor(data).map(c => `${c.kind} ${c.name}`), [
+        'bit Start', 'word N7:0',
+        'bit T4:0/EN', 'bit T4:0/TT', 'bit T4:0/DN', 'word T4:0.ACC',
+        'bit C5:0/CU', 'bit C5:0/DN', 'word C5:0.ACC'
+    ]);
+});
+
+test('the simulator counts scans and simulated time until reset', () => {
+    const recorder = new TrendRecorder();
+    const simulator = record(timerProgram(), recorder, [true, true]);
+    assert.equal(simulator.scanCount, 2);
+    assert.equal(simulator.simTime, 20);
+
+    simulator.reset();
+    assert.equal(simulator.scanCount, 0);
+    assert.equal(simulator.simTime, 0);
+});
+
+test('the ring buffer keeps only the newest samples', () => {
+    const data = timerProgram();
+    const recorder = new TrendRecorder(3);
+    recorder.setChannels(TrendRecorder.channelsFor(data));
+    record(data, recorder, [false, true, true, true, false]);
+
+    const samples = recorder.getSamples();
+    assert.deepEqual(samples.map(s => s.scan), [3, 4, 5]);
+    assert.deepEqual(samples.map(s => s.values[3]), [true, true, false], 'T4:0/DN');
+
+    assert.equal(recorder.setChannels(TrendRecorder.channelsFor(data)), false, 'same channels keep the recording');
+    assert.equal(recorder.getSamples().length, 3);
+});
+
+test('VCD export dumps initial values then only changes', () => {
+    const data = timerProgram();
+    const recorder = new TrendRecorder();
+    recorder.setChannels(TrendRecorder.channelsFor(data));
+    record(data, recorder, [false, true, true, true]);
+
+    assert.equal(recorder.toVCD(), [
+        '$version PLC Ladder Simulator $end',
+        '$timescale 1ms $end',
+        '$scope module ladder $end',
+        '$var wire 1 ! Start $end',
+        '$var wire 1 " T4:0/EN $end',
+        '$var wire 1 # T4:0/TT $end',
+        '$var wire 1 $ T4:0/DN $end',
+        '$var integer 16 % T4:0.ACC $end',
+        '$upscope $end',
+        '$enddefinitions $end',
+        '#10', '$dumpvars', '0!', '0"', '0#', '0$', 'b0 %', '$end',
+        '#20', '1!', '1"', '1#', 'b1010 %',
+        '#30', '0#', '1$', 'b10100 %',
+        ''
+    ].join('\n'));
+});
+
+test('CSV export has one row per scan with bits as 0/1', () => {
+    const data = timerProgram();
+    const recorder = new TrendRecorder();
+    recorder.setChannels([{ name: 'Start, button', address: 'I:0/0', kind: 'bit' }, { name: 'ACC', address: 'T4:0.ACC', kind: 'word' }]);
+    record(data, recorder, [true, true]);
+
+    assert.equal(recorder.toCSV(), 'time_ms,scan,"Start, button",ACC\n10,1,1,10\n20,2,1,20\n');
+});
+
+test('VCD identifiers and references are unique', () => {
+    assert.equal(TrendRecorder.vcdIdentifier(0), '!');
+    assert.equal(TrendRecorder.vcdIdentifier(94), '!"');
+    assert.deepEqual(
+        TrendRecorder.uniqueReferences([{ name: 'Start Button' }, { name: 'Start Button' }]),
+        ['Start_Button', 'Start_Button_2']
+    );
+});
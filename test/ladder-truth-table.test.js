@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { TruthTable } from '../ladder-truth-table.js';
+
+const table = result => result.rows.map(row => `${row.values.map(Number).join('')} ${Number(row.output)}`);
+
+test('a seal-in coil depends on its own bit, and the table matches the drawn expression', () => {
+    // Start (or the motor itself) and not Stop runs the motor; Lamp follows Stop
+    const data = new LadderData();
+    data.loadPins([{ id: 'Start', label: '', address: 'I:0/0' }, { id: 'Stop', label: '', address: 'I:0/1' }], [], [], []);
+    data.addComponent(0, 0, 0, 'NO', 'Start', '');
+    data.addComponent(0, 0, 1, 'NC', 'Stop', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(0, 0, 0, 0);
+    data.addComponent(0, row, 0, 'NO', 'O:0/0', '');
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'I:0/1', '');
+    data.addComponent(1, 0, 9, 'OTL', 'O:0/1', '');
+
+    const truthTable = new TruthTable(data);
+    const coils = truthTable.coils();
+    assert.deepEqual(coils.map(coil => [coil.rung, coil.component.address]), [[0, 'O:0/0'], [1, 'O:0/1']]);
+
+    const motor = truthTable.build(coils[0]);
+    assert.deepEqual(motor.inputs, ['Start', 'O:0/0', 'Stop']);
+    assert.deepEqual(table(motor), ['000 0', '001 0', '010 1', '011 0', '100 1', '101 0', '110 1', '111 0']);
+    assert.equal(motor.expression, '(Start OR O:0/0) AND NOT Stop');
+    assert.equal(motor.minimized, '(Start AND NOT Stop) OR (O:0/0 AND NOT Stop)');
+
+    const latch = truthTable.build(coils[1]);
+    assert.deepEqual(latch.inputs, ['I:0/1']);
+    assert.equal(latch.minimized, 'I:0/1');
+});
+
+test('redundant contacts drop out and compares become inputs', () => {
+    // A AND (A OR B) AND N7:0 > 5 is just A AND N7:0 > 5
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 1, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 2, 'GRT', '', '', { sourceA: 'N7:0', sourceB: '5' });
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(0, 0, 1, 1);
+    data.addComponent(0, row, 1, 'NO', 'I:0/1', '');
+
+    const result = new TruthTable(data).build(new TruthTable(data).coils()[0]);
+    assert.deepEqual(result.inputs, ['I:0/0', '(N7:0 > 5)']);
+    assert.deepEqual(table(result), ['00 0', '01 0', '10 0', '11 1']);
+    assert.equal(result.expression, 'I:0/0 AND (I:0/0 OR I:0/1) AND (N7:0 > 5)');
+    assert.equal(result.minimized, 'I:0/0 AND (N7:0 > 5)');
+});
+
+test('Quine-McCluskey finds the minimal sum of products', () => {
+    const names = ['A', 'B', 'C', 'D'];
+    const minimized = minterms => TruthTable.formatSumOfProducts(TruthTable.minimize(minterms, 4), names);
+
+    // A NOT B C covers 10 and 11 too, but the other three terms already do
+    assert.equal(minimized([4, 8, 10, 11, 12, 15]), '(A AND C AND D) OR (A AND NOT B AND NOT D) OR (B AND NOT C AND NOT D)');
+    assert.equal(minimized([0, 2, 8, 10]), 'NOT B AND NOT D');
+    assert.equal(minimized([]), 'FALSE');
+    assert.equal(minimized([...Array(16).keys()]), 'TRUE');
+});
+
+test('coils fed by too many conditions are refused', () => {
+    const data = new LadderData();
+    for (let col = 0; col < 9; col++) {
+        data.addComponent(0, 0, col, 'NO', `I:0/${col}`, '');
+    }
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+
+    const result = new TruthTable(data).build(new TruthTable(data).coils()[0]);
+    assert.match(result.error, /9 conditions lead to this coil/);
+});
+
+test('coils behind an edge instruction are refused', () => {
+    const data = new LadderData();
+    data.addComponent(0, 0, 0, 'POS', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+
+    const result = new TruthTable(data).build(new TruthTable(data).coils()[0]);
+    assert.match(result.error, /depends on an edge instruction \(POS\)/);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderVerifier } from '../ladder-verifier.js';
+
+function createData() {
+    const data = new LadderData();
+    data.loadPins(
+        [{ id: 'X0', label: 'Start', address: 'I:0/0' }, { id: 'X1', label: 'Spare', address: 'I:0/1' }],
+        [{ id: 'Y0', label: 'Motor', address: 'O:0/0' }],
+        [],
+        [{ id: 'N0', label: '', address: 'N7:0', value: 0 }]
+    );
+    return data;
+}
+
+const messages = (data) => new LadderVerifier(data).verify().map(issue => `${issue.severity}: ${issue.message}`);
+
+test('a clean program only reports unused pins', () => {
+    const data = createData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    const row = data.addBranch(0, 0, 0, 0);
+    data.addComponent(0, row, 0, 'NO', 'O:0/0', '');
+
+    assert.deepEqual(messages(data), [
+        'warning: Input I:0/1 (Spare) is never used',
+        'warning: Register N7:0 is never used'
+    ]);
+});
+
+test('missing addresses and operands are errors', () => {
+    const data = createData();
+    data.addComponent(0, 0, 0, 'NO', '', '');
+    data.addComponent(0, 0, 1, 'GRT', '', '', { sourceA: 'N7:0', sourceB: '' });
+    data.addComponent(0, 0, 9, 'MOV', '', '', { sourceA: '5', dest: '' });
+
+    const errors = messages(data).filter(message => message.startsWith('error'));
+    assert.deepEqual(errors, [
+        'error: Rung 0, row 0, column 1: NO has no address',
+        'error: Rung 0, row 0, column 2: GRT has no source B',
+        'error: Rung 0, row 0, column 10: MOV has no destination'
+    ]);
+});
+
+test('an output written by several OUT coils is reported once with every location', () => {
+    const data = createData();
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    data.addRung();
+    data.addComponent(1, 0, 9, 'OUT', 'O:0/0', '');
+    data.addRung();
+    data.addComponent(2, 0, 9, 'OTL', 'O:0/0', '');
+
+    const [issue] = new LadderVerifier(data).verify().filter(i => i.message.includes('OUT coils'));
+    assert.match(issue.message, /O:0\/0 \(Motor\) is written by 2 OUT coils/);
+    assert.deepEqual(issue.cells, [{ rung: 0, row: 0, col: 9 }, { rung: 1, row: 0, col: 9 }]);
+});
+
+test('conditions after an output are reported, including through merge points', () => {
+    const data = createData();
+    const row = data.addBranch(0, 0, 0, 2);
+    data.addComponent(0, row, 0, 'OUT', 'O:0/0', '');
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 5, 'NC', 'I:0/1', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/1', '');
+
+    const issues = new LadderVerifier(data).verify().filter(i => i.message.includes('not at the end'));
+    assert.equal(issues.length, 1);
+    assert.deepEqual(issues[0].cells, [{ rung: 0, row: 1, col: 0 }, { rung: 0, row: 0, col: 5 }]);
+});
+
+test('branches that short out or are bypassed by a plain wire are reported', () => {
+    const data = createData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    data.addBranch(0, 0, 0, 1);
+    const bypassed = data.addBranch(0, 0, 3, 4);
+    data.addComponent(0, bypassed, 3, 'NO', 'I:0/1', '');
+
+    assert.deepEqual(messages(data).filter(m => m.includes('branch') || m.includes('Branch')), [
+        'error: Rung 0, row 1, column 1: Empty branch on row 1 shorts out columns 1-2 of row 0',
+        'warning: Rung 0, row 2, column 4: Branch on row 2 is bypassed: row 0 has no conditions across columns 4-5'
+    ]);
+});
+
+test('the cross-reference lists reads and writes per address in natural order', () => {
+    const data = createData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'TON', 'T4:10', '', { preset: 100 });
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'T4:10/DN', '');
+    data.addComponent(1, 0, 1, 'LES', '', '', { sourceA: 'T4:10.ACC', sourceB: '50' });
+    data.addComponent(1, 0, 9, 'ADD', '', '', { sourceA: 'N7:0', sourceB: '1', dest: 'N7:0' });
+    data.addRung();
+    data.addComponent(2, 0, 9, 'RES', 'T4:2', '');
+
+    const xref = new LadderVerifier(data).crossReference();
+    assert.deepEqual(xref.map(entry => entry.address), ['I:0/0', 'N7:0', 'T4:2', 'T4:10', 'T4:10.ACC', 'T4:10/DN']);
+    assert.equal(xref[0].label, 'Start');
+    assert.deepEqual(xref[1].references, [
+        { rung: 1, row: 0, col: 9, type: 'ADD', access: 'read' },
+        { rung: 1, row: 0, col: 9, type: 'ADD', access: 'write' }
+    ]);
+});
+
+test('JSRs are checked against their routines, and pins used in any routine count', () => {
+    const data = createData();
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 8, 'JSR', '', '', { routine: 'Fill', params: ['N7:0'], returns: [] });
+    data.addComponent(0, 0, 9, 'JSR', '', '', { routine: 'Drain', params: [], returns: [] });
+    data.addRoutine('Fill');
+    data.selectRoutine('Fill');
+    data.addComponent(0, 0, 0, 'SBR', '', '', { params: ['N7:1', 'N7:2'] });
+    data.addComponent(0, 0, 1, 'NO', 'I:0/1', '');
+    data.addComponent(0, 0, 9, 'OUT', 'O:0/0', '');
+    data.addRung();
+    data.addComponent(1, 0, 9, 'JSR', '', '', { routine: 'Fill', params: ['N7:1', 'N7:2'], returns: [] });
+
+    assert.deepEqual(messages(data), [
+        'warning: Rung 1, row 0, column 10: JSR Fill is recursive (Fill > Fill); the simulator faults after 32 nested calls'
+    ]);
+
+    data.selectRoutine('MAIN');
+    assert.deepEqual(messages(data), [
+        'error: Rung 0, row 0, column 10: JSR calls routine "Drain", which does not exist',
+        'warning: Rung 0, row 0, column 9: JSR passes 1 parameter(s) but the SBR of Fill receives 2'
+    ]);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderSimulator } from '../ladder-simulator.js';
+import { WatchList } from '../ladder-watch.js';
+import { LadderEngineClient } from '../ladder-engine-client.js';
+
+test('watched addresses keep their values from before and after a step', async () => {
+    // I0 -> ADD 1 to N7:0 and turn on O0
+    const data = new LadderData();
+    data.loadPins([{ id: 'Start', label: '', address: 'I:0/0' }], [], [], [{ id: 'Count', label: '', address: 'N7:0', value: 0 }]);
+    data.addComponent(0, 0, 0, 'NO', 'Start', '');
+    data.addComponent(0, 0, 9, 'ADD', '', '', { sourceA: 'N7:0', sourceB: '1', dest: 'N7:0' });
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(1, 0, 9, 'OUT', 'O:0/0', '');
+    const simulator = new LadderSimulator(data);
+    simulator.initializePins();
+    simulator.isRunning = true;
+    simulator.pause();
+
+    const watch = new WatchList(simulator);
+    assert.equal(watch.add('Count'), true);
+    assert.equal(watch.add('O:0/0'), true);
+    assert.equal(watch.add(' Count '), false);
+    assert.deepEqual(watch.after, { Count: 0, 'O:0/0': false });
+
+    simulator.setPinState('I:0/0', true);
+    await watch.step(() => simulator.stepRung());
+    assert.deepEqual(watch.before, { Count: 0, 'O:0/0': false });
+    assert.deepEqual(watch.after, { Count: 1, 'O:0/0': false });
+    assert.equal(watch.hasChanged('Count'), true);
+    assert.equal(watch.hasChanged('O:0/0'), false);
+
+    await watch.step(() => simulator.stepRung());
+    assert.deepEqual(watch.after, { Count: 1, 'O:0/0': true });
+
+    watch.remove('Count');
+    assert.deepEqual(watch.capture(), { 'O:0/0': true });
+});
+
+test('a step through the scan engine is read on both sides of the command', async () => {
+    // I0 -> ADD 1 to N7:0
+    const data = new LadderData();
+    data.loadPins([{ id: 'Start', label: '', address: 'I:0/0' }], [], [], [{ id: 'Count', label: '', address: 'N7:0', value: 0 }]);
+    data.addComponent(0, 0, 0, 'NO', 'Start', '');
+    data.addComponent(0, 0, 9, 'ADD', '', '', { sourceA: 'N7:0', sourceB: '1', dest: 'N7:0' });
+    const client = new LadderEngineClient(data);
+    client.initializePins();
+    client.setScanPeriod(1000);
+    client.start();
+    await client.pause();
+    try {
+        const watch = new WatchList(client);
+        watch.add('Count');
+        await client.setPinState('I:0/0', true);
+        await watch.step(() => client.stepScan());
+        assert.deepEqual(watch.before, { Count: 0 });
+        assert.deepEqual(watch.after, { Count: 1 });
+    } finally {
+        await client.stop();
+    }
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LadderData } from '../ladder-data.js';
+import { LadderProject } from '../ladder-project.js';
+import { ScenarioRunner } from '../scenario-runner.js';
+import { findScenarioFiles, runScenarioFile } from '../run-scenarios.js';
+
+function delayProgram() {
+    // Lamp comes on 100 ms after Go
+    const data = new LadderData();
+    data.loadPins([{ id: 'Go', label: '', address: 'I:0/0' }], [{ id: 'Lamp', label: '', address: 'O:0/0' }]);
+    data.addComponent(0, 0, 0, 'NO', 'I:0/0', '');
+    data.addComponent(0, 0, 9, 'TON', 'T4:0', '', { preset: 100 });
+    data.addRung();
+    data.addComponent(1, 0, 0, 'NO', 'T4:0/DN', '');
+    data.addComponent(1, 0, 9, 'OUT', 'O:0/0', '');
+    return LadderProject.serialize(data);
+}
+
+test('steps set inputs by id and check bits and words over time', () => {
+    const runner = new ScenarioRunner(delayProgram());
+    const result = runner.run({
+        name: 'delay',
+        steps: [
+            { at: 0, set: { Go: true }, expect: { Lamp: false } },
+            { at: 90, expect: { Lamp: false, 'T4:0.ACC': 90 } },
+            { at: 110, expect: { Lamp: true } },
+            { at: 120, set: { Go: false }, expect: { Lamp: false } }
+        ]
+    });
+
+    assert.equal(result.passed, true, ScenarioRunner.formatResult(result));
+});
+
+test('failed expectations are reported with their time and values', () => {
+    const runner = new ScenarioRunner(delayProgram(), { scanPeriod: 50 });
+    const result = runner.run({
+        name: 'too early',
+        steps: [{ at: 0, set: { Go: true } }, { at: 50, expect: { Lamp: true } }]
+    });
+
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.failures, [{ at: 50, name: 'Lamp', expected: true, actual: false }]);
+    assert.equal(ScenarioRunner.formatResult(result), 'FAIL too early\n    at 50 ms: Lamp expected true, got false');
+});
+
+test('example scenario files pass', () => {
+    const files = findScenarioFiles(['scenarios']);
+    assert.ok(files.length > 0);
+
+    for (const file of files) {
+        for (const result of runScenarioFile(file)) {
+            assert.equal(result.passed, true, `${file}\n${ScenarioRunner.formatResult(result)}`);
+        }
+    }
+});